@@ -17,11 +17,12 @@ if (watchMode) {
 console.info(colors.bold(`Building${watchMsg}...\n`));
 
 // ----------------------------------------------------------
-// Rebuild parser.
+// Rebuild parsers.
 
-console.info(colors.bold('[1/3] Generating parser module...\n'));
+console.info(colors.bold('[1/3] Generating parser modules...\n'));
 
 shell.exec(`node node_modules/syntax-cli/bin/syntax -g src/parser/hdl.g -o src/parser/generated/hdl-parser.js -m lalr1 --loc`);
+shell.exec(`node node_modules/syntax-cli/bin/syntax -g src/test-script/tst.g -o src/test-script/generated/tst-parser.js -m lalr1 --loc`);
 
 // ----------------------------------------------------------
 // Git hooks.
@@ -13,13 +13,19 @@ const vm = require('vm');
 
 const {
   BuiltInGate,
+  BuiltInGates,
+  CompositeGate,
   HDLClassFactory,
+  Pin,
+  computerRunner,
   Clock: {
     SystemClock,
   },
 } = hdl.emulator;
 
-const {int16} = require('../util/numbers');
+const {compareFile} = hdl.testScript;
+const {addLocation, formatError} = require('../util/hdl-error');
+const {parseInteger} = require('../util/numbers');
 
 function enforceUnique(v) {
   return Array.isArray(v) ? v[v.length - 1] : v;
@@ -48,8 +54,9 @@ const options = require('yargs')
     },
     'exec-on-data': {
       alias: 'e',
-      describe: 'Evaluates gate\'s logic on passed data; ' +
-        'validates outputs if passed',
+      describe: 'Evaluates gate\'s logic on passed data, or on the rows ' +
+        'of a .cmp file; validates outputs if passed; a row with ' +
+        '$reset: 1 resets the gate',
       requiresArg: true,
       coerce: enforceUnique,
     },
@@ -60,16 +67,106 @@ const options = require('yargs')
       choices: ['bin', 'hex', 'dec'],
       coerce: enforceUnique,
     },
+    'format-file': {
+      describe: 'Formats the HDL file in place',
+      requiresArg: true,
+      coerce: enforceUnique,
+    },
+    'output-file': {
+      alias: 'o',
+      describe: 'Writes the --exec-on-data results to a file ' +
+        'in the .out format',
+      requiresArg: true,
+      coerce: enforceUnique,
+    },
     run: {
       alias: 'r',
       describe: 'Runs sequentially the rows from --exec-on-data table',
     },
+    lint: {
+      describe: 'Checks the wiring of the HDL file from the --gate option ' +
+        '(undriven, and unused pins, width mismatches, etc)',
+    },
+    strict: {
+      describe: 'Fails on the values, which don\'t fit the sizes of ' +
+        'the pins (otherwise, the values are masked), and on the fights ' +
+        'of the drivers of a BusResolver',
+    },
+    'four-valued': {
+      describe: 'Simulates the unknown (X), and high-impedance (Z) ' +
+        'values; the pins start as X',
+    },
+    'max-iterations': {
+      describe: 'Maximum number of iterations of a feedback loop ' +
+        '(cross-coupled parts, e.g. of a latch) to settle; 100 by default',
+      requiresArg: true,
+      coerce: enforceUnique,
+    },
+    'power-on': {
+      describe: 'Power-on state of the clocked gates: zero (default), ' +
+        'random, or unknown (X, with the --four-valued)',
+      requiresArg: true,
+      coerce: enforceUnique,
+    },
+    seed: {
+      describe: 'Seed of the random power-on state (implies the ' +
+        '--power-on random); a new seed is printed, if not passed',
+      requiresArg: true,
+      coerce: enforceUnique,
+    },
+    rom: {
+      describe: 'Loads the program from a .hack file (one 16-bit binary ' +
+        'word per line) to the ROM32K gates',
+      requiresArg: true,
+      coerce: enforceUnique,
+    },
+    computer: {
+      describe: 'Runs the program from a .hack file on the Computer: ' +
+        'the built-in gate, or the Computer.hdl from the --gate option; ' +
+        'prints the registers, and the RAM',
+      requiresArg: true,
+      coerce: enforceUnique,
+    },
+    cycles: {
+      describe: 'Maximum number of clock cycles for the --computer; ' +
+        '100 by default',
+      requiresArg: true,
+      coerce: enforceUnique,
+    },
+    reset: {
+      describe: 'Sends the reset pulse to the --computer before the run',
+    },
+    'stop-at': {
+      describe: 'Stops the --computer, when the PC reaches the address',
+      requiresArg: true,
+      coerce: enforceUnique,
+    },
+    ram: {
+      describe: 'Ranges of the RAM printed after the --computer run, ' +
+        'e.g. 0-15,256; 0-15 by default',
+      requiresArg: true,
+      coerce: enforceUnique,
+    },
+    json: {
+      describe: 'Prints the results of the --computer run as JSON',
+    },
+    compile: {
+      describe: 'Compiles the HDL gate to a flat simulation kernel ' +
+        '(faster evaluation of large chips)',
+    },
     'clock-rate': {
       alias: 'c',
       describe: 'Rate (number of cycles per second) for the System clock',
       requiresArg: true,
       coerce: enforceUnique,
     },
+    test: {
+      alias: 't',
+      describe: 'Runs a test script (.tst file); compares the output ' +
+        'with the file from its "compare-to" command',
+      requiresArg: true,
+      coerce: enforceUnique,
+    },
   })
   .alias('help', 'h')
   .alias('version', 'v')
@@ -89,6 +186,15 @@ const FORMAT_VALUES = {
   dec: {radix: 10, pad: 0}, // no padding
 };
 
+/**
+ * Format to the column format type of the .out files.
+ */
+const FORMAT_TYPES = {
+  bin: 'B',
+  hex: 'X',
+  dec: 'D',
+};
+
 /**
  * Parse input data.
  */
@@ -106,14 +212,15 @@ function parseInputData(data, formatRadix) {
  * Process input data.
  */
 function processInputValue(value, formatRadix) {
-  // Strings are converted to numbers according to the `formatRadix`.
+  // Strings are converted to numbers according to the `formatRadix`,
+  // the values wider than 53 bits are BigInt. The numbers are not
+  // truncated here: the values are masked to the sizes of the pins.
   if (typeof value === 'string') {
-    value = Number.parseInt(value, formatRadix);
-  }
-
-  // Truncate numbers to 16-bits.
-  if (typeof value === 'number') {
-    return int16(value);
+    // The values with the X, and Z bits are binary logic strings.
+    if (Pin.hasUnknownBits(value)) {
+      return value;
+    }
+    return parseInteger(value, formatRadix);
   }
 
   return value;
@@ -133,15 +240,94 @@ function listBuiltInGates() {
   console.info(builtinGates.join('\n'), '\n');
 }
 
+/**
+ * Formats the HDL file in place.
+ */
+function formatHDLFile(fileName) {
+  let isChanged;
+
+  try {
+    isChanged = hdl.generator.formatFile(fileName);
+  } catch (error) {
+    console.error(colors.red(`\n${formatError(
+      addLocation(error, {fileName})
+    )}\n`));
+    process.exit(1);
+  }
+
+  console.info(
+    isChanged
+      ? `\n${colors.bold(fileName)} is formatted.\n`
+      : `\n${colors.bold(fileName)} is already formatted.\n`
+  );
+}
+
+/**
+ * Prints the diagnostics of the linter for the HDL file.
+ */
+function lintHDLFile(fileName) {
+  const source = fs.readFileSync(fileName, 'utf-8');
+  let diagnostics;
+
+  try {
+    diagnostics = hdl.lint(
+      hdl.parse(source, {captureLocations: true}),
+      {workingDir: path.dirname(fileName)}
+    );
+  } catch (error) {
+    console.error(colors.red(`\n${formatError(
+      addLocation(error, {fileName, source})
+    )}\n`));
+    process.exit(1);
+  }
+
+  if (diagnostics.length === 0) {
+    console.info(`\n${colors.bold(fileName)}: no problems found.\n`);
+    return;
+  }
+
+  console.info('');
+
+  diagnostics.forEach(({severity, rule, message, loc}) => {
+    const color = severity === 'error' ? colors.red : colors.yellow;
+    console.info(color(formatError({
+      message: `${severity}: ${message} (${rule})`,
+      loc,
+      fileName,
+      source,
+    })), '\n');
+  });
+
+  const errors = diagnostics.filter(({severity}) => severity === 'error');
+
+  console.info(colors.bold(
+    `${errors.length} error(s), ` +
+    `${diagnostics.length - errors.length} warning(s).\n`
+  ));
+
+  if (errors.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
 /**
  * Loads a gate class.
  */
 function loadGate(gate) {
-  try {
-    // Custom gate from HDL.
-    if (fs.existsSync(gate)) {
-      return HDLClassFactory.fromHDLFile(gate);
+  // Custom gate from HDL.
+  if (fs.existsSync(gate)) {
+    try {
+      return HDLClassFactory.fromHDLFile(gate, {
+        compile: !!options.compile,
+      });
+    } catch (error) {
+      // Location of the error, and the code frame.
+      console.error(colors.red(`\n${formatError(error)}\n`));
+      process.exit(1);
     }
+  }
+
+  try {
     // Built-in gate.
     return require(BUILTINS_DIR + '/' + gate);
   } catch (_e) {
@@ -258,12 +444,71 @@ function describeGate(gate, formatRadix, formatStringLengh) {
   printTable(truthTable);
 }
 
+/**
+ * Runs a test script, and reports pass/fail status of each
+ * compared output line.
+ */
+function runTestScript(testFile, gate) {
+  const {TestScript} = hdl.testScript;
+  const GateClass = gate ? loadGate(gate) : null;
+
+  let result;
+
+  try {
+    result = TestScript.fromFile(testFile, {GateClass}).run();
+  } catch (error) {
+    console.error(colors.red(`\n${formatError(
+      addLocation(error, {fileName: testFile})
+    )}\n`));
+    process.exit(1);
+  }
+
+  const {output, comparisons, echo, passed} = result;
+
+  console.info('');
+  console.info(colors.bold(`Test script "${testFile}":`), '\n');
+
+  echo.forEach(message => console.info(`  ${message}`));
+
+  // No compare file, just show the output.
+  if (comparisons.length === 0) {
+    output.forEach(line => console.info(`  ${line}`));
+    console.info('');
+    return;
+  }
+
+  comparisons.forEach(({line, expected, actual, passed}) => {
+    if (passed) {
+      console.info(colors.green(`  ✓ ${line}: `) + actual);
+      return;
+    }
+
+    console.info(colors.red(`  ✗ ${line}: `) + actual);
+    console.info(
+      '     ' + ' '.repeat(String(line).length) +
+      colors.red(`expected: ${expected === undefined ? '<none>' : expected}`)
+    );
+  });
+
+  const failed = comparisons.filter(comparison => !comparison.passed);
+
+  if (passed) {
+    console.info(colors.green(colors.bold(
+      `\nAll ${comparisons.length} lines passed.\n`
+    )));
+  } else {
+    console.info(colors.red(colors.bold(
+      `\n${failed.length} of ${comparisons.length} lines failed.\n`
+    )));
+    process.exitCode = 1;
+  }
+}
+
 /**
  * Generates a truth table on random data, according
  * to the gate logic.
  */
 function generateTruthTable(GateClass) {
-  const gateInstance = GateClass.defaultFromSpec();
   const {inputPins} = GateClass.Spec;
 
   let isSimple = inputPins.every(input => {
@@ -304,7 +549,14 @@ function generateTruthTable(GateClass) {
     }
   }
 
-  const {result} = gateInstance.execOnData(inputData);
+  // Clocked gates start from the System clock reset, with
+  // the first row being the setup row (at the -0 clock).
+  if (GateClass.isClocked()) {
+    SystemClock.reset();
+    inputData[0][Pin.CLOCK] = -0;
+  }
+
+  const {result} = GateClass.execOnData(inputData);
   return result;
 }
 
@@ -335,26 +587,184 @@ function runSlice(data, index, action) {
   }, 1000 / SystemClock.getRate());
 }
 
+/**
+ * Sets the power-on state of the clocked gates, printing
+ * the seed of the random state to reproduce the run.
+ */
+function setPowerOnState(state, seed) {
+  let powerOnSeed;
+
+  try {
+    powerOnSeed = BuiltInGate.setPowerOnState(
+      state,
+      seed === undefined ? null : Number(seed)
+    );
+  } catch (error) {
+    console.error(colors.red(`\n${error.message}\n`));
+    process.exit(1);
+  }
+
+  if (powerOnSeed !== null) {
+    console.info(
+      `\nRandom power-on state, seed: ${colors.bold(powerOnSeed)} ` +
+      `(pass ${colors.bold('--seed ' + powerOnSeed)} to reproduce).`
+    );
+  }
+}
+
+/**
+ * Loads the program from the .hack file to the ROM32K gates.
+ */
+function loadROM(fileName) {
+  const {ROM32K} = BuiltInGates;
+
+  try {
+    ROM32K.setProgram(ROM32K.parseFile(fileName));
+  } catch (error) {
+    console.error(colors.red(`\n${fileName}: ${error.message}\n`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Runs the program from the .hack file on the Computer (the built-in,
+ * or the HDL gate), and prints the registers, and the RAM.
+ */
+function runComputer(programFile, gate, formatRadix, formatStringLengh) {
+  const {
+    cycles = computerRunner.DEFAULT_CYCLES,
+    reset,
+    stopAt,
+    ram = '0-15',
+    json,
+  } = options;
+
+  loadROM(programFile);
+
+  const GateClass = gate ? loadGate(gate) : BuiltInGates.Computer;
+  let result;
+
+  try {
+    result = computerRunner.run(GateClass.defaultFromSpec(), {
+      cycles: Number(cycles),
+      reset: !!reset,
+      stopAt: stopAt === undefined ? null : Number(stopAt),
+      ram: computerRunner.parseRanges(ram),
+    });
+  } catch (error) {
+    console.error(colors.red(`\n${error.message}\n`));
+    process.exit(1);
+  }
+
+  if (json) {
+    console.info(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const formatValue = value => {
+    if (value === null) {
+      return '-';
+    }
+    return formatRadix === 10 && typeof value === 'number'
+      ? String(value)
+      : GateClass.formatPinValue(value, 16, {formatRadix, formatStringLengh});
+  };
+
+  const stopped = result.stopped
+    ? `, stopped at PC ${result.registers.PC}`
+    : '';
+
+  console.info(
+    `\n${colors.bold(programFile)}: ${result.cycles} cycle(s)${stopped}.\n`
+  );
+
+  console.info(colors.bold('Registers:'), '\n');
+
+  Object.keys(result.registers).forEach(name => {
+    console.info(`  ${name}: ${formatValue(result.registers[name])}`);
+  });
+
+  console.info('\n' + colors.bold('RAM:'), '\n');
+
+  Object.keys(result.ram).forEach(address => {
+    console.info(`  ${address}: ${formatValue(result.ram[address])}`);
+  });
+
+  console.info('');
+}
+
 function main() {
   const {
     gate,
     parse,
     list,
     describe,
+    lint,
     execOnData,
+    outputFile,
     format = 'bin',
+    formatFile,
     run,
     clockRate,
+    test,
+    strict,
+    fourValued,
+    maxIterations,
+    powerOn,
+    seed,
+    rom,
+    computer,
   } = options;
 
   if (clockRate) {
     SystemClock.setRate(clockRate);
   }
 
+  if (strict) {
+    Pin.setStrictMode('error');
+  }
+
+  if (fourValued) {
+    Pin.setLogicMode('four-valued');
+  }
+
+  if (maxIterations !== undefined) {
+    try {
+      CompositeGate.setMaxIterations(Number(maxIterations));
+    } catch (error) {
+      console.error(colors.red(`\n${error.message}\n`));
+      process.exit(1);
+    }
+  }
+
+  if (powerOn !== undefined || seed !== undefined) {
+    setPowerOnState(powerOn || 'random', seed);
+  }
+
+  if (rom) {
+    loadROM(rom);
+  }
+
+  // ------------------------------------------------------
+  // Format an HDL file.
+
+  if (formatFile) {
+    formatHDLFile(formatFile);
+    return;
+  }
+
   const formatRadix = FORMAT_VALUES[format].radix;
   const formatStringLengh = FORMAT_VALUES[format].pad;
 
-  if (gate && !describe && !execOnData) {
+  // ------------------------------------------------------
+  // Run a program on the Computer.
+
+  if (computer) {
+    runComputer(computer, gate, formatRadix, formatStringLengh);
+    return;
+  }
+
+  if (gate && !describe && !execOnData && !test && !lint) {
     console.info(
       `\nHint: pass ${colors.bold('--describe')} option to see ` +
       `${colors.bold('"' + gate + '"')} gate specification.\n`
@@ -378,6 +788,21 @@ function main() {
     hdlFile = fs.readFileSync(gate, 'utf-8');
   }
 
+  // ------------------------------------------------------
+  // Lint an HDL file.
+
+  if (lint) {
+    if (!hdlFile) {
+      console.info(
+        `\nHint: pass ${colors.bold('--gate')} option with ` +
+        `an HDL file to check.\n`
+      );
+      return;
+    }
+
+    lintHDLFile(gate);
+  }
+
   // ------------------------------------------------------
   // List built-in gates.
 
@@ -404,9 +829,15 @@ function main() {
       return;
     }
     const GateClass = loadGate(gate);
-    const gateInstance = GateClass.defaultFromSpec();
 
-    const data = parseInputData(execOnData, formatRadix);
+    // The formats of the .cmp columns are inferred,
+    // unless the --format is passed.
+    const data = /\.cmp$/.test(execOnData)
+      ? compareFile.parseFile(execOnData, {
+        GateClass,
+        format: options.format ? FORMAT_TYPES[format] : null,
+      })
+      : parseInputData(execOnData, formatRadix);
     const conflictingRows = {};
 
     /**
@@ -424,14 +855,11 @@ function main() {
           ) {
             const pinInfo = GateClass.getPinInfo(column);
 
-            let expected = (data[row][column].expected >>> 0)
-              .toString(formatRadix)
-              .padStart(formatRadix !== 10 ? pinInfo.size : 0, '0')
-              .toUpperCase();
-
-            if (expected.length > formatStringLengh) {
-              expected = expected.slice(-formatStringLengh);
-            }
+            const expected = GateClass.formatPinValue(
+              conflictingRows[row][column].expected,
+              pinInfo.size || 1,
+              {formatRadix, formatStringLengh}
+            );
 
             return colors.red(expected) + ' / ' + colors.green(value);
           }
@@ -446,7 +874,40 @@ function main() {
       return;
     }
 
-    const {result, conflicts} = gateInstance.execOnData(data);
+    let execResult;
+
+    try {
+      execResult = GateClass.execOnData(data);
+    } catch (error) {
+      // The strict mode errors: the overflows, and the fights on a bus.
+      console.error(colors.red(`\n${error.message}\n`));
+      process.exit(1);
+    }
+
+    const {result, conflicts, overflows} = execResult;
+
+    if (overflows.length) {
+      console.info(
+        colors.yellow(colors.bold(
+          `\nFound ${overflows.length} overflows in the input data ` +
+          `(the values are masked):\n`
+        ))
+      );
+
+      overflows.forEach(({row, pin, value, size}) => {
+        console.info(
+          `  - row: ${row}, pin: ${pin}, value ${value} doesn't ` +
+          `fit ${size} bit${size === 1 ? '' : 's'}`
+        );
+      });
+    }
+
+    if (outputFile) {
+      compareFile.writeFile(outputFile, result, {
+        GateClass,
+        format: FORMAT_TYPES[format],
+      });
+    }
 
     if (conflicts.length) {
       console.info(
@@ -473,6 +934,13 @@ function main() {
     printTable(result);
   }
 
+  // ------------------------------------------------------
+  // Test script.
+
+  if (test) {
+    runTestScript(test, gate);
+  }
+
   // ------------------------------------------------------
   // Parser.
 
@@ -6,9 +6,47 @@
 'use strict';
 
 const Gate = require('./Gate');
+const Pin = require('./Pin');
+
+const {int16} = require('../../util/numbers');
+const {createRandom, randomSeed} = require('../../util/random');
+
+/**
+ * Maximum number of the unknown input bits, which are enumerated
+ * in the four-valued mode (see `BuiltInGate#_evalUnknown`).
+ */
+const MAX_ENUMERATED_BITS = 8;
+
+/**
+ * Power-on states of the clocked gates (see `BuiltInGate.setPowerOnState`).
+ */
+const POWER_ON_STATES = ['zero', 'random', 'unknown'];
+
+/**
+ * Current power-on state, and the seed of the random one.
+ */
+let powerOnState = 'zero';
+let powerOnSeed = null;
+
+/**
+ * Generator of the random power-on values.
+ */
+let random = null;
 
 /**
  * Base class for all builtin gates.
+ *
+ * In the four-valued mode (see `Pin.setLogicMode`) the gates propagate
+ * the unknown (X) values: a combinational gate is evaluated on all the
+ * values of the unknown input bits, and the output bits, which differ,
+ * are X. A clocked gate, which loads the unknown inputs, has the unknown
+ * state until it's replaced (see `loadsState`, and `replacesState`).
+ *
+ * The gates, which handle the X, and Z values themselves,
+ * override the `isFourValued`.
+ *
+ * The clocked gates start with the power-on state (see
+ * `setPowerOnState`): zero, random, or unknown.
  */
 class BuiltInGate extends Gate {
   /**
@@ -17,6 +55,121 @@ class BuiltInGate extends Gate {
   constructor(options) {
     super(options);
     this._validate();
+
+    // Four-valued mode: whether the state of a clocked gate is unknown.
+    this._isStateUnknown = this._hasUnknownPowerOnState();
+  }
+
+  /**
+   * Sets the power-on state of the clocked gates, which is set
+   * by their `init` (at construction, and reset signal):
+   *
+   *   - 'zero' (default): the state is 0
+   *   - 'random': the state is random, generated from the `seed`;
+   *     a new seed is used, if it's not passed
+   *   - 'unknown': the state is X (the four-valued mode only)
+   *
+   * Returns the seed of the random state, so a simulation
+   * can be reproduced.
+   */
+  static setPowerOnState(state, seed = null) {
+    if (!POWER_ON_STATES.includes(state)) {
+      throw new TypeError(
+        `BuiltInGate.setPowerOnState: unknown state "${state}", ` +
+        `expected ${POWER_ON_STATES.join(', ')}.`
+      );
+    }
+
+    if (seed !== null && !Number.isInteger(seed)) {
+      throw new TypeError(
+        `BuiltInGate.setPowerOnState: expected an integer seed, got ${seed}.`
+      );
+    }
+
+    if (state === 'unknown' && Pin.getLogicMode() !== 'four-valued') {
+      throw new TypeError(
+        `BuiltInGate.setPowerOnState: the "unknown" state requires ` +
+        `the four-valued logic mode.`
+      );
+    }
+
+    powerOnState = state;
+    powerOnSeed = null;
+    random = null;
+
+    if (state === 'random') {
+      powerOnSeed = seed === null ? randomSeed() : seed >>> 0;
+      random = createRandom(powerOnSeed);
+    }
+
+    return powerOnSeed;
+  }
+
+  /**
+   * Returns the power-on state of the clocked gates.
+   */
+  static getPowerOnState() {
+    return powerOnState;
+  }
+
+  /**
+   * Returns the seed of the random power-on state
+   * (`null` for other states).
+   */
+  static getPowerOnSeed() {
+    return powerOnSeed;
+  }
+
+  /**
+   * Returns the power-on value of a state of the given size
+   * (up to 16 bits): the next random value in the 'random'
+   * power-on state, and 0 otherwise.
+   */
+  static getPowerOnValue(size = 16) {
+    if (powerOnState !== 'random') {
+      return 0;
+    }
+    return int16(random() >>> (32 - size));
+  }
+
+  /**
+   * Whether the power-on state of this gate is unknown.
+   */
+  _hasUnknownPowerOnState() {
+    return (
+      powerOnState === 'unknown' &&
+      this.getClass().isClocked() &&
+      this._propagatesUnknown()
+    );
+  }
+
+  /**
+   * Disposes this gate, and its instance used for the unknown values.
+   */
+  dispose() {
+    if (this._shadowGate) {
+      this._shadowGate.dispose();
+      this._shadowGate = null;
+    }
+    return super.dispose();
+  }
+
+  /**
+   * Resets the state, which is also unknown no more. The outputs
+   * of a clocked gate show the power-on state.
+   */
+  _resetState() {
+    this._isStateUnknown = this._hasUnknownPowerOnState();
+
+    if (this._shadowGate) {
+      this._shadowGate._resetState();
+    }
+
+    super._resetState();
+
+    if (this.getClass().isClocked()) {
+      this._outputState(this.getPin(Pin.CLOCK).getValue());
+    }
   }
 
   /**
@@ -113,6 +266,175 @@ class BuiltInGate extends Gate {
     // Child classes can override.
     return false;
   }
+
+  /**
+   * Whether this gate handles the X, and Z values of the four-valued
+   * mode itself, reading the logic strings of the pins.
+   */
+  static isFourValued() {
+    // Child classes can override.
+    return false;
+  }
+
+  /**
+   * Four-valued mode: whether the rising edge with the current
+   * inputs may change the state of a clocked gate.
+   */
+  loadsState() {
+    // Child classes can override.
+    return true;
+  }
+
+  /**
+   * Four-valued mode: whether the rising edge with the current
+   * inputs replaces the whole state of a clocked gate.
+   */
+  replacesState() {
+    // Child classes can override.
+    return false;
+  }
+
+  /**
+   * Whether the X, and Z values are propagated by this class.
+   */
+  _propagatesUnknown() {
+    return (
+      Pin.getLogicMode() === 'four-valued' &&
+      !this.getClass().isFourValued()
+    );
+  }
+
+  /**
+   * Whether all the input bits are known.
+   */
+  _hasKnownInputs() {
+    return this.getInputPins().every(pin => pin.isKnown());
+  }
+
+  /**
+   * Decorated `eval`: propagates the unknown inputs.
+   */
+  _evalEmit() {
+    if (
+      this._propagatesUnknown() &&
+      !this.getClass().isClocked() &&
+      !this._hasKnownInputs()
+    ) {
+      this._evalUnknown();
+      this.emit('eval');
+      return;
+    }
+    super._evalEmit();
+  }
+
+  /**
+   * Decorated `clockUp`: the unknown inputs, which may
+   * change the state, make the state unknown.
+   */
+  _clockUpEmit(clockValue) {
+    if (this._propagatesUnknown() && this.loadsState()) {
+      if (!this._hasKnownInputs()) {
+        this._isStateUnknown = true;
+        this.emit('clockUp', clockValue);
+        return;
+      }
+
+      if (this.replacesState()) {
+        this._isStateUnknown = false;
+      }
+    }
+    super._clockUpEmit(clockValue);
+  }
+
+  /**
+   * Decorated `clockDown`: the unknown state is output as X.
+   */
+  _clockDownEmit(clockValue) {
+    this._outputState(clockValue);
+    this.emit('clockDown', clockValue);
+  }
+
+  /**
+   * Propagates the state to the outputs (see `clockDown`).
+   */
+  _outputState(clockValue) {
+    this._originalClockDown(clockValue);
+
+    if (this._propagatesUnknown() && this._isStateUnknown) {
+      this.getOutputPins().forEach(pin => pin.setValue('X'));
+    }
+  }
+
+  /**
+   * Evaluates the gate on all the values of the unknown (X), and
+   * high-impedance (Z) input bits, using a separate instance of the
+   * gate, which starts from the current outputs. The output bits, which
+   * are the same for all the values, are known, and the others are X.
+   * With more than 8 unknown input bits all the outputs are X.
+   */
+  _evalUnknown() {
+    const inputs = this.getInputPins();
+    const outputs = this.getOutputPins();
+
+    const unknownBits = [];
+
+    inputs.forEach((pin, pinIndex) => {
+      const logic = pin.getLogicValue();
+      for (let index = 0; index < logic.length; index++) {
+        if (/[XZ]/.test(logic[logic.length - 1 - index])) {
+          unknownBits.push({pinIndex, index});
+        }
+      }
+    });
+
+    if (unknownBits.length > MAX_ENUMERATED_BITS) {
+      outputs.forEach(pin => pin.setValue('X'));
+      return;
+    }
+
+    if (!this._shadowGate) {
+      this._shadowGate = this.getClass().defaultFromSpec();
+    }
+
+    const shadowInputs = this._shadowGate.getInputPins();
+    const shadowOutputs = this._shadowGate.getOutputPins();
+
+    const results = outputs.map(() => null);
+
+    for (let bits = 0; bits < (1 << unknownBits.length); bits++) {
+      inputs.forEach((pin, pinIndex) => {
+        shadowInputs[pinIndex].setValue(pin.getValue());
+      });
+
+      unknownBits.forEach(({pinIndex, index}, bit) => {
+        shadowInputs[pinIndex].setValueAt(index, (bits >> bit) & 1);
+      });
+
+      // The level-sensitive gates (e.g. latches) hold the state in the
+      // outputs, which are kept unless the inputs change them.
+      outputs.forEach((pin, pinIndex) => {
+        shadowOutputs[pinIndex].setValue(pin.getLogicValue());
+      });
+
+      this._shadowGate.eval();
+
+      shadowOutputs.forEach((pin, pinIndex) => {
+        results[pinIndex] = mergeLogic(results[pinIndex], pin.getLogicValue());
+      });
+    }
+
+    outputs.forEach((pin, pinIndex) => pin.setValue(results[pinIndex]));
+  }
+}
+
+/**
+ * Merges the logic strings: the bits, which differ, are X.
+ */
+function mergeLogic(a, b) {
+  if (a === null) {
+    return b;
+  }
+  return a.split('').map((bit, index) => bit === b[index] ? bit : 'X').join('');
 }
 
 module.exports = BuiltInGate;
\ No newline at end of file
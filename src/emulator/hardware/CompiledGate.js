@@ -0,0 +1,225 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const BuiltInGate = require('./BuiltInGate');
+const CompositeGate = require('./CompositeGate');
+const Gate = require('./Gate');
+const Pin = require('./Pin');
+
+/**
+ * A gate evaluated by a compiled kernel (see `compiler` module): the
+ * whole hierarchy of the parts is flattened into the nets, and is
+ * evaluated by a single function.
+ *
+ * The concrete classes are created by the `HDLClassFactory` in the
+ * `compile` mode, and define the static `Kernel`, and `Spec`.
+ */
+class CompiledGate extends Gate {
+  /**
+   * Creates a gate instance with the given name.
+   */
+  constructor(options) {
+    super(options);
+
+    const {Kernel, Spec} = this.getClass();
+
+    this._internalPins = Gate.toPins(
+      options.internalPins || Spec.internalPins || []
+    );
+
+    // Rebuild map to consider internal pins.
+    this._buildNamesToPinsMap();
+
+    this._nets = new Int16Array(Kernel.netsCount);
+    this._propagatedValues = {};
+    this._states = new Int16Array(Kernel.statesCount);
+    this._initStates();
+
+    // Instances of the built-in gates without the kernel templates,
+    // these are driven by this gate, rather than by the clock.
+    this._fallbacks = Kernel.fallbacks.map(({GateClass}) => {
+      const gate = GateClass.defaultFromSpec({
+        clock: this._clock,
+        clocks: this._clocks,
+      });
+      gate._unsubscribeFromClock();
+      return gate;
+    });
+
+    this._runtime = {
+      eval: index => this._evalFallback(index),
+      clockUp: index => this._clockFallback(index, 'clockUp'),
+      clockDown: index => this._clockFallback(index, 'clockDown'),
+    };
+  }
+
+  /**
+   * Disposes this gate, and the fallback gates.
+   */
+  dispose() {
+    this._fallbacks.forEach(gate => gate.dispose());
+    return super.dispose();
+  }
+
+  /**
+   * Sets the power-on values of the states of the kernel
+   * (see `BuiltInGate.setPowerOnState`).
+   */
+  _initStates() {
+    this.getClass().Kernel.stateSizes.forEach((size, index) => {
+      this._states[index] = BuiltInGate.getPowerOnValue(size);
+    });
+  }
+
+  /**
+   * Resets the states of the kernel, and the fallback gates.
+   */
+  _resetState() {
+    this._initStates();
+    this._fallbacks.forEach(gate => gate._resetState());
+    super._resetState();
+
+    if (this.getClass().isClocked()) {
+      this._originalClockDown(this.getPin(Pin.CLOCK).getValue());
+    }
+    this.eval();
+  }
+
+  /**
+   * Returns internal pins of this gate.
+   */
+  getInternalPins() {
+    return this._internalPins;
+  }
+
+  /**
+   * Returns the nets of the compiled kernel.
+   */
+  getNets() {
+    return this._nets;
+  }
+
+  /**
+   * Evaluates this gate: the inputs are written to the nets, the
+   * kernel is run, and the nets are propagated to the output,
+   * and internal pins.
+   *
+   * The clocked parts are evaluated before the parts, which compute
+   * their inputs, so in a clocked gate the kernel is run again, until
+   * the nets are settled: the clocked parts (and the combinational
+   * logic inside them), and the fallback gates get the current inputs.
+   */
+  eval() {
+    const {pins, eval: evalKernel} = this.getClass().Kernel;
+
+    for (const pin of this._inputPins) {
+      this._nets[pins[pin.getName()]] = pin.getValue();
+    }
+
+    evalKernel(this._nets, this._states, this._runtime);
+
+    if (this.getClass().isClocked()) {
+      this._settleNets(evalKernel);
+    }
+
+    this._internalPins.forEach(pin => this._propagateNet(pin, pins));
+    this._outputPins.forEach(pin => this._propagateNet(pin, pins));
+  }
+
+  /**
+   * Runs the kernel until the nets don't change. The states of the
+   * clocked parts are not changed by the evaluation, so the nets are
+   * settled in the number of the nested clocked parts.
+   */
+  _settleNets(evalKernel) {
+    const previousNets = new Int16Array(this._nets.length);
+    const maxIterations = CompositeGate.getMaxIterations();
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      previousNets.set(this._nets);
+      evalKernel(this._nets, this._states, this._runtime);
+
+      if (this._nets.every((value, net) => value === previousNets[net])) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Writes the value of the net to the pin, if the net has changed since
+   * the last write. As in the composite gates, where the values are
+   * propagated on change, a value set to a pin externally is preserved
+   * until the logic driving the pin changes it.
+   */
+  _propagateNet(pin, pins) {
+    const name = pin.getName();
+    const value = this._nets[pins[name]];
+
+    if (this._propagatedValues[name] !== value) {
+      this._propagatedValues[name] = value;
+      pin.setValue(value);
+    }
+  }
+
+  /**
+   * Whether this gate is clocked.
+   */
+  static isClocked() {
+    // This default value is overridden in the child classes
+    // created from HDL files.
+    return false;
+  }
+
+  /**
+   * Handler for the rising edge of the clock: updates internal state,
+   * outputs are not updated ("latched").
+   */
+  clockUp() {
+    this.getClass().Kernel.clockUp(this._nets, this._states, this._runtime);
+  }
+
+  /**
+   * Handler for the falling edge of the clock: commits the internal state,
+   * values to the output.
+   */
+  clockDown() {
+    this.getClass().Kernel.clockDown(this._nets, this._states, this._runtime);
+  }
+
+  /**
+   * Evaluates a fallback gate: passes the values of the nets
+   * to its inputs, and reads the outputs back to the nets.
+   */
+  _evalFallback(index) {
+    const {inputs, outputs} = this.getClass().Kernel.fallbacks[index];
+    const gate = this._fallbacks[index];
+
+    for (const [name, net] of inputs) {
+      gate.getPin(name).setValue(this._nets[net]);
+    }
+
+    gate.eval();
+
+    for (const [name, net] of outputs) {
+      this._nets[net] = gate.getPin(name).getValue();
+    }
+  }
+
+  /**
+   * Runs a clock edge handler (`clockUp`, or `clockDown`)
+   * of a clocked fallback gate.
+   */
+  _clockFallback(index, handler) {
+    const gate = this._fallbacks[index];
+    const clockValue = this.getPin(Pin.CLOCK).getValue();
+
+    gate.getPin(Pin.CLOCK).setValue(clockValue);
+    gate[handler](clockValue);
+  }
+}
+
+module.exports = CompiledGate;
@@ -6,10 +6,27 @@
 'use strict';
 
 const Gate = require('./Gate');
+const Pin = require('./Pin');
+
+/**
+ * Default maximum number of iterations of a feedback loop
+ * (see `CompositeGate.setMaxIterations`).
+ */
+const DEFAULT_MAX_ITERATIONS = 100;
+
+/**
+ * Maximum number of iterations of a feedback loop.
+ */
+let maxIterations = DEFAULT_MAX_ITERATIONS;
 
 /**
  * A gate consisting of several sub-parts implementation
  * (usually a user-defined gate).
+ *
+ * The clocked parts on the clock of this gate are driven by this gate
+ * on its clock edges. The parts on other clocks (see the named clocks
+ * in `HDLClassFactory`) are driven by their clocks, and this gate is
+ * re-evaluated after each edge of these clocks.
  */
 class CompositeGate extends Gate {
   /**
@@ -21,18 +38,39 @@ class CompositeGate extends Gate {
     outputPins = [],
     internalPins = [],
     parts = [],
+    evalOrder = null,
+    pinListeners = [],
+    clock,
+    clocks,
   } = {}) {
     super({
       name,
       inputPins,
       outputPins,
+      clock,
+      clocks,
     });
 
     this._internalPins = internalPins;
     this._parts = parts;
 
+    // Parts in the order of evaluation (declaration order by default).
+    this._evalOrder = evalOrder || parts;
+
+    // The `change` listeners of the pins, which connect the parts:
+    // {pin, listener}, removed on `dispose`.
+    this._pinListeners = pinListeners;
+
     // Rebuild map to consider internal pins.
     this._buildNamesToPinsMap();
+
+    // Clocked parts are driven by this gate on the clock edges.
+    if (this.getClass().isClocked()) {
+      for (const part of this._getClockedParts()) {
+        part._unsubscribeFromClock();
+      }
+      this._subscribeToPartClocks();
+    }
   }
 
   /**
@@ -50,12 +88,79 @@ class CompositeGate extends Gate {
   }
 
   /**
-   * Evaluates this gate.
+   * Returns the parts in the order of evaluation. A feedback loop
+   * is an object with the parts, and the pins written by them:
+   *
+   *   [not, {parts: [nand1, nand2], pins: [q, nq]}, and]
+   */
+  getEvalOrder() {
+    return this._evalOrder;
+  }
+
+  /**
+   * Evaluates this gate: the parts are evaluated in
+   * the topological order of their dependencies.
    */
   eval() {
-    for (const part of this._parts) {
-      part.eval();
+    for (const step of this._evalOrder) {
+      if (step instanceof Gate) {
+        step.eval();
+      } else {
+        this._evalFeedbackLoop(step);
+      }
+    }
+  }
+
+  /**
+   * Evaluates the parts of a feedback loop until the values of its pins
+   * are settled. Throws if the pins still change after the maximum
+   * number of iterations (see `CompositeGate.setMaxIterations`).
+   */
+  _evalFeedbackLoop({parts, pins}) {
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const previousValues = pins.map(pin => pin.getReadableValue());
+
+      for (const part of parts) {
+        part.eval();
+      }
+
+      const changedPins = pins.filter((pin, index) => {
+        return pin.getReadableValue() !== previousValues[index];
+      });
+
+      if (changedPins.length === 0) {
+        return;
+      }
+
+      if (iteration === maxIterations - 1) {
+        throw new RangeError(
+          `"${this._name}" chip: the feedback loop doesn't settle ` +
+          `in ${maxIterations} iterations, oscillating pins: ` +
+          `${changedPins.map(pin => pin.getName()).join(', ')}.`
+        );
+      }
+    }
+  }
+
+  /**
+   * Sets the maximum number of iterations of a feedback loop
+   * (100 by default).
+   */
+  static setMaxIterations(iterations) {
+    if (!Number.isInteger(iterations) || iterations < 1) {
+      throw new RangeError(
+        `CompositeGate.setMaxIterations: expected a positive ` +
+        `integer, got ${iterations}.`
+      );
     }
+    maxIterations = iterations;
+  }
+
+  /**
+   * Returns the maximum number of iterations of a feedback loop.
+   */
+  static getMaxIterations() {
+    return maxIterations;
   }
 
   /**
@@ -78,9 +183,10 @@ class CompositeGate extends Gate {
       );
     }
 
-    for (const part of this._parts) {
+    this._getClockedParts().forEach(part => {
+      part.getPin(Pin.CLOCK).setValue(this.getPin(Pin.CLOCK).getValue());
       part.tick();
-    }
+    });
   }
 
   /**
@@ -94,9 +200,98 @@ class CompositeGate extends Gate {
       );
     }
 
-    for (const part of this._parts) {
+    this._getClockedParts().forEach(part => {
+      part.getPin(Pin.CLOCK).setValue(this.getPin(Pin.CLOCK).getValue());
       part.tock();
+    });
+  }
+
+  /**
+   * Disposes this gate, and its parts: removes the listeners
+   * of the pins, which connect the parts.
+   */
+  dispose() {
+    for (const {pin, listener} of this._pinListeners) {
+      pin.removeListener('change', listener);
+    }
+    this._pinListeners = [];
+
+    for (const part of this._parts) {
+      part.dispose();
+    }
+
+    return super.dispose();
+  }
+
+  /**
+   * Resets the state of this gate, and its parts, and
+   * propagates the outputs of the parts.
+   */
+  _resetState() {
+    for (const part of this._parts) {
+      part._resetState();
+    }
+    super._resetState();
+    this.eval();
+  }
+
+  /**
+   * Returns the clocks, which drive this gate, and its parts.
+   */
+  getUsedClocks() {
+    const clocks = super.getUsedClocks();
+
+    for (const part of this._parts) {
+      for (const clock of part.getUsedClocks()) {
+        if (!clocks.includes(clock)) {
+          clocks.push(clock);
+        }
+      }
     }
+
+    return clocks;
+  }
+
+  /**
+   * Returns parts which are clocked, and are updated
+   * on the clock edges of this gate.
+   */
+  _getClockedParts() {
+    return this._parts.filter(part => {
+      return part.getClass().isClocked() && part.getClock() === this._clock;
+    });
+  }
+
+  /**
+   * Re-evaluates this gate after the edges of the clocks of the parts,
+   * which are not driven by this gate. The parts are subscribed
+   * before, and so handle the edge first.
+   */
+  _subscribeToPartClocks() {
+    this._partClocksListeners = this.getUsedClocks()
+      .filter(clock => clock !== this._clock)
+      .map(clock => {
+        const listener = () => this.eval();
+        clock.on('next', listener);
+        return {clock, listener};
+      });
+  }
+
+  /**
+   * Unsubscribes this gate from its clock, and the clocks of the parts.
+   */
+  _unsubscribeFromClock() {
+    super._unsubscribeFromClock();
+
+    if (!this._partClocksListeners) {
+      return;
+    }
+
+    for (const {clock, listener} of this._partClocksListeners) {
+      clock.removeListener('next', listener);
+    }
+
+    this._partClocksListeners = null;
   }
 }
 
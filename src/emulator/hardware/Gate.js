@@ -12,8 +12,9 @@ const TablePrinter = require('../../table-printer');
 const {SystemClock} = require('./Clock');
 
 const {
-  int16,
   isNegativeZero,
+  parseInteger,
+  toRadixString,
   toSignedString,
 } = require('../../util/numbers');
 
@@ -26,6 +27,10 @@ class Gate extends EventEmitter {
 
   /**
    * Creates a gate instance with the given name.
+   *
+   * A clocked gate is driven by the `clock` (the System clock by
+   * default). The `clocks` is a map of the named clocks of a design,
+   * which are passed down to the parts (see `CompositeGate`).
    */
   constructor(options = null) {
     super();
@@ -38,6 +43,8 @@ class Gate extends EventEmitter {
       name = null,
       inputPins = [],
       outputPins = [],
+      clock = SystemClock,
+      clocks = {},
     } = options;
 
     // Infer name from the class if not passed explicitly.
@@ -47,6 +54,9 @@ class Gate extends EventEmitter {
 
     this._name = name;
 
+    this._clock = clock;
+    this._clocks = clocks;
+
     this._inputPins = Gate.toPins(inputPins);
     this._outputPins = Gate.toPins(outputPins);
 
@@ -60,14 +70,52 @@ class Gate extends EventEmitter {
 
     // Subscribe to the clock events for clocked gates.
     if (this.getClass().isClocked()) {
-      SystemClock.on('tick', () => this.tick());
-      SystemClock.on('tock', () => this.tock());
-      SystemClock.on('change', value => {
-        this.getPin(Pin.CLOCK).setValue(value);
-      });
+      this._subscribeToClock();
     }
   }
 
+  /**
+   * Subscribes this gate to the events of its clock.
+   */
+  _subscribeToClock() {
+    this._clockListeners = {
+      tick: () => this.tick(),
+      tock: () => this.tock(),
+      change: value => this.getPin(Pin.CLOCK).setValue(value),
+    };
+
+    for (const event in this._clockListeners) {
+      this._clock.on(event, this._clockListeners[event]);
+    }
+  }
+
+  /**
+   * Unsubscribes this gate from the clock events. This is used
+   * for the parts of a clocked composite gate, which are driven by
+   * the parent gate, rather than by the clock directly.
+   */
+  _unsubscribeFromClock() {
+    if (!this._clockListeners) {
+      return;
+    }
+
+    for (const event in this._clockListeners) {
+      this._clock.removeListener(event, this._clockListeners[event]);
+    }
+
+    this._clockListeners = null;
+  }
+
+  /**
+   * Detaches this gate from its clock, and the pins it listens to: the
+   * gate is not updated anymore, and can be garbage collected. The
+   * composite gates also dispose their parts.
+   */
+  dispose() {
+    this._unsubscribeFromClock();
+    return this;
+  }
+
   /**
    * Any extra initialization a gate may provide. Called at construction
    * and reset signal.
@@ -78,9 +126,56 @@ class Gate extends EventEmitter {
   }
 
   /**
-   * Creates an default instance of this gate from the spec.
+   * Reset signal: returns the gate to its power-on state, and
+   * resets the clocks, which drive the gate, and its parts.
    */
-  static defaultFromSpec() {
+  reset() {
+    const clocks = this.getUsedClocks();
+
+    if (!clocks.includes(this._clock)) {
+      clocks.push(this._clock);
+    }
+
+    clocks.forEach(clock => clock.reset());
+
+    this._resetState();
+    return this;
+  }
+
+  /**
+   * Re-runs the `init` of the gate. The gates with other state
+   * (e.g. the composite gates with their parts) reset it as well.
+   */
+  _resetState() {
+    this.init();
+  }
+
+  /**
+   * Returns the clock, which drives this gate.
+   */
+  getClock() {
+    return this._clock;
+  }
+
+  /**
+   * Returns the map of the named clocks of the design.
+   */
+  getNamedClocks() {
+    return this._clocks;
+  }
+
+  /**
+   * Returns the clocks, which drive this gate, and its parts.
+   */
+  getUsedClocks() {
+    return this.getClass().isClocked() ? [this._clock] : [];
+  }
+
+  /**
+   * Creates an default instance of this gate from the spec. The
+   * options (e.g. the `clock`) are passed to the constructor.
+   */
+  static defaultFromSpec(options = {}) {
     const {
       inputPins,
       outputPins,
@@ -92,10 +187,10 @@ class Gate extends EventEmitter {
         : new Pin({name: name.name, size: name.size});
     };
 
-    return new this({
+    return new this(Object.assign({}, options, {
       inputPins: inputPins.map(toPin),
       outputPins: outputPins.map(toPin),
-    });
+    }));
   }
 
   /**
@@ -190,12 +285,13 @@ class Gate extends EventEmitter {
   }
 
   /**
-   * Sets values of the input/ouput pins.
+   * Sets values of the input/ouput pins. The pins with the unknown
+   * bits (in the four-valued mode) are read as the logic strings.
    */
   getPinValues() {
     const data = {};
     for (const pinName in this._namesToPinsMap) {
-      data[pinName] = this.getPin(pinName).getValue();
+      data[pinName] = this.getPin(pinName).getReadableValue();
     }
     return data;
   }
@@ -209,6 +305,13 @@ class Gate extends EventEmitter {
    * If both inputs, and outputs are provided, evaluates
    * the outputs, and also returns found conflicts if some
    * evaluated output doesn't equal to the provided.
+   *
+   * The input values, which don't fit the sizes of the pins, are
+   * masked, and returned as the overflows. In the strict mode 'error'
+   * (see `Pin.setStrictMode`) the overflow throws.
+   *
+   * A row with the `$reset: 1` (see `Gate.RESET`) resets the gate
+   * before setting the pins, and is a setup row for the reset clock.
    */
   execOnData(inputData) {
     const result = [];
@@ -216,14 +319,27 @@ class Gate extends EventEmitter {
     // Entries with conflicting data: {row, pins}.
     const conflicts = [];
 
+    // Input values overflowing the pins: {row, pin, value, size}.
+    const overflows = [];
+
     inputData.forEach((row, index) => {
+      const isReset = Boolean(row[Gate.RESET]);
+
+      if (isReset) {
+        this.reset();
+      }
+
       // Evaluate the row.
-      this.setPinValues(row);
+      this.setPinValues(this._maskInputRow(row, index, overflows));
 
       // The -0 is a setup row, don't execute on it,
       // otherwise, emulate next clock half-cycle (tick or tock).
-      if (this.getClass().isClocked() && !isNegativeZero(row[Pin.CLOCK])) {
-        SystemClock.next();
+      if (
+        this.getClass().isClocked() &&
+        !isReset &&
+        !isNegativeZero(row[Pin.CLOCK])
+      ) {
+        this._clock.next();
       } else {
         this.eval();
       }
@@ -232,13 +348,24 @@ class Gate extends EventEmitter {
       const conflictsForRow = {};
 
       for (const pinName in this._namesToPinsMap) {
-        const expectedValue = int16(row[pinName]);
-        const actualValue = this.getPin(pinName).getValue();
+        const pin = this.getPin(pinName);
+
+        // The clock pin is masked to a signed word, which loses
+        // the sign of the -0 setup row: take the time from the row.
+        const actualValue = pinName === Pin.CLOCK && isNegativeZero(row[pinName])
+          ? row[pinName]
+          : pin.getReadableValue();
 
         outputRow[pinName] = actualValue;
 
+        if (!row.hasOwnProperty(pinName)) {
+          continue;
+        }
+
+        const expectedValue = pin.mask(row[pinName]);
+
         // If the (output) pin is provided, validate it.
-        if (row.hasOwnProperty(pinName) && expectedValue !== actualValue) {
+        if (expectedValue !== actualValue) {
           conflictsForRow[pinName] = {
             expected: expectedValue,
             actual: actualValue,
@@ -253,7 +380,62 @@ class Gate extends EventEmitter {
       result.push(outputRow);
     });
 
-    return {result, conflicts};
+    return {result, conflicts, overflows};
+  }
+
+  /**
+   * Evaluates a new instance of this gate (created with the options,
+   * see `defaultFromSpec`) on the data, and disposes the instance.
+   */
+  static execOnData(inputData, options = {}) {
+    const gate = this.defaultFromSpec(options);
+
+    try {
+      return gate.execOnData(inputData);
+    } finally {
+      gate.dispose();
+    }
+  }
+
+  /**
+   * Masks the values of the input pins in the row, which don't
+   * fit the sizes, collecting them to the overflows.
+   */
+  _maskInputRow(row, index, overflows) {
+    const maskedRow = Object.assign({}, row);
+
+    // Not a pin.
+    delete maskedRow[Gate.RESET];
+
+    this._inputPins.forEach(pin => {
+      const name = pin.getName();
+
+      if (!row.hasOwnProperty(name) || Pin.hasUnknownBits(row[name])) {
+        return;
+      }
+
+      const value = typeof row[name] === 'string'
+        ? parseInteger(row[name], 2)
+        : row[name];
+
+      const size = pin.getSize();
+
+      if (Pin.fits(value, size)) {
+        return;
+      }
+
+      if (Pin.getStrictMode() === 'error') {
+        throw new RangeError(
+          `Row ${index}: value ${value} of the "${name}" pin ` +
+          `doesn't fit ${size} bit${size === 1 ? '' : 's'}.`
+        );
+      }
+
+      overflows.push({row: index, pin: name, value, size});
+      maskedRow[name] = pin.mask(value);
+    });
+
+    return maskedRow;
   }
 
   /**
@@ -309,14 +491,10 @@ class Gate extends EventEmitter {
           content = toSignedString(row[name]);
         } else {
           // Normal pin.
-          content = (row[name] >>> 0)
-            .toString(formatRadix)
-            .padStart(formatRadix !== 10 ? pinInfo.size : 0, '0')
-            .toUpperCase();
-
-          if (content.length > formatStringLengh) {
-            content = content.slice(-formatStringLengh);
-          }
+          content = this.formatPinValue(row[name], pinInfo.size || 1, {
+            formatRadix,
+            formatStringLengh,
+          });
 
           if (transformValue) {
             content = transformValue(content, index, name);
@@ -335,6 +513,34 @@ class Gate extends EventEmitter {
     console.info('');
   }
 
+  /**
+   * Formats the value of a pin for the truth table, see `printTruthTable`
+   * for the options. The buses wider than the word are printed in full.
+   */
+  static formatPinValue(value, size, {
+    formatRadix = 2,
+    formatStringLengh = 16,
+  } = {}) {
+    if (typeof value === 'string') {
+      return formatLogicValue(value, formatRadix);
+    }
+
+    if (size > Pin.WORD_SIZE) {
+      return toRadixString(value, size, formatRadix);
+    }
+
+    let content = (value >>> 0)
+      .toString(formatRadix)
+      .padStart(formatRadix !== 10 ? size : 0, '0')
+      .toUpperCase();
+
+    if (content.length > formatStringLengh) {
+      content = content.slice(-formatStringLengh);
+    }
+
+    return content;
+  }
+
   static validateSpec(
     spec,
     specProps = ['inputPins', 'outputPins']
@@ -380,9 +586,11 @@ class Gate extends EventEmitter {
     this._namesToPinsMap = {};
 
     if (this.getClass().isClocked()) {
+      // The clock pin keeps the signed cycle number.
       this._namesToPinsMap[Pin.CLOCK] = new Pin({
         name: Pin.CLOCK,
-        value: SystemClock.getValue(),
+        size: Pin.WORD_SIZE,
+        value: this._clock.getValue(),
       });
     }
 
@@ -518,9 +726,43 @@ class Gate extends EventEmitter {
    * Full clock cycle.
    */
   clockCycle() {
-    SystemClock.cycle();
+    this._clock.cycle();
     return this;
   }
 }
 
+/**
+ * Formats a logic string with the unknown bits: in hex, a digit with
+ * the unknown bits is X (or Z, if all its bits are Z), and the decimal
+ * value is X (or Z).
+ */
+function formatLogicValue(logic, radix) {
+  const toDigit = bits => {
+    if (/^Z+$/.test(bits)) {
+      return 'Z';
+    }
+    if (/[XZ]/.test(bits)) {
+      return 'X';
+    }
+    return Number.parseInt(bits, 2).toString(radix).toUpperCase();
+  };
+
+  if (radix === 2) {
+    return logic;
+  }
+
+  if (radix === 10) {
+    return toDigit(logic);
+  }
+
+  const padded = logic.padStart(Math.ceil(logic.length / 4) * 4, '0');
+  return padded.match(/.{4}/g).map(toDigit).join('');
+}
+
+/**
+ * The column of the data rows (see `execOnData`),
+ * which sends the reset signal to the gate.
+ */
+Gate.RESET = '$reset';
+
 module.exports = Gate;
\ No newline at end of file
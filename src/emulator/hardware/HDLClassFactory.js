@@ -5,12 +5,19 @@
 
 'use strict';
 
+const BuiltInGates = require('./builtin-gates');
+const CompiledGate = require('./CompiledGate');
+const compiler = require('./compiler');
 const CompositeGate = require('./CompositeGate');
+const elaborator = require('./elaborator');
 const fs = require('fs');
 const parser = require('../../parser');
 const path = require('path');
 const Pin = require('./Pin');
 
+const {addLocation, withLocation} = require('../../util/hdl-error');
+const {allOnes} = require('../../util/numbers');
+
 /**
  * Cache map from file names to gates class.
  */
@@ -24,6 +31,18 @@ const hdlCodeToGateClasses = {};
 /**
  * This factory creates a gate class from the parsed HDL.
  * The resulting class inherits from the `CompositeGate`.
+ *
+ * In the `compile` mode ({compile: true} option) the resulting
+ * class inherits from the `CompiledGate`, and is evaluated by
+ * a flat compiled kernel.
+ *
+ * For the parameterized chips (`CHIP AndN<N=16> {...}`), a separate
+ * class is created, and cached for each set of the parameters passed
+ * in the `params` option: `{params: {N: 8}}`, or `{params: [8]}`.
+ *
+ * The errors raised while building a class carry the location of the
+ * HDL code which caused them: `loc`, `fileName`, and `source` properties
+ * (see `util/hdl-error`).
  */
 const HDLClassFactory = {
   /**
@@ -32,12 +51,13 @@ const HDLClassFactory = {
    * The directory of the file is used further as a working
    * directory to load other gates from it.
    */
-  fromHDLFile(fileName) {
-    const cacheKey = path.resolve(fileName);
+  fromHDLFile(fileName, options = {}) {
+    const cacheKey = `${path.resolve(fileName)}:${getOptionsKey(options)}`;
     if (!fileNamesToGateClasses.hasOwnProperty(cacheKey)) {
       fileNamesToGateClasses[cacheKey] = this.fromHDL(
         fs.readFileSync(fileName, 'utf-8'),
-        path.dirname(fileName)
+        path.dirname(fileName),
+        Object.assign({}, options, {fileName})
       );
     }
     return fileNamesToGateClasses[cacheKey];
@@ -49,12 +69,19 @@ const HDLClassFactory = {
    * If working directory is passed, it's used to load
    * other gates from it.
    */
-  fromHDL(hdl, workingDir = __dirname) {
-    const cacheKey = `${hdl}:${workingDir}`;
+  fromHDL(hdl, workingDir = __dirname, options = {}) {
+    const cacheKey = `${hdl}:${workingDir}:${getOptionsKey(options)}`;
     if (!hdlCodeToGateClasses.hasOwnProperty(cacheKey)) {
+      const location = {fileName: options.fileName, source: hdl};
+
+      const ast = withLocation(location, () => {
+        return parser.parse(hdl, {captureLocations: true});
+      });
+
       hdlCodeToGateClasses[cacheKey] = this.fromAST(
-        parser.parse(hdl),
-        workingDir
+        ast,
+        workingDir,
+        Object.assign({}, options, location)
       );
     }
     return hdlCodeToGateClasses[cacheKey];
@@ -64,14 +91,64 @@ const HDLClassFactory = {
    * Creates a gate class from an AST.
    *
    * If working directory is passed, it's used to load
-   * other gates from it.
+   * other gates from it. The `fileName`, and `source` options
+   * are used for the location of the errors.
    */
-  fromAST(ast, workingDir = __dirname) {
+  fromAST(ast, workingDir = __dirname, options = {}) {
+    const {compile = false, params, fileName, source} = options;
+    const location = {loc: ast.loc, fileName, source};
+
+    return withLocation(location, () => {
+      if (compile) {
+        return this.compileGateClass(this.fromAST(
+          ast,
+          workingDir,
+          Object.assign({}, options, {compile: false})
+        ));
+      }
+
+      // Bind the parameters, and evaluate the subscripts.
+      return this.fromElaboratedAST(
+        elaborator.elaborate(ast, params),
+        workingDir,
+        location
+      );
+    });
+  },
+
+  /**
+   * Creates a gate class from an AST with bound parameters,
+   * and evaluated subscripts (see `elaborator`).
+   */
+  fromElaboratedAST(ast, workingDir, location = {}) {
+    // Validate the pins (e.g. the sizes) of the interface.
+    [...ast.inputs, ...ast.outputs].forEach(pin => {
+      withLocation(pin, () => createPins([pin]));
+    });
+
+    if (ast.builtins.length > 0) {
+      return this.fromBuiltInAST(ast);
+    }
+
+    if (ast.clocked.length > 0) {
+      throw addLocation(new Error(
+        `"${ast.name}" chip: CLOCKED pins can only be used ` +
+        `with a BUILTIN gate.`
+      ), ast.clocked[0]);
+    }
+
     const [
       internalPinsSpec,
       partsClasses,
     ] = analyzeParts(ast, workingDir);
 
+    // A composite gate is clocked if any of its parts is clocked
+    // (the HDL parts infer it recursively from their own parts).
+    const isClocked = partsClasses.some(PartClass => PartClass.isClocked());
+
+    // Indices of the parts in the topological order.
+    const evalOrder = getEvalOrder(ast, partsClasses);
+
     // Gate class, corresponding to the HDL file.
     const GateClass = class extends CompositeGate {
       constructor(options = {}) {
@@ -90,42 +167,321 @@ const HDLClassFactory = {
         // Internal pins used in PARTS.
         options.internalPins = [];
 
+        // Listeners of the pins, which connect the parts.
+        options.pinListeners = [];
+
         // Create instances used in PARTS implementation.
-        const parts = instantiateParts(ast, options, partsClasses);
+        const parts = withLocation(location, () => {
+          return instantiateParts(ast, options, partsClasses);
+        });
 
         super(Object.assign(options, {
-          name: ast.name,
+          name: getGateName(ast),
           parts,
+          evalOrder: evalOrder.map(step => {
+            return typeof step === 'number'
+              ? parts[step]
+              : createFeedbackLoop(step, parts, options);
+          }),
         }));
       }
+
+      /**
+       * Clocked if any part is clocked.
+       */
+      static isClocked() {
+        return isClocked;
+      }
     };
 
     // Override `name` property to reflect class name.
-    Object.defineProperty(GateClass, 'name', {value: ast.name});
-
-    const pinsToGateSpec = value => {
-      return {name: value.value, size: value.size || 1};
-    };
+    Object.defineProperty(GateClass, 'name', {value: getGateName(ast)});
 
     GateClass.Spec = {
-      description: `Compiled from HDL composite Gate class "${ast.name}".`,
-      inputPins: ast.inputs.map(pinsToGateSpec),
-      outputPins: ast.outputs.map(pinsToGateSpec),
+      description:
+        `Compiled from HDL composite Gate class "${getGateName(ast)}".`,
+      inputPins: ast.inputs.map(toGateSpecPin),
+      outputPins: ast.outputs.map(toGateSpecPin),
       internalPins: internalPinsSpec,
       truthTable: [],
     };
 
+    // Parts info used by the compiler.
+    GateClass.HDLInfo = {
+      ast,
+      partsClasses,
+      evalOrder,
+    };
+
     return GateClass;
-  }
+  },
+
+  /**
+   * Creates a gate class from an AST of a chip with the `BUILTIN`
+   * section, e.g.:
+   *
+   *   CHIP RAM64 {
+   *     IN in[16], load, address[6];
+   *     OUT out[16];
+   *
+   *     BUILTIN RAM64;
+   *     CLOCKED in, load;
+   *   }
+   *
+   * The resulting class exposes the pins declared in HDL, and delegates
+   * the logic to the built-in gate, which is the only part of the gate.
+   * The interface, and the `CLOCKED` pins are validated against the
+   * Spec of the built-in gate.
+   */
+  fromBuiltInAST(ast) {
+    const BuiltInGateClass = loadBuiltInGate(ast);
+
+    validateBuiltInPins(ast, BuiltInGateClass, 'inputs', 'inputPins');
+    validateBuiltInPins(ast, BuiltInGateClass, 'outputs', 'outputPins');
+    validateClockedPins(ast, BuiltInGateClass);
+
+    const {
+      description,
+      truthTable,
+    } = BuiltInGateClass.validateSpec(BuiltInGateClass.Spec);
+
+    const GateClass = class extends CompositeGate {
+      constructor(options = {}) {
+        options.inputPins = CompositeGate.toPins(
+          options.inputPins || createPins(ast.inputs)
+        );
+
+        options.outputPins = CompositeGate.toPins(
+          options.outputPins || createPins(ast.outputs)
+        );
+
+        options.internalPins = [];
+
+        // The built-in part shares the pins of this gate.
+        const part = instantiateBuiltInPart(BuiltInGateClass, options);
+
+        super(Object.assign(options, {
+          name: getGateName(ast),
+          parts: [part],
+        }));
+      }
+
+      /**
+       * Clocked if the CLOCKED pins are declared; without the
+       * declaration, if the built-in gate is clocked.
+       */
+      static isClocked() {
+        return ast.clocked.length > 0 || BuiltInGateClass.isClocked();
+      }
+    };
+
+    Object.defineProperty(GateClass, 'name', {value: getGateName(ast)});
+
+    GateClass.Spec = {
+      description,
+      inputPins: ast.inputs.map(toGateSpecPin),
+      outputPins: ast.outputs.map(toGateSpecPin),
+      internalPins: [],
+      truthTable,
+    };
+
+    GateClass.HDLInfo = {
+      ast,
+      builtInGateClass: BuiltInGateClass,
+    };
+
+    return GateClass;
+  },
+
+  /**
+   * Loads the gate class of a part: a custom gate from the
+   * working directory, or a built-in gate.
+   */
+  loadPartGate(part, workingDir, ast) {
+    return loadGate(part, workingDir, ast);
+  },
+
+  /**
+   * Compiles a gate class from HDL into a class evaluated
+   * by the flat kernel (see `compiler` module). The compiled
+   * class has the same Spec, and the same `Gate` API.
+   */
+  compileGateClass(GateClass) {
+    const CompiledGateClass = class extends CompiledGate {
+      constructor(options = {}) {
+        const {inputPins, outputPins} = GateClass.Spec;
+
+        super(Object.assign({name: GateClass.name}, options, {
+          inputPins: options.inputPins || inputPins,
+          outputPins: options.outputPins || outputPins,
+        }));
+      }
+
+      /**
+       * Clocked if the source class is clocked.
+       */
+      static isClocked() {
+        return GateClass.isClocked();
+      }
+    };
+
+    Object.defineProperty(CompiledGateClass, 'name', {value: GateClass.name});
+
+    CompiledGateClass.Spec = GateClass.Spec;
+    CompiledGateClass.HDLInfo = GateClass.HDLInfo;
+    CompiledGateClass.Kernel = compiler.compile(GateClass);
+
+    return CompiledGateClass;
+  },
 };
 
 /**
- * Creates pins from AST data.
+ * Cache key for the class loading options.
+ */
+function getOptionsKey({compile = false, params = {}, fileName = ''}) {
+  return `${compile}:${JSON.stringify(params)}:${fileName}`;
+}
+
+/**
+ * Name of the gate class: `AndN<8>` for the parameterized chips.
+ */
+function getGateName(ast) {
+  if (!ast.params) {
+    return ast.name;
+  }
+  return `${ast.name}<${ast.params.map(({value}) => value).join(', ')}>`;
+}
+
+/**
+ * Converts a pin from AST to a pin spec.
+ */
+function toGateSpecPin(value) {
+  return {name: value.value, size: value.size || 1};
+}
+
+/**
+ * Loads a built-in gate class from the `BUILTIN` section.
+ */
+function loadBuiltInGate(ast) {
+  if (ast.parts.length > 0 || ast.builtins.length > 1) {
+    throw addLocation(new Error(
+      `"${ast.name}" chip: a BUILTIN chip should have exactly ` +
+      `one BUILTIN gate, and no PARTS.`
+    ), ast.parts[0] || ast.builtins[1]);
+  }
+
+  const name = ast.builtins[0].value;
+
+  if (!BuiltInGates.hasOwnProperty(name)) {
+    throw addLocation(new Error(
+      `"${ast.name}" chip: unknown BUILTIN gate "${name}".`
+    ), ast.builtins[0]);
+  }
+
+  return BuiltInGates[name];
+}
+
+/**
+ * Validates that the pins declared in HDL (`inputs`, or `outputs`)
+ * match the pins of the built-in gate Spec, by names, and sizes.
+ */
+function validateBuiltInPins(ast, BuiltInGateClass, astProp, specProp) {
+  const specPins = BuiltInGateClass.Spec[specProp].map(pin => {
+    return typeof pin === 'string'
+      ? {name: pin, size: 1}
+      : {name: pin.name, size: pin.size || 1};
+  });
+
+  const specPinsMap = {};
+  specPins.forEach(pin => specPinsMap[pin.name] = pin);
+
+  const pinsMap = createPinsMap(ast[astProp]);
+
+  ast[astProp].forEach(pin => {
+    const {value, size = 1} = pin;
+
+    if (!specPinsMap.hasOwnProperty(value)) {
+      throw addLocation(new Error(
+        `"${ast.name}" chip: pin "${value}" is not in ${specProp} ` +
+        `of the BUILTIN "${BuiltInGateClass.name}" gate.`
+      ), pin);
+    }
+
+    if (specPinsMap[value].size !== size) {
+      throw addLocation(new TypeError(
+        `"${ast.name}" chip: expect pin "${value}" to have size ` +
+        `${specPinsMap[value].size} as in the BUILTIN ` +
+        `"${BuiltInGateClass.name}" gate, ${size} is given.`
+      ), pin);
+    }
+  });
+
+  specPins.forEach(({name}) => {
+    if (!pinsMap.hasOwnProperty(name)) {
+      throw new Error(
+        `"${ast.name}" chip: pin "${name}" from ${specProp} of the ` +
+        `BUILTIN "${BuiltInGateClass.name}" gate is not declared.`
+      );
+    }
+  });
+}
+
+/**
+ * Validates the `CLOCKED` pins: these should be the pins of the gate,
+ * and the built-in gate should be clocked.
+ */
+function validateClockedPins(ast, BuiltInGateClass) {
+  if (ast.clocked.length === 0) {
+    return;
+  }
+
+  if (!BuiltInGateClass.isClocked()) {
+    throw addLocation(new Error(
+      `"${ast.name}" chip: CLOCKED pins are declared, while the ` +
+      `BUILTIN "${BuiltInGateClass.name}" gate is not clocked.`
+    ), ast.clocked[0]);
+  }
+
+  const pinsMap = createPinsMap([...ast.inputs, ...ast.outputs]);
+
+  ast.clocked.forEach(pin => {
+    if (!pinsMap.hasOwnProperty(pin.value)) {
+      throw addLocation(new Error(
+        `"${ast.name}" chip: CLOCKED pin "${pin.value}" is not declared ` +
+        `in IN, or OUT sections.`
+      ), pin);
+    }
+  });
+}
+
+/**
+ * Creates the built-in part instance, passing it the pins of the
+ * composite gate in the order of the built-in gate Spec.
+ */
+function instantiateBuiltInPart(BuiltInGateClass, options) {
+  const {inputPins, outputPins, clock, clocks} = options;
+  const pinsMap = createPinsMap([...inputPins, ...outputPins]);
+
+  const toPin = pin => pinsMap[typeof pin === 'string' ? pin : pin.name];
+
+  const {Spec} = BuiltInGateClass;
+
+  return new BuiltInGateClass({
+    inputPins: Spec.inputPins.map(toPin),
+    outputPins: Spec.outputPins.map(toPin),
+    clock,
+    clocks,
+  });
+}
+
+/**
+ * Creates pins from AST data; a pin without the size is 1-bit,
+ * and the sizes out of range (e.g. `a[0]`) are errors.
  */
 function createPins(pinsData) {
   const pins = pinsData.map(pinSpec => new Pin({
     name: pinSpec.value,
-    size: pinSpec.size || 1,
+    size: pinSpec.size === undefined ? 1 : pinSpec.size,
   }));
   return pins;
 }
@@ -158,11 +514,34 @@ function analyzeParts(ast, workingDir) {
   const internalPinsMap = {};
 
   ast.parts.forEach(part => {
-    partsClasses.push(loadGate(part.name, workingDir));
+    const PartGateClass = withLocation(part, () => {
+      return loadGate(part, workingDir, ast);
+    });
+
+    partsClasses.push(PartGateClass);
 
     part.arguments.forEach(partArg => {
       const {name, value} = partArg;
 
+      // Validate the pin of the part.
+      const pinInfo = withLocation(partArg, () => {
+        return PartGateClass.getPinInfo(name.value);
+      });
+
+      if (name.value === Pin.CLOCK) {
+        withLocation(partArg, () => {
+          validateClockArg(ast, part, partArg, PartGateClass);
+        });
+        return;
+      }
+
+      if (value.type === 'Constant') {
+        withLocation(partArg, () => {
+          validateConstant(ast, part, partArg, pinInfo);
+        });
+        return;
+      }
+
       const isInternalPin = (
         !inputPinsMap.hasOwnProperty(value.value) &&
         !outputPinsMap.hasOwnProperty(value.value)
@@ -171,7 +550,7 @@ function analyzeParts(ast, workingDir) {
       if (isInternalPin && !internalPinsMap.hasOwnProperty(value.value)) {
         const pinSpec = {
           name: value.value,
-          size: getInternalPinSize(name),
+          size: getRefWidth(name, pinInfo),
         };
         internalPinsSpec.push(internalPinsMap[value.value] = pinSpec);
       }
@@ -184,16 +563,317 @@ function analyzeParts(ast, workingDir) {
   ];
 }
 
+/**
+ * Validates the `$clock` argument, which binds a clocked
+ * part to a named clock: `Bit(in=a, load=l, out=o, $clock=slow);`.
+ */
+function validateClockArg(ast, part, partArg, PartGateClass) {
+  const {value} = partArg;
+
+  if (!PartGateClass.isClocked()) {
+    throw new Error(
+      `"${ast.name}" chip: the "${Pin.CLOCK}" argument is only allowed ` +
+      `for the clocked parts, "${part.name}" is not clocked.`
+    );
+  }
+
+  if (
+    value.type === 'Constant' ||
+    value.hasOwnProperty('index') ||
+    value.range
+  ) {
+    throw new Error(
+      `"${ast.name}" chip: the "${Pin.CLOCK}" argument of "${part.name}" ` +
+      `expects a name of a clock.`
+    );
+  }
+}
+
+/**
+ * Validates a constant argument: it's connected to an input
+ * of the part, and a number fits the bits of the pin (or its slice).
+ */
+function validateConstant(ast, part, partArg, pinInfo) {
+  const {name, value} = partArg;
+
+  if (pinInfo.kind !== 'input') {
+    throw new Error(
+      `"${ast.name}" chip: the constant ${value.value} can't be ` +
+      `connected to the "${name.value}" pin of the "${part.name}" part, ` +
+      `which is not an input.`
+    );
+  }
+
+  const width = getRefWidth(name, pinInfo);
+
+  if (typeof value.value === 'number' && value.value >= Math.pow(2, width)) {
+    throw new Error(
+      `"${ast.name}" chip: the constant ${value.value} doesn't fit ` +
+      `${width} bits of the "${name.value}" pin of the "${part.name}" part.`
+    );
+  }
+}
+
+/**
+ * Value of a constant argument for the pin of a part (or its slice):
+ * `true` sets all the bits, `false` clears them, and a number is
+ * used as is (`sel=2`).
+ */
+function getConstantValue(constant, name, pinInfo) {
+  if (constant.value === true) {
+    return allOnes(getRefWidth(name, pinInfo));
+  }
+  return Number(constant.value);
+}
+
+/**
+ * Width of a pin reference of a part: `a[3]`, `a[0..7]`, or `a`.
+ * It's also the size of an internal pin, connected to the reference.
+ */
+function getRefWidth(name, pinInfo) {
+  const {from, to} = getBitsRange(name);
+  return to === Infinity ? (pinInfo.size || 1) : to - from + 1;
+}
+
+/**
+ * Returns the indices of the parts in the topological order: a part is
+ * evaluated after all the parts which write to its inputs.
+ *
+ * The dependencies are built from the arguments wiring, considering the
+ * bits of the buses: a part which writes `x[0..7]` doesn't affect a part
+ * which reads `x[8..15]`. The order of independent parts is the order of
+ * declaration.
+ *
+ * A cycle through a clocked part (e.g. a `DFF`, which outputs its state,
+ * rather than the inputs) is just broken. The parts of other cycles
+ * (e.g. cross-coupled `Nand` gates of a latch) are a _feedback loop_,
+ * which is evaluated until its pins are settled. A loop in the order
+ * is an object with the indices of its parts (in the declaration
+ * order), and the names of the pins written by the parts:
+ *
+ *   [0, {parts: [1, 2], pins: ['q', 'nq']}, 3]
+ */
+function getEvalOrder(ast, partsClasses) {
+  const wiring = ast.parts.map((part, index) => {
+    return getPartWiring(part, partsClasses[index]);
+  });
+
+  // Parts writing to the inputs of each part.
+  const dependencies = wiring.map(({reads}) => {
+    const writers = [];
+    wiring.forEach(({writes}, writerIndex) => {
+      if (reads.some(read => writes.some(write => isOverlap(read, write)))) {
+        writers.push(writerIndex);
+      }
+    });
+    return writers;
+  });
+
+  // The outputs of the clocked parts don't depend on their inputs.
+  const combinationalDependencies = dependencies.map(writers => {
+    return writers.filter(index => !partsClasses[index].isClocked());
+  });
+
+  const components = getStronglyConnected(combinationalDependencies);
+
+  const componentOf = [];
+  components.forEach((component, componentIndex) => {
+    component.forEach(index => componentOf[index] = componentIndex);
+  });
+
+  const toStep = component => {
+    const [first] = component;
+
+    if (
+      component.length === 1 &&
+      !combinationalDependencies[first].includes(first)
+    ) {
+      return first;
+    }
+
+    const pins = [];
+    component.forEach(index => wiring[index].writes.forEach(({name}) => {
+      if (!pins.includes(name)) {
+        pins.push(name);
+      }
+    }));
+
+    return {parts: component, pins};
+  };
+
+  const order = [];
+  const visited = {};
+  const stack = [];
+
+  const visit = componentIndex => {
+    visited[componentIndex] = true;
+    stack.push(componentIndex);
+
+    for (const index of components[componentIndex]) {
+      for (const writerIndex of dependencies[index]) {
+        const writerComponent = componentOf[writerIndex];
+
+        // The loop is broken by a clocked part, or is a feedback loop.
+        if (stack.includes(writerComponent)) {
+          continue;
+        }
+
+        if (!visited[writerComponent]) {
+          visit(writerComponent);
+        }
+      }
+    }
+
+    stack.pop();
+    order.push(toStep(components[componentIndex]));
+  };
+
+  ast.parts.forEach((_part, index) => {
+    if (!visited[componentOf[index]]) {
+      visit(componentOf[index]);
+    }
+  });
+
+  return order;
+}
+
+/**
+ * Returns the strongly connected components of the dependencies
+ * graph (Tarjan's algorithm): the parts of each component depend on
+ * each other. The parts of a component are in the declaration order.
+ */
+function getStronglyConnected(dependencies) {
+  const components = [];
+  const indices = [];
+  const lowLinks = [];
+  const stack = [];
+  let counter = 0;
+
+  const connect = index => {
+    indices[index] = lowLinks[index] = counter++;
+    stack.push(index);
+
+    for (const writerIndex of dependencies[index]) {
+      if (indices[writerIndex] === undefined) {
+        connect(writerIndex);
+        lowLinks[index] = Math.min(lowLinks[index], lowLinks[writerIndex]);
+      } else if (stack.includes(writerIndex)) {
+        lowLinks[index] = Math.min(lowLinks[index], indices[writerIndex]);
+      }
+    }
+
+    if (lowLinks[index] !== indices[index]) {
+      return;
+    }
+
+    const component = [];
+    let member;
+    do {
+      member = stack.pop();
+      component.push(member);
+    } while (member !== index);
+
+    components.push(component.sort((a, b) => a - b));
+  };
+
+  dependencies.forEach((_writers, index) => {
+    if (indices[index] === undefined) {
+      connect(index);
+    }
+  });
+
+  return components;
+}
+
+/**
+ * Creates a feedback loop of a gate instance: the parts, and
+ * the pins (outputs, or internal) written by the parts.
+ */
+function createFeedbackLoop(loop, parts, {outputPins, internalPins}) {
+  const pinsMap = createPinsMap([...outputPins, ...internalPins]);
+
+  return {
+    parts: loop.parts.map(index => parts[index]),
+    pins: loop.pins.map(name => pinsMap[name]),
+  };
+}
+
+/**
+ * Returns the bits the part reads from the pins of the
+ * composite gate (by its inputs), and writes to (by its outputs):
+ *
+ *   {reads: [{name: 'a', from: 0, to: 7}, ...], writes: [...]}
+ */
+function getPartWiring(part, PartGateClass) {
+  const reads = [];
+  const writes = [];
+
+  part.arguments.forEach(({name, value}) => {
+    if (value.type === 'Constant') {
+      return;
+    }
+
+    const {kind} = PartGateClass.getPinInfo(name.value);
+    const bits = Object.assign({name: value.value}, getBitsRange(value));
+
+    if (kind === 'input') {
+      reads.push(bits);
+    } else if (kind === 'output') {
+      writes.push(bits);
+    }
+  });
+
+  return {reads, writes};
+}
+
+/**
+ * Returns bits range of a pin reference: `a[3]`, `a[0..7]`, or `a`.
+ */
+function getBitsRange(value) {
+  if (value.hasOwnProperty('index')) {
+    return {from: value.index, to: value.index};
+  } else if (value.range) {
+    return {from: value.range.from, to: value.range.to};
+  }
+  return {from: 0, to: Infinity};
+}
+
+/**
+ * Whether two bits ranges of the same pin overlap.
+ */
+function isOverlap(a, b) {
+  return a.name === b.name && a.from <= b.to && b.from <= a.to;
+}
+
 /**
  * Loads part gate: custom (in the current working directory),
  * or, if a gate doesn't existing in this directory, loads the built-in.
+ *
+ * The parameters of the part (`AndN<8>`) are passed to the custom gate.
  */
-function loadGate(name, workingDir) {
+function loadGate(part, workingDir, ast) {
+  const {name, params} = part;
   const hdlFile = path.join(workingDir, name + '.hdl');
+
   if (fs.existsSync(hdlFile)) {
-    return HDLClassFactory.fromHDLFile(hdlFile);
+    return HDLClassFactory.fromHDLFile(hdlFile, {params});
+  }
+
+  if (!BuiltInGates.hasOwnProperty(name)) {
+    throw new Error(
+      `"${ast.name}" chip: unknown gate "${name}", which is neither ` +
+      `a built-in gate, nor an HDL file in "${workingDir}".`
+    );
+  }
+
+  if (params) {
+    throw new Error(
+      `"${ast.name}" chip: the built-in "${name}" gate ` +
+      `doesn't have parameters.`
+    );
   }
-  return require('./builtin-gates/' + name);
+
+  return BuiltInGates[name];
 }
 
 /**
@@ -205,21 +885,26 @@ function instantiateParts(ast, options, partsClasses) {
     inputPins,
     outputPins,
     internalPins,
+    pinListeners,
   } = options;
 
   const inputPinsMap = createPinsMap(inputPins);
   const outputPinsMap = createPinsMap(outputPins);
   const internalPinsMap = {};
 
-  const parts = ast.parts.map((part, idx) => {
+  const parts = ast.parts.map((part, idx) => withLocation(part, () => {
     // Gate class (built-ins, or custom from HDL).
     const PartGateClass = partsClasses[idx];
 
-    // Instance.
-    const partGateInstance = PartGateClass.defaultFromSpec();
+    // Instance: the part inherits the clocks of this gate,
+    // unless it's bound to a named clock.
+    const partGateInstance = PartGateClass.defaultFromSpec({
+      clock: getPartClock(ast, part, idx, options),
+      clocks: options.clocks,
+    });
 
     // Handle arguments.
-    part.arguments.forEach(partArg => {
+    part.arguments.forEach(partArg => withLocation(partArg, () => {
       handlePartArg(
         partArg,
         partGateInstance,
@@ -227,30 +912,41 @@ function instantiateParts(ast, options, partsClasses) {
         inputPinsMap,
         outputPinsMap,
         internalPins,
-        internalPinsMap
+        internalPinsMap,
+        pinListeners
       );
-    });
+    }));
 
     return partGateInstance;
-  });
+  }));
 
   return parts;
 }
 
 /**
- * Returns a size of an internal pin based on
- * the output value which is connected to this pin.
+ * Returns the clock of a part: the clock of the gate, or
+ * the named clock from the `$clock` argument.
  */
-function getInternalPinSize(outputArg) {
-  let internalPinSize = 1;
+function getPartClock(ast, part, index, {clock, clocks = {}}) {
+  const clockArg = part.arguments.find(({name}) => {
+    return name.value === Pin.CLOCK;
+  });
+
+  if (!clockArg) {
+    return clock;
+  }
 
-  if (outputArg.size) {
-    internalPinSize = outputArg.size;
-  } else if (outputArg.range) {
-    internalPinSize = outputArg.to - outputArg.from + 1;
+  const clockName = clockArg.value.value;
+
+  if (!clocks.hasOwnProperty(clockName)) {
+    throw addLocation(new Error(
+      `"${ast.name}" chip: unknown clock "${clockName}" of ` +
+      `${part.name} (#${index + 1}); the named clocks are passed ` +
+      `in the "clocks" option.`
+    ), clockArg);
   }
 
-  return internalPinSize;
+  return clocks[clockName];
 }
 
 // ----------------------------------------------------------------
@@ -264,34 +960,40 @@ function handlePartArg(
   inputPinsMap,
   outputPinsMap,
   internalPins,
-  internalPinsMap
+  internalPinsMap,
+  pinListeners
 ) {
   const {name, value} = partArg;
+
+  // The named clock is bound on the instantiation.
+  if (name.value === Pin.CLOCK) {
+    return;
+  }
+
   const pin = partGateInstance.getPin(name.value);
   const pinInfo = PartGateClass.getPinInfo(name.value);
 
+  // Set always fixed value of a constant.
+  if (value.type === 'Constant') {
+    setPinValue(pin, getConstantValue(value, name, pinInfo), name);
+    return;
+  }
+
   // Create new (internal) pin, which is not part of inputs/outputs.
   const isInternalPin = (
     !inputPinsMap.hasOwnProperty(value.value) &&
     !outputPinsMap.hasOwnProperty(value.value)
   );
   if (isInternalPin && !internalPinsMap.hasOwnProperty(value.value)) {
+    // In the four-valued mode the internal pins start as X (undriven).
     const internalPin = new Pin({
       name: value.value,
-      size: getInternalPinSize(name),
-      value: 0,
+      size: getRefWidth(name, pinInfo),
+      value: Pin.getLogicMode() === 'four-valued' ? null : 0,
     });
     internalPins.push(internalPinsMap[value.value] = internalPin);
   }
 
-  let constantValue;
-
-  if (value.value === 'true' || value.value === '1') {
-    constantValue = 1;
-  } else if (value.value === 'false' || value.value === '0') {
-    constantValue = 0;
-  }
-
   // When main pins change, update all dependent inputs.
   if (pinInfo.kind === 'input') {
     const sourcePin = (
@@ -299,10 +1001,9 @@ function handlePartArg(
       outputPinsMap[value.value] ||
       internalPinsMap[value.value]
     );
-    sourcePin.on(
-      'change',
-      createInputChangeHandler(pin, sourcePin, name, value)
-    );
+    const listener = createInputChangeHandler(pin, sourcePin, name, value);
+    sourcePin.on('change', listener);
+    pinListeners.push({pin: sourcePin, listener});
   }
 
   // When the output of the part pin changes,
@@ -312,14 +1013,9 @@ function handlePartArg(
       internalPinsMap[value.value] ||
       outputPinsMap[value.value]
     );
-    pin.on(
-      'change',
-      createOutputChangeHandler(destPin, pin, name, value)
-    );
-
-  // Set always fixed value.
-  } else if (constantValue) {
-    pin.setValue(constantValue);
+    const listener = createOutputChangeHandler(destPin, pin, name, value);
+    pin.on('change', listener);
+    pinListeners.push({pin, listener});
   }
 }
 
@@ -345,7 +1041,7 @@ function createOutputChangeHandler(destPin, pin, nameInfo, valueInfo) {
 // Update pin value according to spec: full, index or slice.
 //
 function setPinValue(pin, value, spec) {
-  if (spec.index) {
+  if (spec.hasOwnProperty('index')) {
     pin.setValueAt(spec.index, value);
   } else if (spec.range) {
     pin.setSlice(spec.range.from, spec.range.to, value);
@@ -356,9 +1052,15 @@ function setPinValue(pin, value, spec) {
 
 // ----------------------------------------------------------------
 // Extracts pin value according to spec: full, index or slice.
+// The unknown (X), and high-impedance (Z) bits are passed
+// as the logic strings.
 //
 function getPinValue(pin, spec) {
-  if (spec.index) {
+  if (!pin.isKnown()) {
+    return getPinLogicValue(pin, spec);
+  }
+
+  if (spec.hasOwnProperty('index')) {
     return pin.getValueAt(spec.index);
   } else if (spec.range) {
     return pin.getSlice(spec.range.from, spec.range.to);
@@ -366,4 +1068,13 @@ function getPinValue(pin, spec) {
   return pin.getValue();
 }
 
+function getPinLogicValue(pin, spec) {
+  if (spec.hasOwnProperty('index')) {
+    return pin.getLogicSlice(spec.index, spec.index);
+  } else if (spec.range) {
+    return pin.getLogicSlice(spec.range.from, spec.range.to);
+  }
+  return pin.getLogicValue();
+}
+
 module.exports = HDLClassFactory;
\ No newline at end of file
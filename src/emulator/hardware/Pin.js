@@ -7,13 +7,44 @@
 
 const EventEmitter = require('events');
 
-const {int16} = require('../../util/numbers');
+const {
+  int16,
+  isBigInt,
+  parseInteger,
+  toBigInt,
+  toRadixString,
+} = require('../../util/numbers');
 
 /**
- * Maximum word size.
+ * Word size.
  */
 const WORD_SIZE = 16;
 
+/**
+ * Maximum size of a bus.
+ */
+const MAX_SIZE = 64;
+
+/**
+ * Modes of the overflow check (see `Pin.setStrictMode`).
+ */
+const STRICT_MODES = ['off', 'warn', 'error'];
+
+/**
+ * Current mode of the overflow check.
+ */
+let strictMode = 'off';
+
+/**
+ * Modes of the logic (see `Pin.setLogicMode`).
+ */
+const LOGIC_MODES = ['binary', 'four-valued'];
+
+/**
+ * Current mode of the logic.
+ */
+let logicMode = 'binary';
+
 /**
  * Represents a pin (node) in a gate.
  *
@@ -21,6 +52,20 @@ const WORD_SIZE = 16;
  * it's a "bus" (set of pins/wires).
  *
  * Encoded as a simple number with bitwise operations for needed bits.
+ * The values are masked to the size of the pin: a 3-bit pin keeps only
+ * the lower 3 bits (0..7), and a 16-bit pin is a signed 16-bit integer.
+ *
+ * The buses wider than the word (up to 64 bits) are encoded as unsigned
+ * BigInt values. Their slices wider than the word are BigInt as well,
+ * and the narrower slices, and the bits are numbers.
+ *
+ * In the strict mode (see `Pin.setStrictMode`), writing a value, which
+ * doesn't fit the size, throws, or warns, instead of silent masking.
+ *
+ * In the four-valued mode (see `Pin.setLogicMode`), the bits can also
+ * be unknown (X), or in the high impedance (Z). Such values are written,
+ * and read as the logic strings (the highest bit first): '01XZ'. A new
+ * pin starts as all X ("never driven").
  *
  * Emits 'change' event on `setValue`.
  */
@@ -30,17 +75,28 @@ class Pin extends EventEmitter {
 
     this._name = name;
 
-    if (size < 1 || size > WORD_SIZE) {
+    if (size < 1 || size > MAX_SIZE) {
       throw new Error(
         `Invalid "size" for ${name} pin, should be ` +
-        `in 1-${WORD_SIZE} range.`
+        `in 1-${MAX_SIZE} range.`
       );
     }
 
     this._size = size;
 
+    /**
+     * The logic string, if some bits are X, or Z; the value
+     * keeps such bits as 0.
+     */
+    this._logic = null;
+
     if (value !== null) {
       this.setValue(value);
+    } else if (logicMode === 'four-valued') {
+      this._setLogic('X'.repeat(size));
+    } else if (this._isWide()) {
+      // BigInt values can't be mixed with `undefined` in bitwise operations.
+      this._value = BigInt(0);
     }
 
     // There might be more than 11 pins (default in Node).
@@ -66,20 +122,62 @@ class Pin extends EventEmitter {
    */
   setValue(value) {
     const oldValue = this._value;
+
+    if (Pin.hasUnknownBits(value)) {
+      this._setLogic(this._toLogic(value, this._size));
+      this.emit('change', this._value, oldValue);
+      return;
+    }
+
     if (typeof value === 'string') {
-      value = Number.parseInt(value, 2);
+      value = parseInteger(value, 2);
     }
-    this._value = int16(value);
+    this._checkOverflow(value, this._size);
+    this._value = this.mask(value);
+    this._logic = null;
     this.emit('change', this._value, oldValue);
   }
 
   /**
-   * Returns value of this pin bus.
+   * Returns value of this pin bus. The unknown, and
+   * high-impedance bits are read as 0.
    */
   getValue() {
     return this._value;
   }
 
+  /**
+   * Returns the logic string of this bus (the highest bit
+   * first): '0101', or with the unknown bits: '01XZ'.
+   */
+  getLogicValue() {
+    return this._logic || toRadixString(this._value || 0, this._size, 2);
+  }
+
+  /**
+   * Returns the logic string of a slice of this bus.
+   */
+  getLogicSlice(from, to) {
+    this._checkIndex(from);
+    this._checkIndex(to);
+    return this.getLogicValue().slice(this._size - 1 - to, this._size - from);
+  }
+
+  /**
+   * Whether all the bits of this bus are known (are not X, or Z).
+   */
+  isKnown() {
+    return this._logic === null;
+  }
+
+  /**
+   * Returns the value of this bus: a number, or the logic
+   * string, if some bits are unknown (see `Pin.setLogicMode`).
+   */
+  getReadableValue() {
+    return this.isKnown() ? this.getValue() : this.getLogicValue();
+  }
+
   /**
    * Updates the value of a particular bit in this bus.
    */
@@ -87,14 +185,30 @@ class Pin extends EventEmitter {
     this._checkIndex(index);
     const oldValue = this._value;
 
-    // Set 1.
-    if (value === 1) {
-      this._value |= (1 << index);
-    } else {
-      // Set 0 ("clear").
-      this._value &= ~(1 << index);
+    if (typeof value !== 'string') {
+      this._checkOverflow(value, 1);
+    }
+
+    if (typeof value === 'string' || !this.isKnown()) {
+      this._spliceLogic(index, index, this._toLogic(value, 1));
+      this.emit('change', this._value, oldValue, index);
+      return;
     }
 
+    if (this._isWide()) {
+      const bit = BigInt(1) << BigInt(index);
+      this._value = value === 1 ? oldValue | bit : oldValue & ~bit;
+      this.emit('change', this._value, oldValue, index);
+      return;
+    }
+
+    // Set 1, or 0 ("clear"); the value is masked, as a 16-bit
+    // value with the bit 15 set is negative.
+    this._value = this.mask(value === 1
+      ? this._value | (1 << index)
+      : this._value & ~(1 << index)
+    );
+
     this.emit('change', this._value, oldValue, index);
   }
 
@@ -103,6 +217,9 @@ class Pin extends EventEmitter {
    */
   getValueAt(index) {
     this._checkIndex(index);
+    if (this._isWide()) {
+      return Number((this._value >> BigInt(index)) & BigInt(1));
+    }
     return (this._value >> index) & 1;
   }
 
@@ -112,6 +229,13 @@ class Pin extends EventEmitter {
   getSlice(from, to) {
     this._checkIndex(from);
     this._checkIndex(to);
+
+    if (this._isWide()) {
+      const size = to + 1 - from;
+      const slice = BigInt.asUintN(size, this._value >> BigInt(from));
+      return size > WORD_SIZE ? slice : Number(slice);
+    }
+
     return (this._value >> from) & ((1 << (to + 1 - from)) - 1);
   }
 
@@ -130,8 +254,30 @@ class Pin extends EventEmitter {
     this._checkIndex(to);
 
     const oldValue = this._value;
-    const mask = ((1 << (to + 1 - from)) - 1) << from;
-    this._value = (oldValue & ~mask) | ((slice << from) & mask);
+    const size = to + 1 - from;
+
+    if (typeof slice !== 'string') {
+      this._checkOverflow(slice, size);
+    }
+
+    if (typeof slice === 'string' || !this.isKnown()) {
+      this._spliceLogic(from, to, this._toLogic(slice, size));
+      this.emit('change', this._value, oldValue, from, to);
+      return;
+    }
+
+    if (this._isWide()) {
+      const shift = BigInt(from);
+      const mask = BigInt.asUintN(size, BigInt(-1)) << shift;
+      const bits = BigInt.asUintN(size, toBigInt(slice)) << shift;
+      this._value = (oldValue & ~mask) | bits;
+    } else {
+      if (isBigInt(slice)) {
+        slice = Number(BigInt.asUintN(size, slice));
+      }
+      const mask = ((1 << size) - 1) << from;
+      this._value = this.mask((oldValue & ~mask) | ((slice << from) & mask));
+    }
 
     this.emit('change', this._value, oldValue, from, to);
   }
@@ -155,6 +301,192 @@ class Pin extends EventEmitter {
       : name.name;
   }
 
+  /**
+   * Whether the value fits the number of bits: as an unsigned
+   * (0..2^size-1), or a signed (-2^(size-1)..-1) integer.
+   */
+  static fits(value, size) {
+    if (isBigInt(value)) {
+      return (
+        value >= -(BigInt(1) << BigInt(size - 1)) &&
+        value <= BigInt.asUintN(size, BigInt(-1))
+      );
+    }
+    return (
+      Number.isInteger(value) &&
+      value >= -Math.pow(2, size - 1) &&
+      value <= Math.pow(2, size) - 1
+    );
+  }
+
+  /**
+   * Sets the mode of the overflow check for the values written
+   * to the pins, which don't fit their size:
+   *
+   *   - 'off' (default): the value is masked to the size
+   *   - 'warn': the value is masked, and a warning is printed
+   *   - 'error': throws an error
+   */
+  static setStrictMode(mode) {
+    if (!STRICT_MODES.includes(mode)) {
+      throw new TypeError(
+        `Pin.setStrictMode: unknown mode "${mode}", expected ` +
+        `${STRICT_MODES.join(', ')}.`
+      );
+    }
+    strictMode = mode;
+  }
+
+  /**
+   * Returns the mode of the overflow check.
+   */
+  static getStrictMode() {
+    return strictMode;
+  }
+
+  /**
+   * Sets the mode of the logic:
+   *
+   *   - 'binary' (default): the bits are 0, or 1
+   *   - 'four-valued': the bits can also be unknown (X), or in the
+   *     high impedance (Z); the new pins start as X
+   *
+   * The mode affects the pins created after the call.
+   */
+  static setLogicMode(mode) {
+    if (!LOGIC_MODES.includes(mode)) {
+      throw new TypeError(
+        `Pin.setLogicMode: unknown mode "${mode}", expected ` +
+        `${LOGIC_MODES.join(', ')}.`
+      );
+    }
+    logicMode = mode;
+  }
+
+  /**
+   * Returns the mode of the logic.
+   */
+  static getLogicMode() {
+    return logicMode;
+  }
+
+  /**
+   * Whether the value is a logic string with the unknown (X),
+   * or high-impedance (Z) bits.
+   */
+  static hasUnknownBits(value) {
+    return typeof value === 'string' && /[xz]/i.test(value);
+  }
+
+  /**
+   * Masks the value to the size of this pin: unsigned for the
+   * buses less than the word, signed 16-bit for the word, and
+   * unsigned BigInt for the wider buses. The strings are binary,
+   * and the logic strings with X, or Z bits are extended to the size.
+   */
+  mask(value) {
+    if (Pin.hasUnknownBits(value)) {
+      return this._toLogic(value, this._size);
+    }
+
+    if (typeof value === 'string') {
+      value = parseInteger(value, 2);
+    }
+
+    if (this._isWide()) {
+      return BigInt.asUintN(this._size, toBigInt(value));
+    }
+
+    if (isBigInt(value)) {
+      value = Number(BigInt.asIntN(32, value));
+    }
+
+    if (this._size === WORD_SIZE) {
+      return int16(value);
+    }
+    return value & ((1 << this._size) - 1);
+  }
+
+  /**
+   * Converts a value to the logic string of the size. The missing high
+   * bits of a string are 0, or X (Z), if the highest bit is X (Z), as in
+   * Verilog: 'Z' is all Z bits.
+   */
+  _toLogic(value, size) {
+    if (typeof value !== 'string') {
+      return toRadixString(value, size, 2);
+    }
+
+    const logic = value.toUpperCase();
+
+    if (!/^[01XZ]+$/.test(logic)) {
+      throw new TypeError(
+        `Pin "${this.getName()}": invalid logic value "${value}".`
+      );
+    }
+
+    if (/[XZ]/.test(logic) && logicMode !== 'four-valued') {
+      throw new TypeError(
+        `Pin "${this.getName()}": the X, and Z values require ` +
+        `the four-valued mode (see Pin.setLogicMode).`
+      );
+    }
+
+    if (logic.length >= size) {
+      return logic.slice(logic.length - size);
+    }
+
+    const fill = /[XZ]/.test(logic[0]) ? logic[0] : '0';
+    return logic.padStart(size, fill);
+  }
+
+  /**
+   * Sets the bits of this bus from the logic string.
+   */
+  _setLogic(logic) {
+    this._value = this.mask(logic.replace(/[XZ]/g, '0'));
+    this._logic = /[XZ]/.test(logic) ? logic : null;
+  }
+
+  /**
+   * Replaces the bits `from..to` with the logic string.
+   */
+  _spliceLogic(from, to, bits) {
+    const logic = this.getLogicValue();
+    this._setLogic(
+      logic.slice(0, this._size - 1 - to) +
+      bits +
+      logic.slice(this._size - from)
+    );
+  }
+
+  /**
+   * Whether this bus is wider than the word (has a BigInt value).
+   */
+  _isWide() {
+    return this._size > WORD_SIZE;
+  }
+
+  /**
+   * Throws, or warns in the strict mode, if the value
+   * doesn't fit the number of bits.
+   */
+  _checkOverflow(value, size) {
+    if (strictMode === 'off' || Pin.fits(value, size)) {
+      return;
+    }
+
+    const message =
+      `Pin "${this.getName()}": value ${value} doesn't fit ` +
+      `${size} bit${size === 1 ? '' : 's'}.`;
+
+    if (strictMode === 'error') {
+      throw new RangeError(message);
+    }
+
+    console.warn(message);
+  }
+
   /**
    * Checks the bounds of the index.
    */
@@ -175,4 +507,14 @@ class Pin extends EventEmitter {
  */
 Pin.CLOCK = '$clock';
 
+/**
+ * Word size: the pins up to this size have number values.
+ */
+Pin.WORD_SIZE = WORD_SIZE;
+
+/**
+ * Maximum size of a pin.
+ */
+Pin.MAX_SIZE = MAX_SIZE;
+
 module.exports = Pin;
\ No newline at end of file
@@ -64,4 +64,151 @@ describe('BuiltInGate', () => {
     expect(not16.getPin('out').getSize()).toBe(16);
   });
 
-});
\ No newline at end of file
+  it('four-valued propagation', () => {
+    Pin.setLogicMode('four-valued');
+
+    const {And, Mux, Add16, Bit} = require('../builtin-gates');
+
+    const and = And.defaultFromSpec();
+
+    // Never driven inputs.
+    and.eval();
+    expect(and.getPinValues()).toEqual({a: 'X', b: 'X', out: 'X'});
+
+    // 0 & X = 0, 1 & X = X; Z inputs are read as X.
+    expect(and.execOnData([
+      {a: 0, b: 'X'},
+      {a: 1, b: 'X'},
+      {a: 'Z', b: 0},
+      {a: 1, b: 1},
+    ]).result.map(row => row.out)).toEqual([0, 'X', 0, 1]);
+
+    // The same inputs of a Mux.
+    const mux = Mux.defaultFromSpec();
+    mux.setPinValues({a: 1, b: 1, sel: 'X'}).eval();
+    expect(mux.getPin('out').getValue()).toBe(1);
+
+    // Only the affected bits are X.
+    const add = Add16.defaultFromSpec();
+    add.setPinValues({a: '0XXXXXX', b: 0b100000001}).eval();
+    expect(add.getPin('out').getLogicValue()).toBe('000000010XXXXXXX');
+
+    add.setPinValues({a: '0XXXXXX', b: 0b100000000}).eval();
+    expect(add.getPin('out').getLogicValue()).toBe('0000000100XXXXXX');
+
+    // More than 8 unknown bits.
+    add.setPinValues({a: 'X', b: 0}).eval();
+    expect(add.getPin('out').getLogicValue()).toBe('X'.repeat(16));
+
+    // Clocked gates: the loaded X is kept, until the state is replaced.
+    const {result} = Bit.defaultFromSpec().execOnData([
+      {$clock: -0, in: 0, load: 0},
+      {$clock: +0, in: 'X', load: 1},
+      {$clock: -1, in: 'X', load: 1},
+      {$clock: +1, in: 'X', load: 0},
+      {$clock: -2, in: 1, load: 0},
+      {$clock: +2, in: 1, load: 1},
+      {$clock: -3, in: 0, load: 0},
+    ]);
+
+    expect(result.map(row => row.out))
+      .toEqual(['X', 'X', 'X', 'X', 'X', 'X', 1]);
+
+    Pin.setLogicMode('binary');
+  });
+
+  it('power-on state', () => {
+    const {Register, RAM8} = require('../builtin-gates');
+    const {SystemClock} = require('../Clock');
+
+    const powerOn = seed => {
+      BuiltInGate.setPowerOnState('random', seed);
+
+      const register = Register.defaultFromSpec();
+      const ram = RAM8.defaultFromSpec();
+
+      SystemClock.reset().cycle();
+
+      const state = {
+        out: register.getPin('out').getValue(),
+        storage: Array.from(ram.getStroage()),
+      };
+
+      register.dispose();
+      ram.dispose();
+      return state;
+    };
+
+    // The same seed gives the same state.
+    const state = powerOn(42);
+    expect(BuiltInGate.getPowerOnSeed()).toBe(42);
+    expect(powerOn(42)).toEqual(state);
+    expect(powerOn(43)).not.toEqual(state);
+
+    expect(state.storage.some(value => value !== 0)).toBe(true);
+
+    // A new seed, if not passed.
+    const seed = BuiltInGate.setPowerOnState('random');
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(BuiltInGate.getPowerOnSeed()).toBe(seed);
+
+    expect(() => BuiltInGate.setPowerOnState('random', 'abc')).toThrow(
+      'BuiltInGate.setPowerOnState: expected an integer seed, got abc.'
+    );
+
+    // Unknown state.
+    expect(() => BuiltInGate.setPowerOnState('unknown')).toThrow(
+      'BuiltInGate.setPowerOnState: the "unknown" state requires ' +
+      'the four-valued logic mode.'
+    );
+
+    Pin.setLogicMode('four-valued');
+    BuiltInGate.setPowerOnState('unknown');
+
+    expect(BuiltInGate.getPowerOnSeed()).toBe(null);
+
+    const {result} = Register.execOnData([
+      {$clock: -0, in: 0, load: 0},
+      {$clock: +0, in: 0, load: 0},
+      {$clock: -1, in: 0, load: 0},
+      {$clock: +1, in: 5, load: 1},
+      {$clock: -2, in: 5, load: 1},
+    ]);
+
+    const X16 = 'X'.repeat(16);
+
+    expect(result.map(row => row.out)).toEqual([X16, X16, X16, X16, 5]);
+
+    // The words of the RAM are unknown until written.
+    const ram = RAM8.defaultFromSpec();
+
+    const {result: ramResult} = ram.execOnData([
+      {$clock: -0, in: 7, load: 1, address: 2},
+      {$clock: +0, in: 7, load: 1, address: 2},
+      {$clock: -1, in: 7, load: 1, address: 2},
+      {$clock: +1, in: 7, load: 0, address: 3},
+      {$clock: -2, in: 7, load: 0, address: 3},
+    ]);
+
+    expect(ramResult.map(row => row.out)).toEqual([X16, X16, 7, 7, X16]);
+    expect(ram.isKnownAt(2)).toBe(true);
+    expect(ram.isKnownAt(3)).toBe(false);
+
+    // Reset returns to the unknown state.
+    ram.setPinValues({address: 2});
+    ram.reset();
+    expect(ram.getPin('out').getLogicValue()).toBe(X16);
+    expect(ram.isKnownAt(2)).toBe(false);
+
+    ram.dispose();
+
+    BuiltInGate.setPowerOnState('zero');
+    Pin.setLogicMode('binary');
+
+    expect(() => BuiltInGate.setPowerOnState('one')).toThrow(
+      'BuiltInGate.setPowerOnState: unknown state "one", expected ' +
+      'zero, random, unknown.'
+    );
+  });
+
+});
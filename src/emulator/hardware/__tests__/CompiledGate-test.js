@@ -0,0 +1,249 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const Bit = require('../builtin-gates/Bit');
+const CompiledGate = require('../CompiledGate');
+const HDLClassFactory = require('../HDLClassFactory');
+const RAM64 = require('../builtin-gates/RAM64');
+
+const {SystemClock} = require('../Clock');
+
+const EXAMPLES_DIR = __dirname + '/../../../../examples/';
+
+/**
+ * Runs the data on the composite, and the compiled gates from the HDL,
+ * and checks the results are the same; returns the outputs (the output
+ * before the first falling edge is not compared).
+ */
+function compareWithComposite(hdl, data) {
+  const outputs = GateClass => {
+    SystemClock.reset();
+
+    const gate = GateClass.defaultFromSpec();
+    const {result} = gate.execOnData(data);
+
+    gate.dispose();
+    return result.slice(2).map(row => row.out);
+  };
+
+  const expected = outputs(HDLClassFactory.fromHDL(hdl, EXAMPLES_DIR));
+
+  expect(outputs(HDLClassFactory.fromHDL(hdl, EXAMPLES_DIR, {compile: true})))
+    .toEqual(expected);
+
+  return expected;
+}
+
+describe('CompiledGate', () => {
+
+  it('Gate API', () => {
+    const MuxClass = HDLClassFactory.fromHDLFile(
+      EXAMPLES_DIR + 'Mux.hdl',
+      {compile: true}
+    );
+
+    expect(MuxClass.name).toBe('Mux');
+    expect(MuxClass.isClocked()).toBe(false);
+
+    const mux = MuxClass.defaultFromSpec();
+    expect(mux).toBeInstanceOf(CompiledGate);
+
+    const onEval = jest.fn();
+    mux.on('eval', onEval);
+
+    mux.setPinValues({a: 1, b: 0, sel: 0});
+    mux.eval();
+
+    expect(onEval).toHaveBeenCalledTimes(1);
+    expect(mux.getPinValues()).toEqual({
+      a: 1, b: 0, sel: 0, nel: 1, A: 1, B: 0, out: 1,
+    });
+
+    const fullTruthTable = [
+      {a: 0, b: 0, sel: 0, out: 0, nel: 1, A: 0, B: 0},
+      {a: 0, b: 0, sel: 1, out: 0, nel: 0, A: 0, B: 0},
+      {a: 0, b: 1, sel: 0, out: 0, nel: 1, A: 0, B: 0},
+      {a: 0, b: 1, sel: 1, out: 1, nel: 0, A: 0, B: 1},
+      {a: 1, b: 0, sel: 0, out: 1, nel: 1, A: 1, B: 0},
+      {a: 1, b: 0, sel: 1, out: 0, nel: 0, A: 0, B: 0},
+      {a: 1, b: 1, sel: 0, out: 1, nel: 1, A: 1, B: 0},
+      {a: 1, b: 1, sel: 1, out: 1, nel: 0, A: 0, B: 1},
+    ];
+
+    const {result, conflicts} = mux.execOnData(fullTruthTable);
+    expect(result).toEqual(fullTruthTable);
+    expect(conflicts).toEqual([]);
+  });
+
+  it('clocked', () => {
+    const BitClass = HDLClassFactory.fromHDLFile(
+      EXAMPLES_DIR + 'Bit.hdl',
+      {compile: true}
+    );
+
+    expect(BitClass.isClocked()).toBe(true);
+
+    SystemClock.reset();
+
+    const bit = BitClass.defaultFromSpec();
+    const {conflicts} = bit.execOnData(Bit.Spec.truthTable);
+    expect(conflicts).toEqual([]);
+
+    // Driven by the System clock.
+    bit.setPinValues({in: 1, load: 1});
+    SystemClock.cycle();
+    expect(bit.getPin('out').getValue()).toBe(1);
+
+    // Reset clears the states of the kernel.
+    bit.setPinValues({load: 0});
+    bit.reset();
+    expect(bit.getPin('out').getValue()).toBe(0);
+    expect(SystemClock.getValue()).toBe(-0);
+
+    bit.dispose();
+  });
+
+  it('power-on state', () => {
+    const BuiltInGate = require('../BuiltInGate');
+
+    const Register4Class = HDLClassFactory.fromHDL(`
+      CHIP Register4 {
+        IN in[4], load;
+        OUT out[4];
+        PARTS:
+        FOR i IN 0..3 {
+          Bit(in=in[i], load=load, out=out[i]);
+        }
+      }
+    `, undefined, {compile: true});
+
+    const powerOn = () => {
+      SystemClock.reset();
+
+      const register = Register4Class.defaultFromSpec();
+      SystemClock.cycle();
+
+      const out = register.getPin('out').getValue();
+      register.dispose();
+      return out;
+    };
+
+    // The states of the Bit parts are random bits.
+    BuiltInGate.setPowerOnState('random', 7);
+    const out = powerOn();
+
+    BuiltInGate.setPowerOnState('random', 7);
+    expect(powerOn()).toBe(out);
+    expect(out).toBeGreaterThan(0);
+    expect(out).toBeLessThan(16);
+
+    BuiltInGate.setPowerOnState('zero');
+    expect(powerOn()).toBe(0);
+  });
+
+  it('fallback gates', () => {
+    const RAM64Class = HDLClassFactory.fromHDLFile(
+      EXAMPLES_DIR + 'RAM64.hdl',
+      {compile: true}
+    );
+
+    expect(RAM64Class.Kernel.fallbacks.length).toBe(1);
+
+    SystemClock.reset();
+
+    const ram = RAM64Class.defaultFromSpec();
+    const {conflicts} = ram.execOnData(RAM64.Spec.truthTable);
+    expect(conflicts).toEqual([]);
+  });
+
+  it('same results as composite gates', () => {
+    const RAM16KClass = HDLClassFactory
+      .fromHDLFile(EXAMPLES_DIR + 'RAM16K.hdl');
+
+    const CompiledRAM16KClass = HDLClassFactory
+      .fromHDLFile(EXAMPLES_DIR + 'RAM16K.hdl', {compile: true});
+
+    const data = [{$clock: -0, in: 0, load: 0, address: 0}];
+
+    for (let i = 0; i < 20; i++) {
+      data.push({
+        in: (i * 7919) & 0xFFFF,
+        load: i % 3 === 0 ? 0 : 1,
+        address: (i * 4099) & 0x3FFF,
+      });
+    }
+
+    SystemClock.reset();
+    const expected = RAM16KClass.defaultFromSpec().execOnData(data).result;
+
+    SystemClock.reset();
+    const actual = CompiledRAM16KClass.defaultFromSpec().execOnData(data).result;
+
+    expect(actual.map(row => row.out)).toEqual(expected.map(row => row.out));
+  });
+
+  it('inputs of the clocked parts', () => {
+    // The clocked parts are evaluated before the parts,
+    // which compute their inputs.
+    const data = [
+      {$clock: -0, in: 0, load: 0},
+      {$clock: +0, in: 1, load: 1},
+      {$clock: -1, in: 1, load: 1},
+      {$clock: +1, in: 0, load: 1},
+      {$clock: -2, in: 0, load: 1},
+    ];
+
+    // A sliced input.
+    expect(compareWithComposite(`
+      CHIP MuxBit {
+        IN in, load;
+        OUT out;
+
+        PARTS:
+
+        Mux16(a[0]=dffOut, b[0]=in, sel=load, out=m);
+        DFF(in=m[0], out=dffOut, out=out);
+      }
+    `, data)).toEqual([1, 1, 0]);
+
+    // The combinational logic inside a clocked composite part
+    // (the Mux of the Bit.hdl).
+    expect(compareWithComposite(`
+      CHIP NotBit {
+        IN in, load;
+        OUT out;
+
+        PARTS:
+
+        Bit(in=notIn, load=load, out=out);
+        Not(in=in, out=notIn);
+      }
+    `, data)).toEqual([0, 0, 1]);
+
+    // A fallback gate.
+    const ramData = [
+      {$clock: -0, in: 0, load: 0},
+      {$clock: +0, in: -6, load: 1},
+      {$clock: -1, in: -6, load: 1},
+      {$clock: +1, in: -8, load: 1},
+      {$clock: -2, in: -8, load: 1},
+    ];
+
+    expect(compareWithComposite(`
+      CHIP NotRAM8 {
+        IN in[16], load;
+        OUT out[16];
+
+        PARTS:
+
+        RAM8(in=notIn, load=load, address=notIn[0..2], out=out);
+        Not16(in=in, out=notIn);
+      }
+    `, ramData)).toEqual([5, 5, 7]);
+  });
+
+});
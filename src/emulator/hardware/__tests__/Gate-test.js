@@ -115,6 +115,28 @@ describe('Gate', () => {
     expect(conflicts.length).toBe(0);
   });
 
+  it('executes on data: overflows', () => {
+    const And = require('../builtin-gates/And');
+    const and = And.defaultFromSpec();
+
+    const data = [{a: 1, b: 1}, {a: 1, b: 3}];
+    const {result, overflows} = and.execOnData(data);
+
+    expect(result).toEqual([
+      {a: 1, b: 1, out: 1},
+      {a: 1, b: 1, out: 1},
+    ]);
+    expect(overflows).toEqual([{row: 1, pin: 'b', value: 3, size: 1}]);
+
+    Pin.setStrictMode('error');
+
+    expect(() => and.execOnData(data)).toThrow(
+      'Row 1: value 3 of the "b" pin doesn\'t fit 1 bit.'
+    );
+
+    Pin.setStrictMode('off');
+  });
+
   it('executes on data: Pin[16]', () => {
     const Not16 = require('../builtin-gates/Not16');
 
@@ -311,6 +333,121 @@ describe('Gate', () => {
     expect(gateClock.getValue()).toBe(-8);
   });
 
+  it('per-instance clock', () => {
+    const Bit = require('../builtin-gates/Bit');
+    const Clock = require('../Clock');
+
+    SystemClock.reset();
+
+    const clock1 = new Clock();
+    const clock2 = new Clock();
+
+    const bit1 = Bit.defaultFromSpec({clock: clock1});
+    const bit2 = Bit.defaultFromSpec({clock: clock2});
+    const systemBit = Bit.defaultFromSpec();
+
+    expect(bit1.getClock()).toBe(clock1);
+    expect(systemBit.getClock()).toBe(SystemClock);
+
+    [bit1, bit2, systemBit].forEach(bit => {
+      bit.setPinValues({in: 1, load: 1, out: 0});
+    });
+
+    // Independent simulations don't step each other.
+    bit1.clockCycle();
+
+    expect(bit1.getPin('out').getValue()).toBe(1);
+    expect(bit1.getPin('$clock').getValue()).toBe(-1);
+
+    expect(bit2.getPin('out').getValue()).toBe(0);
+    expect(bit2.getPin('$clock').getValue()).toBe(-0);
+
+    expect(systemBit.getPin('out').getValue()).toBe(0);
+    expect(SystemClock.getValue()).toBe(-0);
+
+    // Rows with the clock values run on the gate's clock.
+    const {conflicts} = Bit
+      .defaultFromSpec({clock: new Clock()})
+      .execOnData(Bit.Spec.truthTable);
+    expect(conflicts).toEqual([]);
+  });
+
+  it('dispose', () => {
+    const Bit = require('../builtin-gates/Bit');
+    const Clock = require('../Clock');
+
+    const clock = new Clock();
+    const listeners = clock.listenerCount('change');
+
+    const bit = Bit.defaultFromSpec({clock});
+    expect(clock.listenerCount('change')).toBe(listeners + 1);
+
+    expect(bit.dispose()).toBe(bit);
+    expect(clock.listenerCount('change')).toBe(listeners);
+
+    // The disposed gate is not updated on the clock.
+    bit.setPinValues({in: 1, load: 1, out: 0});
+    clock.next();
+    expect(bit.getPin('out').getValue()).toBe(0);
+
+    // Static `execOnData` creates, and disposes the gate.
+    SystemClock.reset();
+    const systemListeners = SystemClock.listenerCount('change');
+
+    const {conflicts} = Bit.execOnData(Bit.Spec.truthTable);
+    expect(conflicts).toEqual([]);
+    expect(SystemClock.listenerCount('change')).toBe(systemListeners);
+  });
+
+  it('reset', () => {
+    const Clock = require('../Clock');
+    const PC = require('../builtin-gates/PC');
+    const RAM8 = require('../builtin-gates/RAM8');
+
+    const clock = new Clock();
+
+    const pc = PC.defaultFromSpec({clock});
+    const ram = RAM8.defaultFromSpec({clock});
+
+    pc.setPinValues({in: 0, load: 0, inc: 1, reset: 0});
+    ram.setPinValues({in: 15, load: 1, address: 3});
+
+    clock.cycle().cycle();
+
+    expect(pc.getPin('out').getValue()).toBe(2);
+    expect(ram.getValueAt(3)).toBe(15);
+
+    // Back to the power-on state, and the clock is reset.
+    expect(pc.reset()).toBe(pc);
+
+    expect(pc.getPin('out').getValue()).toBe(0);
+    expect(clock.getValue()).toBe(-0);
+
+    ram.setPinValues({load: 0});
+    ram.reset();
+
+    expect(ram.getValueAt(3)).toBe(0);
+    expect(ram.getPin('out').getValue()).toBe(0);
+
+    clock.cycle();
+    expect(pc.getPin('out').getValue()).toBe(1);
+
+    // The `$reset` rows of the data.
+    const {result, conflicts} = pc.execOnData([
+      {$reset: 1, $clock: -0, inc: 1, out: 0},
+      {$clock: +0, inc: 1, out: 0},
+      {$clock: -1, inc: 1, out: 1},
+      {$clock: +1, inc: 1, out: 1},
+      {$clock: -2, inc: 1, out: 2},
+      {$reset: 1, $clock: -0, inc: 1, out: 0},
+      {$clock: +0, inc: 1, out: 0},
+      {$clock: -1, inc: 1, out: 1},
+    ]);
+
+    expect(conflicts).toEqual([]);
+    expect(result[5]).not.toHaveProperty('$reset');
+  });
+
   it('default from spec', () => {
     class And extends Gate {
       static isClocked() {
@@ -366,7 +503,7 @@ describe('Gate', () => {
     expect(not16.getPin('out').getSize()).toBe(16);
   });
 
-  it.only('gate events', () => {
+  it('gate events', () => {
     let state = 0;
     let output = [];
 
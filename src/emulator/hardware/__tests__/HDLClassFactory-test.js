@@ -6,13 +6,21 @@
 'use strict';
 
 const And = require('../builtin-gates/And');
+const Bit = require('../builtin-gates/Bit');
 const BuiltInGate = require('../BuiltInGate');
+const Clock = require('../Clock');
 const CompositeGate = require('../CompositeGate');
 const fs = require('fs');
 const HDLClassFactory = require('../HDLClassFactory');
 const Not = require('../builtin-gates/Not');
 const Or = require('../builtin-gates/Or');
 const parser = require('../../../parser');
+const path = require('path');
+const Pin = require('../Pin');
+const RAM64 = require('../builtin-gates/RAM64');
+const SRLatch = require('../builtin-gates/SRLatch');
+
+const {SystemClock} = require('../Clock');
 
 const toPinSpec = pin => {
   return {name: pin.getName(), size: pin.getSize()};
@@ -78,6 +86,17 @@ describe('HDLClassFactory', () => {
     const And1Class = HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'And.hdl');
     const And2Class = HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'And.hdl');
     expect(And1Class).toBe(And2Class);
+
+    // Compiled classes are cached separately.
+    const CompiledAndClass = HDLClassFactory
+      .fromHDLFile(EXAMPLES_DIR + 'And.hdl', {compile: true});
+
+    expect(CompiledAndClass).not.toBe(And1Class);
+    expect(CompiledAndClass.Spec).toEqual(And1Class.Spec);
+
+    expect(HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'And.hdl', {
+      compile: true,
+    })).toBe(CompiledAndClass);
   });
 
   it('fromHDL cache', () => {
@@ -422,4 +441,818 @@ describe('HDLClassFactory', () => {
     let result = mux.execOnData(fullTruthTable).result;
     expect(result).toEqual(fullTruthTable);
   });
+
+  it('evaluation order', () => {
+    // Parts are declared in the reversed order.
+    const ReversedMux = HDLClassFactory.fromHDL(`
+      CHIP ReversedMux {
+        IN a, b, sel;
+        OUT out;
+
+        PARTS:
+
+        Or(a=A, b=B, out=out);
+        And(a=b, b=sel, out=B);
+        And(a=a, b=nel, out=A);
+        Not(in=sel, out=nel);
+      }
+    `);
+
+    const mux = ReversedMux.defaultFromSpec();
+
+    const [or, and1, and2, not] = mux.getParts();
+    expect(mux.getEvalOrder()).toEqual([and1, not, and2, or]);
+
+    // One `eval` per row.
+    const {conflicts} = mux.execOnData([
+      {a: 0, b: 1, sel: 1, out: 1},
+      {a: 1, b: 0, sel: 0, out: 1},
+      {a: 1, b: 0, sel: 1, out: 0},
+      {a: 0, b: 1, sel: 0, out: 0},
+    ]);
+    expect(conflicts).toEqual([]);
+
+    // Dependencies consider the bits of the buses.
+    const BitsOrder = HDLClassFactory.fromHDL(`
+      CHIP BitsOrder {
+        IN a;
+        OUT out[2], o;
+
+        PARTS:
+
+        Not(in=out[1], out=o);
+        Not(in=o, out=out[0]);
+        Not(in=a, out=out[1]);
+      }
+    `);
+
+    const gate = BitsOrder.defaultFromSpec();
+    const parts = gate.getParts();
+
+    expect(gate.getEvalOrder()).toEqual([parts[2], parts[0], parts[1]]);
+
+    gate.setPinValues({a: 0});
+    gate.eval();
+    expect(gate.getPin('out').getValue()).toBe(0b11);
+  });
+
+  it('feedback loops', () => {
+    // Cross-coupled `Nand` gates of a latch are evaluated until settled.
+    const SRLatchClass = HDLClassFactory.fromHDLFile(
+      EXAMPLES_DIR + 'SRLatch.hdl'
+    );
+
+    const latch = SRLatchClass.defaultFromSpec();
+    const [not1, not2, nand1, nand2] = latch.getParts();
+
+    expect(latch.getEvalOrder()).toEqual([
+      not1,
+      not2,
+      {
+        parts: [nand1, nand2],
+        pins: [latch.getPin('q'), latch.getPin('nq')],
+      },
+    ]);
+
+    // Same as the built-in latch, after the reset (the power-on
+    // state of the latch from `Nand` gates is set).
+    const {conflicts} = latch.execOnData([
+      {s: 0, r: 1, q: 0, nq: 1},
+      ...SRLatch.Spec.truthTable.slice(1),
+    ]);
+    expect(conflicts).toEqual([]);
+
+    // Oscillating loops.
+    const Loop = HDLClassFactory.fromHDL(`
+      CHIP Loop {
+        IN a;
+        OUT out;
+
+        PARTS:
+
+        Not(in=x, out=y);
+        And(a=a, b=y, out=x, out=out);
+      }
+    `);
+
+    const loop = Loop.defaultFromSpec();
+
+    loop.setPinValues({a: 0});
+    loop.eval();
+    expect(loop.getPin('out').getValue()).toBe(0);
+
+    loop.setPinValues({a: 1});
+    expect(() => loop.eval()).toThrow(
+      '"Loop" chip: the feedback loop doesn\'t settle in 100 iterations, ' +
+      'oscillating pins: y, x, out.'
+    );
+
+    // Self-loop.
+    const SelfLoop = HDLClassFactory.fromHDL(`
+      CHIP SelfLoop { IN a; OUT out; PARTS: Not(in=x, out=x, out=out); }
+    `);
+
+    CompositeGate.setMaxIterations(3);
+    expect(CompositeGate.getMaxIterations()).toBe(3);
+
+    expect(() => SelfLoop.defaultFromSpec().eval()).toThrow(
+      '"SelfLoop" chip: the feedback loop doesn\'t settle in 3 iterations, ' +
+      'oscillating pins: x, out.'
+    );
+
+    expect(() => CompositeGate.setMaxIterations(0)).toThrow(
+      'CompositeGate.setMaxIterations: expected a positive integer, got 0.'
+    );
+
+    CompositeGate.setMaxIterations(100);
+
+    // The compiled code doesn't iterate.
+    expect(() => HDLClassFactory.fromHDLFile(
+      EXAMPLES_DIR + 'SRLatch.hdl',
+      {compile: true}
+    )).toThrow(
+      '"SRLatch" chip: the compile mode doesn\'t support the feedback ' +
+      'loops (parts: Nand (#3), Nand (#4)).'
+    );
+  });
+
+  it('clocked composite gates', () => {
+    SystemClock.reset();
+
+    // Not clocked: only combinational parts.
+    expect(MuxClass.isClocked()).toBe(false);
+
+    // `Bit.hdl` is clocked, since it uses `DFF` part.
+    const BitClass = HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'Bit.hdl');
+    expect(BitClass.isClocked()).toBe(true);
+
+    const bit = BitClass.defaultFromSpec();
+    expect(bit.getPin('$clock').getValue()).toBe(0);
+
+    // The loop `Mux -> DFF -> Mux` is broken by the clocked `DFF`.
+    const [mux, dff] = bit.getParts();
+    expect(bit.getEvalOrder()).toEqual([dff, mux]);
+
+    const {conflicts} = bit.execOnData(Bit.Spec.truthTable);
+    expect(conflicts).toEqual([]);
+
+    // Clocked recursively: `Bit` parts are loaded from `Bit.hdl`.
+    const Register2 = HDLClassFactory.fromHDL(`
+      CHIP Register2 {
+        IN in[2], load;
+        OUT out[2];
+
+        PARTS:
+
+        Bit(in=in[0], load=load, out=out[0]);
+        Bit(in=in[1], load=load, out=out[1]);
+      }
+    `, EXAMPLES_DIR);
+
+    expect(Register2.isClocked()).toBe(true);
+
+    SystemClock.reset();
+
+    const register = Register2.defaultFromSpec();
+
+    const {result} = register.execOnData([
+      {$clock: -0, in: 0b10, load: 1},
+      {$clock: +0, in: 0b10, load: 1},
+      {$clock: -1, in: 0b01, load: 0},
+      {$clock: +1, in: 0b01, load: 0},
+      {$clock: -2, in: 0b01, load: 1},
+      {$clock: +2, in: 0b01, load: 1},
+      {$clock: -3, in: 0b01, load: 1},
+    ]);
+
+    // The output is set on the first falling edge.
+    expect(result.slice(2).map(row => row.out)).toEqual([
+      0b10, 0b10, 0b10, 0b10, 0b01,
+    ]);
+  });
+
+  it('clocks of the parts', () => {
+    SystemClock.reset();
+
+    // The parts inherit the clock of the gate.
+    const clock = new Clock();
+    const BitClass = HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'Bit.hdl');
+    const bit = BitClass.defaultFromSpec({clock});
+
+    const [mux, dff] = bit.getParts();
+    expect(mux.getClock()).toBe(clock);
+    expect(dff.getClock()).toBe(clock);
+
+    bit.setPinValues({in: 1, load: 1});
+    clock.cycle();
+
+    expect(bit.getPin('out').getValue()).toBe(1);
+    expect(SystemClock.getValue()).toBe(-0);
+
+    // The named clocks are bound with the `$clock` argument.
+    const TwoClocks = HDLClassFactory.fromHDL(`
+      CHIP TwoClocks {
+        IN in;
+        OUT fast, slow;
+
+        PARTS:
+
+        DFF(in=in, out=fast);
+        DFF(in=in, out=s, $clock=slow);
+        And(a=s, b=in, out=slow);
+      }
+    `);
+
+    const fastClock = new Clock({rate: 4});
+    const slowClock = new Clock({rate: 1});
+
+    const gate = TwoClocks.defaultFromSpec({
+      clock: fastClock,
+      clocks: {slow: slowClock},
+    });
+
+    const [fastDFF, slowDFF, and] = gate.getParts();
+    expect(fastDFF.getClock()).toBe(fastClock);
+    expect(slowDFF.getClock()).toBe(slowClock);
+    expect(and.getClock()).toBe(fastClock);
+    expect(gate.getUsedClocks()).toEqual([fastClock, slowClock]);
+
+    gate.setPinValues({in: 1});
+
+    fastClock.cyclesForRate();
+    expect(gate.getPin('fast').getValue()).toBe(1);
+    expect(gate.getPin('slow').getValue()).toBe(0);
+
+    // The gate is re-evaluated on the edges of the slow clock.
+    slowClock.cyclesForRate();
+    expect(gate.getPin('slow').getValue()).toBe(1);
+    expect(fastClock.getValue()).toBe(-4);
+
+    expect(() => TwoClocks.defaultFromSpec()).toThrow(
+      '"TwoClocks" chip: unknown clock "slow" of DFF (#2); the named ' +
+      'clocks are passed in the "clocks" option.'
+    );
+
+    expect(() => HDLClassFactory.fromHDL(`
+      CHIP NotClocked { IN a; OUT out; PARTS: Not(in=a, out=out, $clock=c); }
+    `)).toThrow(
+      '"NotClocked" chip: the "$clock" argument is only allowed for ' +
+      'the clocked parts, "Not" is not clocked.'
+    );
+
+    expect(() => HDLClassFactory.fromHDL(`
+      CHIP SlowBit { IN in; OUT out; PARTS: DFF(in=in, out=out, $clock=s); }
+    `, __dirname, {compile: true})).toThrow(
+      '"SlowBit" chip: the compile mode doesn\'t support the named clocks.'
+    );
+  });
+
+  it('BUILTIN chip', () => {
+    SystemClock.reset();
+
+    const RAM64Class = HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'RAM64.hdl');
+
+    expect(RAM64Class.isClocked()).toBe(true);
+    expect(RAM64Class.Spec.inputPins).toEqual([
+      {name: 'in', size: 16},
+      {name: 'load', size: 1},
+      {name: 'address', size: 6},
+    ]);
+    expect(RAM64Class.Spec.truthTable).toBe(RAM64.Spec.truthTable);
+
+    const ram = RAM64Class.defaultFromSpec();
+
+    expect(ram).toBeInstanceOf(CompositeGate);
+
+    // The built-in part shares the pins of the gate.
+    const [part] = ram.getParts();
+    expect(part).toBeInstanceOf(RAM64);
+    expect(part.getPin('in')).toBe(ram.getPin('in'));
+    expect(part.getPin('out')).toBe(ram.getPin('out'));
+
+    const {conflicts} = ram.execOnData(RAM64.Spec.truthTable);
+    expect(conflicts).toEqual([]);
+
+    // Combinational built-in.
+    const and = HDLClassFactory
+      .fromHDL(`
+        CHIP MyAnd {
+          IN b, a;
+          OUT out;
+          BUILTIN And;
+        }
+      `)
+      .defaultFromSpec();
+
+    expect(and.getClass().isClocked()).toBe(false);
+
+    and.setPinValues({a: 1, b: 1});
+    and.eval();
+    expect(and.getPin('out').getValue()).toBe(1);
+  });
+
+  it('BUILTIN, and CLOCKED validation', () => {
+    const compile = (sections, name = 'X') => {
+      return () => HDLClassFactory.fromHDL(`
+        CHIP ${name} { IN in, load; OUT out; ${sections} }
+      `);
+    };
+
+    expect(compile('BUILTIN Unknown;')).toThrow(
+      '"X" chip: unknown BUILTIN gate "Unknown".'
+    );
+
+    expect(compile('BUILTIN Bit; BUILTIN DFF;')).toThrow(
+      '"X" chip: a BUILTIN chip should have exactly one BUILTIN gate, ' +
+      'and no PARTS.'
+    );
+
+    expect(compile('BUILTIN Not;')).toThrow(
+      '"X" chip: pin "load" is not in inputPins of the BUILTIN "Not" gate.'
+    );
+
+    expect(compile('BUILTIN Bit; CLOCKED a;')).toThrow(
+      '"X" chip: CLOCKED pin "a" is not declared in IN, or OUT sections.'
+    );
+
+    expect(compile('CLOCKED in; PARTS: Not(in=in, out=out);')).toThrow(
+      '"X" chip: CLOCKED pins can only be used with a BUILTIN gate.'
+    );
+
+    expect(() => HDLClassFactory.fromHDL(`
+      CHIP Y { IN a, b; OUT out; BUILTIN And; CLOCKED a; }
+    `)).toThrow(
+      '"Y" chip: CLOCKED pins are declared, while the BUILTIN "And" ' +
+      'gate is not clocked.'
+    );
+
+    expect(() => HDLClassFactory.fromHDL(`
+      CHIP Z { IN a[2], b; OUT out; BUILTIN And; }
+    `)).toThrow(
+      '"Z" chip: expect pin "a" to have size 1 as in the BUILTIN "And" ' +
+      'gate, 2 is given.'
+    );
+
+    expect(() => HDLClassFactory.fromHDL(`
+      CHIP W { IN a; OUT out; BUILTIN And; }
+    `)).toThrow(
+      '"W" chip: pin "b" from inputPins of the BUILTIN "And" gate ' +
+      'is not declared.'
+    );
+
+    expect(compile('BUILTIN Bit; CLOCKED in, load;')().isClocked())
+      .toBe(true);
+  });
+
+  it('BUILTIN chip with CLOCKED pins', () => {
+    SystemClock.reset();
+
+    const MyBit = HDLClassFactory.fromHDL(`
+      CHIP MyBit {
+        IN in, load;
+        OUT out;
+        BUILTIN Bit;
+        CLOCKED in, load;
+      }
+    `);
+
+    expect(MyBit.isClocked()).toBe(true);
+    expect(MyBit.HDLInfo.ast.clocked.map(({value}) => value))
+      .toEqual(['in', 'load']);
+
+    // The value is stored on the rising edge, and is
+    // propagated to the output on the falling edge.
+    const bit = MyBit.defaultFromSpec();
+
+    bit.setPinValues({in: 1, load: 1});
+    bit.tick();
+
+    bit.setPinValues({in: 0, load: 0});
+    bit.tock();
+    expect(bit.getPin('out').getValue()).toBe(1);
+
+    bit.dispose();
+
+    const {conflicts} = MyBit.execOnData(Bit.Spec.truthTable);
+    expect(conflicts).toEqual([]);
+  });
+
+  it('parameterized chips', () => {
+    const Split = HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'Split.hdl');
+
+    // Defaults.
+    expect(Split.name).toBe('Split<8>');
+    expect(Split.Spec.outputPins).toEqual([
+      {name: 'low', size: 8},
+      {name: 'high', size: 8},
+    ]);
+
+    // A class per set of parameters.
+    const Split4 = HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'Split.hdl', {
+      params: [4],
+    });
+
+    expect(Split4.name).toBe('Split<4>');
+    expect(Split4).not.toBe(Split);
+    expect(HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'Split.hdl', {
+      params: [4],
+    })).toBe(Split4);
+
+    // Parameters of the parts.
+    const Nibbles = HDLClassFactory.fromHDL(`
+      CHIP Nibbles<K=1> {
+        IN in[16];
+        OUT low[4 * K], high[16 - 4 * K];
+
+        PARTS:
+
+        Split<4 * K>(in=in, low=low, high=high);
+      }
+    `, EXAMPLES_DIR);
+
+    const nibbles = Nibbles.defaultFromSpec();
+    expect(nibbles.getParts()[0].getClass()).toBe(Split4);
+
+    nibbles.setPinValues({in: 0x1234});
+    nibbles.eval();
+
+    expect(nibbles.getPinValues()).toEqual({
+      in: 0x1234,
+      low: 0x4,
+      high: 0x123,
+    });
+
+    expect(() => HDLClassFactory.fromHDL(`
+      CHIP X { IN a, b; OUT out; PARTS: And<2>(a=a, b=b, out=out); }
+    `)).toThrow('"X" chip: the built-in "And" gate doesn\'t have parameters.');
+
+    expect(() => HDLClassFactory.fromHDL(`
+      CHIP Y { IN a, b; OUT out; PARTS: And(a=a, b=b, out=out); }
+    `, undefined, {params: [1]})).toThrow(
+      '"Y" chip: expects 0 parameters, 1 are given.'
+    );
+  });
+
+  it('FOR blocks', () => {
+    const NotN = HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'NotN.hdl');
+    const Not16 = HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'Not16.hdl');
+
+    expect(NotN.name).toBe('NotN<16>');
+
+    const notN = NotN.defaultFromSpec();
+    expect(notN.getParts().length).toBe(16);
+
+    const data = [
+      {in: 0b0000000000000000},
+      {in: 0b1010101010101010},
+      {in: 0b0011110000111100},
+    ];
+
+    expect(notN.execOnData(data).result)
+      .toEqual(Not16.defaultFromSpec().execOnData(data).result);
+
+    const Not4 = HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'NotN.hdl', {
+      params: [4],
+      compile: true,
+    });
+
+    const not4 = Not4.defaultFromSpec();
+    expect(Not4.getPinInfo('in').size).toBe(4);
+
+    not4.setPinValues({in: 0b0101});
+    not4.eval();
+    expect(not4.getPin('out').getValue() & 0b1111).toBe(0b1010);
+  });
+
+  it('error locations', () => {
+    const getError = (hdl, options) => {
+      try {
+        HDLClassFactory.fromHDL(hdl, EXAMPLES_DIR, options);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    const hdl = [
+      'CHIP Bad {',
+      '  IN a, b;',
+      '  OUT out;',
+      '',
+      '  PARTS:',
+      '',
+      '  Nand(a=a, b=b, out=n);',
+      '  And(a=n, c=b, out=out);',
+      '}',
+    ].join('\n');
+
+    const error = getError(hdl, {fileName: 'Bad.hdl'});
+
+    expect(error.message).toBe('Pin "c" is not in Spec of "And" gate.');
+    expect(error.fileName).toBe('Bad.hdl');
+    expect(error.source).toBe(hdl);
+    expect(error.loc.startLine).toBe(8);
+    expect(error.loc.startColumn).toBe(11);
+
+    // Unknown gate, the location of the part.
+    const unknown = getError('CHIP U { IN a; OUT b; PARTS: Foo(a=a, b=b); }');
+
+    expect(unknown.message).toBe(
+      `"U" chip: unknown gate "Foo", which is neither a built-in gate, ` +
+      `nor an HDL file in "${EXAMPLES_DIR}".`
+    );
+    expect(unknown.loc.startColumn).toBe(29);
+
+    // Errors of the elaboration.
+    const param = getError('CHIP P<N> {\n  IN a[N];\n  OUT b;\n}');
+
+    expect(param.message).toBe('"P" chip: parameter "N" is not set.');
+    expect(param.loc.startLine).toBe(1);
+    expect(param.loc.startColumn).toBe(7);
+
+    // Pin sizes.
+    const size = getError('CHIP S {\n  IN a[65];\n  OUT b;\n}');
+
+    expect(size.message).toBe(
+      'Invalid "size" for a pin, should be in 1-64 range.'
+    );
+    expect(size.loc.startLine).toBe(2);
+
+    const zeroSize = getError('CHIP S {\n  IN a;\n  OUT b[0];\n}');
+
+    expect(zeroSize.message).toBe(
+      'Invalid "size" for b pin, should be in 1-64 range.'
+    );
+    expect(zeroSize.loc.startLine).toBe(3);
+
+    // The size from a parameter.
+    const zeroParam = getError(`
+      CHIP Nested {
+        IN in[16];
+        OUT out[4];
+
+        PARTS:
+
+        Split<0>(in=in, low=out);
+      }
+    `);
+
+    expect(zeroParam.message).toBe(
+      'Invalid "size" for low pin, should be in 1-64 range.'
+    );
+    expect(zeroParam.fileName).toBe(path.join(EXAMPLES_DIR, 'Split.hdl'));
+
+    // Errors of the nested HDL parts keep their own location.
+    const nested = getError(`
+      CHIP Nested {
+        IN in[16];
+        OUT out[4];
+
+        PARTS:
+
+        Split<20>(in=in, low=out);
+      }
+    `);
+
+    expect(nested.fileName).toBe(path.join(EXAMPLES_DIR, 'Split.hdl'));
+    expect(nested.loc.startLine).toBe(8);
+  });
+
+  it('wide buses', () => {
+    const And32 = HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'And32.hdl');
+
+    expect(And32.Spec.inputPins).toEqual([
+      {name: 'a', size: 32},
+      {name: 'b', size: 32},
+    ]);
+
+    const {result, conflicts} = And32.defaultFromSpec().execOnData([
+      {a: 0xFFFFFFFF, b: 0x0F0F0F0F, out: 0x0F0F0F0F},
+      {a: -1, b: BigInt(0xFFFF0000), out: -65536},
+    ]);
+
+    expect(result).toEqual([
+      {a: BigInt(0xFFFFFFFF), b: BigInt(0x0F0F0F0F), out: BigInt(0x0F0F0F0F)},
+      {a: BigInt(0xFFFFFFFF), b: BigInt(0xFFFF0000), out: BigInt(0xFFFF0000)},
+    ]);
+    expect(conflicts).toEqual([]);
+
+    // Wide internal pins.
+    const wide = HDLClassFactory.fromHDL(`
+      CHIP Wide {
+        IN a[32], b[32];
+        OUT out[32], high[16];
+
+        PARTS:
+
+        And32(a=a, b=b, out=ab);
+        Not16(in=ab[16..31], out=high);
+        And32(a=ab, b=true, out=out);
+      }
+    `, EXAMPLES_DIR).defaultFromSpec();
+
+    wide.setPinValues({a: 0x12345678, b: 0xFF00FF00});
+    wide.eval();
+
+    expect(wide.getPin('out').getValue()).toBe(BigInt(0x12005600));
+    expect(wide.getPin('high').getValue()).toBe(~0x1200);
+
+    // The nets of the compiled gates are 16-bit.
+    expect(() => HDLClassFactory.fromHDLFile(
+      EXAMPLES_DIR + 'And32.hdl',
+      {compile: true}
+    )).toThrow(
+      '"And32" chip: the "a" pin is 32 bits, while the compile mode ' +
+      'supports the buses up to 16 bits.'
+    );
+  });
+
+  it('four-valued logic', () => {
+    Pin.setLogicMode('four-valued');
+
+    const and = HDLClassFactory
+      .fromHDL(fs.readFileSync(EXAMPLES_DIR + 'And.hdl', 'utf-8'))
+      .defaultFromSpec();
+
+    // The internal pins are X until driven.
+    expect(and.getPin('n').getLogicValue()).toBe('X');
+
+    expect(and.execOnData([
+      {a: 0, b: 'X'},
+      {a: 1, b: 'X'},
+      {a: 1, b: 1},
+    ]).result).toEqual([
+      {a: 0, b: 'X', n: 1, out: 0},
+      {a: 1, b: 'X', n: 'X', out: 'X'},
+      {a: 1, b: 1, n: 0, out: 1},
+    ]);
+
+    // A shared bus.
+    const bus = HDLClassFactory.fromHDL(`
+      CHIP Bus {
+        IN x[16], y[16], selX, selY;
+        OUT out[16], conflict;
+
+        PARTS:
+
+        TriState16(in=x, en=selX, out=bx);
+        TriState16(in=y, en=selY, out=by);
+        BusResolver(a=bx, b=by, out=out, conflict=conflict);
+      }
+    `).defaultFromSpec();
+
+    expect(bus.execOnData([
+      {x: 1, y: 2, selX: 1, selY: 0},
+      {x: 1, y: 2, selX: 0, selY: 1},
+      {x: 1, y: 2, selX: 0, selY: 0},
+      {x: 1, y: 2, selX: 1, selY: 1},
+    ]).result.map(({out, conflict}) => [out, conflict])).toEqual([
+      [1, 0],
+      [2, 0],
+      ['Z'.repeat(16), 0],
+      ['0'.repeat(14) + 'XX', 1],
+    ]);
+
+    expect(() => HDLClassFactory.fromHDL(
+      'CHIP Buffer { IN in; OUT out; PARTS: Or(a=in, b=in, out=out); }',
+      undefined,
+      {compile: true}
+    )).toThrow(
+      '"Buffer" chip: the compile mode doesn\'t support the four-valued logic.'
+    );
+
+    Pin.setLogicMode('binary');
+  });
+
+  it('constants', () => {
+    const hdlCode = `
+      CHIP Constants {
+        IN x[16], s;
+        OUT o[16], p, q[4], r[16];
+
+        PARTS:
+
+        Mux16(a=x, b=false, sel=s, out=o);
+        And(a=true, b=s, out=p);
+        Not16(in[0..1]=true, in[2]=false, in[3]=s, out[0..3]=q);
+        Mux4Way16(a=false, b=true, c=x, d=false, sel=s, out=r);
+      }
+    `;
+
+    [false, true].forEach(compile => {
+      const constants = HDLClassFactory
+        .fromHDL(hdlCode, undefined, {compile})
+        .defaultFromSpec();
+
+      constants.setPinValues({x: 5, s: 1});
+      constants.eval();
+
+      expect(constants.getPinValues()).toEqual({
+        x: 5,
+        s: 1,
+        o: 0,
+        p: 1,
+        q: 0b0100,
+        r: -1,
+      });
+
+      constants.setPinValues({x: 5, s: 0});
+      constants.eval();
+
+      expect(constants.getPinValues()).toEqual({
+        x: 5,
+        s: 0,
+        o: 5,
+        p: 0,
+        q: 0b1100,
+        r: 0,
+      });
+    });
+
+    // Numbers for buses.
+    const mux = HDLClassFactory.fromHDL(`
+      CHIP MuxSel2 {
+        IN a[16], b[16], c[16], d[16];
+        OUT out[16];
+        PARTS:
+        Mux4Way16(a=a, b=b, c=c, d=d, sel=2, out=out);
+      }
+    `).defaultFromSpec();
+
+    mux.setPinValues({a: 1, b: 2, c: 3, d: 4});
+    mux.eval();
+    expect(mux.getPin('out').getValue()).toBe(3);
+
+    // No internal pins for constants.
+    expect(mux.getInternalPins()).toEqual([]);
+
+    expect(() => HDLClassFactory.fromHDL(`
+      CHIP A { IN a; OUT out; PARTS: Mux4Way16(a=a, sel=4, out=out); }
+    `)).toThrow(
+      '"A" chip: the constant 4 doesn\'t fit 2 bits of the "sel" pin ' +
+      'of the "Mux4Way16" part.'
+    );
+
+    expect(() => HDLClassFactory.fromHDL(`
+      CHIP B { IN a; OUT out; PARTS: Not(in=a, out=true); }
+    `)).toThrow(
+      '"B" chip: the constant true can\'t be connected to the "out" pin ' +
+      'of the "Not" part, which is not an input.'
+    );
+  });
+
+  it('dispose', () => {
+    const clock = new Clock();
+
+    const chip = HDLClassFactory.fromHDL(`
+      CHIP NotBit {
+        IN in, load;
+        OUT out;
+        PARTS:
+        Not(in=in, out=n);
+        Bit(in=n, load=load, out=out);
+      }
+    `).defaultFromSpec({clock});
+
+    const inPin = chip.getPin('in');
+
+    expect(inPin.listenerCount('change')).toBe(1);
+    expect(clock.listenerCount('change')).toBe(1);
+
+    chip.dispose();
+
+    // The parts are disconnected from the pins, and the clock.
+    expect(inPin.listenerCount('change')).toBe(0);
+    expect(clock.listenerCount('change')).toBe(0);
+
+    chip.setPinValues({in: 0, load: 1});
+    clock.next();
+    expect(chip.getPin('out').getValue()).not.toBe(1);
+  });
+
+  it('reset', () => {
+    const clock = new Clock();
+
+    const chip = HDLClassFactory.fromHDL(`
+      CHIP BitNot {
+        IN in, load;
+        OUT out, nout;
+        PARTS:
+        Bit(in=in, load=load, out=out);
+        Not(in=out, out=nout);
+      }
+    `).defaultFromSpec({clock});
+
+    chip.setPinValues({in: 1, load: 1});
+    clock.cycle();
+
+    expect(chip.getPinValues()).toMatchObject({out: 1, nout: 0});
+
+    // The parts are reset, and the outputs are propagated.
+    chip.setPinValues({load: 0});
+    chip.reset();
+
+    expect(chip.getPinValues()).toMatchObject({out: 0, nout: 1});
+    expect(clock.getValue()).toBe(-0);
+  });
 });
\ No newline at end of file
@@ -82,6 +82,19 @@ describe('Pin', () => {
     expect(a16.getValue()).toBe(0b0101010101010101);
   });
 
+  it('updates the sign bit', () => {
+    const word = new Pin({name: 'word', size: 16, value: 0});
+
+    word.setValueAt(15, 1);
+    expect(word.getValue()).toBe(-32768);
+
+    word.setValueAt(1, 1);
+    expect(word.getValue()).toBe(-32766);
+
+    word.setValueAt(15, 0);
+    expect(word.getValue()).toBe(2);
+  });
+
   it('returns slices', () => {
     // Get slice 0..7:
     expect(a16.getSlice(0, 7)).toBe(0b01010101);
@@ -172,4 +185,191 @@ describe('Pin', () => {
     expect(_index).toBe(1);
   });
 
+  it('masks values to the size', () => {
+    const address = new Pin({name: 'address', size: 3, value: 9});
+    expect(address.getValue()).toBe(1);
+
+    address.setValue(-1);
+    expect(address.getValue()).toBe(0b111);
+
+    address.setSlice(0, 1, 0b110);
+    expect(address.getValue()).toBe(0b110);
+
+    const bit = new Pin({name: 'bit', value: 2});
+    expect(bit.getValue()).toBe(0);
+
+    // The word is a signed 16-bit integer.
+    const word = new Pin({name: 'word', size: 16, value: 0xFFFF});
+    expect(word.getValue()).toBe(-1);
+
+    expect(address.mask(15)).toBe(0b111);
+    expect(word.mask(0x1FFFF)).toBe(-1);
+  });
+
+  it('fits', () => {
+    expect(Pin.fits(7, 3)).toBe(true);
+    expect(Pin.fits(-4, 3)).toBe(true);
+    expect(Pin.fits(8, 3)).toBe(false);
+    expect(Pin.fits(-5, 3)).toBe(false);
+    expect(Pin.fits(0xFFFF, 16)).toBe(true);
+    expect(Pin.fits(0.5, 16)).toBe(false);
+  });
+
+  it('wide buses', () => {
+    const a32 = new Pin({name: 'a', size: 32});
+    expect(a32.getValue()).toBe(BigInt(0));
+
+    // Unsigned BigInt values.
+    a32.setValue(-1);
+    expect(a32.getValue()).toBe(BigInt(0xFFFFFFFF));
+
+    a32.setValue(0x1F0F0F0F0);
+    expect(a32.getValue()).toBe(BigInt(0xF0F0F0F0));
+
+    a32.setValue('1' + '0'.repeat(31));
+    expect(a32.getValue()).toBe(BigInt(0x80000000));
+
+    // Bits.
+    expect(a32.getValueAt(31)).toBe(1);
+    expect(a32.getValueAt(0)).toBe(0);
+
+    a32.setValueAt(0, 1);
+    a32.setValueAt(31, 0);
+    expect(a32.getValue()).toBe(BigInt(1));
+
+    // Slices up to the word are numbers, the wider are BigInt.
+    a32.setValue(0x12345678);
+    expect(a32.getSlice(16, 31)).toBe(0x1234);
+    expect(a32.getSlice(4, 23)).toBe(BigInt(0x34567));
+
+    a32.setSlice(0, 15, -1);
+    expect(a32.getValue()).toBe(BigInt(0x1234FFFF));
+
+    a32.setSlice(8, 31, BigInt(0xABCDEF));
+    expect(a32.getValue()).toBe(BigInt(0xABCDEFFF));
+
+    // 64 bits.
+    const a64 = new Pin({name: 'a', size: 64, value: -1});
+    expect(a64.getValue()).toBe(BigInt('0xFFFFFFFFFFFFFFFF'));
+    expect(a64.getValueAt(63)).toBe(1);
+    expect(a64.getSlice(32, 63)).toBe(BigInt(0xFFFFFFFF));
+
+    // A BigInt slice of a narrow bus.
+    const a8 = new Pin({name: 'a', size: 8, value: 0});
+    a8.setSlice(0, 3, BigInt(0xF));
+    expect(a8.getValue()).toBe(0xF);
+
+    expect(Pin.fits(BigInt('0xFFFFFFFFFFFFFFFF'), 64)).toBe(true);
+    expect(Pin.fits(BigInt('0x10000000000000000'), 64)).toBe(false);
+    expect(Pin.fits(-Math.pow(2, 31), 32)).toBe(true);
+
+    expect(() => new Pin({name: 'a', size: 65})).toThrow(
+      'Invalid "size" for a pin, should be in 1-64 range.'
+    );
+  });
+
+  it('four-valued', () => {
+    expect(() => new Pin({name: 'a', value: 'X'})).toThrow(
+      'Pin "a": the X, and Z values require the four-valued mode ' +
+      '(see Pin.setLogicMode).'
+    );
+
+    Pin.setLogicMode('four-valued');
+
+    // Never driven.
+    const a = new Pin({name: 'a', size: 4});
+    expect(a.isKnown()).toBe(false);
+    expect(a.getLogicValue()).toBe('XXXX');
+
+    a.setValue(0b0101);
+    expect(a.isKnown()).toBe(true);
+    expect(a.getLogicValue()).toBe('0101');
+    expect(a.getReadableValue()).toBe(0b0101);
+
+    a.setValueAt(3, 'Z');
+    expect(a.getLogicValue()).toBe('Z101');
+    expect(a.getValue()).toBe(0b0101);
+    expect(a.getReadableValue()).toBe('Z101');
+    expect(a.getLogicSlice(2, 3)).toBe('Z1');
+
+    a.setSlice(0, 1, 'x0');
+    expect(a.getLogicValue()).toBe('Z1X0');
+
+    a.setValueAt(3, 1);
+    a.setValueAt(1, 0);
+    expect(a.isKnown()).toBe(true);
+    expect(a.getValue()).toBe(0b1100);
+
+    // Verilog-like extension of the X, and Z.
+    a.setValue('Z');
+    expect(a.getLogicValue()).toBe('ZZZZ');
+    a.setValue('X1');
+    expect(a.getLogicValue()).toBe('XXX1');
+    a.setValue('1X');
+    expect(a.getLogicValue()).toBe('001X');
+
+    expect(a.mask('z')).toBe('ZZZZ');
+    expect(Pin.hasUnknownBits('01x')).toBe(true);
+    expect(Pin.hasUnknownBits('011')).toBe(false);
+
+    expect(() => a.setValue('12X')).toThrow(
+      'Pin "a": invalid logic value "12X".'
+    );
+
+    // Wide buses.
+    const wide = new Pin({name: 'wide', size: 32});
+    wide.setSlice(0, 15, -1);
+    expect(wide.getLogicValue()).toBe('X'.repeat(16) + '1'.repeat(16));
+    expect(wide.getValue()).toBe(BigInt(0xFFFF));
+
+    expect(() => Pin.setLogicMode('three-valued')).toThrow(
+      'Pin.setLogicMode: unknown mode "three-valued", ' +
+      'expected binary, four-valued.'
+    );
+
+    Pin.setLogicMode('binary');
+
+    expect(new Pin({name: 'b'}).isKnown()).toBe(true);
+  });
+
+  it('strict mode', () => {
+    const address = new Pin({name: 'address', size: 3, value: 0});
+
+    expect(Pin.getStrictMode()).toBe('off');
+
+    Pin.setStrictMode('error');
+
+    expect(() => address.setValue(8)).toThrow(
+      'Pin "address": value 8 doesn\'t fit 3 bits.'
+    );
+    expect(() => address.setSlice(0, 1, 4)).toThrow(
+      'Pin "address": value 4 doesn\'t fit 2 bits.'
+    );
+    expect(() => address.setValueAt(0, 2)).toThrow(
+      'Pin "address": value 2 doesn\'t fit 1 bit.'
+    );
+    expect(address.getValue()).toBe(0);
+
+    address.setValue(7);
+    expect(address.getValue()).toBe(7);
+
+    Pin.setStrictMode('warn');
+
+    const warn = console.warn;
+    console.warn = jest.fn();
+
+    address.setValue(9);
+    expect(address.getValue()).toBe(1);
+    expect(console.warn)
+      .toBeCalledWith('Pin "address": value 9 doesn\'t fit 3 bits.');
+
+    console.warn = warn;
+
+    expect(() => Pin.setStrictMode('on')).toThrow(
+      'Pin.setStrictMode: unknown mode "on", expected off, warn, error.'
+    );
+
+    Pin.setStrictMode('off');
+  });
+
 });
\ No newline at end of file
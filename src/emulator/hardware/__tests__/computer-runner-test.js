@@ -0,0 +1,207 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const Computer = require('../builtin-gates/Computer');
+const HDLClassFactory = require('../HDLClassFactory');
+const ROM32K = require('../builtin-gates/ROM32K');
+const computerRunner = require('../computer-runner');
+
+const EXAMPLES_DIR = __dirname + '/../../../../examples/';
+
+/**
+ * RAM[1] = RAM[0] + 1, and the infinite loop at the end.
+ */
+const INC_PROGRAM = [
+  '0000000000000000', // @0
+  '1111110000010000', // D=M
+  '0000000000000001', // @1
+  '1110011111001000', // M=D+1
+  '0000000000000100', // @4
+  '1110101010000111', // 0;JMP
+].join('\n');
+
+/**
+ * RAM[0] = 2 + 3.
+ */
+const ADD_PROGRAM = fs.readFileSync(EXAMPLES_DIR + 'Add.hack', 'utf-8');
+
+const ComputerHDL = `
+  CHIP Computer {
+    IN reset;
+    PARTS:
+    ROM32K(address=pc, out=instruction);
+    CPU(inM=inM, instruction=instruction, reset=reset, outM=outM,
+        writeM=writeM, addressM=addressM, pc=pc);
+    Memory(in=outM, load=writeM, address=addressM, out=inM);
+  }
+`;
+
+describe('computer-runner', () => {
+  beforeEach(() => ROM32K.setProgram(INC_PROGRAM));
+  afterEach(() => ROM32K.setProgram(null));
+
+  it('run', () => {
+    const computer = Computer.defaultFromSpec();
+    computer.getMemory().setValueAt(0, 41);
+    computer.getMemory().setValueAt(16385, -1);
+
+    expect(computerRunner.run(computer, {cycles: 10, ram: [[0, 2]]}))
+      .toEqual({
+        cycles: 10,
+        stopped: false,
+        registers: {A: 4, D: 41, PC: 4},
+        ram: {0: 41, 1: 42, 2: 0},
+      });
+
+    // The addresses of the memory map: the screen, and the keyboard.
+    expect(computerRunner.run(computer, {
+      cycles: 0,
+      ram: [[16384, 16385], [24576, 24576]],
+    }).ram).toEqual({16384: 0, 16385: -1, 24576: 0});
+
+    computer.dispose();
+  });
+
+  it('stopAt, and reset', () => {
+    const computer = Computer.defaultFromSpec();
+
+    const result = computerRunner.run(computer, {stopAt: 4, ram: [[1, 1]]});
+    expect(result).toMatchObject({cycles: 4, stopped: true, ram: {1: 1}});
+
+    // Continues from the PC 4, and starts over after the reset.
+    expect(computerRunner.run(computer, {stopAt: 4}).cycles).toBe(0);
+    expect(computerRunner.run(computer, {reset: true, stopAt: 4}))
+      .toMatchObject({cycles: 4, stopped: true, registers: {PC: 4}});
+
+    // Not reached.
+    expect(computerRunner.run(computer, {cycles: 3, stopAt: 100}))
+      .toMatchObject({cycles: 3, stopped: false});
+
+    expect(() => computerRunner.run(computer, {cycles: -1})).toThrow(
+      new RangeError(
+        'Computer: invalid number of cycles -1, expected a non-negative ' +
+        'integer.'
+      )
+    );
+
+    computer.dispose();
+  });
+
+  it('HDL computer', () => {
+    const computer = HDLClassFactory.fromHDL(ComputerHDL).defaultFromSpec();
+
+    expect(computerRunner.run(computer, {
+      cycles: 20,
+      reset: true,
+      stopAt: 4,
+      ram: [[0, 1]],
+    })).toEqual({
+      cycles: 4,
+      stopped: true,
+      registers: {A: 1, D: 0, PC: 4},
+      ram: {0: 0, 1: 1},
+    });
+
+    computer.dispose();
+
+    // Without the reset, the first instruction is fetched as well.
+    ROM32K.setProgram(ADD_PROGRAM);
+
+    const addComputer = HDLClassFactory.fromHDL(ComputerHDL).defaultFromSpec();
+
+    expect(computerRunner.run(addComputer, {cycles: 6, ram: [[0, 0]]}))
+      .toEqual({
+        cycles: 6,
+        stopped: false,
+        registers: {A: 0, D: 5, PC: 6},
+        ram: {0: 5},
+      });
+
+    addComputer.dispose();
+
+    // No registers, and no RAM in the parts.
+    const NotComputer = HDLClassFactory.fromHDL(`
+      CHIP NotComputer {
+        IN reset;
+        OUT out;
+        PARTS:
+        Not(in=reset, out=out);
+      }
+    `);
+
+    expect(() => computerRunner.run(NotComputer.defaultFromSpec())).toThrow(
+      'Computer: the PC is not found on "NotComputer" gate ' +
+      '(expected a PC part, or the "pc" pin).'
+    );
+
+    const computerWithoutRAM = HDLClassFactory.fromHDL(`
+      CHIP Computer {
+        IN reset;
+        OUT pc[16];
+        PARTS:
+        PC(reset=reset, inc=true, out=pc);
+      }
+    `).defaultFromSpec();
+
+    expect(() => computerRunner.run(computerWithoutRAM, {ram: [[0, 1]]}))
+      .toThrow(
+        'Computer: the RAM is not found on "Computer" gate ' +
+        '(expected a Memory, or a RAM16K part).'
+      );
+
+    expect(computerRunner.run(computerWithoutRAM, {reset: true, cycles: 3}))
+      .toMatchObject({registers: {A: null, D: null, PC: 3}});
+  });
+
+  it('HDL memory', () => {
+    const computer = HDLClassFactory.fromHDL(`
+      CHIP Computer {
+        IN reset;
+        PARTS:
+        PC(reset=reset, inc=true, out=pc);
+        RAM16K(in=pc, load=false, address=pc[0..13]);
+        Screen(in=pc, load=false, address=pc[0..12]);
+      }
+    `).defaultFromSpec();
+
+    const [, ram, screen] = computer.getParts();
+
+    ram.setValueAt(1, 5);
+    screen.setValueAt(1, -1);
+
+    // The RAM16K, and the screen parts are read at the memory map.
+    expect(computerRunner.run(computer, {
+      cycles: 0,
+      ram: [[1, 1], [16385, 16385]],
+    }).ram).toEqual({1: 5, 16385: -1});
+
+    expect(() => computerRunner.run(computer, {cycles: 0, ram: [[24576, 24576]]}))
+      .toThrow('Computer: the address 24576 is not found on "Computer" gate.');
+
+    computer.dispose();
+  });
+
+  it('parseRanges', () => {
+    expect(computerRunner.parseRanges('0-15,256, 3 - 4'))
+      .toEqual([[0, 15], [256, 256], [3, 4]]);
+
+    expect(() => computerRunner.parseRanges('0-a')).toThrow(
+      new SyntaxError(
+        'Computer: invalid RAM range "0-a", expected e.g. 0-15, or 256.'
+      )
+    );
+
+    expect(() => computerRunner.parseRanges('5-1')).toThrow(
+      new RangeError(
+        'Computer: invalid RAM range "5-1", the start is greater ' +
+        'than the end.'
+      )
+    );
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const elaborator = require('../elaborator');
+const parser = require('../../../parser');
+
+const AndN = parser.parse(`
+  CHIP AndN<N=16, M=N*2> {
+    IN a[N], b[N];
+    OUT out[M - N];
+
+    PARTS:
+
+    And<N>(a=a[N - 1], b=b[0..N-1], out=out);
+  }
+`);
+
+describe('elaborator', () => {
+
+  it('defaults', () => {
+    const ast = elaborator.elaborate(AndN);
+
+    expect(ast.params).toEqual([
+      {type: 'Param', name: 'N', value: 16},
+      {type: 'Param', name: 'M', value: 32},
+    ]);
+
+    expect(ast.inputs).toEqual([
+      {type: 'Name', value: 'a', size: 16},
+      {type: 'Name', value: 'b', size: 16},
+    ]);
+
+    expect(ast.outputs).toEqual([
+      {type: 'Name', value: 'out', size: 16},
+    ]);
+
+    const [part] = ast.parts;
+
+    expect(part.params).toEqual([16]);
+    expect(part.arguments[0].value).toEqual({
+      type: 'Name',
+      value: 'a',
+      index: 15,
+    });
+    expect(part.arguments[1].value.range).toEqual({from: 0, to: 15});
+
+    // The original AST is not modified.
+    expect(AndN.inputs[0].size).toEqual({type: 'Identifier', value: 'N'});
+  });
+
+  it('passed values', () => {
+    const byName = elaborator.elaborate(AndN, {N: 4});
+    expect(byName.params.map(({value}) => value)).toEqual([4, 8]);
+    expect(byName.outputs[0].size).toBe(4);
+
+    const byPosition = elaborator.elaborate(AndN, [4, 12]);
+    expect(byPosition.params.map(({value}) => value)).toEqual([4, 12]);
+    expect(byPosition.outputs[0].size).toBe(8);
+  });
+
+  it('errors', () => {
+    expect(() => elaborator.elaborate(AndN, [1, 2, 3])).toThrow(
+      '"AndN" chip: expects 2 parameters, 3 are given.'
+    );
+
+    expect(() => elaborator.elaborate(AndN, {K: 1})).toThrow(
+      '"AndN" chip: unknown parameter "K".'
+    );
+
+    expect(() => elaborator.elaborate(AndN, {N: 1.5})).toThrow(
+      '"AndN" chip: parameter "N" should be an integer, 1.5 is given.'
+    );
+
+    expect(() => elaborator.elaborate(parser.parse(`
+      CHIP A<N> { IN a[N]; OUT out; }
+    `))).toThrow('"A" chip: parameter "N" is not set.');
+
+    expect(() => elaborator.elaborate(parser.parse(`
+      CHIP B { IN a[N]; OUT out; }
+    `))).toThrow('"B" chip: unknown parameter, or FOR variable "N".');
+  });
+
+  it('FOR blocks', () => {
+    const ast = elaborator.elaborate(parser.parse(`
+      CHIP Rows<N=2> {
+        IN in[4];
+        OUT out[4];
+
+        PARTS:
+
+        FOR i IN 0..N-1 {
+          FOR j IN 0..1 {
+            Not(in=in[i * 2 + j], out=out[i * 2 + j]);
+          }
+        }
+        Or(a=in[0], b=in[1], out=x);
+      }
+    `));
+
+    expect(ast.parts.map(part => part.type)).toEqual([
+      'ChipCall', 'ChipCall', 'ChipCall', 'ChipCall', 'ChipCall',
+    ]);
+
+    expect(ast.parts.map(part => part.arguments[0].value.index)).toEqual([
+      0, 1, 2, 3, 0,
+    ]);
+
+    // Empty range.
+    expect(elaborator.elaborate(parser.parse(`
+      CHIP A { IN a; OUT b; PARTS: FOR i IN 1..0 { Not(in=a, out=b); } }
+    `)).parts).toEqual([]);
+
+    expect(() => elaborator.elaborate(parser.parse(`
+      CHIP B<i=1> { IN a; OUT b; PARTS: FOR i IN 0..1 { Not(in=a, out=b); } }
+    `))).toThrow(
+      '"B" chip: FOR variable "i" shadows a parameter, or an outer ' +
+      'FOR variable.'
+    );
+  });
+
+  it('evaluate', () => {
+    const {inputs: [{size}]} = parser.parse(`
+      CHIP A { IN a[(2 + X) * 3 - 1]; OUT out; }
+    `);
+
+    expect(elaborator.evaluate(size, {X: 2})).toBe(11);
+  });
+
+});
@@ -0,0 +1,158 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const BuiltInGate = require('../BuiltInGate');
+
+const {int16, int16Table} = require('../../../util/numbers');
+
+/**
+ * Canonical truth table for the `ALU` gate: all the 18
+ * functions of the Hack ALU on two pairs of the operands.
+ */
+const TRUTH_TABLE = int16Table([
+  // x = 0, y = -1
+  {x:  0, y: -1, zx: 1, nx: 0, zy: 1, ny: 0, f: 1, no: 0, out:   0, zr: 1, ng: 0}, // 0
+  {x:  0, y: -1, zx: 1, nx: 1, zy: 1, ny: 1, f: 1, no: 1, out:   1, zr: 0, ng: 0}, // 1
+  {x:  0, y: -1, zx: 1, nx: 1, zy: 1, ny: 0, f: 1, no: 0, out:  -1, zr: 0, ng: 1}, // -1
+  {x:  0, y: -1, zx: 0, nx: 0, zy: 1, ny: 1, f: 0, no: 0, out:   0, zr: 1, ng: 0}, // x
+  {x:  0, y: -1, zx: 1, nx: 1, zy: 0, ny: 0, f: 0, no: 0, out:  -1, zr: 0, ng: 1}, // y
+  {x:  0, y: -1, zx: 0, nx: 0, zy: 1, ny: 1, f: 0, no: 1, out:  -1, zr: 0, ng: 1}, // !x
+  {x:  0, y: -1, zx: 1, nx: 1, zy: 0, ny: 0, f: 0, no: 1, out:   0, zr: 1, ng: 0}, // !y
+  {x:  0, y: -1, zx: 0, nx: 0, zy: 1, ny: 1, f: 1, no: 1, out:   0, zr: 1, ng: 0}, // -x
+  {x:  0, y: -1, zx: 1, nx: 1, zy: 0, ny: 0, f: 1, no: 1, out:   1, zr: 0, ng: 0}, // -y
+  {x:  0, y: -1, zx: 0, nx: 1, zy: 1, ny: 1, f: 1, no: 1, out:   1, zr: 0, ng: 0}, // x+1
+  {x:  0, y: -1, zx: 1, nx: 1, zy: 0, ny: 1, f: 1, no: 1, out:   0, zr: 1, ng: 0}, // y+1
+  {x:  0, y: -1, zx: 0, nx: 0, zy: 1, ny: 1, f: 1, no: 0, out:  -1, zr: 0, ng: 1}, // x-1
+  {x:  0, y: -1, zx: 1, nx: 1, zy: 0, ny: 0, f: 1, no: 0, out:  -2, zr: 0, ng: 1}, // y-1
+  {x:  0, y: -1, zx: 0, nx: 0, zy: 0, ny: 0, f: 1, no: 0, out:  -1, zr: 0, ng: 1}, // x+y
+  {x:  0, y: -1, zx: 0, nx: 1, zy: 0, ny: 0, f: 1, no: 1, out:   1, zr: 0, ng: 0}, // x-y
+  {x:  0, y: -1, zx: 0, nx: 0, zy: 0, ny: 1, f: 1, no: 1, out:  -1, zr: 0, ng: 1}, // y-x
+  {x:  0, y: -1, zx: 0, nx: 0, zy: 0, ny: 0, f: 0, no: 0, out:   0, zr: 1, ng: 0}, // x&y
+  {x:  0, y: -1, zx: 0, nx: 1, zy: 0, ny: 1, f: 0, no: 1, out:  -1, zr: 0, ng: 1}, // x|y
+
+  // x = 17, y = 3
+  {x: 17, y:  3, zx: 1, nx: 0, zy: 1, ny: 0, f: 1, no: 0, out:   0, zr: 1, ng: 0}, // 0
+  {x: 17, y:  3, zx: 1, nx: 1, zy: 1, ny: 1, f: 1, no: 1, out:   1, zr: 0, ng: 0}, // 1
+  {x: 17, y:  3, zx: 1, nx: 1, zy: 1, ny: 0, f: 1, no: 0, out:  -1, zr: 0, ng: 1}, // -1
+  {x: 17, y:  3, zx: 0, nx: 0, zy: 1, ny: 1, f: 0, no: 0, out:  17, zr: 0, ng: 0}, // x
+  {x: 17, y:  3, zx: 1, nx: 1, zy: 0, ny: 0, f: 0, no: 0, out:   3, zr: 0, ng: 0}, // y
+  {x: 17, y:  3, zx: 0, nx: 0, zy: 1, ny: 1, f: 0, no: 1, out: -18, zr: 0, ng: 1}, // !x
+  {x: 17, y:  3, zx: 1, nx: 1, zy: 0, ny: 0, f: 0, no: 1, out:  -4, zr: 0, ng: 1}, // !y
+  {x: 17, y:  3, zx: 0, nx: 0, zy: 1, ny: 1, f: 1, no: 1, out: -17, zr: 0, ng: 1}, // -x
+  {x: 17, y:  3, zx: 1, nx: 1, zy: 0, ny: 0, f: 1, no: 1, out:  -3, zr: 0, ng: 1}, // -y
+  {x: 17, y:  3, zx: 0, nx: 1, zy: 1, ny: 1, f: 1, no: 1, out:  18, zr: 0, ng: 0}, // x+1
+  {x: 17, y:  3, zx: 1, nx: 1, zy: 0, ny: 1, f: 1, no: 1, out:   4, zr: 0, ng: 0}, // y+1
+  {x: 17, y:  3, zx: 0, nx: 0, zy: 1, ny: 1, f: 1, no: 0, out:  16, zr: 0, ng: 0}, // x-1
+  {x: 17, y:  3, zx: 1, nx: 1, zy: 0, ny: 0, f: 1, no: 0, out:   2, zr: 0, ng: 0}, // y-1
+  {x: 17, y:  3, zx: 0, nx: 0, zy: 0, ny: 0, f: 1, no: 0, out:  20, zr: 0, ng: 0}, // x+y
+  {x: 17, y:  3, zx: 0, nx: 1, zy: 0, ny: 0, f: 1, no: 1, out:  14, zr: 0, ng: 0}, // x-y
+  {x: 17, y:  3, zx: 0, nx: 0, zy: 0, ny: 1, f: 1, no: 1, out: -14, zr: 0, ng: 1}, // y-x
+  {x: 17, y:  3, zx: 0, nx: 0, zy: 0, ny: 0, f: 0, no: 0, out:   1, zr: 0, ng: 0}, // x&y
+  {x: 17, y:  3, zx: 0, nx: 1, zy: 0, ny: 1, f: 0, no: 1, out:  19, zr: 0, ng: 0}, // x|y
+]);
+
+/**
+ * The Hack arithmetic-logic unit: computes one of the 18 functions
+ * of the `x`, and `y`, selected by the control bits.
+ */
+class ALU extends BuiltInGate {
+  /**
+   * IN x[16], y[16], zx, nx, zy, ny, f, no;
+   * OUT out[16], zr, ng;
+   *
+   * Abstract:
+   *
+   *   Mux16(a=x, b=false, sel=zx, out=x1);
+   *   Not16(in=x1, out=notx1);
+   *   Mux16(a=x1, b=notx1, sel=nx, out=x2);
+   *   ...
+   *   Add16(a=x2, b=y2, out=sum);
+   *   And16(a=x2, b=y2, out=and);
+   *   Mux16(a=and, b=sum, sel=f, out=fxy);
+   *   ...
+   *
+   * Technically use JS operators on 16-bit values.
+   */
+  eval() {
+    const [xIn, yIn, zx, nx, zy, ny, f, no] = this.getInputPins()
+      .map(pin => pin.getValue());
+
+    let x = zx ? 0 : xIn;
+    let y = zy ? 0 : yIn;
+
+    if (nx) {
+      x = ~x;
+    }
+
+    if (ny) {
+      y = ~y;
+    }
+
+    let out = f ? x + y : x & y;
+
+    if (no) {
+      out = ~out;
+    }
+
+    out = int16(out);
+
+    const [outPin, zr, ng] = this.getOutputPins();
+
+    outPin.setValue(out);
+    zr.setValue(out === 0 ? 1 : 0);
+    ng.setValue(out < 0 ? 1 : 0);
+  }
+}
+
+/**
+ * Specification of the `ALU` gate.
+ */
+ALU.Spec = {
+  description:
+`
+The Hack ALU: computes out = f(x, y), where f is one of the
+18 functions, selected by the control bits:
+
+  zx: x = 0           zy: y = 0
+  nx: x = !x          ny: y = !y
+
+   f: out = x + y, otherwise, out = x & y
+  no: out = !out
+
+The status outputs:
+
+  zr: 1, if out = 0
+  ng: 1, if out < 0
+
+The functions: 0, 1, -1, x, y, !x, !y, -x, -y, x+1, y+1,
+x-1, y-1, x+y, x-y, y-x, x&y, x|y.
+`,
+
+  inputPins: [
+    // 16-bit operands.
+    {name: 'x', size: 16},
+    {name: 'y', size: 16},
+
+    // Control bits.
+    {name: 'zx', size: 1},
+    {name: 'nx', size: 1},
+    {name: 'zy', size: 1},
+    {name: 'ny', size: 1},
+    {name: 'f', size: 1},
+    {name: 'no', size: 1},
+  ],
+
+  outputPins: [
+    {name: 'out', size: 16},
+    {name: 'zr', size: 1},
+    {name: 'ng', size: 1},
+  ],
+
+  truthTable: TRUTH_TABLE,
+};
+
+module.exports = ALU;
@@ -45,7 +45,7 @@ class Bit extends BuiltInGate {
     /**
      * The state (0/1) of the bit.
      */
-    this._state = 0;
+    this._state = BuiltInGate.getPowerOnValue(1);
   }
 
   /**
@@ -60,6 +60,17 @@ class Bit extends BuiltInGate {
     }
   }
 
+  /**
+   * The state may change, and is replaced, if the `load` is set.
+   */
+  loadsState() {
+    return this.getInputPins()[1].getLogicValue() !== '0';
+  }
+
+  replacesState() {
+    return this.getInputPins()[1].getLogicValue() === '1';
+  }
+
   /**
    * On the falling edge Bit propagates the state
    * to the output pin.
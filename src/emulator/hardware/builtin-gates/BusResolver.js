@@ -0,0 +1,156 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const BuiltInGate = require('../BuiltInGate');
+const Pin = require('../Pin');
+
+const {int16Table} = require('../../../util/numbers');
+
+/**
+ * Canonical truth table for the `BusResolver` gate (in the binary
+ * mode, where the bus is a wired Or of the drivers).
+ */
+const TRUTH_TABLE = int16Table([
+  {a: 0b0000000000000000, b: 0b0000000000000000, out: 0b0000000000000000, conflict: 0},
+  {a: 0b0001001000110100, b: 0b0000000000000000, out: 0b0001001000110100, conflict: 0},
+  {a: 0b0000000000000000, b: 0b0000111100001111, out: 0b0000111100001111, conflict: 0},
+  {a: 0b0000000011111111, b: 0b1111111100000000, out: 0b1111111111111111, conflict: 1},
+]);
+
+/**
+ * Resolves a 16-bit bus, shared by two drivers
+ * (usually, the `TriState16` buffers).
+ */
+class BusResolver extends BuiltInGate {
+  /**
+   * IN a[16], b[16];
+   * OUT out[16], conflict;
+   *
+   * For each bit: a driven bit (0, 1, or X) wins over the Z, and
+   * the same values are kept. If two drivers fight (one drives 0,
+   * and the other 1), the bit is X, and the `conflict` is 1; if
+   * a driver is X, the conflict is X (unless there is a fight).
+   *
+   * In the binary mode the bus is a wired Or. A disabled driver
+   * outputs 0, so the conflict is detected, when both drivers
+   * are non-zero, and different.
+   *
+   * In the strict mode (see `Pin.setStrictMode`) a fight
+   * is also warned about, or throws.
+   */
+  eval() {
+    const [a, b] = this.getInputPins();
+    const [out, conflict] = this.getOutputPins();
+
+    if (Pin.getLogicMode() !== 'four-valued') {
+      const aValue = a.getValue();
+      const bValue = b.getValue();
+
+      const isFight = aValue !== 0 && bValue !== 0 && aValue !== bValue;
+
+      if (isFight) {
+        this._reportFight();
+      }
+
+      out.setValue(aValue | bValue);
+      conflict.setValue(isFight ? 1 : 0);
+      return;
+    }
+
+    const aBits = a.getLogicValue();
+    const bBits = b.getLogicValue();
+
+    let isFight = false;
+    let isUnknown = false;
+
+    const bits = aBits.split('').map((aBit, index) => {
+      const bBit = bBits[index];
+
+      if (aBit === 'Z' || (aBit === bBit && aBit !== 'X')) {
+        return bBit;
+      }
+
+      if (bBit === 'Z') {
+        return aBit;
+      }
+
+      if (aBit === 'X' || bBit === 'X') {
+        isUnknown = true;
+      } else {
+        isFight = true;
+      }
+
+      return 'X';
+    });
+
+    if (isFight) {
+      this._reportFight();
+    }
+
+    out.setValue(bits.join(''));
+    conflict.setValue(isFight ? 1 : (isUnknown ? 'X' : 0));
+  }
+
+  /**
+   * Throws, or warns in the strict mode, if the drivers fight.
+   */
+  _reportFight() {
+    const strictMode = Pin.getStrictMode();
+
+    if (strictMode === 'off') {
+      return;
+    }
+
+    const [a, b] = this.getInputPins();
+
+    const message =
+      `Chip "${this.getClass().name}": the drivers fight, "a" is ` +
+      `${a.getLogicValue()}, and "b" is ${b.getLogicValue()}.`;
+
+    if (strictMode === 'error') {
+      throw new Error(message);
+    }
+
+    console.warn(message);
+  }
+
+  /**
+   * Resolves the X, and Z values itself.
+   */
+  static isFourValued() {
+    return true;
+  }
+}
+
+/**
+ * Specification of the `BusResolver` gate.
+ */
+BusResolver.Spec = {
+  description: [
+    'Resolves a 16-bit bus shared by two drivers (e.g. TriState16).',
+    '',
+    'A driven bit wins over the high impedance (Z). If the drivers',
+    'fight (0, and 1), the bit is X, and the conflict is 1.',
+    '',
+    'In the binary mode the bus is a wired Or, and the conflict',
+    'is 1, when both drivers are non-zero, and different.',
+  ].join('\n'),
+
+  inputPins: [
+    {name: 'a', size: 16},
+    {name: 'b', size: 16},
+  ],
+
+  outputPins: [
+    {name: 'out', size: 16},
+    {name: 'conflict', size: 1},
+  ],
+
+  truthTable: TRUTH_TABLE,
+};
+
+module.exports = BusResolver;
@@ -0,0 +1,408 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const colors = require('colors');
+const BuiltInGate = require('../BuiltInGate');
+const Gate = require('../Gate');
+const Pin = require('../Pin');
+
+const ALU = require('./ALU');
+const ARegister = require('./ARegister');
+const DRegister = require('./DRegister');
+const PC = require('./PC');
+
+const {int16Table} = require('../../../util/numbers');
+
+/**
+ * Canonical truth table for the `CPU` gate: a short program.
+ */
+const TRUTH_TABLE = int16Table([
+  {$clock:  -0, inM:     0, instruction: 0b0000000000000000, reset: 0, ARegister:     0, DRegister:     0, PC:  0, outM:     0, writeM: 0, addressM:     0, pc:  0},
+
+  // @12345
+  {$clock:  +0, inM:     0, instruction: 0b0011000000111001, reset: 0, ARegister:     0, DRegister:     0, PC:  0, outM:     0, writeM: 0, addressM:     0, pc:  0},
+  {$clock:  -1, inM:     0, instruction: 0b0011000000111001, reset: 0, ARegister: 12345, DRegister:     0, PC:  1, outM:     0, writeM: 0, addressM: 12345, pc:  1},
+
+  // D=A
+  {$clock:  +1, inM:     0, instruction: 0b1110110000010000, reset: 0, ARegister: 12345, DRegister:     0, PC:  1, outM: 12345, writeM: 0, addressM: 12345, pc:  1},
+  {$clock:  -2, inM:     0, instruction: 0b1110110000010000, reset: 0, ARegister: 12345, DRegister: 12345, PC:  2, outM: 12345, writeM: 0, addressM: 12345, pc:  2},
+
+  // @23456
+  {$clock:  +2, inM:     0, instruction: 0b0101101110100000, reset: 0, ARegister: 12345, DRegister: 12345, PC:  2, outM:     0, writeM: 0, addressM: 12345, pc:  2},
+  {$clock:  -3, inM:     0, instruction: 0b0101101110100000, reset: 0, ARegister: 23456, DRegister: 12345, PC:  3, outM:     0, writeM: 0, addressM: 23456, pc:  3},
+
+  // D=A-D
+  {$clock:  +3, inM:     0, instruction: 0b1110000111010000, reset: 0, ARegister: 23456, DRegister: 12345, PC:  3, outM: 11111, writeM: 0, addressM: 23456, pc:  3},
+  {$clock:  -4, inM:     0, instruction: 0b1110000111010000, reset: 0, ARegister: 23456, DRegister: 11111, PC:  4, outM: 12345, writeM: 0, addressM: 23456, pc:  4},
+
+  // @1000
+  {$clock:  +4, inM:     0, instruction: 0b0000001111101000, reset: 0, ARegister: 23456, DRegister: 11111, PC:  4, outM:     0, writeM: 0, addressM: 23456, pc:  4},
+  {$clock:  -5, inM:     0, instruction: 0b0000001111101000, reset: 0, ARegister:  1000, DRegister: 11111, PC:  5, outM:     0, writeM: 0, addressM:  1000, pc:  5},
+
+  // M=D
+  {$clock:  +5, inM:     0, instruction: 0b1110001100001000, reset: 0, ARegister:  1000, DRegister: 11111, PC:  5, outM: 11111, writeM: 1, addressM:  1000, pc:  5},
+  {$clock:  -6, inM:     0, instruction: 0b1110001100001000, reset: 0, ARegister:  1000, DRegister: 11111, PC:  6, outM: 11111, writeM: 1, addressM:  1000, pc:  6},
+
+  // MD=M-1
+  {$clock:  +6, inM: 11111, instruction: 0b1111110010011000, reset: 0, ARegister:  1000, DRegister: 11111, PC:  6, outM: 11110, writeM: 1, addressM:  1000, pc:  6},
+  {$clock:  -7, inM: 11111, instruction: 0b1111110010011000, reset: 0, ARegister:  1000, DRegister: 11110, PC:  7, outM: 11110, writeM: 1, addressM:  1000, pc:  7},
+
+  // @14
+  {$clock:  +7, inM:     0, instruction: 0b0000000000001110, reset: 0, ARegister:  1000, DRegister: 11110, PC:  7, outM:     0, writeM: 0, addressM:  1000, pc:  7},
+  {$clock:  -8, inM:     0, instruction: 0b0000000000001110, reset: 0, ARegister:    14, DRegister: 11110, PC:  8, outM:     0, writeM: 0, addressM:    14, pc:  8},
+
+  // D;JGT
+  {$clock:  +8, inM:     0, instruction: 0b1110001100000001, reset: 0, ARegister:    14, DRegister: 11110, PC:  8, outM: 11110, writeM: 0, addressM:    14, pc:  8},
+  {$clock:  -9, inM:     0, instruction: 0b1110001100000001, reset: 0, ARegister:    14, DRegister: 11110, PC: 14, outM: 11110, writeM: 0, addressM:    14, pc: 14},
+
+  // 0;JMP, and reset
+  {$clock:  +9, inM:     0, instruction: 0b1110101010000111, reset: 1, ARegister:    14, DRegister: 11110, PC: 14, outM:     0, writeM: 0, addressM:    14, pc: 14},
+  {$clock: -10, inM:     0, instruction: 0b1110101010000111, reset: 1, ARegister:    14, DRegister: 11110, PC:  0, outM:     0, writeM: 0, addressM:    14, pc:  0},
+
+  // A=D+1
+  {$clock: +10, inM:     0, instruction: 0b1110011111100000, reset: 0, ARegister:    14, DRegister: 11110, PC:  0, outM: 11111, writeM: 0, addressM:    14, pc:  0},
+  {$clock: -11, inM:     0, instruction: 0b1110011111100000, reset: 0, ARegister: 11111, DRegister: 11110, PC:  1, outM: 11111, writeM: 0, addressM: 11111, pc:  1},
+]);
+
+/**
+ * The Hack CPU: executes the A-, and C-instructions, using
+ * the built-in `ALU`, `ARegister`, `DRegister`, and `PC`.
+ *
+ * The registers are inspectable as the `ARegister`, `DRegister`,
+ * and `PC` internal pins (e.g. `output-list DRegister%D1.6.1` in
+ * a test script), and as the gates: `getARegister()`, etc.
+ *
+ * Abstract:
+ *
+ *   IN inM[16], instruction[16], reset;
+ *   OUT outM[16], writeM, addressM[15], pc[15];
+ *
+ *   Mux16(a=instruction, b=aluOut, sel=instruction[15], out=aIn);
+ *   ARegister(in=aIn, load=loadA, out=a, out[0..14]=addressM);
+ *   DRegister(in=aluOut, load=loadD, out=d);
+ *   Mux16(a=a, b=inM, sel=instruction[12], out=am);
+ *   ALU(x=d, y=am, zx=instruction[11], ..., out=aluOut, out=outM, ...);
+ *   PC(in=a, load=jump, inc=true, reset=reset, out[0..14]=pc);
+ *   ...
+ *
+ * In the four-valued mode the unknown values are propagated
+ * by the registers, and the ALU.
+ */
+class CPU extends BuiltInGate {
+  /**
+   * Creates the registers, and the ALU, which are driven by
+   * this gate, rather than by the clock.
+   */
+  constructor(options) {
+    super(options);
+
+    this._internalPins = Gate.toPins(
+      options.internalPins || CPU.Spec.internalPins
+    );
+
+    // Rebuild map to consider internal pins.
+    this._buildNamesToPinsMap();
+
+    const gateOptions = {
+      clock: this._clock,
+      clocks: this._clocks,
+    };
+
+    this._aRegister = ARegister.defaultFromSpec(gateOptions);
+    this._dRegister = DRegister.defaultFromSpec(gateOptions);
+    this._pc = PC.defaultFromSpec(gateOptions);
+    this._alu = ALU.defaultFromSpec();
+
+    this._getRegisters().forEach(gate => gate._unsubscribeFromClock());
+
+    // Show the power-on state of the registers.
+    this._outputState(this.getPin(Pin.CLOCK).getValue());
+  }
+
+  /**
+   * CPU is a sequential gate.
+   */
+  static isClocked() {
+    return true;
+  }
+
+  /**
+   * The X values are propagated by the parts.
+   */
+  static isFourValued() {
+    return true;
+  }
+
+  /**
+   * Returns internal pins of this gate.
+   */
+  getInternalPins() {
+    return this._internalPins;
+  }
+
+  /**
+   * Returns the A register.
+   */
+  getARegister() {
+    return this._aRegister;
+  }
+
+  /**
+   * Returns the D register.
+   */
+  getDRegister() {
+    return this._dRegister;
+  }
+
+  /**
+   * Returns the program counter.
+   */
+  getPC() {
+    return this._pc;
+  }
+
+  /**
+   * Returns the parts of this gate.
+   */
+  getParts() {
+    return [...this._getRegisters(), this._alu];
+  }
+
+  _getRegisters() {
+    return [this._aRegister, this._dRegister, this._pc];
+  }
+
+  /**
+   * Disposes this gate, and its parts.
+   */
+  dispose() {
+    this._getRegisters().forEach(gate => gate.dispose());
+    this._alu.dispose();
+    return super.dispose();
+  }
+
+  /**
+   * Resets the registers.
+   */
+  _resetState() {
+    this._getRegisters().forEach(gate => gate._resetState());
+    super._resetState();
+    this.eval();
+  }
+
+  /**
+   * Decodes the current instruction: computes the `outM`, and
+   * the `writeM`, and sets the inputs of the registers, which
+   * are loaded on the rising edge.
+   */
+  eval() {
+    this._decode();
+
+    const reset = this.getInputPins()[2];
+    const [pcIn, loadPC, , resetPC] = this._pc.getInputPins();
+
+    resetPC.setValue(reset.getReadableValue());
+
+    // On reset the PC is 0, whatever the A (which may be unknown) is.
+    if (reset.getLogicValue() === '1') {
+      pcIn.setValue(0);
+      loadPC.setValue(0);
+    }
+  }
+
+  /**
+   * Sets the `outM`, the `writeM`, and the inputs of the registers
+   * from the instruction, and the current values of the registers.
+   */
+  _decode() {
+    const [inM, instruction] = this.getInputPins();
+    const [outM, writeM] = this.getOutputPins();
+
+    const aOut = this._aRegister.getOutputPins()[0];
+    const dOut = this._dRegister.getOutputPins()[0];
+
+    const [aIn, loadA] = this._aRegister.getInputPins();
+    const [dIn, loadD] = this._dRegister.getInputPins();
+    const [pcIn, loadPC, inc] = this._pc.getInputPins();
+
+    pcIn.setValue(aOut.getReadableValue());
+    inc.setValue(1);
+
+    // The unknown instruction makes all the registers unknown.
+    if (!instruction.isKnown()) {
+      [outM, writeM, aIn, loadA, dIn, loadD, loadPC].forEach(pin => {
+        pin.setValue('X');
+      });
+      return;
+    }
+
+    const code = instruction.getValue();
+    const bit = index => (code >> index) & 1;
+
+    // A-instruction: @value.
+    if (bit(15) === 0) {
+      outM.setValue(0);
+      writeM.setValue(0);
+      aIn.setValue(code);
+      loadA.setValue(1);
+      loadD.setValue(0);
+      loadPC.setValue(0);
+      return;
+    }
+
+    // C-instruction: dest=comp;jump. The operands, zeroed by
+    // the ALU, don't make the result unknown.
+    this._alu.setPinValues({
+      x: bit(11) ? 0 : dOut.getReadableValue(),
+      y: bit(9) ? 0 : (bit(12) ? inM : aOut).getReadableValue(),
+      zx: bit(11),
+      nx: bit(10),
+      zy: bit(9),
+      ny: bit(8),
+      f: bit(7),
+      no: bit(6),
+    });
+    this._alu.eval();
+
+    const [aluOut, zr, ng] = this._alu.getOutputPins();
+    const result = aluOut.getReadableValue();
+
+    outM.setValue(result);
+    writeM.setValue(bit(3));
+
+    aIn.setValue(result);
+    loadA.setValue(bit(5));
+    dIn.setValue(result);
+    loadD.setValue(bit(4));
+
+    if (!zr.isKnown() || !ng.isKnown()) {
+      loadPC.setValue(code & 0b111 ? 'X' : 0);
+      return;
+    }
+
+    const isZero = zr.getValue() === 1;
+    const isNegative = ng.getValue() === 1;
+
+    const jump =
+      (bit(2) && isNegative) ||
+      (bit(1) && isZero) ||
+      (bit(0) && !isNegative && !isZero);
+
+    loadPC.setValue(jump ? 1 : 0);
+  }
+
+  /**
+   * On the rising edge the registers load the inputs.
+   */
+  clockUp(clockValue) {
+    this._getRegisters().forEach(gate => {
+      gate.getPin(Pin.CLOCK).setValue(clockValue);
+      gate.clockUp(clockValue);
+    });
+  }
+
+  /**
+   * On the falling edge the registers propagate the state
+   * to the internal pins, and the `addressM`, and `pc`.
+   */
+  clockDown(clockValue) {
+    this._getRegisters().forEach(gate => {
+      gate.getPin(Pin.CLOCK).setValue(clockValue);
+      gate.clockDown(clockValue);
+    });
+    this._outputRegisters();
+  }
+
+  /**
+   * Propagates the outputs of the registers.
+   */
+  _outputRegisters() {
+    const [aPin, dPin, pcPin] = this._internalPins;
+    const [, , addressM, pc] = this.getOutputPins();
+
+    const aOut = this._aRegister.getOutputPins()[0];
+    const dOut = this._dRegister.getOutputPins()[0];
+    const pcOut = this._pc.getOutputPins()[0];
+
+    aPin.setValue(aOut.getReadableValue());
+    dPin.setValue(dOut.getReadableValue());
+    pcPin.setValue(pcOut.getReadableValue());
+
+    addressM.setValue(readAddress(aOut));
+    pc.setValue(readAddress(pcOut));
+  }
+}
+
+/**
+ * Reads the lower 15 bits of a register.
+ */
+function readAddress(pin) {
+  return pin.isKnown()
+    ? pin.getValue() & 0x7FFF
+    : pin.getLogicSlice(0, 14);
+}
+
+/**
+ * Specification of the `CPU` gate.
+ */
+CPU.Spec = {
+  description:
+`
+The Hack CPU: executes the current \`instruction\`, and
+fetches the next one from the \`pc\` address.
+
+A-instruction (0vvvvvvvvvvvvvvv): @value
+
+  A = value
+
+C-instruction (111accccccdddjjj): dest=comp;jump
+
+  comp: the ALU function of D, and A (a=0), or M (a=1)
+  dest: A (d1), D (d2), M (d3, writeM)
+  jump: if comp < 0 (j1), = 0 (j2), > 0 (j3), then PC = A
+
+The M is the \`inM\` value, the \`outM\` is written to the
+memory at the \`addressM\`, when the \`writeM\` is set.
+
+Clock rising edge the registers load the values:
+
+  ${colors.bold('↗')} : A, D = comp, or A = value
+      PC = 0, when ${colors.bold('reset')}
+           A, when jump
+          +1, otherwise
+
+Clock falling edge propagates the registers to the outputs:
+
+  ${colors.bold('↘')} : addressM = A, pc = PC
+
+The registers are shown as the ARegister, DRegister,
+and PC internal pins.
+`,
+
+  inputPins: [
+    {name: 'inM', size: 16},
+    {name: 'instruction', size: 16},
+    {name: 'reset', size: 1},
+  ],
+
+  internalPins: [
+    {name: 'ARegister', size: 16},
+    {name: 'DRegister', size: 16},
+    {name: 'PC', size: 16},
+  ],
+
+  outputPins: [
+    {name: 'outM', size: 16},
+    {name: 'writeM', size: 1},
+    {name: 'addressM', size: 15},
+    {name: 'pc', size: 15},
+  ],
+
+  truthTable: TRUTH_TABLE,
+};
+
+module.exports = CPU;
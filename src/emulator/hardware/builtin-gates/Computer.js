@@ -0,0 +1,275 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const colors = require('colors');
+const BuiltInGate = require('../BuiltInGate');
+const Gate = require('../Gate');
+const Pin = require('../Pin');
+
+const CPU = require('./CPU');
+const Memory = require('./Memory');
+const ROM32K = require('./ROM32K');
+
+const {int16Table} = require('../../../util/numbers');
+
+/**
+ * Canonical truth table for the `Computer` gate: the empty
+ * ROM (all the instructions are @0), and the reset.
+ */
+const TRUTH_TABLE = int16Table([
+  {$clock: -0, reset: 0, instruction: 0, inM: 0, outM: 0, writeM: 0, addressM: 0, pc: 0},
+
+  // @0, and PC++
+  {$clock: +0, reset: 0, instruction: 0, inM: 0, outM: 0, writeM: 0, addressM: 0, pc: 0},
+  {$clock: -1, reset: 0, instruction: 0, inM: 0, outM: 0, writeM: 0, addressM: 0, pc: 1},
+  {$clock: +1, reset: 0, instruction: 0, inM: 0, outM: 0, writeM: 0, addressM: 0, pc: 1},
+  {$clock: -2, reset: 0, instruction: 0, inM: 0, outM: 0, writeM: 0, addressM: 0, pc: 2},
+  {$clock: +2, reset: 0, instruction: 0, inM: 0, outM: 0, writeM: 0, addressM: 0, pc: 2},
+  {$clock: -3, reset: 0, instruction: 0, inM: 0, outM: 0, writeM: 0, addressM: 0, pc: 3},
+
+  // Reset
+  {$clock: +3, reset: 1, instruction: 0, inM: 0, outM: 0, writeM: 0, addressM: 0, pc: 3},
+  {$clock: -4, reset: 1, instruction: 0, inM: 0, outM: 0, writeM: 0, addressM: 0, pc: 0},
+
+  // @0, and PC++
+  {$clock: +4, reset: 0, instruction: 0, inM: 0, outM: 0, writeM: 0, addressM: 0, pc: 0},
+  {$clock: -5, reset: 0, instruction: 0, inM: 0, outM: 0, writeM: 0, addressM: 0, pc: 1},
+]);
+
+/**
+ * The Hack computer: the `CPU` executes the program from the `ROM32K`
+ * (see `ROM32K.setProgram`), reading, and writing the data `Memory`.
+ *
+ * The parts are available as the gates (`getCPU()`, `getMemory()`,
+ * and `getROM()`), and the wires between them as the internal pins.
+ *
+ * Abstract:
+ *
+ *   IN reset;
+ *
+ *   ROM32K(address=pc, out=instruction);
+ *   CPU(inM=inM, instruction=instruction, reset=reset, outM=outM,
+ *       writeM=writeM, addressM=addressM, pc=pc);
+ *   Memory(in=outM, load=writeM, address=addressM, out=inM);
+ */
+class Computer extends BuiltInGate {
+  /**
+   * Creates the parts, which are driven by this gate,
+   * rather than by the clock.
+   */
+  constructor(options) {
+    super(options);
+
+    this._internalPins = Gate.toPins(
+      options.internalPins || Computer.Spec.internalPins
+    );
+
+    // Rebuild map to consider internal pins.
+    this._buildNamesToPinsMap();
+
+    const gateOptions = {
+      clock: this._clock,
+      clocks: this._clocks,
+    };
+
+    this._rom = ROM32K.defaultFromSpec();
+    this._cpu = CPU.defaultFromSpec(gateOptions);
+    this._memory = Memory.defaultFromSpec(gateOptions);
+
+    this._cpu._unsubscribeFromClock();
+    this._memory._unsubscribeFromClock();
+  }
+
+  /**
+   * Computer is a sequential gate.
+   */
+  static isClocked() {
+    return true;
+  }
+
+  /**
+   * The X values are propagated by the parts.
+   */
+  static isFourValued() {
+    return true;
+  }
+
+  /**
+   * Returns internal pins of this gate.
+   */
+  getInternalPins() {
+    return this._internalPins;
+  }
+
+  /**
+   * Returns the parts of this gate.
+   */
+  getParts() {
+    return [this._rom, this._cpu, this._memory];
+  }
+
+  /**
+   * Returns the instruction memory.
+   */
+  getROM() {
+    return this._rom;
+  }
+
+  /**
+   * Returns the CPU.
+   */
+  getCPU() {
+    return this._cpu;
+  }
+
+  /**
+   * Returns the data memory.
+   */
+  getMemory() {
+    return this._memory;
+  }
+
+  /**
+   * Disposes this gate, and its parts.
+   */
+  dispose() {
+    this.getParts().forEach(gate => gate.dispose());
+    return super.dispose();
+  }
+
+  /**
+   * Resets the CPU, and the data memory; the ROM
+   * preserves the program.
+   */
+  _resetState() {
+    this.getParts().forEach(gate => gate._resetState());
+    super._resetState();
+    this.eval();
+  }
+
+  /**
+   * Fetches the instruction at the `pc`, and reads the data memory
+   * at the `addressM` for the CPU, which computes the value, and
+   * the address of the memory write.
+   */
+  eval() {
+    const reset = this.getInputPins()[0];
+
+    const [inM, instruction, cpuReset] = this._cpu.getInputPins();
+    const [outM, writeM, addressM, pc] = this._cpu.getOutputPins();
+
+    const [memoryIn, memoryLoad, memoryAddress] = this._memory.getInputPins();
+
+    this._rom.getInputPins()[0].setValue(pc.getReadableValue());
+    this._rom.eval();
+
+    // The memory is read at once (the output of the `Memory`
+    // is otherwise updated on the falling edge).
+    memoryAddress.setValue(addressM.getReadableValue());
+    this._driveClocked(this._memory, 'clockDown');
+
+    inM.setValue(this._memory.getOutputPins()[0].getReadableValue());
+    instruction.setValue(this._rom.getOutputPins()[0].getReadableValue());
+    cpuReset.setValue(reset.getReadableValue());
+    this._cpu.eval();
+
+    memoryIn.setValue(outM.getReadableValue());
+    memoryLoad.setValue(writeM.getReadableValue());
+
+    this._internalPins.forEach(pin => {
+      pin.setValue(this._getWire(pin.getName()).getReadableValue());
+    });
+  }
+
+  /**
+   * On the rising edge the CPU updates the registers, and
+   * the memory is written.
+   */
+  clockUp() {
+    this._driveClocked(this._cpu, 'clockUp');
+    this._driveClocked(this._memory, 'clockUp');
+  }
+
+  /**
+   * On the falling edge the CPU propagates the registers
+   * (see `eval` for the wires).
+   */
+  clockDown() {
+    this._driveClocked(this._cpu, 'clockDown');
+  }
+
+  /**
+   * Runs the clock handler of a part.
+   */
+  _driveClocked(gate, handler) {
+    const clockValue = this.getPin(Pin.CLOCK).getValue();
+
+    gate.getPin(Pin.CLOCK).setValue(clockValue);
+    gate[handler](clockValue);
+  }
+
+  /**
+   * Returns the pin of a part, connected to the internal pin.
+   */
+  _getWire(name) {
+    switch (name) {
+      case 'instruction':
+        return this._rom.getPin('out');
+      case 'inM':
+        return this._memory.getPin('out');
+      default:
+        return this._cpu.getPin(name);
+    }
+  }
+}
+
+/**
+ * Specification of the `Computer` gate.
+ */
+Computer.Spec = {
+  description:
+`
+The Hack computer: the CPU executes the program from the ROM32K,
+reading, and writing the data Memory.
+
+  instruction = ROM32K[pc]
+  inM = Memory[addressM]
+
+Clock rising edge the CPU executes the instruction:
+
+  ${colors.bold('↗')} : Memory[addressM] = outM, when writeM
+      A, D, PC are updated
+
+Clock falling edge the CPU propagates the registers:
+
+  ${colors.bold('↘')} : addressM = A, pc = PC
+
+When the reset is set, the program is executed from the start.
+
+The program is loaded to the ROM32K from a .hack file,
+see the --rom, and the --computer options of the CLI.
+`,
+
+  inputPins: [
+    {name: 'reset', size: 1},
+  ],
+
+  internalPins: [
+    {name: 'instruction', size: 16},
+    {name: 'inM', size: 16},
+    {name: 'outM', size: 16},
+    {name: 'writeM', size: 1},
+    {name: 'addressM', size: 15},
+    {name: 'pc', size: 15},
+  ],
+
+  outputPins: [],
+
+  truthTable: TRUTH_TABLE,
+};
+
+module.exports = Computer;
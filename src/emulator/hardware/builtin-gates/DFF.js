@@ -33,7 +33,7 @@ class DFF extends BuiltInGate {
     /**
      * The state (0/1) of the D-flip-flop.
      */
-    this._state = 0;
+    this._state = BuiltInGate.getPowerOnValue(1);
   }
 
   /**
@@ -44,6 +44,13 @@ class DFF extends BuiltInGate {
     this._state = this.getInputPins()[0].getValue();
   }
 
+  /**
+   * Any rising edge replaces the state.
+   */
+  replacesState() {
+    return true;
+  }
+
   /**
    * On the falling edge DFF propagates the state
    * to the output pin.
@@ -0,0 +1,73 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const BuiltInGate = require('../BuiltInGate');
+
+/**
+ * Canonical truth table for the `DLatch` gate. The rows are
+ * evaluated in order: with en=0 the output keeps the state.
+ */
+const TRUTH_TABLE = [
+  {d: 0, en: 0, q: 0},
+  {d: 1, en: 0, q: 0},
+  {d: 1, en: 1, q: 1},
+  {d: 0, en: 1, q: 0},
+  {d: 1, en: 1, q: 1},
+  {d: 0, en: 0, q: 1},
+  {d: 1, en: 0, q: 1},
+];
+
+/**
+ * Data latch: a level-sensitive 1-bit memory, which is transparent
+ * while enabled. Unlike the `DFF`, it's not clocked.
+ *
+ * Abstract:
+ *
+ *   IN d, en;
+ *   OUT q;
+ *
+ *   Not(in=d, out=nd);
+ *   And(a=d, b=en, out=s);
+ *   And(a=nd, b=en, out=r);
+ *   SRLatch(s=s, r=r, q=q);
+ */
+class DLatch extends BuiltInGate {
+  /**
+   * The state is kept in the output, which
+   * follows the `d` while the `en` is set.
+   */
+  eval() {
+    const d = this.getInputPins()[0].getValue();
+    const en = this.getInputPins()[1].getValue();
+
+    if (en === 1) {
+      this.getOutputPins()[0].setValue(d);
+    }
+  }
+}
+
+/**
+ * Specification of the `DLatch` gate.
+ */
+DLatch.Spec = {
+  description: [
+    'Data latch: a level-sensitive 1-bit memory.',
+    '',
+    'While the `en` is 1, the output follows the input;',
+    'when the `en` is 0, the state is kept:',
+    '',
+    '  q = d, if en == 1',
+    '  q is not changed, if en == 0',
+  ].join('\n'),
+
+  inputPins: ['d', 'en'],
+  outputPins: ['q'],
+
+  truthTable: TRUTH_TABLE,
+};
+
+module.exports = DLatch;
@@ -0,0 +1,153 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const BuiltInGate = require('../BuiltInGate');
+
+/**
+ * Canonical truth table for the `Keyboard` gate: no key is pressed.
+ */
+const TRUTH_TABLE = [
+  {out: 0},
+];
+
+/**
+ * Codes of the special keys of the Hack keyboard.
+ */
+const KEY_CODES = {
+  newline: 128,
+  backspace: 129,
+  left: 130,
+  up: 131,
+  right: 132,
+  down: 133,
+  home: 134,
+  end: 135,
+  pageUp: 136,
+  pageDown: 137,
+  insert: 138,
+  delete: 139,
+  escape: 140,
+  f1: 141,
+  f2: 142,
+  f3: 143,
+  f4: 144,
+  f5: 145,
+  f6: 146,
+  f7: 147,
+  f8: 148,
+  f9: 149,
+  f10: 150,
+  f11: 151,
+  f12: 152,
+};
+
+/**
+ * The memory map of the keyboard: the output is the code of the
+ * currently pressed key, or 0, if no key is pressed.
+ *
+ * The keys are pressed, and released with the `setKey`:
+ *
+ *   keyboard.setKey('a');      // 97
+ *   keyboard.setKey('up');     // 131
+ *   keyboard.setKey(0);        // released
+ */
+class Keyboard extends BuiltInGate {
+  init() {
+    /**
+     * The code of the pressed key.
+     */
+    this._key = 0;
+  }
+
+  /**
+   * Presses a key: a code, a character, or a name of a special key
+   * (see `Keyboard.KEY_CODES`). The 0 releases the key.
+   */
+  setKey(key) {
+    this._key = Keyboard.toKeyCode(key);
+    this.eval();
+    return this;
+  }
+
+  /**
+   * Returns the code of the pressed key, or 0.
+   */
+  getKey() {
+    return this._key;
+  }
+
+  /**
+   * Releases the key.
+   */
+  releaseKey() {
+    return this.setKey(0);
+  }
+
+  /**
+   * Returns the code of a key: a code, a character,
+   * or a name of a special key.
+   */
+  static toKeyCode(key) {
+    if (typeof key === 'string') {
+      if (KEY_CODES.hasOwnProperty(key)) {
+        return KEY_CODES[key];
+      }
+
+      if (key.length === 1) {
+        return key.charCodeAt(0);
+      }
+
+      throw new TypeError(
+        `Keyboard.setKey: unknown key "${key}", expected a character, ` +
+        `or ${Object.keys(KEY_CODES).join(', ')}.`
+      );
+    }
+
+    if (!Number.isInteger(key) || key < 0 || key > 0x7FFF) {
+      throw new RangeError(
+        `Keyboard.setKey: invalid key code ${key}, expected 0-32767.`
+      );
+    }
+
+    return key;
+  }
+
+  /**
+   * The output is the code of the pressed key.
+   */
+  eval() {
+    this.getOutputPins()[0].setValue(this._key);
+  }
+}
+
+Keyboard.KEY_CODES = KEY_CODES;
+
+/**
+ * Specification of the `Keyboard` gate.
+ */
+Keyboard.Spec = {
+  description: [
+    'The memory map of the keyboard.',
+    '',
+    'The output is the code of the pressed key, or 0, if no key is pressed.',
+    '',
+    'The codes of the printable characters are the ASCII codes; the codes',
+    'of the special keys: newline: 128, backspace: 129, left: 130, up: 131,',
+    'right: 132, down: 133, home: 134, end: 135, page up: 136, page down: 137,',
+    'insert: 138, delete: 139, escape: 140, f1-f12: 141-152.',
+  ].join('\n'),
+
+  inputPins: [],
+
+  outputPins: [
+    {name: 'out', size: 16},
+  ],
+
+  truthTable: TRUTH_TABLE,
+};
+
+module.exports = Keyboard;
@@ -0,0 +1,357 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const colors = require('colors');
+const BuiltInGate = require('../BuiltInGate');
+const Pin = require('../Pin');
+
+const Keyboard = require('./Keyboard');
+const RAM16K = require('./RAM16K');
+const Screen = require('./Screen');
+
+const {int16Table} = require('../../../util/numbers');
+
+/**
+ * The memory map: the base addresses of the screen, and the keyboard.
+ */
+const SCREEN = 0x4000;
+const KBD = 0x6000;
+
+/**
+ * The size of the address space (the 15-bit address).
+ */
+const ADDRESS_SPACE = 0x8000;
+
+/**
+ * Canonical truth table for the `Memory` gate.
+ */
+const TRUTH_TABLE = int16Table([
+  {$clock: -0, in: 0b0000000000000000, load: 0, address:     0, out: 0b0000000000000000},
+
+  // RAM16K
+  {$clock: +0, in: 0b0000000000010101, load: 1, address:     5, out: 0b0000000000000000},
+  {$clock: -1, in: 0b0000000000010101, load: 0, address:     5, out: 0b0000000000010101},
+
+  // Screen
+  {$clock: +1, in: 0b1111111111111111, load: 1, address: 16384, out: 0b0000000000010101},
+  {$clock: -2, in: 0b1111111111111111, load: 0, address: 16384, out: 0b1111111111111111},
+  {$clock: +2, in: 0b0000000000000011, load: 1, address: 24575, out: 0b1111111111111111},
+  {$clock: -3, in: 0b0000000000000011, load: 0, address: 24575, out: 0b0000000000000011},
+
+  // Keyboard (read-only)
+  {$clock: +3, in: 0b0000000000000111, load: 1, address: 24576, out: 0b0000000000000011},
+  {$clock: -4, in: 0b0000000000000111, load: 0, address: 24576, out: 0b0000000000000000},
+
+  // Invalid address: reads 0, writes are ignored
+  {$clock: +4, in: 0b0000000000000111, load: 1, address: 24577, out: 0b0000000000000000},
+  {$clock: -5, in: 0b0000000000000111, load: 0, address: 24577, out: 0b0000000000000000},
+
+  // RAM16K
+  {$clock: +5, in: 0b0000000000000000, load: 0, address:     5, out: 0b0000000000000000},
+  {$clock: -6, in: 0b0000000000000000, load: 0, address:     5, out: 0b0000000000010101},
+]);
+
+/**
+ * The memory of the Hack computer: the RAM16K, the screen,
+ * and the keyboard, mapped to the address space:
+ *
+ *   0x0000-0x3FFF: RAM16K
+ *   0x4000-0x5FFF: Screen
+ *   0x6000:        Keyboard (read-only)
+ *
+ * The invalid addresses (above 0x6000) are read as 0, and the
+ * writes to them are ignored.
+ *
+ * Abstract:
+ *
+ *  IN in[16], load, address[15];
+ *  OUT out[16];
+ *
+ *  DMux4Way(in=load, sel=address[13..14], a=loadA, b=loadB, c=loadS);
+ *  Or(a=loadA, b=loadB, out=loadRAM);
+ *  RAM16K(in=in, load=loadRAM, address=address[0..13], out=ram);
+ *  Screen(in=in, load=loadS, address=address[0..12], out=screen);
+ *  Keyboard(out=kbd);
+ *  ...
+ */
+class Memory extends BuiltInGate {
+  /**
+   * Creates the parts, which are driven by this gate,
+   * rather than by the clock.
+   */
+  constructor(options) {
+    super(options);
+
+    const gateOptions = {
+      clock: this._clock,
+      clocks: this._clocks,
+    };
+
+    this._ram = RAM16K.defaultFromSpec(gateOptions);
+    this._screen = Screen.defaultFromSpec(gateOptions);
+    this._keyboard = Keyboard.defaultFromSpec();
+
+    this._ram._unsubscribeFromClock();
+    this._screen._unsubscribeFromClock();
+  }
+
+  /**
+   * Memory is a sequential gate.
+   */
+  static isClocked() {
+    return true;
+  }
+
+  /**
+   * The power-on state of the memory is tracked by the parts.
+   */
+  _hasUnknownPowerOnState() {
+    return false;
+  }
+
+  /**
+   * Returns the parts of this gate.
+   */
+  getParts() {
+    return [this._ram, this._screen, this._keyboard];
+  }
+
+  /**
+   * Returns the RAM16K.
+   */
+  getRAM() {
+    return this._ram;
+  }
+
+  /**
+   * Returns the screen.
+   */
+  getScreen() {
+    return this._screen;
+  }
+
+  /**
+   * Returns the keyboard.
+   */
+  getKeyboard() {
+    return this._keyboard;
+  }
+
+  /**
+   * Returns the value at the address of the memory map; the invalid
+   * addresses (above the keyboard) are read as 0.
+   */
+  getValueAt(address) {
+    this._checkAddress(address);
+
+    if (address === KBD) {
+      return this._keyboard.getKey();
+    }
+
+    if (address > KBD) {
+      return 0;
+    }
+
+    const {part, offset} = this._route(address);
+    return part.getValueAt(offset);
+  }
+
+  /**
+   * Whether the value at the address is known: the words of the RAM16K,
+   * and the screen are unknown until written in the unknown power-on
+   * state (see `RAM.isKnownAt`).
+   */
+  isKnownAt(address) {
+    this._checkAddress(address);
+
+    if (address >= KBD) {
+      return true;
+    }
+
+    const {part, offset} = this._route(address);
+    return part.isKnownAt(offset);
+  }
+
+  /**
+   * Sets the value at the address of the RAM16K, or the screen;
+   * the writes to the invalid addresses are ignored.
+   */
+  setValueAt(address, value) {
+    this._checkAddress(address);
+
+    if (address === KBD) {
+      throw new TypeError(
+        `Chip "${this.getClass().name}": the keyboard (address ${KBD}) ` +
+        `is read-only.`
+      );
+    }
+
+    if (address > KBD) {
+      return value;
+    }
+
+    const {part, offset} = this._route(address);
+    return part.setValueAt(offset, value);
+  }
+
+  /**
+   * Disposes this gate, and its parts.
+   */
+  dispose() {
+    this.getParts().forEach(gate => gate.dispose());
+    return super.dispose();
+  }
+
+  /**
+   * Resets the parts.
+   */
+  _resetState() {
+    this.getParts().forEach(gate => gate._resetState());
+    super._resetState();
+  }
+
+  /**
+   * Checks address range.
+   */
+  _checkAddress(address) {
+    if (address < 0 || address > ADDRESS_SPACE - 1) {
+      throw new TypeError(
+        `Chip "${this.getClass().name}": invalid address ${address}, ` +
+        `while the size is ${ADDRESS_SPACE}.`
+      );
+    }
+    return address;
+  }
+
+  /**
+   * Returns the part (the RAM16K, or the screen), which
+   * keeps the address, and the address in the part.
+   */
+  _route(address) {
+    return address < SCREEN
+      ? {part: this._ram, offset: address}
+      : {part: this._screen, offset: address - SCREEN};
+  }
+
+  /**
+   * On rising edge the RAM16K, or the screen updates the value
+   * by the address, if the `load` is set.
+   */
+  clockUp(clockValue) {
+    const [inPin, loadPin, addressPin] = this.getInputPins();
+
+    const load = loadPin.getValue();
+    const address = addressPin.getValue();
+
+    [this._ram, this._screen].forEach(part => {
+      part.getInputPins()[1].setValue(0);
+    });
+
+    if (load && address < KBD) {
+      const {part, offset} = this._route(address);
+      const [partIn, partLoad, partAddress] = part.getInputPins();
+
+      partIn.setValue(inPin.getValue());
+      partLoad.setValue(1);
+      partAddress.setValue(offset);
+    }
+
+    [this._ram, this._screen].forEach(part => {
+      part.getPin(Pin.CLOCK).setValue(clockValue);
+      part.clockUp(clockValue);
+    });
+  }
+
+  /**
+   * The storage may change, if the `load` is set.
+   */
+  loadsState() {
+    return this.getInputPins()[1].getLogicValue() !== '0';
+  }
+
+  /**
+   * On the falling edge the value at the address
+   * is propagated to the output pin.
+   */
+  clockDown(clockValue) {
+    const addressPin = this.getInputPins()[2];
+    const outPin = this.getOutputPins()[0];
+
+    if (!addressPin.isKnown()) {
+      outPin.setValue('X');
+      return;
+    }
+
+    const address = addressPin.getValue();
+
+    if (address === KBD) {
+      outPin.setValue(this._keyboard.getKey());
+      return;
+    }
+
+    if (address > KBD) {
+      outPin.setValue(0);
+      return;
+    }
+
+    const {part, offset} = this._route(address);
+
+    part.getInputPins()[2].setValue(offset);
+    part.getPin(Pin.CLOCK).setValue(clockValue);
+    part.clockDown(clockValue);
+
+    outPin.setValue(part.getOutputPins()[0].getReadableValue());
+  }
+}
+
+/**
+ * Specification of the `Memory` gate.
+ */
+Memory.Spec = {
+  description: [
+    'The memory of the Hack computer: the RAM16K, the screen,',
+    'and the keyboard, mapped to the address space:',
+    '',
+    '  0x0000-0x3FFF (0-16383):     RAM16K',
+    '  0x4000-0x5FFF (16384-24575): Screen',
+    '  0x6000 (24576):              Keyboard (read-only)',
+    '',
+    'The invalid addresses (above 0x6000) are read as 0,',
+    'and the writes to them are ignored.',
+    '',
+    'If load[t]=1 then out[t+1] = in[t] else out does not change.',
+    '',
+    'Clock rising edge updates the value from the input by the address,',
+    'if the `load` is set; otherwise, preserves the state.',
+    '',
+    `  ${colors.bold('↗')} : value[address] = load ? in : value[address]`,
+    '',
+    'Clock falling edge propagates the value at the address to the output:',
+    '',
+    `  ${colors.bold('↘')} : out = value[address]`,
+  ].join('\n'),
+
+  inputPins: [
+    {name: 'in', size: 16},
+    {name: 'load', size: 1},
+    {name: 'address', size: 15},
+  ],
+
+  outputPins: [
+    {name: 'out', size: 16},
+  ],
+
+  truthTable: TRUTH_TABLE,
+};
+
+/**
+ * The base addresses of the screen, and the keyboard.
+ */
+Memory.SCREEN = SCREEN;
+Memory.KBD = KBD;
+
+module.exports = Memory;
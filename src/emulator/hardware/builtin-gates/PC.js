@@ -67,7 +67,7 @@ class PC extends BuiltInGate {
     /**
      * The 16-bit value of the PC register.
      */
-    this._value = 0;
+    this._value = BuiltInGate.getPowerOnValue(16);
   }
 
   /**
@@ -89,6 +89,20 @@ class PC extends BuiltInGate {
     }
   }
 
+  /**
+   * The state may change, if any of the control bits is set,
+   * and is replaced on the `reset`, or the `load`.
+   */
+  loadsState() {
+    const [, load, inc, reset] = this.getInputPins();
+    return [load, inc, reset].some(pin => pin.getLogicValue() !== '0');
+  }
+
+  replacesState() {
+    const [, load, , reset] = this.getInputPins();
+    return [load, reset].some(pin => pin.getLogicValue() === '1');
+  }
+
   /**
    * On the falling edge PC register propagates
    * the value to the output pin.
@@ -48,6 +48,37 @@ class RAM extends BuiltInGate {
     super(options);
     this._size = options.size || 8;
     this._storage = new Int16Array(this.getSize());
+
+    /**
+     * Four-valued mode: the flags of the words with the unknown
+     * power-on value (see `BuiltInGate.setPowerOnState`).
+     */
+    this._unknownWords = null;
+
+    this._initStorage();
+  }
+
+  /**
+   * Sets the power-on values of the words.
+   */
+  _initStorage() {
+    for (let address = 0; address < this._size; address++) {
+      this._storage[address] = BuiltInGate.getPowerOnValue(16);
+    }
+
+    const isUnknown = BuiltInGate.getPowerOnState() === 'unknown' &&
+      this._propagatesUnknown();
+
+    this._unknownWords = isUnknown
+      ? new Uint8Array(this._size).fill(1)
+      : null;
+  }
+
+  /**
+   * The power-on state of the RAM is tracked per word.
+   */
+  _hasUnknownPowerOnState() {
+    return false;
   }
 
   /**
@@ -82,7 +113,30 @@ class RAM extends BuiltInGate {
    * Returns values at address.
    */
   setValueAt(address, value) {
-    return this._storage[this._checkAddress(address)] = value;
+    this._checkAddress(address);
+
+    if (this._unknownWords) {
+      this._unknownWords[address] = 0;
+    }
+
+    return this._storage[address] = value;
+  }
+
+  /**
+   * Whether the value at address is known: with the unknown
+   * power-on state, the words are unknown until written.
+   */
+  isKnownAt(address) {
+    this._checkAddress(address);
+    return !this._unknownWords || !this._unknownWords[address];
+  }
+
+  /**
+   * Reset signal sets the power-on values of the storage.
+   */
+  _resetState() {
+    this._initStorage();
+    super._resetState();
   }
 
   /**
@@ -113,13 +167,32 @@ class RAM extends BuiltInGate {
     }
   }
 
+  /**
+   * The storage may change, if the `load` is set. A load
+   * never replaces the whole storage.
+   */
+  loadsState() {
+    return this.getInputPins()[1].getLogicValue() !== '0';
+  }
+
   /**
    * On the falling edge RAM propagates
    * the value to the output pin.
    */
   clockDown() {
-    const address = this.getInputPins()[2].getValue();
-    this.getOutputPins()[0].setValue(this._storage[address]);
+    const addressPin = this.getInputPins()[2];
+
+    // Four-valued mode: the value at an unknown address, or
+    // the power-on value of a word is unknown.
+    if (
+      !addressPin.isKnown() ||
+      (this._unknownWords && this._unknownWords[addressPin.getValue()])
+    ) {
+      this.getOutputPins()[0].setValue('X');
+      return;
+    }
+
+    this.getOutputPins()[0].setValue(this._storage[addressPin.getValue()]);
   }
 }
 
@@ -0,0 +1,202 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const fs = require('fs');
+const RAM = require('./RAM');
+
+const {int16, int16Table} = require('../../../util/numbers');
+
+/**
+ * Canonical truth table for the `ROM32K` gate (with no program loaded).
+ */
+const TRUTH_TABLE = int16Table([
+  {address:     0, out: 0b0000000000000000},
+  {address:     1, out: 0b0000000000000000},
+  {address: 32767, out: 0b0000000000000000},
+]);
+
+/**
+ * Number of the words in the ROM.
+ */
+const SIZE = 32 * 1024;
+
+/**
+ * The program loaded by the new instances (see `ROM32K.setProgram`).
+ */
+let defaultProgram = null;
+
+/**
+ * The instruction memory of the Hack computer: 32K read-only 16-bit
+ * registers. The output is the value at the address (a combinational
+ * read, there is no clock).
+ *
+ * The program is loaded from the `.hack` file (one 16-bit binary
+ * word per line):
+ *
+ *   rom.loadFile('Add.hack');
+ *
+ * or, for all the new instances (e.g. the parts of an HDL chip):
+ *
+ *   ROM32K.setProgram(ROM32K.parseFile('Add.hack'));
+ *
+ * The reset signal preserves the program.
+ */
+class ROM32K extends RAM {
+  constructor(options) {
+    super(Object.assign({size: SIZE}, options));
+
+    if (defaultProgram) {
+      this.loadProgram(defaultProgram);
+    }
+  }
+
+  /**
+   * ROM32K is a combinational gate.
+   */
+  static isClocked() {
+    return false;
+  }
+
+  /**
+   * The unknown address is handled by the gate itself.
+   */
+  static isFourValued() {
+    return true;
+  }
+
+  /**
+   * Sets the program (the words, or the source of a `.hack` file),
+   * loaded by the new instances; `null` for the empty ROM.
+   */
+  static setProgram(program) {
+    defaultProgram = typeof program === 'string'
+      ? ROM32K.parse(program)
+      : program;
+  }
+
+  /**
+   * Returns the program loaded by the new instances.
+   */
+  static getProgram() {
+    return defaultProgram;
+  }
+
+  /**
+   * Parses the source of a `.hack` file to the words. The blank
+   * lines are skipped; a malformed line, or a line beyond the size
+   * of the ROM throws a `SyntaxError` with its line number.
+   */
+  static parse(source) {
+    const words = [];
+
+    source.split(/\r?\n/).forEach((line, index) => {
+      const word = line.trim();
+
+      if (word === '') {
+        return;
+      }
+
+      if (!/^[01]{16}$/.test(word)) {
+        throw new SyntaxError(
+          `ROM32K: invalid word "${word}" at line ${index + 1}, ` +
+          `expected 16 binary digits.`
+        );
+      }
+
+      if (words.length === SIZE) {
+        throw new SyntaxError(
+          `ROM32K: the program is too long at line ${index + 1}, ` +
+          `expected at most ${SIZE} words.`
+        );
+      }
+
+      words.push(int16(parseInt(word, 2)));
+    });
+
+    return words;
+  }
+
+  /**
+   * Reads a `.hack` file, and parses it to the words.
+   */
+  static parseFile(fileName) {
+    return ROM32K.parse(fs.readFileSync(fileName, 'utf-8'));
+  }
+
+  /**
+   * Loads the program (the words, or the source of a `.hack` file),
+   * the rest of the ROM is cleared.
+   */
+  loadProgram(program) {
+    if (typeof program === 'string') {
+      program = ROM32K.parse(program);
+    }
+
+    this._storage.fill(0);
+    program.forEach((word, address) => this.setValueAt(address, word));
+
+    return this;
+  }
+
+  /**
+   * Reads a `.hack` file, and loads the program.
+   */
+  loadFile(fileName) {
+    return this.loadProgram(ROM32K.parseFile(fileName));
+  }
+
+  /**
+   * The contents of the ROM don't depend on the power-on state,
+   * and are preserved by the reset signal.
+   */
+  _initStorage() {
+    this._unknownWords = null;
+  }
+
+  /**
+   * The output is the value at the address.
+   */
+  eval() {
+    const addressPin = this.getInputPins()[0];
+    const outPin = this.getOutputPins()[0];
+
+    if (!addressPin.isKnown()) {
+      outPin.setValue('X');
+      return;
+    }
+
+    outPin.setValue(this.getValueAt(addressPin.getValue()));
+  }
+}
+
+/**
+ * Specification of the `ROM32K` gate.
+ */
+ROM32K.Spec = {
+  description: [
+    'Instruction memory: 32K read-only 16-bit registers.',
+    '',
+    'The output is the value at the address:',
+    '',
+    '  out = value[address]',
+    '',
+    'The program is loaded from a .hack file (one 16-bit binary word',
+    'per line), e.g. with the --rom option of the CLI.',
+  ].join('\n'),
+
+  inputPins: [
+    {name: 'address', size: 15},
+  ],
+
+  outputPins: [
+    {name: 'out', size: 16},
+  ],
+
+  truthTable: TRUTH_TABLE,
+};
+
+module.exports = ROM32K;
@@ -47,7 +47,7 @@ class Register extends BuiltInGate {
     /**
      * The 16-bit value of the register.
      */
-    this._value = 0;
+    this._value = BuiltInGate.getPowerOnValue(16);
   }
 
   /**
@@ -62,6 +62,17 @@ class Register extends BuiltInGate {
     }
   }
 
+  /**
+   * The state may change, and is replaced, if the `load` is set.
+   */
+  loadsState() {
+    return this.getInputPins()[1].getLogicValue() !== '0';
+  }
+
+  replacesState() {
+    return this.getInputPins()[1].getLogicValue() === '1';
+  }
+
   /**
    * On the falling edge Register propagates
    * the value to the output pin.
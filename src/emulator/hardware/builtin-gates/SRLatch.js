@@ -0,0 +1,96 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const BuiltInGate = require('../BuiltInGate');
+const Pin = require('../Pin');
+
+/**
+ * Canonical truth table for the `SRLatch` gate. The rows are
+ * evaluated in order: with s=r=0 the outputs keep the state.
+ */
+const TRUTH_TABLE = [
+  {s: 0, r: 0, q: 0, nq: 1},
+  {s: 1, r: 0, q: 1, nq: 0},
+  {s: 0, r: 0, q: 1, nq: 0},
+  {s: 0, r: 1, q: 0, nq: 1},
+  {s: 0, r: 0, q: 0, nq: 1},
+  {s: 1, r: 1, q: 1, nq: 1},
+  {s: 1, r: 0, q: 1, nq: 0},
+];
+
+/**
+ * Set-Reset latch: a level-sensitive 1-bit memory.
+ *
+ * Abstract (cross-coupled Nand gates):
+ *
+ *   IN s, r;
+ *   OUT q, nq;
+ *
+ *   Not(in=s, out=ns);
+ *   Not(in=r, out=nr);
+ *   Nand(a=ns, b=nq, out=q);
+ *   Nand(a=nr, b=q, out=nq);
+ */
+class SRLatch extends BuiltInGate {
+  /**
+   * The power-on state is reset (unknown in the four-valued mode).
+   */
+  init() {
+    const [q, nq] = this.getOutputPins();
+
+    if (Pin.getLogicMode() === 'four-valued') {
+      q.setValue('X');
+      nq.setValue('X');
+      return;
+    }
+
+    q.setValue(0);
+    nq.setValue(1);
+  }
+
+  /**
+   * The state is kept in the outputs, which change only
+   * while the `s`, or `r` is set.
+   */
+  eval() {
+    const s = this.getInputPins()[0].getValue();
+    const r = this.getInputPins()[1].getValue();
+
+    if (s === 0 && r === 0) {
+      return;
+    }
+
+    this.getOutputPins()[0].setValue(s);
+    this.getOutputPins()[1].setValue(r);
+  }
+}
+
+/**
+ * Specification of the `SRLatch` gate.
+ */
+SRLatch.Spec = {
+  description: [
+    'Set-Reset latch: a level-sensitive 1-bit memory.',
+    '',
+    'While the `s` (set) is 1, the state is 1; while the `r` (reset)',
+    'is 1, the state is 0; when both are 0, the state is kept:',
+    '',
+    '  q = 1, nq = 0, if s == 1, r == 0',
+    '  q = 0, nq = 1, if s == 0, r == 1',
+    '  q, nq are not changed, if s == 0, r == 0',
+    '',
+    'The forbidden s == 1, r == 1 sets both outputs to 1',
+    '(as the latch of the cross-coupled Nand gates).',
+  ].join('\n'),
+
+  inputPins: ['s', 'r'],
+  outputPins: ['q', 'nq'],
+
+  truthTable: TRUTH_TABLE,
+};
+
+module.exports = SRLatch;
@@ -0,0 +1,132 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const colors = require('colors');
+const RAM = require('./RAM');
+
+const {int16Table} = require('../../../util/numbers');
+
+/**
+ * Canonical truth table for the `Screen` gate.
+ */
+const TRUTH_TABLE = int16Table([
+  {$clock: -0, in: 0b0000000000000000, load: 0, address:    0, out: 0b0000000000000000},
+  {$clock: +0, in: 0b0000000000000001, load: 1, address:    0, out: 0b0000000000000000},
+  {$clock: -1, in: 0b0000000000000001, load: 0, address:    0, out: 0b0000000000000001},
+  {$clock: +1, in: 0b1000000000000000, load: 1, address: 8191, out: 0b0000000000000001},
+  {$clock: -2, in: 0b1000000000000000, load: 0, address: 8191, out: 0b1000000000000000},
+  {$clock: +2, in: 0b0000000000000000, load: 0, address:    0, out: 0b1000000000000000},
+  {$clock: -3, in: 0b0000000000000000, load: 0, address:    0, out: 0b0000000000000001},
+]);
+
+/**
+ * Number of the words in a row of pixels.
+ */
+const WORDS_PER_ROW = 32;
+
+/**
+ * The memory map of the 512x256 black-and-white screen: 8K 16-bit
+ * words, 32 words per row. The pixel (x, y) is the bit x % 16 of
+ * the word 32 * y + x / 16 (the bit 0 is the leftmost pixel),
+ * and 1 is black.
+ *
+ * Abstract:
+ *
+ *  IN in[16], load, address[13];
+ *  OUT out[16];
+ *
+ *  RAM4K(in=in, load=l1, address=address[0..11], out=r1);
+ *  RAM4K(in=in, load=l2, address=address[0..11], out=r2);
+ *  ...
+ */
+class Screen extends RAM {
+  constructor(options) {
+    super(Object.assign({size: 8 * 1024}, options));
+  }
+
+  /**
+   * Returns the pixel (1 is black, 0 is white) at the column `x`,
+   * and the row `y`.
+   */
+  getPixel(x, y) {
+    this._checkPixel(x, y);
+    const word = this._storage[y * WORDS_PER_ROW + (x >> 4)];
+    return (word >> (x & 15)) & 1;
+  }
+
+  /**
+   * Returns the pixels of the screen, row by row:
+   * the pixel (x, y) is at the index `y * Screen.WIDTH + x`.
+   */
+  getFrameBuffer() {
+    const frameBuffer = new Uint8Array(Screen.WIDTH * Screen.HEIGHT);
+
+    this._storage.forEach((word, address) => {
+      const offset = address * 16;
+      for (let bit = 0; bit < 16; bit++) {
+        frameBuffer[offset + bit] = (word >> bit) & 1;
+      }
+    });
+
+    return frameBuffer;
+  }
+
+  /**
+   * Checks the coordinates of a pixel.
+   */
+  _checkPixel(x, y) {
+    if (x < 0 || x > Screen.WIDTH - 1 || y < 0 || y > Screen.HEIGHT - 1) {
+      throw new TypeError(
+        `Chip "${this.getClass().name}": invalid pixel (${x}, ${y}), ` +
+        `while the size is ${Screen.WIDTH}x${Screen.HEIGHT}.`
+      );
+    }
+  }
+}
+
+/**
+ * The size of the screen in pixels.
+ */
+Screen.WIDTH = 512;
+Screen.HEIGHT = 256;
+
+/**
+ * Specification of the `Screen` gate.
+ */
+Screen.Spec = {
+  description: [
+    'The memory map of the 512x256 screen: 8K 16-bit registers.',
+    '',
+    'The pixel (x, y) is the bit x % 16 of the register 32 * y + x / 16',
+    '(the bit 0 is the leftmost pixel); 1 is black, 0 is white.',
+    '',
+    'If load[t]=1 then out[t+1] = in[t] else out does not change.',
+    '',
+    'Clock rising edge updates the value from the input by the address,',
+    'if the `load` is set; otherwise, preserves the state.',
+    '',
+    `  ${colors.bold('↗')} : value[address] = load ? in : value[address]`,
+    '',
+    'Clock falling edge propagates the value at the address to the output:',
+    '',
+    `  ${colors.bold('↘')} : out = value[address]`,
+  ].join('\n'),
+
+  inputPins: [
+    {name: 'in', size: 16},
+    {name: 'load', size: 1},
+    {name: 'address', size: 13},
+  ],
+
+  outputPins: [
+    {name: 'out', size: 16},
+  ],
+
+  truthTable: TRUTH_TABLE,
+};
+
+module.exports = Screen;
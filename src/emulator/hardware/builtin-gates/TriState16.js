@@ -0,0 +1,92 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const BuiltInGate = require('../BuiltInGate');
+const Pin = require('../Pin');
+
+const {int16Table} = require('../../../util/numbers');
+
+/**
+ * Canonical truth table for the `TriState16` gate (in the binary
+ * mode, where the disabled buffer outputs 0).
+ */
+const TRUTH_TABLE = int16Table([
+  {in: 0b0000000000000000, en: 0, out: 0b0000000000000000},
+  {in: 0b0001001000110100, en: 0, out: 0b0000000000000000},
+  {in: 0b0001001000110100, en: 1, out: 0b0001001000110100},
+  {in: 0b1111111111111111, en: 1, out: 0b1111111111111111},
+]);
+
+/**
+ * A 16-bit tri-state buffer: drives a shared bus, when enabled.
+ */
+class TriState16 extends BuiltInGate {
+  /**
+   * IN in[16], en;
+   * OUT out[16];
+   *
+   * out = in, if en == 1
+   *       Z (high impedance), if en == 0
+   *       X, if en == X
+   *
+   * In the binary mode the disabled buffer outputs 0.
+   */
+  eval() {
+    const [input, en] = this.getInputPins();
+    const out = this.getOutputPins()[0];
+
+    if (Pin.getLogicMode() !== 'four-valued') {
+      out.setValue(en.getValue() === 1 ? input.getValue() : 0);
+      return;
+    }
+
+    switch (en.getLogicValue()) {
+      case '1':
+        out.setValue(input.getLogicValue());
+        break;
+      case '0':
+        out.setValue('Z');
+        break;
+      default:
+        out.setValue('X');
+    }
+  }
+
+  /**
+   * Handles the Z output itself.
+   */
+  static isFourValued() {
+    return true;
+  }
+}
+
+/**
+ * Specification of the `TriState16` gate.
+ */
+TriState16.Spec = {
+  description: [
+    '16-bit tri-state buffer.',
+    '',
+    'out = in, if en = 1; otherwise, the output is in the high',
+    'impedance (Z), and doesn\'t drive the bus (see BusResolver).',
+    '',
+    'In the binary mode the disabled buffer outputs 0.',
+  ].join('\n'),
+
+  inputPins: [
+    {name: 'in', size: 16},
+    {name: 'en', size: 1},
+  ],
+
+  outputPins: [
+    {name: 'out', size: 16},
+  ],
+
+  truthTable: TRUTH_TABLE,
+};
+
+module.exports = TriState16;
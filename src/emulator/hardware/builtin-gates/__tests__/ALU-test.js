@@ -0,0 +1,25 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const ALU = require('../ALU');
+const GateTestUtil = require('../../gate-test-util');
+
+describe('ALU', () => {
+  it('ALU interface', () => {
+    expect(() => GateTestUtil.autoTestGate(ALU))
+      .not.toThrow();
+  });
+
+  it('overflow', () => {
+    const {result} = ALU.execOnData([
+      // x + y
+      {x: 32767, y: 1, zx: 0, nx: 0, zy: 0, ny: 0, f: 1, no: 0},
+    ]);
+
+    expect(result[0]).toMatchObject({out: -32768, zr: 0, ng: 1});
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const BusResolver = require('../BusResolver');
+const GateTestUtil = require('../../gate-test-util');
+const Pin = require('../../Pin');
+
+describe('BusResolver', () => {
+  it('BusResolver interface', () => {
+    expect(() => GateTestUtil.autoTestGate(BusResolver))
+      .not.toThrow();
+  });
+
+  it('four-valued', () => {
+    Pin.setLogicMode('four-valued');
+
+    const {result} = BusResolver.defaultFromSpec().execOnData([
+      // One driver.
+      {a: 'Z', b: 5},
+      {a: -1, b: 'Z'},
+
+      // The same values.
+      {a: 5, b: 5},
+
+      // Not driven.
+      {a: 'Z', b: 'Z'},
+
+      // Contention on the bit 3.
+      {a: '10ZZ', b: '0001'},
+
+      // An unknown driver.
+      {a: 'X', b: 'Z'},
+      {a: 'X', b: 0},
+    ]);
+
+    expect(result.map(({out, conflict}) => [out, conflict])).toEqual([
+      [5, 0],
+      [-1, 0],
+      [5, 0],
+      ['Z'.repeat(16), 0],
+      ['0'.repeat(12) + 'X001', 1],
+      ['X'.repeat(16), 0],
+      ['X'.repeat(16), 'X'],
+    ]);
+
+    Pin.setLogicMode('binary');
+  });
+
+  it('binary contention', () => {
+    const busResolver = BusResolver.defaultFromSpec();
+
+    const {result} = busResolver.execOnData([
+      // One driver (the disabled one outputs 0).
+      {a: 0, b: 5},
+
+      // The same values.
+      {a: 5, b: 5},
+
+      // Different values.
+      {a: 5, b: 3},
+    ]);
+
+    expect(result.map(({out, conflict}) => [out, conflict])).toEqual([
+      [5, 0],
+      [5, 0],
+      [7, 1],
+    ]);
+
+    Pin.setStrictMode('warn');
+
+    const warn = console.warn;
+    console.warn = jest.fn();
+
+    busResolver.setPinValues({a: 5, b: 3}).eval();
+
+    expect(console.warn).toBeCalledWith(
+      'Chip "BusResolver": the drivers fight, "a" is 0000000000000101, ' +
+      'and "b" is 0000000000000011.'
+    );
+
+    console.warn = warn;
+
+    Pin.setStrictMode('error');
+
+    expect(() => busResolver.setPinValues({a: 5, b: 3}).eval()).toThrow(
+      'Chip "BusResolver": the drivers fight, "a" is 0000000000000101, ' +
+      'and "b" is 0000000000000011.'
+    );
+
+    // Not a fight.
+    expect(() => busResolver.setPinValues({a: 0, b: 3}).eval())
+      .not.toThrow();
+
+    // The four-valued mode.
+    Pin.setLogicMode('four-valued');
+
+    expect(() => busResolver.setPinValues({a: '10ZZ', b: '0001'}).eval())
+      .toThrow(
+        'Chip "BusResolver": the drivers fight, "a" is ' +
+        '00000000000010ZZ, and "b" is 0000000000000001.'
+      );
+
+    Pin.setLogicMode('binary');
+    Pin.setStrictMode('off');
+  });
+});
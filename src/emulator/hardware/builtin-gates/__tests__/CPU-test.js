@@ -0,0 +1,109 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const BuiltInGate = require('../../BuiltInGate');
+const Clock = require('../../Clock');
+const CPU = require('../CPU');
+const GateTestUtil = require('../../gate-test-util');
+const Pin = require('../../Pin');
+
+const {int16Table} = require('../../../../util/numbers');
+
+const X15 = 'XXXXXXXXXXXXXXX';
+const X16 = 'XXXXXXXXXXXXXXXX';
+
+describe('CPU', () => {
+  it('CPU interface', () => {
+    expect(() => GateTestUtil.autoTestGate(CPU))
+      .not.toThrow();
+  });
+
+  it('registers', () => {
+    const clock = new Clock();
+    const cpu = CPU.defaultFromSpec({clock});
+
+    expect(cpu.getInternalPins().map(pin => pin.getName()))
+      .toEqual(['ARegister', 'DRegister', 'PC']);
+
+    cpu.execOnData(int16Table([
+      // @42
+      {$clock: -0, inM: 0, instruction: 42, reset: 0},
+      {$clock: +0, inM: 0, instruction: 42, reset: 0},
+      {$clock: -1, inM: 0, instruction: 42, reset: 0},
+
+      // D=A+1
+      {$clock: +1, inM: 0, instruction: 0b1110110111010000, reset: 0},
+      {$clock: -2, inM: 0, instruction: 0b1110110111010000, reset: 0},
+    ]));
+
+    expect(cpu.getARegister().getPin('out').getValue()).toBe(42);
+    expect(cpu.getDRegister().getPin('out').getValue()).toBe(43);
+    expect(cpu.getPC().getPin('out').getValue()).toBe(2);
+
+    expect(cpu.getPinValues()).toMatchObject({
+      ARegister: 42,
+      DRegister: 43,
+      PC: 2,
+      addressM: 42,
+      pc: 2,
+    });
+
+    // Reset clears the registers.
+    cpu.reset();
+
+    expect(cpu.getPinValues()).toMatchObject({
+      ARegister: 0,
+      DRegister: 0,
+      PC: 0,
+    });
+
+    cpu.dispose();
+
+    expect(clock.listenerCount('change')).toBe(0);
+  });
+
+  it('unknown power-on state', () => {
+    Pin.setLogicMode('four-valued');
+    BuiltInGate.setPowerOnState('unknown');
+
+    const {result} = CPU.execOnData(int16Table([
+      // @5, and reset
+      {$clock: -0, inM: 0, instruction: 5, reset: 1},
+      {$clock: +0, inM: 0, instruction: 5, reset: 1},
+      {$clock: -1, inM: 0, instruction: 5, reset: 1},
+
+      // D=A
+      {$clock: +1, inM: 0, instruction: 0b1110110000010000, reset: 0},
+      {$clock: -2, inM: 0, instruction: 0b1110110000010000, reset: 0},
+    ]), {clock: new Clock()});
+
+    expect(result[0]).toMatchObject({
+      ARegister: X16,
+      DRegister: X16,
+      PC: X16,
+      addressM: X15,
+      pc: X15,
+    });
+
+    expect(result[2]).toMatchObject({
+      ARegister: 5,
+      DRegister: X16,
+      PC: 0,
+      addressM: 5,
+      pc: 0,
+    });
+
+    expect(result[4]).toMatchObject({
+      ARegister: 5,
+      DRegister: 5,
+      PC: 1,
+    });
+
+    BuiltInGate.setPowerOnState('zero');
+    Pin.setLogicMode('binary');
+  });
+});
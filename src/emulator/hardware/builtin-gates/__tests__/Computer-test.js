@@ -0,0 +1,70 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const Clock = require('../../Clock');
+const Computer = require('../Computer');
+const GateTestUtil = require('../../gate-test-util');
+const ROM32K = require('../ROM32K');
+
+/**
+ * RAM[0] = 2 + 3.
+ */
+const ADD_PROGRAM = [
+  '0000000000000010', // @2
+  '1110110000010000', // D=A
+  '0000000000000011', // @3
+  '1110000010010000', // D=D+A
+  '0000000000000000', // @0
+  '1110001100001000', // M=D
+].join('\n');
+
+describe('Computer', () => {
+  it('Computer interface', () => {
+    expect(() => GateTestUtil.autoTestGate(Computer))
+      .not.toThrow();
+  });
+
+  it('program', () => {
+    ROM32K.setProgram(ADD_PROGRAM);
+
+    const clock = new Clock();
+    const computer = Computer.defaultFromSpec({clock});
+
+    expect(computer.getInternalPins().map(pin => pin.getName()))
+      .toEqual(['instruction', 'inM', 'outM', 'writeM', 'addressM', 'pc']);
+
+    expect(computer.getROM().getValueAt(1)).toBe(-5104);
+
+    computer.setPinValues({reset: 0});
+    clock.cycles(5);
+
+    // M=D
+    expect(computer.getPinValues()).toMatchObject({
+      instruction: -7416,
+      outM: 5,
+      writeM: 1,
+      addressM: 0,
+      pc: 5,
+    });
+
+    clock.cycle();
+
+    expect(computer.getMemory().getValueAt(0)).toBe(5);
+    expect(computer.getCPU().getDRegister().getPin('out').getValue()).toBe(5);
+    expect(computer.getPinValues().pc).toBe(6);
+
+    // Reset clears the memory, and preserves the program.
+    computer.reset();
+
+    expect(computer.getMemory().getValueAt(0)).toBe(0);
+    expect(computer.getROM().getValueAt(1)).toBe(-5104);
+    expect(computer.getPinValues()).toMatchObject({pc: 0, instruction: 2});
+
+    computer.dispose();
+    ROM32K.setProgram(null);
+  });
+});
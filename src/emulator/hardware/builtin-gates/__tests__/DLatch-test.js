@@ -0,0 +1,35 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const DLatch = require('../DLatch');
+const GateTestUtil = require('../../gate-test-util');
+const Pin = require('../../Pin');
+
+describe('DLatch', () => {
+  it('DLatch interface', () => {
+    expect(() => GateTestUtil.autoTestGate(DLatch))
+      .not.toThrow();
+  });
+
+  it('four-valued', () => {
+    Pin.setLogicMode('four-valued');
+
+    const {result} = DLatch.defaultFromSpec().execOnData([
+      {d: 1, en: 0},
+      {d: 1, en: 1},
+      {d: 1, en: 'X'},
+      {d: 0, en: 'X'},
+      {d: 0, en: 1},
+      {d: 'X', en: 0},
+    ]);
+
+    // Unknown until loaded; the unknown `en` keeps the same value.
+    expect(result.map(row => row.q)).toEqual(['X', 1, 1, 'X', 0, 0]);
+
+    Pin.setLogicMode('binary');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const Keyboard = require('../Keyboard');
+const GateTestUtil = require('../../gate-test-util');
+
+describe('Keyboard', () => {
+  it('Keyboard interface', () => {
+    expect(() => GateTestUtil.autoTestGate(Keyboard))
+      .not.toThrow();
+  });
+
+  it('setKey', () => {
+    const keyboard = Keyboard.defaultFromSpec();
+    const out = keyboard.getPin('out');
+
+    keyboard.setKey('a');
+    expect(keyboard.getKey()).toBe(97);
+    expect(out.getValue()).toBe(97);
+
+    keyboard.setKey('up');
+    expect(out.getValue()).toBe(131);
+
+    keyboard.setKey(Keyboard.KEY_CODES.f12);
+    expect(out.getValue()).toBe(152);
+
+    keyboard.releaseKey();
+    expect(out.getValue()).toBe(0);
+
+    expect(() => keyboard.setKey('shift')).toThrow(TypeError);
+
+    expect(() => keyboard.setKey(-1)).toThrow(
+      new RangeError(`Keyboard.setKey: invalid key code -1, expected 0-32767.`)
+    );
+
+    // Reset releases the key.
+    keyboard.setKey('a').reset();
+    expect(keyboard.getKey()).toBe(0);
+  });
+});
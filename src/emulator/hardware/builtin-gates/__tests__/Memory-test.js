@@ -0,0 +1,109 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const BuiltInGate = require('../../BuiltInGate');
+const Clock = require('../../Clock');
+const GateTestUtil = require('../../gate-test-util');
+const Memory = require('../Memory');
+const Pin = require('../../Pin');
+
+describe('Memory', () => {
+  it('Memory interface', () => {
+    expect(() => GateTestUtil.autoTestGate(Memory))
+      .not.toThrow();
+  });
+
+  it('memory map', () => {
+    const clock = new Clock();
+    const memory = Memory.defaultFromSpec({clock});
+
+    const write = (address, value) => {
+      memory.setPinValues({in: value, load: 1, address}).clockCycle();
+    };
+
+    const read = address => {
+      memory.setPinValues({load: 0, address}).clockCycle();
+      return memory.getPin('out').getValue();
+    };
+
+    write(100, 42);
+    write(16384 + 33, -1);
+
+    expect(memory.getRAM().getValueAt(100)).toBe(42);
+    expect(memory.getScreen().getValueAt(33)).toBe(-1);
+    expect(memory.getScreen().getPixel(31, 1)).toBe(1);
+
+    expect(memory.getValueAt(100)).toBe(42);
+    expect(memory.getValueAt(16384 + 33)).toBe(-1);
+
+    expect(read(100)).toBe(42);
+    expect(read(16384 + 33)).toBe(-1);
+
+    // Keyboard.
+    memory.getKeyboard().setKey('k');
+
+    expect(read(24576)).toBe(107);
+    expect(memory.getValueAt(24576)).toBe(107);
+
+    // The keyboard, and the invalid addresses are not written.
+    write(24576, 5);
+    write(30000, 5);
+
+    expect(read(24576)).toBe(107);
+    expect(read(30000)).toBe(0);
+
+    expect(() => memory.setValueAt(24576, 5)).toThrow(
+      new TypeError(
+        `Chip "Memory": the keyboard (address 24576) is read-only.`
+      )
+    );
+
+    // The invalid addresses are read as 0, as on the falling edge.
+    memory.setValueAt(30000, 5);
+    expect(memory.getValueAt(30000)).toBe(0);
+    expect(memory.getValueAt(32767)).toBe(0);
+
+    expect(() => memory.getValueAt(32768)).toThrow(
+      new TypeError(
+        `Chip "Memory": invalid address 32768, while the size is 32768.`
+      )
+    );
+
+    // Reset clears the RAM, and the screen.
+    memory.reset();
+
+    expect(memory.getValueAt(100)).toBe(0);
+    expect(memory.getValueAt(16384 + 33)).toBe(0);
+
+    memory.dispose();
+
+    expect(clock.listenerCount('change')).toBe(0);
+  });
+
+  it('unknown power-on state', () => {
+    Pin.setLogicMode('four-valued');
+    BuiltInGate.setPowerOnState('unknown');
+
+    const memory = Memory.defaultFromSpec({clock: new Clock()});
+
+    expect(memory.isKnownAt(100)).toBe(false);
+    expect(memory.isKnownAt(16384 + 33)).toBe(false);
+
+    // The keyboard, and the invalid addresses are known.
+    expect(memory.isKnownAt(24576)).toBe(true);
+    expect(memory.isKnownAt(30000)).toBe(true);
+
+    memory.setValueAt(16384 + 33, -1);
+    expect(memory.isKnownAt(16384 + 33)).toBe(true);
+    expect(memory.isKnownAt(100)).toBe(false);
+
+    memory.dispose();
+
+    BuiltInGate.setPowerOnState('zero');
+    Pin.setLogicMode('binary');
+  });
+});
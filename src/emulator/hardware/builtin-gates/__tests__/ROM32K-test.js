@@ -0,0 +1,118 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GateTestUtil = require('../../gate-test-util');
+const Pin = require('../../Pin');
+const ROM32K = require('../ROM32K');
+
+/**
+ * RAM[0] = 2 + 3.
+ */
+const ADD_PROGRAM = [
+  '0000000000000010', // @2
+  '1110110000010000', // D=A
+  '0000000000000011', // @3
+  '1110000010010000', // D=D+A
+  '0000000000000000', // @0
+  '1110001100001000', // M=D
+].join('\n') + '\n';
+
+describe('ROM32K', () => {
+  it('ROM32K interface', () => {
+    expect(() => GateTestUtil.autoTestGate(ROM32K))
+      .not.toThrow();
+  });
+
+  it('parse', () => {
+    expect(ROM32K.parse(ADD_PROGRAM)).toEqual([
+      2, -5104, 3, -8048, 0, -7416,
+    ]);
+
+    // Blank lines, and CRLF.
+    expect(ROM32K.parse('\r\n0000000000000001\r\n\r\n1111111111111111'))
+      .toEqual([1, -1]);
+
+    expect(() => ROM32K.parse('0000000000000001\n\n000000000000002\n'))
+      .toThrow(new SyntaxError(
+        `ROM32K: invalid word "000000000000002" at line 3, ` +
+        `expected 16 binary digits.`
+      ));
+
+    // Blank lines don't count.
+    const words = new Array(32 * 1024).fill('0000000000000000').join('\n');
+    expect(ROM32K.parse(words + '\n\n').length).toBe(32 * 1024);
+
+    expect(() => ROM32K.parse('\n' + words + '\n0000000000000001'))
+      .toThrow(new SyntaxError(
+        `ROM32K: the program is too long at line 32770, ` +
+        `expected at most 32768 words.`
+      ));
+  });
+
+  it('loadProgram', () => {
+    const rom = ROM32K.defaultFromSpec().loadProgram(ADD_PROGRAM);
+
+    expect(rom.getValueAt(1)).toBe(-5104);
+    expect(rom.getValueAt(6)).toBe(0);
+
+    // Combinational read.
+    rom.setPinValues({address: 3}).eval();
+    expect(rom.getPin('out').getValue()).toBe(-8048);
+
+    // The program is preserved by the reset.
+    rom.reset();
+    expect(rom.getValueAt(1)).toBe(-5104);
+
+    // Loading a new program clears the ROM.
+    rom.loadProgram([7]);
+    expect(rom.getValueAt(0)).toBe(7);
+    expect(rom.getValueAt(1)).toBe(0);
+
+    // The address checks of the RAM.
+    expect(() => rom.loadProgram(new Array(32 * 1024 + 1).fill(0)))
+      .toThrow(new TypeError(
+        `Chip "ROM32K": invalid address 32768, while the size is 32768.`
+      ));
+  });
+
+  it('loadFile', () => {
+    const fileName = path.join(os.tmpdir(), 'hdl-js-rom32k-test.hack');
+    fs.writeFileSync(fileName, ADD_PROGRAM, 'utf-8');
+
+    const rom = ROM32K.defaultFromSpec().loadFile(fileName);
+    expect(rom.getValueAt(5)).toBe(-7416);
+
+    // The program of the new instances.
+    ROM32K.setProgram(ROM32K.parseFile(fileName));
+
+    const {result} = ROM32K.execOnData([{address: 2}, {address: 3}]);
+    expect(result).toEqual([
+      {address: 2, out: 3},
+      {address: 3, out: -8048},
+    ]);
+
+    ROM32K.setProgram(null);
+    fs.unlinkSync(fileName);
+
+    expect(ROM32K.defaultFromSpec().getValueAt(2)).toBe(0);
+  });
+
+  it('unknown address', () => {
+    Pin.setLogicMode('four-valued');
+
+    const rom = ROM32K.defaultFromSpec().loadProgram(ADD_PROGRAM);
+    rom.setPinValues({address: 'XXXXXXXXXXXXXXX'}).eval();
+
+    expect(rom.getPin('out').getLogicValue()).toBe('XXXXXXXXXXXXXXXX');
+
+    Pin.setLogicMode('binary');
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const SRLatch = require('../SRLatch');
+const GateTestUtil = require('../../gate-test-util');
+
+describe('SRLatch', () => {
+  it('SRLatch interface', () => {
+    expect(() => GateTestUtil.autoTestGate(SRLatch))
+      .not.toThrow();
+  });
+});
\ No newline at end of file
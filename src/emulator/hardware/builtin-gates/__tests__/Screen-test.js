@@ -0,0 +1,56 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const Screen = require('../Screen');
+const GateTestUtil = require('../../gate-test-util');
+
+const {SystemClock} = require('../../Clock');
+
+describe('Screen', () => {
+  it('Screen interface', () => {
+    expect(() => GateTestUtil.autoTestGate(Screen))
+      .not.toThrow();
+  });
+
+  it('frame buffer', () => {
+    SystemClock.reset();
+
+    const screen = new Screen(Screen.Spec);
+
+    expect(screen.getSize()).toBe(8192);
+
+    // The leftmost pixel of the first row.
+    screen
+      .setPinValues({in: 0b0000000000000001, load: 1, address: 0})
+      .clockCycle();
+
+    // The pixel (31, 1): the bit 15 of the second word of the row 1.
+    screen
+      .setPinValues({in: 0b1000000000000000, load: 1, address: 33})
+      .clockCycle();
+
+    expect(screen.getPixel(0, 0)).toBe(1);
+    expect(screen.getPixel(1, 0)).toBe(0);
+    expect(screen.getPixel(31, 1)).toBe(1);
+    expect(screen.getPixel(511, 255)).toBe(0);
+
+    const frameBuffer = screen.getFrameBuffer();
+
+    expect(frameBuffer.length).toBe(Screen.WIDTH * Screen.HEIGHT);
+    expect(frameBuffer[0]).toBe(1);
+    expect(frameBuffer[1 * Screen.WIDTH + 31]).toBe(1);
+    expect(frameBuffer.reduce((sum, pixel) => sum + pixel, 0)).toBe(2);
+
+    expect(() => screen.getPixel(512, 0)).toThrow(
+      new TypeError(
+        `Chip "Screen": invalid pixel (512, 0), while the size is 512x256.`
+      )
+    );
+
+    screen.dispose();
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const GateTestUtil = require('../../gate-test-util');
+const Pin = require('../../Pin');
+const TriState16 = require('../TriState16');
+
+describe('TriState16', () => {
+  it('TriState16 interface', () => {
+    expect(() => GateTestUtil.autoTestGate(TriState16))
+      .not.toThrow();
+  });
+
+  it('four-valued', () => {
+    Pin.setLogicMode('four-valued');
+
+    const {result} = TriState16.defaultFromSpec().execOnData([
+      {in: 5, en: 0},
+      {in: 5, en: 1},
+      {in: 5, en: 'X'},
+      {in: '1X', en: 1},
+    ]);
+
+    expect(result.map(row => row.out)).toEqual([
+      'Z'.repeat(16),
+      5,
+      'X'.repeat(16),
+      '00000000000000' + '1X',
+    ]);
+
+    Pin.setLogicMode('binary');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const BuiltInGates = require('../../builtin-gates');
+const compiler = require('..');
+const HDLClassFactory = require('../../HDLClassFactory');
+const RAM64 = require('../../builtin-gates/RAM64');
+const Templates = require('../templates');
+
+const {SystemClock} = require('../../Clock');
+
+const EXAMPLES_DIR = __dirname + '/../../../../../examples/';
+
+describe('compiler', () => {
+
+  it('kernel', () => {
+    const Xor = HDLClassFactory.fromHDL(`
+      CHIP Xor {
+        IN a, b;
+        OUT out;
+
+        PARTS:
+
+        Nand(a=a, b=b, out=n);
+        Nand(a=a, b=n, out=x);
+        Nand(a=n, b=b, out=y);
+        Nand(a=x, b=y, out=out);
+      }
+    `);
+
+    const kernel = compiler.compile(Xor);
+
+    expect(kernel.pins).toEqual({a: 0, b: 1, out: 2, n: 3, x: 4, y: 5});
+    expect(kernel.statesCount).toBe(0);
+    expect(kernel.fallbacks).toEqual([]);
+
+    // Inputs reuse the nets of the sources, outputs are copied.
+    expect(kernel.source.eval).toBe([
+      'n[6] = 1 - (n[0] & n[1]);',
+      'n[3] = n[6];',
+      'n[7] = 1 - (n[0] & n[3]);',
+      'n[4] = n[7];',
+      'n[8] = 1 - (n[3] & n[1]);',
+      'n[5] = n[8];',
+      'n[9] = 1 - (n[4] & n[5]);',
+      'n[2] = n[9];',
+    ].join('\n'));
+
+    expect(kernel.netNames.slice(0, 6)).toEqual([
+      'Xor.a', 'Xor.b', 'Xor.out', 'Xor.n', 'Xor.x', 'Xor.y',
+    ]);
+
+    const nets = new Int16Array(kernel.netsCount);
+    nets[0] = 1;
+    nets[1] = 0;
+    kernel.eval(nets, null, null);
+    expect(nets[kernel.pins.out]).toBe(1);
+  });
+
+  it('templates match the built-in gates', () => {
+    const toName = pin => typeof pin === 'string' ? pin : pin.name;
+    const toDeclaration = pin => {
+      return typeof pin === 'string' || !pin.size || pin.size === 1
+        ? toName(pin)
+        : `${pin.name}[${pin.size}]`;
+    };
+
+    Object.keys(Templates).forEach(name => {
+      const {inputPins, outputPins, truthTable} = BuiltInGates[name].Spec;
+      const pins = [...inputPins, ...outputPins].map(toName);
+
+      // A chip with the only part, wired to the same pins.
+      const GateClass = HDLClassFactory.fromHDL(`
+        CHIP Test${name} {
+          IN ${inputPins.map(toDeclaration).join(', ')};
+          OUT ${outputPins.map(toDeclaration).join(', ')};
+
+          PARTS:
+
+          ${name}(${pins.map(pin => `${pin}=${pin}`).join(', ')});
+        }
+      `, undefined, {compile: true});
+
+      expect(GateClass.Kernel.fallbacks).toEqual([]);
+
+      SystemClock.reset();
+
+      const {conflicts} = GateClass
+        .defaultFromSpec()
+        .execOnData(truthTable);
+
+      expect({name, conflicts}).toEqual({name, conflicts: []});
+    });
+  });
+
+  it('bits, and slices', () => {
+    const Swap = HDLClassFactory.fromHDL(`
+      CHIP Swap {
+        IN in[4];
+        OUT out[4], msb;
+
+        PARTS:
+
+        Or(a=in[3], b=false, out=msb);
+        Not16(in[0..1]=in[2..3], in[2..3]=in[0..1], out[0..3]=out);
+      }
+    `);
+
+    const kernel = compiler.compile(Swap);
+    const nets = new Int16Array(kernel.netsCount);
+
+    nets[kernel.pins.in] = 0b1001;
+    kernel.eval(nets, null, null);
+
+    expect(nets[kernel.pins.out]).toBe(0b1001);
+    expect(nets[kernel.pins.msb]).toBe(1);
+  });
+
+  it('clocked templates', () => {
+    const Bit = HDLClassFactory.fromHDLFile(EXAMPLES_DIR + 'Bit.hdl');
+    const kernel = compiler.compile(Bit);
+
+    expect(kernel.statesCount).toBe(1);
+    expect(kernel.stateSizes).toEqual([1]);
+    expect(kernel.source.clockUp).toBe('s[0] = n[4];');
+    expect(kernel.source.clockDown).toBe('n[5] = s[0];');
+  });
+
+  it('fallbacks', () => {
+    const Memory = HDLClassFactory.fromHDL(`
+      CHIP Memory {
+        IN in[16], load, address[7];
+        OUT out[16];
+
+        PARTS:
+
+        DMux(in=load, sel=address[6], out1=l1, out2=l2);
+        RAM64(in=in, load=l1, address=address[0..5], out=r1);
+        RAM64(in=in, load=l2, address=address[0..5], out=r2);
+        Mux16(a=r1, b=r2, sel=address[6], out=out);
+      }
+    `);
+
+    const kernel = compiler.compile(Memory);
+
+    expect(kernel.fallbacks.length).toBe(2);
+    expect(kernel.fallbacks[0].GateClass).toBe(RAM64);
+    expect(kernel.fallbacks[0].path).toBe('Memory.RAM64#2');
+    expect(kernel.fallbacks[0].inputs.map(([name]) => name))
+      .toEqual(['in', 'load', 'address']);
+
+    expect(kernel.source.clockUp).toBe('f.clockUp(0);\nf.clockUp(1);');
+    expect(kernel.source.clockDown).toBe('f.clockDown(0);\nf.clockDown(1);');
+  });
+
+});
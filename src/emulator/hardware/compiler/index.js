@@ -0,0 +1,400 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const BuiltInGates = require('../builtin-gates');
+const Pin = require('../Pin');
+const Templates = require('./templates');
+
+const {allOnes} = require('../../../util/numbers');
+
+/**
+ * Compiles a gate class from HDL into a flat simulation kernel.
+ *
+ * The hierarchy of the parts is flattened into a netlist: every pin of
+ * every (nested) part is a _net_ -- a slot in an `Int16Array`, and the
+ * wiring of the arguments becomes plain assignments between the nets.
+ * The parts are emitted in their evaluation order, and the built-in
+ * gates are inlined from the templates, so the result is a single JS
+ * function for `eval`, and one for each clock edge:
+ *
+ *   {
+ *     pins: {a: 0, b: 1, out: 2, ...},
+ *     netsCount: 12,
+ *     statesCount: 1,
+ *     stateSizes: [1],
+ *     fallbacks: [{GateClass, inputs: [['in', 3]], outputs: [...]}],
+ *     source: {eval, clockUp, clockDown},
+ *     eval(n, s, f) {...},
+ *     clockUp(n, s, f) {...},
+ *     clockDown(n, s, f) {...},
+ *   }
+ *
+ * The kernel functions receive the nets (`n`), the states of the clocked
+ * gates (`s`), and the runtime (`f`), which evaluates the _fallbacks_ --
+ * instances of the built-in gates without a template (e.g. `RAM64`).
+ */
+function compile(GateClass) {
+  if (Pin.getLogicMode() === 'four-valued') {
+    throw new Error(
+      `"${GateClass.name}" chip: the compile mode doesn't support ` +
+      `the four-valued logic.`
+    );
+  }
+
+  const context = {
+    netsCount: 0,
+    netNames: [],
+    statesCount: 0,
+    stateSizes: [],
+    fallbacks: [],
+    code: {
+      eval: [],
+      clockUp: [],
+      clockDown: [],
+    },
+  };
+
+  const {inputPins, outputPins} = GateClass.Spec;
+  const interfaceNets = {};
+
+  [...inputPins, ...outputPins].forEach(pin => {
+    const name = toPinName(pin);
+    interfaceNets[name] = allocateNet(context, `${GateClass.name}.${name}`);
+  });
+
+  const pins = flatten(GateClass, interfaceNets, GateClass.name, context);
+
+  const source = {};
+  const kernel = {
+    pins,
+    netsCount: context.netsCount,
+    netNames: context.netNames,
+    statesCount: context.statesCount,
+    stateSizes: context.stateSizes,
+    fallbacks: context.fallbacks,
+    source,
+  };
+
+  for (const handler in context.code) {
+    source[handler] = context.code[handler].join('\n');
+    kernel[handler] = new Function('n', 's', 'f', source[handler]);
+  }
+
+  return kernel;
+}
+
+/**
+ * Flattens a gate into the context, using the passed nets for its
+ * inputs, and outputs. Returns the nets of all the pins of the gate.
+ */
+function flatten(GateClass, nets, path, context) {
+  const info = GateClass.HDLInfo;
+
+  if (!info) {
+    return flattenBuiltIn(GateClass, nets, path, context);
+  }
+
+  if (info.builtInGateClass) {
+    return flattenBuiltIn(info.builtInGateClass, nets, path, context);
+  }
+
+  return flattenComposite(GateClass, nets, path, context);
+}
+
+/**
+ * Flattens a composite gate: allocates the internal nets, and emits
+ * the parts in the evaluation order, with the argument assignments.
+ */
+function flattenComposite(GateClass, nets, path, context) {
+  const {ast, partsClasses, evalOrder} = GateClass.HDLInfo;
+  const localNets = Object.assign({}, nets);
+
+  checkPinSizes(GateClass);
+  checkFeedbackLoops(GateClass);
+  checkNamedClocks(GateClass);
+
+  GateClass.Spec.internalPins.forEach(({name}) => {
+    localNets[name] = allocateNet(context, `${path}.${name}`);
+  });
+
+  evalOrder.forEach(index => {
+    const part = ast.parts[index];
+    const PartGateClass = partsClasses[index];
+    const partPath = `${path}.${part.name}#${index + 1}`;
+
+    const partNets = {};
+    const inputs = [];
+    const outputs = [];
+
+    // Number of arguments per pin of the part.
+    const argsCount = {};
+    part.arguments.forEach(({name}) => {
+      argsCount[name.value] = (argsCount[name.value] || 0) + 1;
+    });
+
+    part.arguments.forEach(arg => {
+      const {name, value} = arg;
+      const {kind} = PartGateClass.getPinInfo(name.value);
+
+      if (kind === 'input') {
+        // A whole pin just reuses the net of the source.
+        if (
+          value.type !== 'Constant' &&
+          isWholePin(name) &&
+          isWholePin(value) &&
+          argsCount[name.value] === 1
+        ) {
+          partNets[name.value] = localNets[value.value];
+        } else {
+          inputs.push(arg);
+        }
+      } else if (kind === 'output') {
+        outputs.push(arg);
+      }
+    });
+
+    const {inputPins, outputPins} = PartGateClass.Spec;
+
+    [...inputPins, ...outputPins].forEach(pin => {
+      const name = toPinName(pin);
+      if (!partNets.hasOwnProperty(name)) {
+        partNets[name] = allocateNet(context, `${partPath}.${name}`);
+      }
+    });
+
+    inputs.forEach(({name, value}) => {
+      context.code.eval.push(assign(
+        partNets[name.value],
+        name,
+        value.type === 'Constant'
+          ? readConstant(value, name, PartGateClass)
+          : read(localNets[value.value], value)
+      ));
+    });
+
+    flatten(PartGateClass, partNets, partPath, context);
+
+    outputs.forEach(({name, value}) => {
+      context.code.eval.push(assign(
+        localNets[value.value],
+        value,
+        read(partNets[name.value], name)
+      ));
+    });
+  });
+
+  return localNets;
+}
+
+/**
+ * The feedback loops are evaluated until settled, which
+ * is not supported by the compiled code.
+ */
+function checkFeedbackLoops(GateClass) {
+  const {ast, evalOrder} = GateClass.HDLInfo;
+  const loop = evalOrder.find(step => typeof step !== 'number');
+
+  if (!loop) {
+    return;
+  }
+
+  const partNames = loop.parts.map(index => {
+    return `${ast.parts[index].name} (#${index + 1})`;
+  });
+
+  throw new Error(
+    `"${GateClass.name}" chip: the compile mode doesn't support ` +
+    `the feedback loops (parts: ${partNames.join(', ')}).`
+  );
+}
+
+/**
+ * All the clocked parts of the compiled code are
+ * driven by the clock of the gate.
+ */
+function checkNamedClocks(GateClass) {
+  const {ast} = GateClass.HDLInfo;
+
+  const hasNamedClock = ast.parts.some(part => {
+    return part.arguments.some(({name}) => name.value === Pin.CLOCK);
+  });
+
+  if (hasNamedClock) {
+    throw new Error(
+      `"${GateClass.name}" chip: the compile mode doesn't support ` +
+      `the named clocks.`
+    );
+  }
+}
+
+/**
+ * The nets are 16-bit, so the buses wider than the word
+ * can only be simulated in the interpreted mode.
+ */
+function checkPinSizes(GateClass) {
+  const {inputPins, outputPins, internalPins = []} = GateClass.Spec;
+
+  [...inputPins, ...outputPins, ...internalPins].forEach(pin => {
+    const size = typeof pin === 'string' ? 1 : pin.size || 1;
+
+    if (size > Pin.WORD_SIZE) {
+      throw new Error(
+        `"${GateClass.name}" chip: the "${toPinName(pin)}" pin is ` +
+        `${size} bits, while the compile mode supports the buses up ` +
+        `to ${Pin.WORD_SIZE} bits.`
+      );
+    }
+  });
+}
+
+/**
+ * Flattens a built-in gate: inlines its template, or
+ * registers an instance of the gate as a fallback.
+ */
+function flattenBuiltIn(BuiltInGateClass, nets, path, context) {
+  const {name} = BuiltInGateClass;
+
+  const hasTemplate = (
+    Templates.hasOwnProperty(name) &&
+    BuiltInGates[name] === BuiltInGateClass
+  );
+
+  if (hasTemplate) {
+    const template = Templates[name];
+    const refs = {};
+
+    for (const pin in nets) {
+      refs[pin] = `n[${nets[pin]}]`;
+    }
+
+    const state = template.clocked
+      ? `s[${context.statesCount++}]`
+      : null;
+
+    // The size of the state is the size of the output.
+    if (template.clocked) {
+      context.stateSizes.push(BuiltInGateClass.getPinInfo('out').size || 1);
+    }
+
+    for (const handler in context.code) {
+      if (template[handler]) {
+        context.code[handler].push(template[handler](refs, state));
+      }
+    }
+
+    return nets;
+  }
+
+  const toNets = pins => pins.map(pin => {
+    const pinName = toPinName(pin);
+    return [pinName, nets[pinName]];
+  });
+
+  const index = context.fallbacks.push({
+    GateClass: BuiltInGateClass,
+    path,
+    inputs: toNets(BuiltInGateClass.Spec.inputPins),
+    outputs: toNets(BuiltInGateClass.Spec.outputPins),
+  }) - 1;
+
+  context.code.eval.push(`f.eval(${index});`);
+
+  if (BuiltInGateClass.isClocked()) {
+    context.code.clockUp.push(`f.clockUp(${index});`);
+    context.code.clockDown.push(`f.clockDown(${index});`);
+  }
+
+  return nets;
+}
+
+/**
+ * Allocates a new net.
+ */
+function allocateNet(context, name) {
+  context.netNames.push(name);
+  return context.netsCount++;
+}
+
+/**
+ * Code reading a net according to the pin reference:
+ * full, index, or slice.
+ */
+function read(net, spec) {
+  if (spec.hasOwnProperty('index')) {
+    return `((n[${net}] >> ${spec.index}) & 1)`;
+  } else if (spec.range) {
+    const {from, to} = spec.range;
+    return `((n[${net}] >> ${from}) & ${getMask(from, to)})`;
+  }
+  return `n[${net}]`;
+}
+
+/**
+ * Code of a constant argument: `true` sets all the bits of the
+ * pin (or its slice), `false` clears them, a number is used as is.
+ */
+function readConstant(constant, name, PartGateClass) {
+  if (constant.value !== true) {
+    return String(Number(constant.value));
+  }
+
+  let size = PartGateClass.getPinInfo(name.value).size || 1;
+
+  if (name.hasOwnProperty('index')) {
+    size = 1;
+  } else if (name.range) {
+    size = name.range.to - name.range.from + 1;
+  }
+
+  return String(allOnes(size));
+}
+
+/**
+ * Code writing a value to a net according to the pin
+ * reference: full, index, or slice.
+ */
+function assign(net, spec, value) {
+  if (spec.hasOwnProperty('index')) {
+    const bit = 1 << spec.index;
+    return (
+      `n[${net}] = ${value} === 1 ` +
+      `? n[${net}] | ${bit} : n[${net}] & ${~bit};`
+    );
+  } else if (spec.range) {
+    const {from, to} = spec.range;
+    const mask = getMask(from, to) << from;
+    return (
+      `n[${net}] = (n[${net}] & ${~mask}) | ((${value} << ${from}) & ${mask});`
+    );
+  }
+  return `n[${net}] = ${value};`;
+}
+
+/**
+ * Mask of a slice size: `0b111` for [0..2].
+ */
+function getMask(from, to) {
+  return (1 << (to + 1 - from)) - 1;
+}
+
+/**
+ * Whether a pin reference is a whole pin (not an index, or a slice).
+ */
+function isWholePin(spec) {
+  return !spec.hasOwnProperty('index') && !spec.range;
+}
+
+/**
+ * Pin name from a spec: 'a', or {name: 'a', size: 16}.
+ */
+function toPinName(pin) {
+  return typeof pin === 'string' ? pin : pin.name;
+}
+
+module.exports = {
+  compile,
+};
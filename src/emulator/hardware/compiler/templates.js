@@ -0,0 +1,134 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+/**
+ * Code templates for the built-in gates in the compiled kernel.
+ *
+ * Each template receives a map from the pin names to the net
+ * references (`n[12]`), and for the clocked gates also a reference
+ * to the state slot (`s[3]`), and returns the JS code for the `eval`,
+ * `clockUp`, and `clockDown` handlers. The code mirrors the `eval`,
+ * `clockUp`, and `clockDown` methods of the corresponding built-in
+ * gates. The nets are stored in `Int16Array`, so the values are
+ * truncated to 16 bits automatically.
+ *
+ * The built-in gates without a template are evaluated in the
+ * kernel by their instances.
+ */
+
+/**
+ * Template for the binary gates: `out = a <op> b`.
+ */
+function binary(expression) {
+  return {
+    eval: p => `${p.out} = ${expression(p.a, p.b)};`,
+  };
+}
+
+/**
+ * Template for the multiplexors: `out` is one of the
+ * inputs (`a`, `b`, ...), selected by the `sel`.
+ */
+function multiplexor(inputs) {
+  return {
+    eval: p => {
+      const cases = inputs
+        .map((input, index) => `${p.sel} === ${index} ? ${p[input]} : `)
+        .join('');
+      return `${p.out} = ${cases}0;`;
+    },
+  };
+}
+
+/**
+ * Template for the demultiplexors: `in` is passed to one
+ * of the outputs (`a`, `b`, ...), selected by the `sel`.
+ */
+function demultiplexor(outputs) {
+  return {
+    eval: p => outputs
+      .map((output, index) => {
+        return `${p[output]} = ${p.sel} === ${index} ? ${p.in} : 0;`;
+      })
+      .join('\n'),
+  };
+}
+
+/**
+ * Template for the registers: on the rising edge the state is
+ * updated from the `in`, if the `load` is set; on the falling
+ * edge the state is propagated to the `out`.
+ */
+const register = {
+  clocked: true,
+  clockUp: (p, s) => `if (${p.load}) { ${s} = ${p.in}; }`,
+  clockDown: (p, s) => `${p.out} = ${s};`,
+};
+
+const Templates = {
+  Nand: binary((a, b) => `1 - (${a} & ${b})`),
+  And: binary((a, b) => `${a} & ${b}`),
+  Or: binary((a, b) => `${a} | ${b}`),
+  Xor: binary((a, b) => `${a} ^ ${b}`),
+  Nor: binary((a, b) => `1 - (${a} | ${b})`),
+
+  And16: binary((a, b) => `${a} & ${b}`),
+  Or16: binary((a, b) => `${a} | ${b}`),
+  Add16: binary((a, b) => `${a} + ${b}`),
+
+  Not: {
+    eval: p => `${p.out} = 1 - ${p.in};`,
+  },
+
+  Not16: {
+    eval: p => `${p.out} = ~${p.in};`,
+  },
+
+  Inc16: {
+    eval: p => `${p.out} = ${p.in} + 1;`,
+  },
+
+  Or8Way: {
+    eval: p => `${p.out} = ${p.in} === 0 ? 0 : 1;`,
+  },
+
+  Mux: multiplexor(['a', 'b']),
+  Mux16: multiplexor(['a', 'b']),
+  Mux4Way16: multiplexor(['a', 'b', 'c', 'd']),
+  Mux8Way16: multiplexor(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']),
+
+  DMux: demultiplexor(['out1', 'out2']),
+  DMux4Way: demultiplexor(['a', 'b', 'c', 'd']),
+  DMux8Way: demultiplexor(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']),
+
+  HalfAdder: {
+    eval: p => [
+      `${p.sum} = ${p.a} ^ ${p.b};`,
+      `${p.carry} = ${p.a} & ${p.b};`,
+    ].join('\n'),
+  },
+
+  FullAdder: {
+    eval: p => [
+      `${p.sum} = (${p.a} + ${p.b} + ${p.c}) % 2;`,
+      `${p.carry} = Math.trunc((${p.a} + ${p.b} + ${p.c}) / 2);`,
+    ].join('\n'),
+  },
+
+  DFF: {
+    clocked: true,
+    clockUp: (p, s) => `${s} = ${p.in};`,
+    clockDown: (p, s) => `${p.out} = ${s};`,
+  },
+
+  Bit: register,
+  Register: register,
+  ARegister: register,
+  DRegister: register,
+};
+
+module.exports = Templates;
@@ -0,0 +1,294 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const ARegister = require('./builtin-gates/ARegister');
+const DRegister = require('./builtin-gates/DRegister');
+const Keyboard = require('./builtin-gates/Keyboard');
+const Memory = require('./builtin-gates/Memory');
+const PC = require('./builtin-gates/PC');
+const RAM16K = require('./builtin-gates/RAM16K');
+const Screen = require('./builtin-gates/Screen');
+
+/**
+ * Default number of cycles to run.
+ */
+const DEFAULT_CYCLES = 100;
+
+/**
+ * Runs the program on a Hack computer: the built-in `Computer`,
+ * or a `Computer` chip from HDL (with the `reset` input):
+ *
+ *   ROM32K.setProgram(ROM32K.parseFile('Add.hack'));
+ *
+ *   const result = computerRunner.run(Computer.defaultFromSpec(), {
+ *     cycles: 10,
+ *     reset: true,
+ *     ram: [[0, 15]],
+ *   });
+ *
+ * Options:
+ *
+ *   - cycles: the maximum number of clock cycles (100 by default)
+ *   - reset: sends the reset pulse (one cycle, not counted) first
+ *   - stopAt: stops, when the PC reaches the address
+ *   - ram: the ranges of the RAM to dump, [[from, to], ...]
+ *
+ * The result:
+ *
+ *   {
+ *     cycles: 6,
+ *     stopped: true,
+ *     registers: {A: 0, D: 5, PC: 6},
+ *     ram: {0: 5, 1: 0, ...},
+ *   }
+ *
+ * The registers, and the memory are found among the parts of the
+ * gate (the built-in `ARegister`, `DRegister`, `PC`, and `Memory`
+ * gates, or the `RAM16K`, `Screen`, and `Keyboard` parts of an HDL
+ * memory); a register, which is not found, is `null`. The addresses
+ * of the RAM dump are the ones of the memory map (the screen is at
+ * 16384). The unknown values (see `Pin.setLogicMode`) are the logic
+ * strings.
+ */
+function run(gate, {
+  cycles = DEFAULT_CYCLES,
+  reset = false,
+  stopAt = null,
+  ram = [],
+} = {}) {
+  if (!Number.isInteger(cycles) || cycles < 0) {
+    throw new RangeError(
+      `Computer: invalid number of cycles ${cycles}, ` +
+      `expected a non-negative integer.`
+    );
+  }
+
+  if (stopAt !== null && !Number.isInteger(stopAt)) {
+    throw new RangeError(
+      `Computer: invalid PC address ${stopAt} to stop at, ` +
+      `expected an integer.`
+    );
+  }
+
+  const clock = gate.getClock();
+  const resetPin = gate.getPin('reset');
+
+  resetPin.setValue(reset ? 1 : 0);
+
+  // The falling edge commits the state of the clocked parts to the
+  // outputs once again, so the parts of an HDL chip, which are wired
+  // after their outputs are set, get the values before the first cycle.
+  if (gate.getClass().isClocked() && clock.isDown()) {
+    gate.tock();
+  }
+
+  if (reset) {
+    clock.cycle();
+    resetPin.setValue(0);
+  }
+
+  let cycle = 0;
+  let stopped = false;
+
+  while (cycle < cycles) {
+    if (stopAt !== null && getPC(gate) === stopAt) {
+      stopped = true;
+      break;
+    }
+    clock.cycle();
+    cycle++;
+  }
+
+  if (!stopped && stopAt !== null) {
+    stopped = getPC(gate) === stopAt;
+  }
+
+  return {
+    cycles: cycle,
+    stopped,
+    registers: {
+      A: readRegister(findPart(gate, ARegister)),
+      D: readRegister(findPart(gate, DRegister)),
+      PC: getPC(gate),
+    },
+    ram: dumpRAM(gate, ram),
+  };
+}
+
+/**
+ * Parses the ranges of the RAM: "0-15,256" is [[0, 15], [256, 256]].
+ */
+function parseRanges(ranges) {
+  return String(ranges).split(',').map(range => {
+    const match = range.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+
+    if (!match) {
+      throw new SyntaxError(
+        `Computer: invalid RAM range "${range.trim()}", ` +
+        `expected e.g. 0-15, or 256.`
+      );
+    }
+
+    const from = Number(match[1]);
+    const to = match[2] === undefined ? from : Number(match[2]);
+
+    if (from > to) {
+      throw new RangeError(
+        `Computer: invalid RAM range "${range.trim()}", ` +
+        `the start is greater than the end.`
+      );
+    }
+
+    return [from, to];
+  });
+}
+
+/**
+ * Returns the current value of the PC: the `PC` part,
+ * or the `pc` pin of the gate.
+ */
+function getPC(gate) {
+  const pc = findPart(gate, PC);
+
+  if (pc) {
+    return readRegister(pc);
+  }
+
+  try {
+    return gate.getPin('pc').getReadableValue();
+  } catch (_e) {
+    throw new Error(
+      `Computer: the PC is not found on "${gate.getName()}" gate ` +
+      `(expected a PC part, or the "pc" pin).`
+    );
+  }
+}
+
+/**
+ * Returns the values of the RAM at the ranges.
+ */
+function dumpRAM(gate, ranges) {
+  const values = {};
+
+  if (ranges.length === 0) {
+    return values;
+  }
+
+  const memory = findMemory(gate);
+
+  if (!memory) {
+    throw new Error(
+      `Computer: the RAM is not found on "${gate.getName()}" gate ` +
+      `(expected a Memory, or a RAM16K part).`
+    );
+  }
+
+  ranges.forEach(([from, to]) => {
+    for (let address = from; address <= to; address++) {
+      values[address] = memory.isKnownAt(address)
+        ? memory.getValueAt(address)
+        : 'X'.repeat(16);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Returns the memory of the gate: the `Memory` part, or the `RAM16K`,
+ * `Screen`, and `Keyboard` parts of an HDL memory, read at the
+ * addresses of the memory map.
+ */
+function findMemory(gate) {
+  const memory = findPart(gate, Memory);
+
+  if (memory) {
+    return memory;
+  }
+
+  const ram = findPart(gate, RAM16K);
+
+  if (!ram) {
+    return null;
+  }
+
+  const screen = findPart(gate, Screen);
+  const keyboard = findPart(gate, Keyboard);
+
+  // The part, which keeps the address, and the address in the part.
+  const route = address => {
+    if (address < Memory.SCREEN) {
+      return {part: ram, offset: address};
+    }
+
+    if (screen && address < Memory.KBD) {
+      return {part: screen, offset: address - Memory.SCREEN};
+    }
+
+    throw new Error(
+      `Computer: the address ${address} is not found on ` +
+      `"${gate.getName()}" gate.`
+    );
+  };
+
+  return {
+    getValueAt(address) {
+      if (keyboard && address === Memory.KBD) {
+        return keyboard.getKey();
+      }
+
+      const {part, offset} = route(address);
+      return part.getValueAt(offset);
+    },
+
+    isKnownAt(address) {
+      if (keyboard && address === Memory.KBD) {
+        return true;
+      }
+
+      const {part, offset} = route(address);
+      return part.isKnownAt(offset);
+    },
+  };
+}
+
+/**
+ * Finds the part (in depth) of the gate, which is an instance
+ * of the class; the parts are traversed with the `getParts`.
+ */
+function findPart(gate, GateClass) {
+  if (!gate.getParts) {
+    return null;
+  }
+
+  for (const part of gate.getParts()) {
+    if (part instanceof GateClass) {
+      return part;
+    }
+
+    const found = findPart(part, GateClass);
+
+    if (found) {
+      return found;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Returns the value of a register (the output of the part).
+ */
+function readRegister(register) {
+  return register ? register.getOutputPins()[0].getReadableValue() : null;
+}
+
+module.exports = {
+  run,
+  parseRanges,
+  DEFAULT_CYCLES,
+};
@@ -0,0 +1,216 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const {addLocation} = require('../../util/hdl-error');
+
+/**
+ * Elaborates a parameterized chip AST: binds the parameters to the
+ * passed values (or defaults), expands the `FOR` blocks into the part
+ * calls, and evaluates all expressions in the subscripts, and in the
+ * parameters of the parts.
+ *
+ * The result is a new AST with the plain numbers, and only the
+ * `ChipCall` parts, as for a chip without parameters:
+ *
+ *   CHIP AndN<N=16> { IN a[N], ... }
+ *
+ * With `{N: 8}` (or `[8]`) becomes:
+ *
+ *   CHIP AndN<N=8> { IN a[8], ... }
+ *
+ * The values can be passed by name (an object), or by position
+ * (an array, as in the `AndN<8>(...)` part calls).
+ */
+function elaborate(ast, values = {}) {
+  const scope = bindParams(ast, values);
+
+  const elaborated = Object.assign({}, ast, {
+    inputs: ast.inputs.map(name => elaborateName(name, scope, ast)),
+    outputs: ast.outputs.map(name => elaborateName(name, scope, ast)),
+    parts: elaborateParts(ast.parts, scope, ast),
+  });
+
+  if (ast.params) {
+    elaborated.params = ast.params.map(({type, name}) => {
+      return {type, name, value: scope[name]};
+    });
+  }
+
+  return elaborated;
+}
+
+/**
+ * Returns the values of the parameters of the chip.
+ */
+function bindParams(ast, values) {
+  const params = ast.params || [];
+  const scope = {};
+
+  const isPositional = Array.isArray(values);
+  const names = isPositional ? values : Object.keys(values);
+
+  if (names.length > params.length) {
+    throw new Error(
+      `"${ast.name}" chip: expects ${params.length} parameters, ` +
+      `${names.length} are given.`
+    );
+  }
+
+  if (!isPositional) {
+    names.forEach(name => {
+      if (!params.some(param => param.name === name)) {
+        throw new Error(
+          `"${ast.name}" chip: unknown parameter "${name}".`
+        );
+      }
+    });
+  }
+
+  params.forEach((param, index) => {
+    const value = isPositional ? values[index] : values[param.name];
+
+    if (value !== undefined) {
+      scope[param.name] = value;
+    } else if (param.hasOwnProperty('value')) {
+      // Defaults may refer to the previous parameters.
+      scope[param.name] = evaluate(param.value, scope, ast);
+    } else {
+      throw addLocation(new Error(
+        `"${ast.name}" chip: parameter "${param.name}" is not set.`
+      ), param);
+    }
+
+    if (!Number.isInteger(scope[param.name])) {
+      throw addLocation(new TypeError(
+        `"${ast.name}" chip: parameter "${param.name}" should be ` +
+        `an integer, ${scope[param.name]} is given.`
+      ), param);
+    }
+  });
+
+  return scope;
+}
+
+/**
+ * Elaborates the parts, expanding the `FOR` blocks: the parts of
+ * a block are repeated for each value of its variable.
+ */
+function elaborateParts(parts, scope, ast) {
+  const elaborated = [];
+
+  parts.forEach(part => {
+    if (part.type !== 'For') {
+      elaborated.push(elaboratePart(part, scope, ast));
+      return;
+    }
+
+    const {variable} = part;
+
+    if (scope.hasOwnProperty(variable)) {
+      throw addLocation(new Error(
+        `"${ast.name}" chip: FOR variable "${variable}" shadows ` +
+        `a parameter, or an outer FOR variable.`
+      ), part);
+    }
+
+    const from = evaluate(part.from, scope, ast);
+    const to = evaluate(part.to, scope, ast);
+
+    for (let value = from; value <= to; value++) {
+      const blockScope = Object.assign({}, scope, {[variable]: value});
+      elaborated.push(...elaborateParts(part.parts, blockScope, ast));
+    }
+  });
+
+  return elaborated;
+}
+
+/**
+ * Elaborates a part call: its arguments, and parameters.
+ */
+function elaboratePart(part, scope, ast) {
+  const elaborated = Object.assign({}, part, {
+    arguments: part.arguments.map(arg => {
+      return Object.assign({}, arg, {
+        name: elaborateName(arg.name, scope, ast),
+        value: elaborateName(arg.value, scope, ast),
+      });
+    }),
+  });
+
+  if (part.params) {
+    elaborated.params = part.params.map(value => {
+      return evaluate(value, scope, ast);
+    });
+  }
+
+  return elaborated;
+}
+
+/**
+ * Evaluates the `size`, `index`, or `range` of a pin name.
+ */
+function elaborateName(name, scope, ast) {
+  const elaborated = Object.assign({}, name);
+
+  ['size', 'index'].forEach(prop => {
+    if (name.hasOwnProperty(prop)) {
+      elaborated[prop] = evaluate(name[prop], scope, ast);
+    }
+  });
+
+  if (name.range) {
+    elaborated.range = {
+      from: evaluate(name.range.from, scope, ast),
+      to: evaluate(name.range.to, scope, ast),
+    };
+  }
+
+  return elaborated;
+}
+
+/**
+ * Evaluates an expression: a number, a parameter (or a FOR variable),
+ * or a binary expression.
+ */
+function evaluate(expression, scope, ast) {
+  if (typeof expression === 'number') {
+    return expression;
+  }
+
+  switch (expression.type) {
+    case 'Identifier':
+      if (!scope.hasOwnProperty(expression.value)) {
+        throw addLocation(new Error(
+          `"${ast.name}" chip: unknown parameter, or FOR variable ` +
+          `"${expression.value}".`
+        ), expression);
+      }
+      return scope[expression.value];
+
+    case 'BinaryExpression': {
+      const left = evaluate(expression.left, scope, ast);
+      const right = evaluate(expression.right, scope, ast);
+
+      switch (expression.operator) {
+        case '+':
+          return left + right;
+        case '-':
+          return left - right;
+        case '*':
+          return left * right;
+      }
+    }
+  }
+
+  throw new TypeError(`Unknown expression: ${JSON.stringify(expression)}.`);
+}
+
+module.exports = {
+  elaborate,
+  evaluate,
+};
@@ -8,7 +8,7 @@
 const assert = require('assert');
 const Pin = require('./Pin');
 
-const {SystemClock} = require('./Clock');
+const Clock = require('./Clock');
 
 /**
  * Evaluates the gate logic on the truth table input.
@@ -25,7 +25,7 @@ const {SystemClock} = require('./Clock');
  * Throws if some `out` is not evaluate to the expected value.
  */
 function testTruthTable(table, gate) {
-  SystemClock.reset();
+  gate.getClock().reset();
   const {result} = gate.execOnData(table);
   assert.deepEqual(table, result);
 }
@@ -51,9 +51,11 @@ function autoTestGate(GateClass) {
   const inputPins = createPins(spec.inputPins);
   const outputPins = createPins(spec.outputPins);
 
+  // A separate clock, not affected by other tests.
   const gate = new GateClass({
     inputPins,
     outputPins,
+    clock: new Clock(),
   });
 
   expect(gate.getName()).toBe(GateClass.name);
@@ -61,6 +63,8 @@ function autoTestGate(GateClass) {
   expect(gate.getOutputPins()).toEqual(outputPins);
 
   testTruthTable(spec.truthTable, gate);
+
+  gate.dispose();
 }
 
 module.exports = {
@@ -8,10 +8,12 @@
 const BuiltInGate = require('./BuiltInGate');
 const BuiltInGates = require('./builtin-gates');
 const Clock = require('./Clock');
+const CompiledGate = require('./CompiledGate');
 const CompositeGate = require('./CompositeGate');
 const Gate = require('./Gate');
 const HDLClassFactory = require('./HDLClassFactory');
 const Pin = require('./Pin');
+const computerRunner = require('./computer-runner');
 
 /**
  * Simulates hardware chips (gates) evaluation.
@@ -42,6 +44,11 @@ const HardwareEmulator = {
    */
   CompositeGate,
 
+  /**
+   * Expose `CompiledGate` class.
+   */
+  CompiledGate,
+
   /**
    * Expose `HDLClassFactory` object.
    */
@@ -51,6 +58,12 @@ const HardwareEmulator = {
    * Expose a map of all built-in gates.
    */
   BuiltInGates,
+
+  /**
+   * Expose `computerRunner` object (runs the programs
+   * on the Hack computer).
+   */
+  computerRunner,
 };
 
 module.exports = HardwareEmulator;
\ No newline at end of file
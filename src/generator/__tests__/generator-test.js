@@ -0,0 +1,145 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const fs = require('fs');
+const generator = require('..');
+const os = require('os');
+const parser = require('../../parser');
+const path = require('path');
+
+const EXAMPLES_DIR = __dirname + '/../../../examples';
+
+describe('generator', () => {
+
+  it('canonical format', () => {
+    const ast = parser.parse(`
+      CHIP   Custom<N = 4, M> {
+      IN a[N], b; IN c;
+        OUT out[(N - 1) * 2], o2[N - (M - 1)];
+      PARTS:
+          And(a=a[0], b = b, out=x);
+        FOR i IN 0..N-1 { Not(in=a[i], out=out[i + 1]); }
+        Or<N + M * 2>(a[0..1]=x, b=c, out=o2);
+        Mux4Way16(a=true, b=false, sel=2, out=o3);
+      }
+    `);
+
+    expect(generator.fromAST(ast)).toBe([
+      'CHIP Custom<N=4, M> {',
+      '  IN a[N], b, c;',
+      '  OUT out[(N-1)*2], o2[N-(M-1)];',
+      '',
+      '  PARTS:',
+      '',
+      '  And(a=a[0], b=b, out=x);',
+      '  FOR i IN 0..N-1 {',
+      '    Not(in=a[i], out=out[i+1]);',
+      '  }',
+      '  Or<N+M*2>(a[0..1]=x, b=c, out=o2);',
+      '  Mux4Way16(a=true, b=false, sel=2, out=o3);',
+      '}',
+      '',
+    ].join('\n'));
+  });
+
+  it('builtins', () => {
+    const ast = parser.parse(`
+      CHIP RAM64 {
+        IN in[16], load, address[6]; OUT out[16];
+        BUILTIN RAM64; CLOCKED in, load;
+      }
+    `);
+
+    expect(generator.fromAST(ast)).toBe([
+      'CHIP RAM64 {',
+      '  IN in[16], load, address[6];',
+      '  OUT out[16];',
+      '',
+      '  BUILTIN RAM64;',
+      '  CLOCKED in, load;',
+      '}',
+      '',
+    ].join('\n'));
+  });
+
+  it('comments', () => {
+    const hdlCode = [
+      '// Header.',
+      '',
+      '/**',
+      ' * Doc.',
+      ' */',
+      'CHIP A {',
+      '  IN a; // Input.',
+      '    OUT out;',
+      '  PARTS:',
+      '    /*',
+      '     * Negates.',
+      '     */',
+      '    Not(in=a, /* inline */ out=x);',
+      '',
+      '    Not(in=x, out=out);',
+      '    // Last.',
+      '} // A',
+    ].join('\n');
+
+    expect(generator.format(hdlCode)).toBe([
+      '// Header.',
+      '',
+      '/**',
+      ' * Doc.',
+      ' */',
+      'CHIP A {',
+      '  IN a; // Input.',
+      '  OUT out;',
+      '',
+      '  PARTS:',
+      '',
+      '  /*',
+      '   * Negates.',
+      '   */',
+      '  /* inline */',
+      '  Not(in=a, out=x);',
+      '',
+      '  Not(in=x, out=out);',
+      '  // Last.',
+      '} // A',
+      '',
+    ].join('\n'));
+  });
+
+  it('examples', () => {
+    fs.readdirSync(EXAMPLES_DIR)
+      .filter(file => path.extname(file) === '.hdl')
+      .forEach(file => {
+        const hdlCode = fs.readFileSync(path.join(EXAMPLES_DIR, file), 'utf-8');
+        const formatted = generator.format(hdlCode);
+
+        // Same AST, and the formatted code is stable.
+        expect(parser.parse(formatted)).toEqual(parser.parse(hdlCode));
+        expect(generator.format(formatted)).toBe(formatted);
+      });
+  });
+
+  it('files', () => {
+    const fileName = path.join(os.tmpdir(), 'hdl-js-generator-test.hdl');
+
+    fs.writeFileSync(fileName, 'CHIP A {IN a; OUT b;}', 'utf-8');
+    expect(generator.formatFile(fileName)).toBe(true);
+    expect(generator.formatFile(fileName)).toBe(false);
+
+    const ast = parser.parseFile(fileName);
+    ast.name = 'B';
+    generator.writeFile(fileName, ast);
+
+    expect(fs.readFileSync(fileName, 'utf-8'))
+      .toBe('CHIP B {\n  IN a;\n  OUT b;\n}\n');
+
+    fs.unlinkSync(fileName);
+  });
+
+});
@@ -5,8 +5,487 @@
 
 'use strict';
 
+const fs = require('fs');
+const parser = require('../parser');
+
+/**
+ * Indentation of the chip sections, and of the FOR blocks.
+ */
+const INDENT = '  ';
+
+/**
+ * Precedence of the binary operators in expressions.
+ */
+const PRECEDENCE = {
+  '+': 1,
+  '-': 1,
+  '*': 2,
+};
+
+/**
+ * HDL code generator: turns the AST (as produced by `hdl.parse`)
+ * back into the HDL code, in the canonical format:
+ *
+ *   CHIP And {
+ *     IN a, b;
+ *     OUT out;
+ *
+ *     PARTS:
+ *
+ *     Nand(a=a, b=b, out=n);
+ *     Nand(a=n, b=n, out=out);
+ *   }
+ *
+ * If the AST is parsed with the `captureComments`, and
+ * `captureLocations` options, the comments are kept, and placed
+ * by their source lines: before a section, or a part, at the end
+ * of its line, or before the closing brace.
+ */
 const generator = {
-  // TODO (https://github.com/DmitrySoshnikov/hdl-js/issues/17)
+  /**
+   * Generates the HDL code from the AST.
+   */
+  fromAST(ast) {
+    const chip = toElement(ast);
+
+    const comments = (ast.comments || [])
+      .slice()
+      .sort((a, b) => a.loc.startOffset - b.loc.startOffset);
+
+    comments.forEach(comment => attachComment(comment, chip));
+
+    return generateChip(ast, chip);
+  },
+
+  /**
+   * Formats the HDL code, keeping the comments.
+   */
+  format(hdlCode) {
+    return this.fromAST(parser.parse(hdlCode, {
+      captureLocations: true,
+      captureComments: true,
+    }));
+  },
+
+  /**
+   * Formats the HDL file in place. Returns `true` if the
+   * file is changed (was not formatted yet).
+   */
+  formatFile(fileName) {
+    const hdlCode = fs.readFileSync(fileName, 'utf-8');
+    const formatted = this.format(hdlCode);
+
+    if (formatted === hdlCode) {
+      return false;
+    }
+
+    fs.writeFileSync(fileName, formatted, 'utf-8');
+    return true;
+  },
+
+  /**
+   * Writes the HDL code generated from the AST to a file.
+   */
+  writeFile(fileName, ast) {
+    fs.writeFileSync(fileName, this.fromAST(ast), 'utf-8');
+  },
 };
 
-module.export = generator;
\ No newline at end of file
+/**
+ * Builds the tree of elements to which the comments are attached:
+ * the chip contains the sections (all inputs, all outputs, the
+ * builtins, and the clocked pins are single elements), and the parts;
+ * the FOR blocks contain their parts.
+ */
+function toElement(ast) {
+  const children = [];
+
+  ['inputs', 'outputs', 'builtins', 'clocked'].forEach(section => {
+    const names = ast[section];
+
+    if (names.length) {
+      children.push(createElement(section, spanLoc(names)));
+    }
+  });
+
+  children.push(...ast.parts.map(partToElement));
+
+  return createElement('chip', ast.loc, sortBySource(children));
+}
+
+function partToElement(part) {
+  const children = part.type === 'For'
+    ? sortBySource(part.parts.map(partToElement))
+    : null;
+
+  return createElement(part, part.loc, children);
+}
+
+function createElement(node, loc, children = null) {
+  return {
+    node,
+    loc,
+    children,
+    leading: [],
+    trailing: [],
+    inner: [],
+  };
+}
+
+/**
+ * Location, which spans all the nodes (`IN a, b` may be also
+ * written as separate `IN a; IN b;` statements).
+ */
+function spanLoc(nodes) {
+  const first = nodes[0].loc;
+  const last = nodes[nodes.length - 1].loc;
+
+  if (!first || !last) {
+    return null;
+  }
+
+  return {
+    startOffset: first.startOffset,
+    endOffset: last.endOffset,
+    startLine: first.startLine,
+    endLine: last.endLine,
+  };
+}
+
+function sortBySource(elements) {
+  if (elements.some(element => !element.loc)) {
+    return elements;
+  }
+  return elements.sort((a, b) => a.loc.startOffset - b.loc.startOffset);
+}
+
+/**
+ * Attaches a comment to the element: to the first element, which
+ * follows the comment, to the end of the line of the previous element,
+ * or (after the last element) before the closing brace.
+ */
+function attachComment(comment, container) {
+  const {loc} = comment;
+
+  // Without the locations the comments are placed before the chip.
+  if (!container.loc) {
+    container.leading.push(comment);
+    return;
+  }
+
+  if (container.node === 'chip') {
+    if (loc.endOffset <= container.loc.startOffset) {
+      container.leading.push(comment);
+      return;
+    }
+
+    if (loc.startOffset >= container.loc.endOffset) {
+      container.trailing.push(comment);
+      return;
+    }
+  }
+
+  const children = container.children.filter(child => child.loc);
+
+  const enclosing = children.find(child => {
+    return child.loc.startOffset < loc.startOffset &&
+      loc.endOffset < child.loc.endOffset;
+  });
+
+  if (enclosing) {
+    if (enclosing.children) {
+      attachComment(comment, enclosing);
+    } else {
+      enclosing.leading.push(comment);
+    }
+    return;
+  }
+
+  const previous = children
+    .filter(child => child.loc.endOffset <= loc.startOffset)
+    .pop();
+
+  if (previous && previous.loc.endLine === loc.startLine) {
+    previous.trailing.push(comment);
+    return;
+  }
+
+  const next = children.find(child => {
+    return child.loc.startOffset >= loc.endOffset;
+  });
+
+  if (next) {
+    next.leading.push(comment);
+  } else {
+    container.inner.push(comment);
+  }
+}
+
+/**
+ * Generates the chip with its comments.
+ */
+function generateChip(ast, chip) {
+  const lines = [];
+
+  generateLeading(chip, '', lines);
+
+  lines.push(`CHIP ${ast.name}${generateParams(ast.params)} {`);
+
+  const sections = {};
+  chip.children.forEach(element => sections[element.node] = element);
+
+  const generateSection = (keyword, section, names) => {
+    const element = sections[section];
+    generateLeading(element, INDENT, lines);
+    lines.push(
+      `${INDENT}${keyword} ${names.map(generateName).join(', ')};` +
+      generateTrailing(element.trailing)
+    );
+  };
+
+  if (ast.inputs.length) {
+    generateSection('IN', 'inputs', ast.inputs);
+  }
+
+  if (ast.outputs.length) {
+    generateSection('OUT', 'outputs', ast.outputs);
+  }
+
+  if (ast.parts.length) {
+    lines.push('', `${INDENT}PARTS:`, '');
+    generateParts(chipPartElements(chip), INDENT, lines);
+  }
+
+  if (ast.builtins.length) {
+    lines.push('');
+    generateSection('BUILTIN', 'builtins', ast.builtins);
+  }
+
+  if (ast.clocked.length) {
+    if (!ast.builtins.length) {
+      lines.push('');
+    }
+    generateSection('CLOCKED', 'clocked', ast.clocked);
+  }
+
+  generateComments(chip.inner, INDENT, lines);
+
+  // Comments after the chip: on the line of the closing brace, and below.
+  const isOnLastLine = comment => comment.loc.startLine === chip.loc.endLine;
+
+  lines.push('}' + generateTrailing(chip.trailing.filter(isOnLastLine)));
+
+  const after = chip.trailing.filter(comment => !isOnLastLine(comment));
+
+  if (after.length) {
+    if (hasGap(chip.loc, after[0].loc)) {
+      lines.push('');
+    }
+    generateComments(after, '', lines);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function chipPartElements(chip) {
+  return chip.children.filter(element => typeof element.node !== 'string');
+}
+
+/**
+ * Generates the parts (chip calls, and FOR blocks), keeping
+ * the blank lines between the groups of parts.
+ */
+function generateParts(elements, indent, lines) {
+  elements.forEach((element, index) => {
+    const previous = elements[index - 1];
+
+    if (previous && hasGap(previous.loc, startLoc(element))) {
+      lines.push('');
+    }
+
+    generateLeading(element, indent, lines);
+
+    const part = element.node;
+    const trailing = generateTrailing(element.trailing);
+
+    if (part.type !== 'For') {
+      lines.push(indent + generateChipCall(part) + trailing);
+      return;
+    }
+
+    lines.push(
+      `${indent}FOR ${part.variable} IN ` +
+      `${generateExpression(part.from)}..${generateExpression(part.to)} {`
+    );
+
+    generateParts(element.children, indent + INDENT, lines);
+    generateComments(element.inner, indent + INDENT, lines);
+
+    lines.push(indent + '}' + trailing);
+  });
+}
+
+/**
+ * Start location of an element, including its leading comments.
+ */
+function startLoc(element) {
+  return element.leading.length ? element.leading[0].loc : element.loc;
+}
+
+/**
+ * Whether there are blank lines between the locations.
+ */
+function hasGap(prevLoc, nextLoc) {
+  return Boolean(prevLoc && nextLoc) &&
+    nextLoc.startLine > prevLoc.endLine + 1;
+}
+
+function last(array) {
+  return array[array.length - 1];
+}
+
+/**
+ * Generates the comments before an element, keeping
+ * a blank line between the comments, and the element.
+ */
+function generateLeading(element, indent, lines) {
+  const {leading} = element;
+
+  generateComments(leading, indent, lines);
+
+  if (leading.length && hasGap(last(leading).loc, element.loc)) {
+    lines.push('');
+  }
+}
+
+/**
+ * Generates the comments on separate lines, keeping single
+ * blank lines between the groups of comments.
+ */
+function generateComments(comments, indent, lines) {
+  comments.forEach((comment, index) => {
+    if (index > 0 && hasGap(comments[index - 1].loc, comment.loc)) {
+      lines.push('');
+    }
+    lines.push(...generateComment(comment, indent));
+  });
+}
+
+function generateTrailing(comments) {
+  return comments
+    .map(comment => ' ' + generateComment(comment, '').join('\n'))
+    .join('');
+}
+
+/**
+ * Re-indents the lines of a multi-line comment.
+ */
+function generateComment(comment, indent) {
+  const {startColumn = 0} = comment.loc;
+
+  return comment.value.split(/\r?\n/).map((line, index) => {
+    if (index > 0) {
+      const whitespace = line.match(/^\s*/)[0].length;
+      line = line.slice(Math.min(whitespace, startColumn));
+    }
+    return (indent + line).trimRight();
+  });
+}
+
+/**
+ * Generates a part call: `And16<N>(a=a, b=b[0..N-1], out=out);`.
+ */
+function generateChipCall(part) {
+  const args = part.arguments.map(({name, value}) => {
+    const code = value.type === 'Constant'
+      ? String(value.value)
+      : generateName(value);
+
+    return `${generateName(name)}=${code}`;
+  });
+
+  const params = part.params
+    ? `<${part.params.map(value => generateExpression(value)).join(', ')}>`
+    : '';
+
+  return `${part.name}${params}(${args.join(', ')});`;
+}
+
+/**
+ * Generates the chip parameters: `<N=16, M>`.
+ */
+function generateParams(params) {
+  if (!params) {
+    return '';
+  }
+
+  return '<' + params.map(param => {
+    return param.hasOwnProperty('value')
+      ? `${param.name}=${generateExpression(param.value)}`
+      : param.name;
+  }).join(', ') + '>';
+}
+
+/**
+ * Generates a pin name with the size, index, or range: `a[16]`,
+ * `a[N-1]`, `a[0..7]`.
+ */
+function generateName(name) {
+  let subscript = '';
+
+  if (name.hasOwnProperty('size')) {
+    subscript = generateExpression(name.size);
+  } else if (name.hasOwnProperty('index')) {
+    subscript = generateExpression(name.index);
+  } else if (name.range) {
+    subscript = generateExpression(name.range.from) + '..' +
+      generateExpression(name.range.to);
+  }
+
+  return subscript ? `${name.value}[${subscript}]` : name.value;
+}
+
+/**
+ * Generates an expression with the minimal parentheses: `(N-1)*2`.
+ */
+function generateExpression(expression, parent = null, isRight = false) {
+  if (typeof expression === 'number') {
+    return String(expression);
+  }
+
+  switch (expression.type) {
+    case 'Identifier':
+      return expression.value;
+
+    case 'BinaryExpression': {
+      const {operator} = expression;
+
+      const code =
+        generateExpression(expression.left, operator) +
+        operator +
+        generateExpression(expression.right, operator, true);
+
+      return needsParens(operator, parent, isRight) ? `(${code})` : code;
+    }
+  }
+
+  throw new TypeError(`Unknown expression: ${JSON.stringify(expression)}.`);
+}
+
+function needsParens(operator, parent, isRight) {
+  if (!parent) {
+    return false;
+  }
+
+  const precedence = PRECEDENCE[operator];
+  const parentPrecedence = PRECEDENCE[parent];
+
+  if (precedence !== parentPrecedence) {
+    return precedence < parentPrecedence;
+  }
+
+  // Left-associative: `a-(b-c)`, but `a+b+c`, and `a*b*c`.
+  return isRight && !(operator === parent && operator !== '-');
+}
+
+module.exports = generator;
@@ -5,8 +5,11 @@
 
 'use strict';
 
+const generator = require('./generator');
+const linter = require('./linter');
 const parser = require('./parser');
 const emulator = require('./emulator/hardware');
+const testScript = require('./test-script');
 
 const {HDLClassFactory} = emulator;
 
@@ -24,6 +27,16 @@ const hdl = {
    */
   emulator,
 
+  /**
+   * Test scripts module exposed.
+   */
+  testScript,
+
+  /**
+   * Code generator module exposed.
+   */
+  generator,
+
   /**
    * Parses an HDL string, producing an AST.
    *
@@ -36,6 +49,7 @@ const hdl = {
    *   parsing options for this parse call. Default are:
    *
    *     - captureLocations: boolean
+   *     - captureComments: boolean
    *     - any other custom options
    *
    * @return Object AST
@@ -51,18 +65,57 @@ const hdl = {
     return parser.parseFile(fileName, options);
   },
 
+  /**
+   * Generates the HDL code from an AST.
+   */
+  generate(ast) {
+    return generator.fromAST(ast);
+  },
+
+  /**
+   * Formats the HDL code (keeping the comments).
+   */
+  format(hdlCode) {
+    return generator.format(`${hdlCode}`);
+  },
+
+  /**
+   * Checks the wiring of a chip; returns the list of
+   * errors, and warnings (see `linter`).
+   *
+   * Options:
+   *
+   *   - workingDir: string -- directory of the custom part gates
+   *   - params: Object|Array -- values of the chip parameters
+   */
+  lint(ast, options) {
+    return linter.lint(ast, options);
+  },
+
   /**
    * Loads a custom composite gate class from HDL file.
+   *
+   * Options:
+   *
+   *   - compile: boolean -- compile to a flat simulation kernel
    */
-  fromHDLFile(fileName) {
-    return HDLClassFactory.fromHDLFile(fileName);
+  fromHDLFile(fileName, options) {
+    return HDLClassFactory.fromHDLFile(fileName, options);
   },
 
   /**
    * Loads a custom composite gate class from HDL file.
    */
-  fromHDL(hdl) {
-    return HDLClassFactory.fromHDL(hdl);
+  fromHDL(hdl, options) {
+    return HDLClassFactory.fromHDL(hdl, undefined, options);
+  },
+
+  /**
+   * Runs a test script (`.tst`) file, comparing the output
+   * with the file from the `compare-to` command.
+   */
+  runTestScriptFile(fileName, options) {
+    return testScript.TestScript.fromFile(fileName, options).run();
   },
 };
 
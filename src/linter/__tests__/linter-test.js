@@ -0,0 +1,148 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const fs = require('fs');
+const linter = require('..');
+const parser = require('../../parser');
+const path = require('path');
+
+const EXAMPLES_DIR = __dirname + '/../../../examples';
+
+/**
+ * Lints the chip, returning the rules, and the lines of the diagnostics.
+ */
+function lint(hdlCode, options) {
+  const ast = parser.parse(hdlCode, {captureLocations: true});
+
+  return linter.lint(ast, options).map(({severity, rule, loc}) => {
+    return `${loc.startLine}: ${severity} ${rule}`;
+  });
+}
+
+describe('linter', () => {
+
+  it('pins', () => {
+    expect(lint(`
+      CHIP A {
+        IN a, b, c;
+        OUT out, out2;
+        PARTS:
+        Nand(a=a, b=b, out=n);
+        Nand(a=m, b=n, out=out);
+        Not(in=a, out=x);
+      }
+    `)).toEqual([
+      '3: warning unused-input',
+      '4: error unassigned-output',
+      '7: error undriven-pin',
+      '8: warning unread-pin',
+    ]);
+  });
+
+  it('multiple drivers', () => {
+    expect(lint(`
+      CHIP A {
+        IN a, b;
+        OUT out[2];
+        PARTS:
+        And(a=a, b=b, out=out[0]);
+        Or(a=a, b=b, out=out[1]);
+        Xor(a=a, b=b, out=out[0]);
+      }
+    `)).toEqual([
+      '8: error multiple-drivers',
+    ]);
+  });
+
+  it('width mismatch', () => {
+    expect(lint(`
+      CHIP A {
+        IN a[16], b;
+        OUT out[8], out2;
+        PARTS:
+        Not16(in=a, out[0..7]=out, out=x);
+        Not16(in=b, out=out2);
+        And(a=x, b=a[3], out=y);
+        And16(a=a, b=a, out=y2);
+        Or(a=y, b=y2[1], out=z);
+        Not(in=z, out[0]=y3);
+      }
+    `)).toEqual([
+      '7: error width-mismatch',
+      '7: error width-mismatch',
+      '8: error width-mismatch',
+      '11: warning unread-pin',
+    ]);
+  });
+
+  it('constants', () => {
+    expect(lint(`
+      CHIP A {
+        IN a[16];
+        OUT out[16];
+        PARTS:
+        Mux4Way16(a=a, b=true, c[0..3]=false, d=false, sel=2, out=out);
+      }
+    `)).toEqual([]);
+  });
+
+  it('unknown gates, and pins', () => {
+    expect(lint(`
+      CHIP A {
+        IN a;
+        OUT out;
+        PARTS:
+        Foo(a=a, out=out);
+        Not(inn=a, out=out);
+      }
+    `)).toEqual([
+      '6: error unknown-gate',
+      '7: error unknown-pin',
+    ]);
+  });
+
+  it('messages', () => {
+    const ast = parser.parse(`
+      CHIP A { IN a; OUT out; PARTS: Not16(in=a, out=out); }
+    `);
+
+    expect(linter.lint(ast)).toEqual([
+      {
+        severity: 'error',
+        rule: 'width-mismatch',
+        message: '"A" chip: width mismatch in Not16 (#1): ' +
+          'pin "in" is 16 bits, "a" is 1 bit.',
+      },
+      {
+        severity: 'error',
+        rule: 'width-mismatch',
+        message: '"A" chip: width mismatch in Not16 (#1): ' +
+          'pin "out" is 16 bits, "out" is 1 bit.',
+      },
+    ]);
+  });
+
+  it('parameters', () => {
+    const NotN = fs.readFileSync(path.join(EXAMPLES_DIR, 'NotN.hdl'), 'utf-8');
+
+    expect(lint(NotN, {params: {N: 4}})).toEqual([]);
+
+    expect(lint('CHIP A<N> { IN a[N]; OUT out; }')).toEqual([
+      '1: error invalid-chip',
+    ]);
+  });
+
+  it('examples', () => {
+    fs.readdirSync(EXAMPLES_DIR)
+      .filter(file => path.extname(file) === '.hdl')
+      .forEach(file => {
+        const ast = parser.parseFile(path.join(EXAMPLES_DIR, file));
+        expect(linter.lint(ast, {workingDir: EXAMPLES_DIR})).toEqual([]);
+      });
+  });
+
+});
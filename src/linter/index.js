@@ -0,0 +1,321 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const elaborator = require('../emulator/hardware/elaborator');
+const HDLClassFactory = require('../emulator/hardware/HDLClassFactory');
+
+/**
+ * Static analysis of the wiring of a chip. Reports the mistakes, which
+ * otherwise show up only as wrong outputs: e.g. a typo in an argument
+ * of a part silently creates a new internal pin.
+ *
+ * The result is a list of diagnostics:
+ *
+ *   {
+ *     severity: 'error' | 'warning',
+ *     rule: 'undriven-pin',
+ *     message: '"And" chip: internal pin "m" is read, but never driven.',
+ *     loc: {...},
+ *   }
+ *
+ * Rules:
+ *
+ *   - undriven-pin (error): an internal pin is read, but no part writes it
+ *   - unread-pin (warning): an internal pin is written, but never read
+ *   - unassigned-output (error): no part writes an output of the chip
+ *   - unused-input (warning): no part reads an input of the chip
+ *   - multiple-drivers (error): the same bits are written by several parts
+ *   - width-mismatch (error): the width of a part pin differs from the
+ *     width of the connected bus, or slice
+ *
+ * The parts which can't be loaded, and the unknown pins of the parts are
+ * reported as `unknown-gate`, and `unknown-pin` errors; the errors of the
+ * parameters (see `elaborator`) as an `invalid-chip` error.
+ *
+ * The `loc` of the diagnostics is set if the AST is parsed with the
+ * `captureLocations` option.
+ */
+function lint(ast, options = {}) {
+  const {workingDir = process.cwd(), params} = options;
+
+  const diagnostics = [];
+
+  const report = (severity, rule, message, node) => {
+    const diagnostic = {severity, rule, message};
+    if (node && node.loc) {
+      diagnostic.loc = node.loc;
+    }
+    diagnostics.push(diagnostic);
+  };
+
+  let chip;
+
+  try {
+    chip = elaborator.elaborate(ast, params);
+  } catch (error) {
+    report('error', 'invalid-chip', error.message, error);
+    return diagnostics;
+  }
+
+  // The wiring of the built-in chips is not in HDL.
+  if (chip.builtins.length > 0) {
+    return diagnostics;
+  }
+
+  const pins = collectPins(chip, workingDir, report);
+
+  Object.keys(pins).forEach(name => {
+    const pin = pins[name];
+
+    checkWidths(chip, pin, report);
+    checkDrivers(chip, pin, report);
+
+    // Connected to a part with unknown pins, which is already reported.
+    if (pin.isUnknown) {
+      return;
+    }
+
+    if (pin.kind === 'input' && pin.reads.length === 0) {
+      report(
+        'warning',
+        'unused-input',
+        `"${chip.name}" chip: input pin "${name}" is never used.`,
+        pin.node
+      );
+    }
+
+    if (pin.kind === 'output' && pin.writes.length === 0) {
+      report(
+        'error',
+        'unassigned-output',
+        `"${chip.name}" chip: output pin "${name}" is never assigned.`,
+        pin.node
+      );
+    }
+
+    if (pin.kind !== 'internal') {
+      return;
+    }
+
+    if (pin.writes.length === 0) {
+      report(
+        'error',
+        'undriven-pin',
+        `"${chip.name}" chip: internal pin "${name}" is read, ` +
+        `but never driven.`,
+        pin.reads[0].arg
+      );
+    } else if (pin.reads.length === 0) {
+      report(
+        'warning',
+        'unread-pin',
+        `"${chip.name}" chip: internal pin "${name}" is driven, ` +
+        `but never read.`,
+        pin.writes[0].arg
+      );
+    }
+  });
+
+  return diagnostics.sort(compareLocations);
+}
+
+/**
+ * Collects the pins of the chip (inputs, outputs, and internal pins),
+ * with the connections of the parts, which read, and write them:
+ *
+ *   {kind: 'input', size: 16, node, reads: [...], writes: [...]}
+ *
+ * The pins connected to the unknown gates, or to the unknown pins
+ * of a gate are marked with `isUnknown`.
+ */
+function collectPins(chip, workingDir, report) {
+  const pins = {};
+
+  const addPins = (names, kind) => names.forEach(node => {
+    pins[node.value] = {
+      kind,
+      size: node.size || 1,
+      node,
+      reads: [],
+      writes: [],
+    };
+  });
+
+  addPins(chip.inputs, 'input');
+  addPins(chip.outputs, 'output');
+
+  // Other pins are internal.
+  const getPin = node => {
+    if (!pins.hasOwnProperty(node.value)) {
+      pins[node.value] = {
+        kind: 'internal',
+        size: null,
+        node,
+        reads: [],
+        writes: [],
+      };
+    }
+    return pins[node.value];
+  };
+
+  chip.parts.forEach((part, index) => {
+    let PartGateClass;
+
+    try {
+      PartGateClass = HDLClassFactory.loadPartGate(part, workingDir, chip);
+    } catch (error) {
+      report('error', 'unknown-gate', error.message, part);
+      part.arguments
+        .filter(({value}) => value.type !== 'Constant')
+        .forEach(({value}) => getPin(value).isUnknown = true);
+      return;
+    }
+
+    const partName = `${part.name} (#${index + 1})`;
+
+    part.arguments.forEach(arg => {
+      const {name, value} = arg;
+
+      let pinInfo;
+
+      try {
+        pinInfo = PartGateClass.getPinInfo(name.value);
+      } catch (error) {
+        report('error', 'unknown-pin', error.message, arg);
+        if (value.type !== 'Constant') {
+          getPin(value).isUnknown = true;
+        }
+        return;
+      }
+
+      // The constants are validated when the gate class is created.
+      if (pinInfo.kind === 'special' || value.type === 'Constant') {
+        return;
+      }
+
+      const pin = getPin(value);
+
+      const connection = {
+        arg,
+        partName,
+        width: getWidth(name, pinInfo.size || 1),
+      };
+
+      if (pinInfo.kind === 'input') {
+        pin.reads.push(connection);
+        return;
+      }
+
+      pin.writes.push(connection);
+
+      // The size of an internal pin is the width of its driver.
+      if (pin.kind === 'internal' && pin.size === null && !isSlice(value)) {
+        pin.size = connection.width;
+      }
+    });
+  });
+
+  return pins;
+}
+
+/**
+ * Reports the connections, where the width of the part pin
+ * differs from the width of the chip pin (or its slice).
+ */
+function checkWidths(chip, pin, report) {
+  if (pin.size === null) {
+    return;
+  }
+
+  [...pin.reads, ...pin.writes].forEach(({arg, partName, width}) => {
+    const busWidth = getWidth(arg.value, pin.size);
+
+    if (busWidth === width) {
+      return;
+    }
+
+    report(
+      'error',
+      'width-mismatch',
+      `"${chip.name}" chip: width mismatch in ${partName}: ` +
+      `pin "${arg.name.value}" is ${toBits(width)}, ` +
+      `"${arg.value.value}" is ${toBits(busWidth)}.`,
+      arg
+    );
+  });
+}
+
+/**
+ * Reports the bits of a pin, written by more than one part.
+ */
+function checkDrivers(chip, pin, report) {
+  pin.writes.forEach((write, index) => {
+    const previous = pin.writes.slice(0, index).find(other => {
+      return isOverlap(getBitsRange(other.arg.value, pin.size),
+        getBitsRange(write.arg.value, pin.size));
+    });
+
+    if (!previous) {
+      return;
+    }
+
+    report(
+      'error',
+      'multiple-drivers',
+      `"${chip.name}" chip: pin "${write.arg.value.value}" is driven ` +
+      `by more than one part: ${previous.partName}, ${write.partName}.`,
+      write.arg
+    );
+  });
+}
+
+/**
+ * Width of a pin reference: `a[3]` is 1, `a[0..7]` is 8,
+ * and `a` is the size of the pin.
+ */
+function getWidth(name, size) {
+  const {from, to} = getBitsRange(name, size);
+  return to - from + 1;
+}
+
+/**
+ * Bits range of a pin reference: `a[3]`, `a[0..7]`, or `a`.
+ */
+function getBitsRange(name, size) {
+  if (name.hasOwnProperty('index')) {
+    return {from: name.index, to: name.index};
+  } else if (name.range) {
+    return {from: name.range.from, to: name.range.to};
+  }
+  return {from: 0, to: (size || 1) - 1};
+}
+
+function isSlice(name) {
+  return name.hasOwnProperty('index') || Boolean(name.range);
+}
+
+function isOverlap(a, b) {
+  return a.from <= b.to && b.from <= a.to;
+}
+
+function toBits(width) {
+  return width === 1 ? '1 bit' : `${width} bits`;
+}
+
+/**
+ * Sorts the diagnostics by the source location.
+ */
+function compareLocations(a, b) {
+  if (!a.loc || !b.loc) {
+    return 0;
+  }
+  return a.loc.startOffset - b.loc.startOffset;
+}
+
+module.exports = {
+  lint,
+};
@@ -201,6 +201,214 @@ describe('hdl-parser', () => {
     });
   });
 
+  it('parameters', () => {
+    const exampleHDL = `
+      CHIP AndN<N=16, M> {
+        IN a[N], b[N];
+        OUT out[N];
+
+        PARTS:
+
+        AndN<N - 1>(a=a[0..N-2], b=b[(N - 1) * 2], out=out);
+      }
+    `;
+
+    const N = {type: 'Identifier', value: 'N'};
+
+    const ast = parser.parse(exampleHDL);
+
+    expect(ast.params).toEqual([
+      {type: 'Param', name: 'N', value: 16},
+      {type: 'Param', name: 'M'},
+    ]);
+
+    expect(ast.inputs[0]).toEqual({type: 'Name', value: 'a', size: N});
+
+    const [part] = ast.parts;
+
+    expect(part.params).toEqual([
+      {type: 'BinaryExpression', operator: '-', left: N, right: 1},
+    ]);
+
+    expect(part.arguments[0].value.range).toEqual({
+      from: 0,
+      to: {type: 'BinaryExpression', operator: '-', left: N, right: 2},
+    });
+
+    expect(part.arguments[1].value.index).toEqual({
+      type: 'BinaryExpression',
+      operator: '*',
+      left: {type: 'BinaryExpression', operator: '-', left: N, right: 1},
+      right: 2,
+    });
+
+    // No parameters.
+    expect(parser.parse('CHIP A { IN a; OUT b; }').hasOwnProperty('params'))
+      .toBe(false);
+  });
+
+  it('FOR blocks', () => {
+    const exampleHDL = `
+      CHIP Not4 {
+        IN in[4];
+        OUT out[4];
+
+        PARTS:
+
+        FOR i IN 0..3 {
+          Not(in=in[i], out=out[3 - i]);
+        }
+      }
+    `;
+
+    const i = {type: 'Identifier', value: 'i'};
+
+    expect(parser.parse(exampleHDL).parts).toEqual([
+      {
+        type: 'For',
+        variable: 'i',
+        from: 0,
+        to: 3,
+        parts: [
+          {
+            type: 'ChipCall',
+            name: 'Not',
+            arguments: [
+              {
+                type: 'Argument',
+                name: {type: 'Name', value: 'in'},
+                value: {type: 'Name', value: 'in', index: i},
+              },
+              {
+                type: 'Argument',
+                name: {type: 'Name', value: 'out'},
+                value: {
+                  type: 'Name',
+                  value: 'out',
+                  index: {
+                    type: 'BinaryExpression',
+                    operator: '-',
+                    left: 3,
+                    right: i,
+                  },
+                },
+              },
+            ],
+          },
+        ],
+      },
+    ]);
+  });
+
+  it('locations', () => {
+    const exampleHDL = [
+      'CHIP And {',
+      '  IN a, b;',
+      '  OUT out;',
+      '  PARTS:',
+      '  Nand(a=a, b=b, out=n);',
+      '}',
+    ].join('\n');
+
+    const ast = parser.parse(exampleHDL, {captureLocations: true});
+
+    expect(ast.loc).toEqual({
+      startOffset: 0,
+      endOffset: exampleHDL.length,
+      startLine: 1,
+      endLine: 6,
+      startColumn: 0,
+      endColumn: 1,
+    });
+
+    expect(ast.inputs[1].loc).toEqual({
+      startOffset: 19,
+      endOffset: 20,
+      startLine: 2,
+      endLine: 2,
+      startColumn: 8,
+      endColumn: 9,
+    });
+
+    const [part] = ast.parts;
+
+    // Nand(a=a, b=b, out=n);
+    expect(part.loc.startColumn).toBe(2);
+    expect(part.loc.endColumn).toBe(24);
+
+    // b=b
+    expect(part.arguments[1].loc.startColumn).toBe(12);
+    expect(part.arguments[1].loc.endColumn).toBe(15);
+    expect(part.arguments[1].value.loc.startColumn).toBe(14);
+
+    // Not captured by default.
+    expect(parser.parse(exampleHDL).hasOwnProperty('loc')).toBe(false);
+  });
+
+  it('constants', () => {
+    const exampleHDL = `
+      CHIP A {
+        IN a;
+        OUT out;
+
+        PARTS:
+
+        Mux4Way16(a=true, b=false, c=a, sel=2, d=true[0], out=out);
+      }
+    `;
+
+    const values = parser.parse(exampleHDL).parts[0].arguments
+      .map(arg => arg.value);
+
+    expect(values).toEqual([
+      {type: 'Constant', value: true},
+      {type: 'Constant', value: false},
+      {type: 'Name', value: 'a'},
+      {type: 'Constant', value: 2},
+      {type: 'Name', value: 'true', index: 0},
+      {type: 'Name', value: 'out'},
+    ]);
+  });
+
+  it('comments', () => {
+    const exampleHDL = [
+      '// And gate.',
+      'CHIP And { /* inputs */ IN a, b; OUT out; }',
+    ].join('\n');
+
+    const ast = parser.parse(exampleHDL, {captureComments: true});
+
+    expect(ast.comments).toEqual([
+      {
+        type: 'Comment',
+        value: '// And gate.',
+        loc: {
+          startOffset: 0,
+          endOffset: 12,
+          startLine: 1,
+          endLine: 1,
+          startColumn: 0,
+          endColumn: 12,
+        },
+      },
+      {
+        type: 'Comment',
+        value: '/* inputs */',
+        loc: {
+          startOffset: 24,
+          endOffset: 36,
+          startLine: 2,
+          endLine: 2,
+          startColumn: 11,
+          endColumn: 23,
+        },
+      },
+    ]);
+
+    // Not captured by default.
+    expect(parser.parse(exampleHDL).hasOwnProperty('comments')).toBe(false);
+  });
+
   it('file', () => {
     const ast = parser.parseFile(__dirname + '/../../../examples/And.hdl');
     expect(ast.type).toBe('Chip');
@@ -68,7 +68,7 @@ const EOF = '$';
  * List of productions (generated by Syntax tool).
  */
 const productions = [[-1,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[0,5,(_1,_2,_3,_4,_5,_1loc,_2loc,_3loc,_4loc,_5loc) => { __loc = yyloc(_1loc, _5loc);
+[0,6,(_1,_2,_3,_4,_5,_6,_1loc,_2loc,_3loc,_4loc,_5loc,_6loc) => { __loc = yyloc(_1loc, _6loc);
       __ = {
         type: 'Chip',
         name: _2,
@@ -78,32 +78,59 @@ const productions = [[-1,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }
         builtins,
         clocked,
       };
+
+      if (_3) {
+        __.params = _3;
+      }
+
+      if (yy.options.captureComments) {
+        __.comments = comments;
+      }
+
+      withLoc(__, __loc);
+     }],
+[1,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); __ = _2  }],
+[1,0],
+[2,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = [_1]  }],
+[2,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); _1.push(_3); __ = _1  }],
+[3,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);
+      __ = withLoc({
+        type: 'Param',
+        name: _1,
+      }, __loc);
      }],
-[1,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[1,2],
-[2,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[2,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[2,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[2,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[2,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
 [3,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
+      __ = withLoc({
+        type: 'Param',
+        name: _1,
+        value: _3,
+      }, __loc);
+     }],
+[4,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[4,2],
+[5,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[5,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[5,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[5,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[5,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[6,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
       inputs.push(...subscriptListToProp(_2, 'size'));
      }],
-[4,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
+[7,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
       outputs.push(...subscriptListToProp(_2, 'size'));
      }],
-[5,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
+[8,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
       parts.push(..._3);
      }],
-[6,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
+[9,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
       builtins.push(_2);
      }],
-[7,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
+[10,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
       clocked.push(..._2);
      }],
-[8,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = [_1];  }],
-[8,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); _1.push(_3); __ = _1  }],
-[9,2,(_1,_2,_1loc,_2loc) => { __loc = yyloc(_1loc, _2loc);
+[11,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = [_1];  }],
+[11,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); _1.push(_3); __ = _1  }],
+[12,2,(_1,_2,_1loc,_2loc) => { __loc = yyloc(_1loc, _2loc);
       __ = {
         type: 'Name',
         value: _1,
@@ -112,60 +139,112 @@ const productions = [[-1,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }
       if (_2) {
         __.subscript = _2;
       }
+
+      withLoc(__, __loc);
      }],
-[10,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[10,0],
-[11,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
+[13,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[13,0],
+[14,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
       __ = _2;
      }],
-[12,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);
+[15,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);
       __ = {
         kind: 'number',
-        value: Number(_1),
+        value: _1,
       };
      }],
-[12,4,(_1,_2,_3,_4,_1loc,_2loc,_3loc,_4loc) => { __loc = yyloc(_1loc, _4loc);
+[15,4,(_1,_2,_3,_4,_1loc,_2loc,_3loc,_4loc) => { __loc = yyloc(_1loc, _4loc);
       __ = {
         kind: 'range',
-        from: Number(_1),
-        to: Number(_4),
+        from: _1,
+        to: _4,
       };
      }],
-[13,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[13,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[13,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[13,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[13,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[13,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[13,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
-[14,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = [_1]  }],
-[14,2,(_1,_2,_1loc,_2loc) => { __loc = yyloc(_1loc, _2loc); _1.push(_2); __ = _1  }],
-[15,5,(_1,_2,_3,_4,_5,_1loc,_2loc,_3loc,_4loc,_5loc) => { __loc = yyloc(_1loc, _5loc);
+[16,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); __ = binaryExpression(_2, _1, _3, __loc)  }],
+[16,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); __ = binaryExpression(_2, _1, _3, __loc)  }],
+[16,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); __ = binaryExpression(_2, _1, _3, __loc)  }],
+[16,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); __ = _2  }],
+[16,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = Number(_1)  }],
+[16,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);
+      __ = withLoc({
+        type: 'Identifier',
+        value: _1,
+      }, __loc);
+     }],
+[17,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[17,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[17,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[17,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[17,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[17,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[17,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[17,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[18,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = [_1]  }],
+[18,2,(_1,_2,_1loc,_2loc) => { __loc = yyloc(_1loc, _2loc); _1.push(_2); __ = _1  }],
+[19,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[19,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[20,10,(_1,_2,_3,_4,_5,_6,_7,_8,_9,_10,_1loc,_2loc,_3loc,_4loc,_5loc,_6loc,_7loc,_8loc,_9loc,_10loc) => { __loc = yyloc(_1loc, _10loc);
+      __ = withLoc({
+        type: 'For',
+        variable: _2,
+        from: _4,
+        to: _7,
+        parts: _9,
+      }, __loc);
+     }],
+[21,6,(_1,_2,_3,_4,_5,_6,_1loc,_2loc,_3loc,_4loc,_5loc,_6loc) => { __loc = yyloc(_1loc, _6loc);
       __ = {
         type: 'ChipCall',
         name: _1,
-        arguments: _3,
+        arguments: _4,
+      };
+
+      if (_2) {
+        __.params = _2;
       }
+
+      withLoc(__, __loc);
      }],
-[16,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = [_1]  }],
-[16,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); _1.push(_3); __ = _1  }],
-[17,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
-      __ = {
+[22,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); __ = _2  }],
+[22,0],
+[23,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = [_1]  }],
+[23,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); _1.push(_3); __ = _1  }],
+[24,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = [_1]  }],
+[24,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); _1.push(_3); __ = _1  }],
+[25,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
+      __ = withLoc({
         type: 'Argument',
         name: subscriptToProp(_1, 'index'),
-        value: subscriptToProp(_3, 'index'),
+        value: _3,
+      }, __loc);
+     }],
+[26,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);
+      __ = subscriptToProp(_1, 'index');
+
+      if (CONSTANTS.hasOwnProperty(__.value) && !__.hasOwnProperty('index') &&
+          !__.range) {
+        __ = withLoc({
+          type: 'Constant',
+          value: CONSTANTS[__.value],
+        }, __loc);
       }
+     }],
+[26,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);
+      __ = withLoc({
+        type: 'Constant',
+        value: Number(_1),
+      }, __loc);
      }]];
 
 /**
  * Encoded tokens map.
  */
-const tokens = {"CHIP":"18","IN":"19","OUT":"20","PARTS":"21","BUILTIN":"22","CLOCKED":"23","NUMBER":"24","ID":"25","'{'":"26","'}'":"27","';'":"28","':'":"29","','":"30","'['":"31","']'":"32","'.'":"33","'('":"34","')'":"35","'='":"36","$":"37"};
+const tokens = {"CHIP":"27","IN":"28","OUT":"29","PARTS":"30","BUILTIN":"31","CLOCKED":"32","NUMBER":"33","ID":"34","FOR":"35","'{'":"36","'}'":"37","'<'":"38","'>'":"39","','":"40","'='":"41","';'":"42","':'":"43","'['":"44","']'":"45","'.'":"46","'+'":"47","'-'":"48","'*'":"49","'('":"50","')'":"51","$":"52"};
 
 /**
  * Parsing table (generated by Syntax tool).
  */
-const table = [{"0":52,"18":"s1"},{"13":2,"18":"s54","19":"s55","20":"s56","21":"s57","22":"s58","23":"s59","25":"s53"},{"26":"s3"},{"1":4,"2":5,"3":6,"4":7,"5":8,"6":9,"7":10,"19":"s11","20":"s12","21":"s13","22":"s14","23":"s15"},{"2":16,"3":6,"4":7,"5":8,"6":9,"7":10,"19":"s11","20":"s12","21":"s13","22":"s14","23":"s15","27":"s60"},{"19":"r2","20":"r2","21":"r2","22":"r2","23":"r2","27":"r2"},{"19":"r4","20":"r4","21":"r4","22":"r4","23":"r4","27":"r4"},{"19":"r5","20":"r5","21":"r5","22":"r5","23":"r5","27":"r5"},{"19":"r6","20":"r6","21":"r6","22":"r6","23":"r6","27":"r6"},{"19":"r7","20":"r7","21":"r7","22":"r7","23":"r7","27":"r7"},{"19":"r8","20":"r8","21":"r8","22":"r8","23":"r8","27":"r8"},{"8":17,"9":18,"13":19,"18":"s54","19":"s55","20":"s56","21":"s57","22":"s58","23":"s59","25":"s53"},{"8":31,"9":18,"13":19,"18":"s54","19":"s55","20":"s56","21":"s57","22":"s58","23":"s59","25":"s53"},{"29":"s33"},{"9":48,"13":19,"18":"s54","19":"s55","20":"s56","21":"s57","22":"s58","23":"s59","25":"s53"},{"8":50,"9":18,"13":19,"18":"s54","19":"s55","20":"s56","21":"s57","22":"s58","23":"s59","25":"s53"},{"19":"r3","20":"r3","21":"r3","22":"r3","23":"r3","27":"r3"},{"28":"s20","30":"s21"},{"28":"r14","30":"r14"},{"10":23,"11":24,"28":"r18","30":"r18","31":"s25","35":"r18","36":"r18"},{"19":"r9","20":"r9","21":"r9","22":"r9","23":"r9","27":"r9"},{"9":22,"13":19,"18":"s54","19":"s55","20":"s56","21":"s57","22":"s58","23":"s59","25":"s53"},{"28":"r15","30":"r15"},{"28":"r16","30":"r16","35":"r16","36":"r16"},{"28":"r17","30":"r17","35":"r17","36":"r17"},{"12":26,"24":"s27"},{"32":"s28"},{"32":"r20","33":"s29"},{"28":"r19","30":"r19","35":"r19","36":"r19"},{"33":"s30"},{"24":"s61"},{"28":"s32","30":"s21"},{"19":"r10","20":"r10","21":"r10","22":"r10","23":"r10","27":"r10"},{"13":36,"14":34,"15":35,"18":"s54","19":"s55","20":"s56","21":"s57","22":"s58","23":"s59","25":"s53"},{"13":36,"15":37,"18":"s54","19":"r11/s55","20":"r11/s56","21":"r11/s57","22":"r11/s58","23":"r11/s59","25":"s53","27":"r11"},{"18":"r29","19":"r29","20":"r29","21":"r29","22":"r29","23":"r29","25":"r29","27":"r29"},{"34":"s38"},{"18":"r30","19":"r30","20":"r30","21":"r30","22":"r30","23":"r30","25":"r30","27":"r30"},{"9":41,"13":19,"16":39,"17":40,"18":"s54","19":"s55","20":"s56","21":"s57","22":"s58","23":"s59","25":"s53"},{"30":"s43","35":"s42"},{"30":"r32","35":"r32"},{"36":"s46"},{"28":"s44"},{"9":41,"13":19,"17":45,"18":"s54","19":"s55","20":"s56","21":"s57","22":"s58","23":"s59","25":"s53"},{"18":"r31","19":"r31","20":"r31","21":"r31","22":"r31","23":"r31","25":"r31","27":"r31"},{"30":"r33","35":"r33"},{"9":47,"13":19,"18":"s54","19":"s55","20":"s56","21":"s57","22":"s58","23":"s59","25":"s53"},{"30":"r34","35":"r34"},{"28":"s49"},{"19":"r12","20":"r12","21":"r12","22":"r12","23":"r12","27":"r12"},{"28":"s51","30":"s21"},{"19":"r13","20":"r13","21":"r13","22":"r13","23":"r13","27":"r13"},{"37":"acc"},{"26":"r22","28":"r22","30":"r22","31":"r22","34":"r22","35":"r22","36":"r22"},{"26":"r23","28":"r23","30":"r23","31":"r23","34":"r23","35":"r23","36":"r23"},{"26":"r24","28":"r24","30":"r24","31":"r24","34":"r24","35":"r24","36":"r24"},{"26":"r25","28":"r25","30":"r25","31":"r25","34":"r25","35":"r25","36":"r25"},{"26":"r26","28":"r26","30":"r26","31":"r26","34":"r26","35":"r26","36":"r26"},{"26":"r27","28":"r27","30":"r27","31":"r27","34":"r27","35":"r27","36":"r27"},{"26":"r28","28":"r28","30":"r28","31":"r28","34":"r28","35":"r28","36":"r28"},{"37":"r1"},{"32":"r21"}];
+const table = [{"0":93,"27":"s1"},{"17":2,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s101"},{"1":3,"36":"r3","38":"s4"},{"36":"s5"},{"2":86,"3":87,"17":88,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s101"},{"4":6,"5":7,"6":8,"7":9,"8":10,"9":11,"10":12,"28":"s13","29":"s14","30":"s15","31":"s16","32":"s17"},{"5":18,"6":8,"7":9,"8":10,"9":11,"10":12,"28":"s13","29":"s14","30":"s15","31":"s16","32":"s17","37":"s102"},{"28":"r8","29":"r8","30":"r8","31":"r8","32":"r8","37":"r8"},{"28":"r10","29":"r10","30":"r10","31":"r10","32":"r10","37":"r10"},{"28":"r11","29":"r11","30":"r11","31":"r11","32":"r11","37":"r11"},{"28":"r12","29":"r12","30":"r12","31":"r12","32":"r12","37":"r12"},{"28":"r13","29":"r13","30":"r13","31":"r13","32":"r13","37":"r13"},{"28":"r14","29":"r14","30":"r14","31":"r14","32":"r14","37":"r14"},{"11":19,"12":20,"17":21,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s101"},{"11":45,"12":20,"17":21,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s101"},{"43":"s47"},{"12":82,"17":21,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s101"},{"11":84,"12":20,"17":21,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s101"},{"28":"r9","29":"r9","30":"r9","31":"r9","32":"r9","37":"r9"},{"40":"s23","42":"s22"},{"40":"r20","42":"r20"},{"13":25,"14":26,"40":"r24","41":"r24","42":"r24","44":"s27","51":"r24"},{"28":"r15","29":"r15","30":"r15","31":"r15","32":"r15","37":"r15"},{"12":24,"17":21,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s101"},{"40":"r21","42":"r21"},{"40":"r22","41":"r22","42":"r22","51":"r22"},{"40":"r23","41":"r23","42":"r23","51":"r23"},{"15":28,"16":29,"17":32,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","33":"s31","34":"s94","35":"s101","50":"s30"},{"45":"s33"},{"45":"r26","46":"s34","47":"s35","48":"s36","49":"s37"},{"16":43,"17":32,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","33":"s31","34":"s94","35":"s101","50":"s30"},{"36":"r32","39":"r32","40":"r32","45":"r32","46":"r32","47":"r32","48":"r32","49":"r32","51":"r32"},{"36":"r33","39":"r33","40":"r33","45":"r33","46":"r33","47":"r33","48":"r33","49":"r33","51":"r33"},{"40":"r25","41":"r25","42":"r25","51":"r25"},{"46":"s38"},{"16":40,"17":32,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","33":"s31","34":"s94","35":"s101","50":"s30"},{"16":41,"17":32,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","33":"s31","34":"s94","35":"s101","50":"s30"},{"16":42,"17":32,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","33":"s31","34":"s94","35":"s101","50":"s30"},{"16":39,"17":32,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","33":"s31","34":"s94","35":"s101","50":"s30"},{"45":"r27","47":"s35","48":"s36","49":"s37"},{"36":"r28","39":"r28","40":"r28","45":"r28","46":"r28","47":"r28","48":"r28","49":"s37","51":"r28"},{"36":"r29","39":"r29","40":"r29","45":"r29","46":"r29","47":"r29","48":"r29","49":"s37","51":"r29"},{"36":"r30","39":"r30","40":"r30","45":"r30","46":"r30","47":"r30","48":"r30","49":"r30","51":"r30"},{"47":"s35","48":"s36","49":"s37","51":"s44"},{"36":"r31","39":"r31","40":"r31","45":"r31","46":"r31","47":"r31","48":"r31","49":"r31","51":"r31"},{"40":"s23","42":"s46"},{"28":"r16","29":"r16","30":"r16","31":"r16","32":"r16","37":"r16"},{"17":52,"18":48,"19":49,"20":51,"21":50,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s53"},{"17":52,"19":54,"20":51,"21":50,"27":"s95","28":"r17/s96","29":"r17/s97","30":"r17/s98","31":"r17/s99","32":"r17/s100","34":"s94","35":"s53","37":"r17"},{"27":"r42","28":"r42","29":"r42","30":"r42","31":"r42","32":"r42","34":"r42","35":"r42","37":"r42"},{"27":"r44","28":"r44","29":"r44","30":"r44","31":"r44","32":"r44","34":"r44","35":"r44","37":"r44"},{"27":"r45","28":"r45","29":"r45","30":"r45","31":"r45","32":"r45","34":"r45","35":"r45","37":"r45"},{"22":55,"38":"s56","50":"r49"},{"17":73,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s101","38":"r41","50":"r41"},{"27":"r43","28":"r43","29":"r43","30":"r43","31":"r43","32":"r43","34":"r43","35":"r43","37":"r43"},{"50":"s57"},{"16":70,"17":32,"23":69,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","33":"s31","34":"s94","35":"s101","50":"s30"},{"12":60,"17":21,"24":58,"25":59,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s101"},{"40":"s62","51":"s61"},{"40":"r52","51":"r52"},{"41":"s65"},{"42":"s63"},{"12":60,"17":21,"25":64,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s101"},{"27":"r47","28":"r47","29":"r47","30":"r47","31":"r47","32":"r47","34":"r47","35":"r47","37":"r47"},{"40":"r53","51":"r53"},{"12":67,"17":21,"26":66,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","33":"s68","34":"s94","35":"s101"},{"40":"r54","51":"r54"},{"40":"r55","51":"r55"},{"40":"r56","51":"r56"},{"39":"s103","40":"s71"},{"39":"r50","40":"r50","47":"s35","48":"s36","49":"s37"},{"16":72,"17":32,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","33":"s31","34":"s94","35":"s101","50":"s30"},{"39":"r51","40":"r51","47":"s35","48":"s36","49":"s37"},{"28":"s74"},{"16":75,"17":32,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","33":"s31","34":"s94","35":"s101","50":"s30"},{"46":"s76","47":"s35","48":"s36","49":"s37"},{"46":"s77"},{"16":78,"17":32,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","33":"s31","34":"s94","35":"s101","50":"s30"},{"36":"s79","47":"s35","48":"s36","49":"s37"},{"17":52,"18":80,"19":49,"20":51,"21":50,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s53"},{"17":52,"19":54,"20":51,"21":50,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s53","37":"s81"},{"27":"r46","28":"r46","29":"r46","30":"r46","31":"r46","32":"r46","34":"r46","35":"r46","37":"r46"},{"42":"s83"},{"28":"r18","29":"r18","30":"r18","31":"r18","32":"r18","37":"r18"},{"40":"s23","42":"s85"},{"28":"r19","29":"r19","30":"r19","31":"r19","32":"r19","37":"r19"},{"39":"s104","40":"s89"},{"39":"r4","40":"r4"},{"39":"r6","40":"r6","41":"s91"},{"3":90,"17":88,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","34":"s94","35":"s101"},{"39":"r5","40":"r5"},{"16":92,"17":32,"27":"s95","28":"s96","29":"s97","30":"s98","31":"s99","32":"s100","33":"s31","34":"s94","35":"s101","50":"s30"},{"39":"r7","40":"r7","47":"s35","48":"s36","49":"s37"},{"52":"acc"},{"28":"r34","36":"r34","38":"r34","39":"r34","40":"r34","41":"r34","42":"r34","44":"r34","45":"r34","46":"r34","47":"r34","48":"r34","49":"r34","50":"r34","51":"r34"},{"28":"r35","36":"r35","38":"r35","39":"r35","40":"r35","41":"r35","42":"r35","44":"r35","45":"r35","46":"r35","47":"r35","48":"r35","49":"r35","50":"r35","51":"r35"},{"28":"r36","36":"r36","38":"r36","39":"r36","40":"r36","41":"r36","42":"r36","44":"r36","45":"r36","46":"r36","47":"r36","48":"r36","49":"r36","50":"r36","51":"r36"},{"28":"r37","36":"r37","38":"r37","39":"r37","40":"r37","41":"r37","42":"r37","44":"r37","45":"r37","46":"r37","47":"r37","48":"r37","49":"r37","50":"r37","51":"r37"},{"28":"r38","36":"r38","38":"r38","39":"r38","40":"r38","41":"r38","42":"r38","44":"r38","45":"r38","46":"r38","47":"r38","48":"r38","49":"r38","50":"r38","51":"r38"},{"28":"r39","36":"r39","38":"r39","39":"r39","40":"r39","41":"r39","42":"r39","44":"r39","45":"r39","46":"r39","47":"r39","48":"r39","49":"r39","50":"r39","51":"r39"},{"28":"r40","36":"r40","38":"r40","39":"r40","40":"r40","41":"r40","42":"r40","44":"r40","45":"r40","46":"r40","47":"r40","48":"r40","49":"r40","50":"r40","51":"r40"},{"28":"r41","36":"r41","38":"r41","39":"r41","40":"r41","41":"r41","42":"r41","44":"r41","45":"r41","46":"r41","47":"r41","48":"r41","49":"r41","51":"r41"},{"52":"r1"},{"50":"r48"},{"36":"r2"}];
 
 /**
  * Parsing stack.
@@ -184,8 +263,8 @@ let tokenizer;
  * See `--custom-tokinzer` to skip this generation, and use a custom one.
  */
 
-const lexRules = [[/^\/\/.*/, function() { /* skip comments */ }],
-[/^\/\*(.|\s)*?\*\//, function() { /* skip comments */ }],
+const lexRules = [[/^\/\/.*/, function() { captureComment(this, yytext) }],
+[/^\/\*(.|\s)*?\*\//, function() { captureComment(this, yytext) }],
 [/^\s+/, function() { /* skip whitespace */ }],
 [/^\b(?:CHIP|chip)\b/, function() { return 'CHIP' }],
 [/^\b(?:IN|in)\b/, function() { return 'IN' }],
@@ -193,20 +272,26 @@ const lexRules = [[/^\/\/.*/, function() { /* skip comments */ }],
 [/^\b(?:PARTS|parts)\b/, function() { return 'PARTS' }],
 [/^\b(?:BUILTIN|builtin)\b/, function() { return 'BUILTIN' }],
 [/^\b(?:CLOCKED|clocked)\b/, function() { return 'CLOCKED' }],
+[/^\b(?:FOR|for)\b/, function() { return 'FOR' }],
 [/^\d+/, function() { return 'NUMBER' }],
 [/^[a-zA-Z_$]\w*/, function() { return 'ID' }],
 [/^\{/, function() { return "'{'"; }],
 [/^\}/, function() { return "'}'"; }],
+[/^</, function() { return "'<'"; }],
+[/^>/, function() { return "'>'"; }],
+[/^,/, function() { return "','"; }],
+[/^=/, function() { return "'='"; }],
 [/^;/, function() { return "';'"; }],
 [/^:/, function() { return "':'"; }],
-[/^,/, function() { return "','"; }],
 [/^\[/, function() { return "'['"; }],
 [/^\]/, function() { return "']'"; }],
 [/^\./, function() { return "'.'"; }],
+[/^\+/, function() { return "'+'"; }],
+[/^\-/, function() { return "'-'"; }],
+[/^\*/, function() { return "'*'"; }],
 [/^\(/, function() { return "'('"; }],
-[/^\)/, function() { return "')'"; }],
-[/^=/, function() { return "'='"; }]];
-const lexRulesByConditions = {"INITIAL":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21]};
+[/^\)/, function() { return "')'"; }]];
+const lexRulesByConditions = {"INITIAL":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27]};
 
 const EOF_TOKEN = {
   type: EOF,
@@ -652,12 +737,50 @@ let builtins = null;
  */
 let clocked = null;
 
+/**
+ * Comments (if the `captureComments` option is set).
+ */
+let comments = null;
+
 yyparse.onParseBegin = (_string) => {
   inputs = [];
   outputs = [];
   parts = [];
   builtins = [];
   clocked = [];
+  comments = [];
+};
+
+/**
+ * Saves a comment, which is skipped by the tokenizer. The comments
+ * always have locations, since the code generator places them
+ * by the source lines.
+ */
+function captureComment(tokenizer, value) {
+  if (!yy.options.captureComments) {
+    return;
+  }
+
+  comments.push({
+    type: 'Comment',
+    value,
+    loc: {
+      startOffset: tokenizer._tokenStartOffset,
+      endOffset: tokenizer._tokenEndOffset,
+      startLine: tokenizer._tokenStartLine,
+      endLine: tokenizer._tokenEndLine,
+      startColumn: tokenizer._tokenStartColumn,
+      endColumn: tokenizer._tokenEndColumn,
+    },
+  });
+}
+
+/**
+ * Boolean constants in the arguments.
+ */
+const CONSTANTS = {
+  true: true,
+  false: false,
 };
 
 /**
@@ -689,6 +812,29 @@ function subscriptListToProp(values, prop) {
   return values;
 }
 
+/**
+ * Binary expression in subscripts, and parameters: `N - 1`.
+ */
+function binaryExpression(operator, left, right, loc) {
+  return withLoc({
+    type: 'BinaryExpression',
+    operator,
+    left,
+    right,
+  }, loc);
+}
+
+/**
+ * Attaches the source location to a node, if the
+ * locations are captured (`captureLocations` option).
+ */
+function withLoc(node, loc) {
+  if (loc) {
+    node.loc = loc;
+  }
+  return node;
+}
+
 function unexpectedToken(token) {
   if (token.type === EOF) {
     unexpectedEndOfInput();
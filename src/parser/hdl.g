@@ -14,8 +14,8 @@
 
 %%
 
-\/\/.*                      /* skip comments */
-\/\*(.|\s)*?\*\/            /* skip comments */
+\/\/.*                      captureComment(this, yytext)
+\/\*(.|\s)*?\*\/            captureComment(this, yytext)
 
 \s+                         /* skip whitespace */
 
@@ -25,12 +25,16 @@
 \b(?:PARTS|parts)\b         return 'PARTS'
 \b(?:BUILTIN|builtin)\b     return 'BUILTIN'
 \b(?:CLOCKED|clocked)\b     return 'CLOCKED'
+\b(?:FOR|for)\b             return 'FOR'
 
 \d+                         return 'NUMBER'
 [a-zA-Z_$]\w*               return 'ID'
 
 /lex
 
+%left '+' '-'
+%left '*'
+
 %{
 
 /**
@@ -58,12 +62,50 @@ let builtins = null;
  */
 let clocked = null;
 
+/**
+ * Comments (if the `captureComments` option is set).
+ */
+let comments = null;
+
 yyparse.onParseBegin = (_string) => {
   inputs = [];
   outputs = [];
   parts = [];
   builtins = [];
   clocked = [];
+  comments = [];
+};
+
+/**
+ * Saves a comment, which is skipped by the tokenizer. The comments
+ * always have locations, since the code generator places them
+ * by the source lines.
+ */
+function captureComment(tokenizer, value) {
+  if (!yy.options.captureComments) {
+    return;
+  }
+
+  comments.push({
+    type: 'Comment',
+    value,
+    loc: {
+      startOffset: tokenizer._tokenStartOffset,
+      endOffset: tokenizer._tokenEndOffset,
+      startLine: tokenizer._tokenStartLine,
+      endLine: tokenizer._tokenEndLine,
+      startColumn: tokenizer._tokenStartColumn,
+      endColumn: tokenizer._tokenEndColumn,
+    },
+  });
+}
+
+/**
+ * Boolean constants in the arguments.
+ */
+const CONSTANTS = {
+  true: true,
+  false: false,
 };
 
 /**
@@ -95,12 +137,35 @@ function subscriptListToProp(values, prop) {
   return values;
 }
 
+/**
+ * Binary expression in subscripts, and parameters: `N - 1`.
+ */
+function binaryExpression(operator, left, right, loc) {
+  return withLoc({
+    type: 'BinaryExpression',
+    operator,
+    left,
+    right,
+  }, loc);
+}
+
+/**
+ * Attaches the source location to a node, if the
+ * locations are captured (`captureLocations` option).
+ */
+function withLoc(node, loc) {
+  if (loc) {
+    node.loc = loc;
+  }
+  return node;
+}
+
 %}
 
 %%
 
 Chip
-  : CHIP Identifer '{' Sections '}' {
+  : CHIP Identifer OptParams '{' Sections '}' {
       $$ = {
         type: 'Chip',
         name: $2,
@@ -110,6 +175,48 @@ Chip
         builtins,
         clocked,
       };
+
+      if ($3) {
+        $$.params = $3;
+      }
+
+      if (yy.options.captureComments) {
+        $$.comments = comments;
+      }
+
+      withLoc($$, @$);
+    }
+  ;
+
+OptParams
+  : '<' Params '>'
+    { $$ = $2 }
+
+  | /* empty */
+  ;
+
+Params
+  : Param
+    { $$ = [$1] }
+
+  | Params ',' Param
+    { $1.push($3); $$ = $1 }
+  ;
+
+Param
+  : Identifer {
+      $$ = withLoc({
+        type: 'Param',
+        name: $1,
+      }, @$);
+    }
+
+  | Identifer '=' Expression {
+      $$ = withLoc({
+        type: 'Param',
+        name: $1,
+        value: $3,
+      }, @$);
     }
   ;
 
@@ -174,6 +281,8 @@ Name
       if ($2) {
         $$.subscript = $2;
       }
+
+      withLoc($$, @$);
     }
   ;
 
@@ -189,22 +298,50 @@ Subscript
   ;
 
 SubscriptValue
-  : NUMBER {
+  : Expression {
       $$ = {
         kind: 'number',
-        value: Number($1),
+        value: $1,
       };
     }
 
-  | NUMBER '.' '.' NUMBER {
+  | Expression '.' '.' Expression {
       $$ = {
         kind: 'range',
-        from: Number($1),
-        to: Number($4),
+        from: $1,
+        to: $4,
       };
     }
   ;
 
+/**
+ * Expressions used in subscripts, and parameters: the numbers are
+ * stored as is, and the parameter references as `Identifier` nodes.
+ */
+Expression
+  : Expression '+' Expression
+    { $$ = binaryExpression($2, $1, $3, @$) }
+
+  | Expression '-' Expression
+    { $$ = binaryExpression($2, $1, $3, @$) }
+
+  | Expression '*' Expression
+    { $$ = binaryExpression($2, $1, $3, @$) }
+
+  | '(' Expression ')'
+    { $$ = $2 }
+
+  | NUMBER
+    { $$ = Number($1) }
+
+  | Identifer {
+      $$ = withLoc({
+        type: 'Identifier',
+        value: $1,
+      }, @$);
+    }
+  ;
+
 Identifer
   : ID
   | CHIP
@@ -213,26 +350,73 @@ Identifer
   | PARTS
   | BUILTIN
   | CLOCKED
+  | FOR
   ;
 
 ChipCalls
-  : ChipCall
+  : Part
     { $$ = [$1] }
 
-  | ChipCalls ChipCall
+  | ChipCalls Part
     { $1.push($2); $$ = $1 }
   ;
 
+Part
+  : ChipCall
+  | For
+  ;
+
+/**
+ * Repetition block, which is expanded into the chip calls
+ * for each value of the variable (inclusive range):
+ *
+ *   FOR i IN 0..15 {
+ *     Not(in=in[i], out=out[i]);
+ *   }
+ */
+For
+  : FOR Identifer IN Expression '.' '.' Expression '{' ChipCalls '}' {
+      $$ = withLoc({
+        type: 'For',
+        variable: $2,
+        from: $4,
+        to: $7,
+        parts: $9,
+      }, @$);
+    }
+  ;
+
 ChipCall
-  : Identifer '(' ArgsList ')' ';' {
+  : Identifer OptParamValues '(' ArgsList ')' ';' {
       $$ = {
         type: 'ChipCall',
         name: $1,
-        arguments: $3,
+        arguments: $4,
+      };
+
+      if ($2) {
+        $$.params = $2;
       }
+
+      withLoc($$, @$);
     }
   ;
 
+OptParamValues
+  : '<' Expressions '>'
+    { $$ = $2 }
+
+  | /* empty */
+  ;
+
+Expressions
+  : Expression
+    { $$ = [$1] }
+
+  | Expressions ',' Expression
+    { $1.push($3); $$ = $1 }
+  ;
+
 ArgsList
   : Arg
     { $$ = [$1] }
@@ -242,11 +426,36 @@ ArgsList
   ;
 
 Arg
-  : Name '=' Name {
-      $$ = {
+  : Name '=' ArgValue {
+      $$ = withLoc({
         type: 'Argument',
         name: subscriptToProp($1, 'index'),
-        value: subscriptToProp($3, 'index'),
+        value: $3,
+      }, @$);
+    }
+  ;
+
+/**
+ * Value of an argument: a pin, or a constant (`true`, `false`,
+ * or a number for a bus: `sel=2`).
+ */
+ArgValue
+  : Name {
+      $$ = subscriptToProp($1, 'index');
+
+      if (CONSTANTS.hasOwnProperty($$.value) && !$$.hasOwnProperty('index') &&
+          !$$.range) {
+        $$ = withLoc({
+          type: 'Constant',
+          value: CONSTANTS[$$.value],
+        }, @$);
       }
     }
+
+  | NUMBER {
+      $$ = withLoc({
+        type: 'Constant',
+        value: Number($1),
+      }, @$);
+    }
   ;
\ No newline at end of file
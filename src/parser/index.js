@@ -8,7 +8,8 @@
 const fs = require('fs');
 const hdlParser = require('./generated/hdl-parser');
 
-// By default do not capture locations; callers may override.
+// By default do not capture locations; callers may override (the
+// `HDLClassFactory` captures them to report the locations of errors).
 hdlParser.setOptions({captureLocations: false});
 
 /**
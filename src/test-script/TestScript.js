@@ -0,0 +1,451 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const BuiltInGates = require('../emulator/hardware/builtin-gates');
+const fs = require('fs');
+const HDLClassFactory = require('../emulator/hardware/HDLClassFactory');
+const parser = require('./parser');
+const path = require('path');
+
+const Clock = require('../emulator/hardware/Clock');
+
+const {
+  TIME_COLUMN,
+  TIME_FORMAT,
+  defaultFormat,
+  formatValue,
+  formatHeader,
+  formatTime,
+  formatLine,
+} = require('./format');
+
+/**
+ * Comparison operators allowed in `while` conditions.
+ */
+const OPERATORS = {
+  '=': (a, b) => a === b,
+  '<>': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '>=': (a, b) => a >= b,
+};
+
+/**
+ * Interpreter of the test scripts (`.tst` files).
+ *
+ * A script loads a gate, sets its input pins, evaluates it, runs the
+ * System clock for sequential gates, and prints the pins to the output
+ * table. If `compare-to` file is specified, every output line is compared
+ * to the line in the same position of the compare file.
+ *
+ * Example:
+ *
+ *   load And.hdl,
+ *   output-file And.out,
+ *   compare-to And.cmp,
+ *   output-list a%B3.1.3 b%B3.1.3 out%B3.1.3;
+ *
+ *   set a 0, set b 0, eval, output;
+ *   set a 1, set b 1, eval, output;
+ */
+class TestScript {
+  /**
+   * Creates a test script from the parsed AST.
+   *
+   * The working directory is used to resolve files in `load`,
+   * `output-file`, and `compare-to` commands. If the gate class
+   * is passed, it's used instead of the one from `load` command.
+   *
+   * The gate runs on its own clock (a new one by default), so the
+   * scripts don't affect other gates on the System clock.
+   */
+  constructor({
+    ast,
+    workingDir = process.cwd(),
+    GateClass = null,
+    clock = null,
+  }) {
+    this._ast = ast;
+    this._workingDir = workingDir;
+    this._GateClass = GateClass;
+    this._clock = clock || new Clock();
+  }
+
+  /**
+   * Creates a test script from the source string.
+   */
+  static fromString(source, options = {}) {
+    return new TestScript(Object.assign({}, options, {
+      ast: parser.parse(source),
+    }));
+  }
+
+  /**
+   * Creates a test script from a `.tst` file. The directory of the
+   * file is used as the working directory of the script.
+   */
+  static fromFile(fileName, options = {}) {
+    return new TestScript(Object.assign({
+      workingDir: path.dirname(fileName),
+    }, options, {
+      ast: parser.parseFile(fileName),
+    }));
+  }
+
+  /**
+   * Returns the AST of this script.
+   */
+  getAST() {
+    return this._ast;
+  }
+
+  /**
+   * Returns the clock the gate of the script runs on.
+   */
+  getClock() {
+    return this._clock;
+  }
+
+  /**
+   * Returns the gate instance the script runs on.
+   */
+  getGate() {
+    return this._gate;
+  }
+
+  /**
+   * Runs the script. Returns the output lines, and the result
+   * of comparison of each line with the compare file:
+   *
+   *   {
+   *     output: ['|  a  |  b  | out |', ...],
+   *     comparisons: [{line: 1, expected, actual, passed}, ...],
+   *     echo: ['Some message', ...],
+   *     passed: true,
+   *   }
+   */
+  run() {
+    this._clock.reset();
+
+    // The gate of the previous run.
+    if (this._gate) {
+      this._gate.dispose();
+    }
+
+    this._gate = this._GateClass
+      ? this._GateClass.defaultFromSpec({clock: this._clock})
+      : null;
+
+    this._columns = [];
+    this._output = [];
+    this._outputFile = null;
+    this._compareLines = null;
+    this._comparisons = [];
+    this._echo = [];
+
+    this._execStatements(this._ast.body);
+
+    if (this._outputFile) {
+      fs.writeFileSync(this._outputFile, this._output.join('\n') + '\n');
+    }
+
+    return {
+      output: this._output,
+      comparisons: this._comparisons,
+      echo: this._echo,
+      passed: this._comparisons.every(comparison => comparison.passed),
+    };
+  }
+
+  /**
+   * Executes a list of statements.
+   */
+  _execStatements(statements) {
+    for (const statement of statements) {
+      const handler = this['_exec' + statement.type];
+
+      if (!handler) {
+        throw new TypeError(
+          `Unknown test script command "${statement.type}".`
+        );
+      }
+
+      handler.call(this, statement);
+    }
+  }
+
+  /**
+   * load <file>
+   */
+  _execLoad({file}) {
+    if (!file) {
+      if (!this._GateClass) {
+        throw new Error('Test script: "load" command requires a gate file.');
+      }
+      return;
+    }
+
+    // Explicitly passed gate class overrides the loaded one.
+    if (!this._GateClass) {
+      if (this._gate) {
+        this._gate.dispose();
+      }
+      this._gate = this._loadGateClass(file).defaultFromSpec({
+        clock: this._clock,
+      });
+    }
+  }
+
+  /**
+   * Loads a gate class by the file name: an HDL file from the working
+   * directory if it exists, or a built-in gate with the same name.
+   */
+  _loadGateClass(file) {
+    const hdlFile = path.resolve(this._workingDir, file);
+
+    if (fs.existsSync(hdlFile)) {
+      return HDLClassFactory.fromHDLFile(hdlFile);
+    }
+
+    const name = path.basename(file, '.hdl');
+
+    if (!BuiltInGates.hasOwnProperty(name)) {
+      throw new Error(`Test script: unknown gate "${file}".`);
+    }
+
+    return BuiltInGates[name];
+  }
+
+  /**
+   * output-file <file>
+   */
+  _execOutputFile({file}) {
+    this._outputFile = path.resolve(this._workingDir, file);
+  }
+
+  /**
+   * compare-to <file>
+   */
+  _execCompareTo({file}) {
+    this._compareLines = fs
+      .readFileSync(path.resolve(this._workingDir, file), 'utf-8')
+      .split(/\r?\n/)
+      .filter(line => line.trim() !== '');
+  }
+
+  /**
+   * output-list <pin%format> ...
+   *
+   * Sets the columns, and outputs the header line.
+   */
+  _execOutputList({columns}) {
+    const gate = this._getGate();
+
+    this._columns = columns.map(column => {
+      let {format} = column;
+
+      if (!format) {
+        format = column.name === TIME_COLUMN
+          ? TIME_FORMAT
+          : defaultFormat(
+            column.hasOwnProperty('index')
+              ? 1
+              : gate.getPin(column.name).getSize()
+          );
+      }
+
+      return Object.assign({}, column, {format});
+    });
+
+    this._outputLine(formatLine(this._columns.map(column => {
+      return formatHeader(toColumnName(column), column.format);
+    })));
+  }
+
+  /**
+   * set <pin> <value>
+   */
+  _execSet({pin, value}) {
+    const gatePin = this._getGate().getPin(pin.name);
+
+    if (pin.hasOwnProperty('index')) {
+      gatePin.setValueAt(pin.index, value);
+    } else {
+      gatePin.setValue(value);
+    }
+  }
+
+  /**
+   * eval
+   */
+  _execEval() {
+    this._getGate().eval();
+  }
+
+  /**
+   * tick: rising edge of the clock.
+   */
+  _execTick() {
+    this._clockEdge(() => this._clock.tick());
+  }
+
+  /**
+   * tock: falling edge of the clock.
+   */
+  _execTock() {
+    this._clockEdge(() => this._clock.tock());
+  }
+
+  /**
+   * reset: returns the gate to its power-on state, and resets the clock.
+   */
+  _execReset() {
+    this._getGate().reset();
+  }
+
+  /**
+   * Runs a clock edge. Clocked gates are subscribed to the
+   * clock of the script, combinational are just re-evaluated.
+   */
+  _clockEdge(edge) {
+    const gate = this._getGate();
+    edge();
+
+    if (!gate.getClass().isClocked()) {
+      gate.eval();
+    }
+  }
+
+  /**
+   * output: prints current values of the pins from the output list.
+   */
+  _execOutput() {
+    this._outputLine(formatLine(this._columns.map(column => {
+      if (column.name === TIME_COLUMN) {
+        return formatTime(this._clock.getValue(), column.format);
+      }
+      return formatValue(this._getPinValue(column), column.format);
+    })));
+  }
+
+  /**
+   * echo "message"
+   */
+  _execEcho({value}) {
+    this._echo.push(value);
+  }
+
+  /**
+   * clear-echo
+   */
+  _execClearEcho() {
+    // Noop: the messages are not displayed while running.
+  }
+
+  /**
+   * repeat <n> { ... }
+   */
+  _execRepeat({count, body}) {
+    if (count === null) {
+      throw new Error(
+        'Test script: "repeat" without a count (infinite loop) ' +
+        'is not supported.'
+      );
+    }
+
+    for (let i = 0; i < count; i++) {
+      this._execStatements(body);
+    }
+  }
+
+  /**
+   * while <pin> <op> <value> { ... }
+   */
+  _execWhile({condition, body}) {
+    const compare = OPERATORS[condition.operator];
+
+    while (compare(this._getPinValue(condition.pin), condition.value)) {
+      this._execStatements(body);
+    }
+  }
+
+  /**
+   * Returns the loaded gate instance.
+   */
+  _getGate() {
+    if (!this._gate) {
+      throw new Error('Test script: no gate is loaded, use "load" command.');
+    }
+    return this._gate;
+  }
+
+  /**
+   * Returns the value of a pin, or of a bit of a bus.
+   */
+  _getPinValue(pinRef) {
+    const pin = this._getGate().getPin(pinRef.name);
+
+    return pinRef.hasOwnProperty('index')
+      ? pin.getValueAt(pinRef.index)
+      : pin.getValue();
+  }
+
+  /**
+   * Appends a line to the output, and compares it
+   * to the line from the compare file.
+   */
+  _outputLine(actual) {
+    this._output.push(actual);
+
+    if (!this._compareLines) {
+      return;
+    }
+
+    const line = this._output.length;
+    const expected = this._compareLines[line - 1];
+
+    this._comparisons.push({
+      line,
+      expected,
+      actual,
+      passed: compareLines(expected, actual),
+    });
+  }
+}
+
+/**
+ * Column name in the header: `a`, or `a[3]`.
+ */
+function toColumnName(column) {
+  return column.hasOwnProperty('index')
+    ? `${column.name}[${column.index}]`
+    : column.name;
+}
+
+/**
+ * Compares output line to the expected one, cell by cell, ignoring
+ * surrounding whitespace. A cell consisting of `*` matches any value.
+ */
+function compareLines(expected, actual) {
+  if (expected === undefined) {
+    return false;
+  }
+
+  const expectedCells = expected.split('|').map(cell => cell.trim());
+  const actualCells = actual.split('|').map(cell => cell.trim());
+
+  if (expectedCells.length !== actualCells.length) {
+    return false;
+  }
+
+  return expectedCells.every((cell, index) => {
+    return /^\*+$/.test(cell) || cell === actualCells[index];
+  });
+}
+
+module.exports = TestScript;
@@ -0,0 +1,183 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Or = require('../../emulator/hardware/builtin-gates/Or');
+const TestScript = require('../TestScript');
+
+const EXAMPLES_DIR = __dirname + '/../../../examples/';
+
+describe('TestScript', () => {
+
+  it('compares with the compare file', () => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hdl-js-'));
+
+    // Run in a temp dir, loading the gate, and the compare
+    // file from the examples directory.
+    const source = fs
+      .readFileSync(EXAMPLES_DIR + 'And.tst', 'utf-8')
+      .replace('And.hdl', path.resolve(EXAMPLES_DIR, 'And.hdl'))
+      .replace('And.cmp', path.resolve(EXAMPLES_DIR, 'And.cmp'));
+
+    const {output, comparisons, passed} = TestScript
+      .fromString(source, {workingDir: outDir})
+      .run();
+
+    expect(passed).toBe(true);
+    expect(comparisons.length).toBe(5);
+    expect(comparisons[4]).toEqual({
+      line: 5,
+      expected: '|   1   |   1   |   1   |',
+      actual: '|   1   |   1   |   1   |',
+      passed: true,
+    });
+
+    expect(fs.readFileSync(path.join(outDir, 'And.out'), 'utf-8'))
+      .toBe(output.join('\n') + '\n');
+  });
+
+  it('reports failed lines', () => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hdl-js-'));
+
+    fs.writeFileSync(path.join(outDir, 'Or.cmp'), [
+      '| a | b |out|',
+      '| 0 | 1 | 1 |',
+      '| 1 | 1 | 0 |',
+    ].join('\n'));
+
+    const {comparisons, passed} = TestScript
+      .fromString(`
+        load Or,
+        compare-to Or.cmp,
+        output-list a b out;
+
+        set a 0, set b 1, eval, output;
+        set a 1, set b 1, eval, output;
+        set a 0, set b 0, eval, output;
+      `, {workingDir: outDir})
+      .run();
+
+    expect(passed).toBe(false);
+    expect(comparisons.map(comparison => comparison.passed))
+      .toEqual([true, true, false, false]);
+
+    // No line in the compare file.
+    expect(comparisons[3].expected).toBe(undefined);
+  });
+
+  it('wildcards', () => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hdl-js-'));
+
+    fs.writeFileSync(path.join(outDir, 'Or.cmp'), [
+      '| a | b |out|',
+      '| 1 | * | 1 |',
+    ].join('\n'));
+
+    const {passed} = TestScript
+      .fromString(`
+        compare-to Or.cmp,
+        output-list a b out;
+        set a 1, set b 1, eval, output;
+      `, {workingDir: outDir, GateClass: Or})
+      .run();
+
+    expect(passed).toBe(true);
+  });
+
+  it('clocked gates', () => {
+    const {output} = TestScript
+      .fromString(`
+        load Bit,
+        output-list time%S1.4.1 in%B2.1.2 load%B2.1.2 out%B2.1.2;
+
+        set in 1, set load 1, tick, output; tock, output;
+        set in 0, set load 0, tick, output; tock, output;
+      `)
+      .run();
+
+    expect(output).toEqual([
+      '|time | in  |load | out |',
+      '| 0+  |  1  |  1  |  0  |',
+      '| 1   |  1  |  1  |  1  |',
+      '| 1+  |  0  |  0  |  1  |',
+      '| 2   |  0  |  0  |  1  |',
+    ]);
+  });
+
+  it('loops', () => {
+    const {output} = TestScript
+      .fromString(`
+        load PC,
+        output-list in%D1.3.1 out%D1.3.1;
+
+        set in 0, set inc 1;
+        repeat 2 {
+          tick, tock, output;
+        }
+
+        while out < 5 {
+          tick, tock;
+        }
+        output;
+      `)
+      .run();
+
+    expect(output).toEqual([
+      '| in  | out |',
+      '|   0 |   1 |',
+      '|   0 |   2 |',
+      '|   0 |   5 |',
+    ]);
+  });
+
+  it('reset', () => {
+    const {output} = TestScript
+      .fromString(`
+        load PC,
+        output-list time%S1.4.1 out%D1.3.1;
+
+        set in 0, set inc 1;
+        repeat 3 {
+          tick, tock;
+        }
+        output;
+
+        reset, output;
+        tick, tock, output;
+      `)
+      .run();
+
+    expect(output).toEqual([
+      '|time | out |',
+      '| 3   |   3 |',
+      '| 0   |   0 |',
+      '| 1   |   1 |',
+    ]);
+  });
+
+  it('echo', () => {
+    const {echo} = TestScript
+      .fromString('load Not, echo "Check the Not gate";')
+      .run();
+
+    expect(echo).toEqual(['Check the Not gate']);
+  });
+
+  it('errors', () => {
+    expect(() => TestScript.fromString('eval;').run())
+      .toThrow('Test script: no gate is loaded, use "load" command.');
+
+    expect(() => TestScript.fromString('load Unknown;').run())
+      .toThrow('Test script: unknown gate "Unknown".');
+
+    expect(() => TestScript.fromString('load Not; repeat { eval; }').run())
+      .toThrow(/infinite loop/);
+  });
+
+});
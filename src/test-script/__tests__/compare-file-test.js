@@ -0,0 +1,207 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const And = require('../../emulator/hardware/builtin-gates/And');
+const And16 = require('../../emulator/hardware/builtin-gates/And16');
+const Bit = require('../../emulator/hardware/builtin-gates/Bit');
+const compareFile = require('../compare-file');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {SystemClock} = require('../../emulator/hardware/Clock');
+
+const EXAMPLES_DIR = __dirname + '/../../../examples/';
+
+describe('compare-file', () => {
+
+  it('parses a compare file', () => {
+    const rows = compareFile.parseFile(EXAMPLES_DIR + 'And.cmp');
+
+    expect(rows).toEqual([
+      {a: 0, b: 0, out: 0},
+      {a: 0, b: 1, out: 0},
+      {a: 1, b: 0, out: 0},
+      {a: 1, b: 1, out: 1},
+    ]);
+  });
+
+  it('time column', () => {
+    const rows = compareFile.parse([
+      '|time |in |load|out|',
+      '| 0+  | 1 | 1  | 0 |',
+      '| 1   | 1 | 0  | 1 |',
+      '| 1+  | 0 | 0  | 1 |',
+    ].join('\n'));
+
+    expect(rows.map(row => row.$clock)).toEqual([+0, -1, +1]);
+    expect(Object.is(rows[0].$clock, +0)).toBe(true);
+    expect(rows[1]).toEqual({$clock: -1, in: 1, load: 0, out: 1});
+  });
+
+  it('formats', () => {
+    const contents = [
+      '|        a         |  b   |  out  |',
+      '| 0000000000001111 | 00FF |   -1  |',
+      '| 1111111111111111 | FF00 |  255  |',
+    ].join('\n');
+
+    // Inferred.
+    expect(compareFile.parse(contents, {GateClass: And16})).toEqual([
+      {a: 15, b: 255, out: -1},
+      {a: -1, b: -256, out: 255},
+    ]);
+
+    // Explicit.
+    expect(compareFile.parse(contents, {formats: {a: 'D', b: 'X'}})[0])
+      .toEqual({a: 1111, b: 255, out: -1});
+
+    expect(compareFile.parse(contents, {format: 'D', formats: {b: 'X'}})[1])
+      .toEqual({a: 1111111111111111, b: -256, out: 255});
+  });
+
+  it('hex columns of digits', () => {
+    const rows = [{a: 0x12, b: 0x345, out: 0}, {a: 9, b: 0x1000, out: 0}];
+    const contents = compareFile.generate(rows, {
+      GateClass: And16,
+      format: 'X',
+    });
+
+    expect(contents.split('\n')[1]).toBe('| 0012 | 0345 | 0000 |');
+
+    expect(compareFile.parse(contents)).toEqual(rows);
+    expect(compareFile.parse(contents, {GateClass: And16})).toEqual(rows);
+
+    // The decimal values don't have the leading zeros.
+    expect(compareFile.parse('| a |\n| 1234 |\n| 5678 |', {GateClass: And16}))
+      .toEqual([{a: 1234}, {a: 5678}]);
+  });
+
+  it('wide buses', () => {
+    const rows = compareFile.parse([
+      '|                a                 |       b          |          c           |',
+      '| 11111111111111111111111111111111 | FFFFFFFFFFFFFFFF | 18446744073709551615 |',
+    ].join('\n'), {formats: {b: 'X', c: 'D'}});
+
+    expect(rows).toEqual([{
+      a: 0xFFFFFFFF,
+      b: BigInt('0xFFFFFFFFFFFFFFFF'),
+      c: BigInt('18446744073709551615'),
+    }]);
+  });
+
+  it('wildcards', () => {
+    const rows = compareFile.parse([
+      '| a | b |out|',
+      '| 1 | 1 | * |',
+      '| 0 | 1 | 0 |',
+    ].join('\n'));
+
+    expect(rows).toEqual([
+      {a: 1, b: 1},
+      {a: 0, b: 1, out: 0},
+    ]);
+  });
+
+  it('errors', () => {
+    expect(() => compareFile.parse([
+      '| a | b |out|',
+      '| 1 | 1 |',
+    ].join('\n'))).toThrow(
+      'Compare file: line 2 has 2 columns, while the header has 3.'
+    );
+
+    expect(() => compareFile.parse([
+      '| a | b |out|',
+      '| 1 | x | 1 |',
+    ].join('\n'))).toThrow('Compare file: invalid value "x" at line 2.');
+  });
+
+  it('generates from the gate spec', () => {
+    const {result} = And.defaultFromSpec().execOnData(And.Spec.truthTable);
+
+    expect(compareFile.generate(result, {GateClass: And})).toBe([
+      '| a | b |out|',
+      '| 0 | 0 | 0 |',
+      '| 0 | 1 | 0 |',
+      '| 1 | 0 | 0 |',
+      '| 1 | 1 | 1 |',
+      '',
+    ].join('\n'));
+
+    const rows = [{a: 15, b: -1, out: 15}];
+
+    expect(compareFile.generate(rows, {GateClass: And16, format: 'X'}))
+      .toBe('|  a   |  b   | out  |\n| 000F | FFFF | 000F |\n');
+
+    expect(compareFile.generate(rows, {GateClass: And16, format: 'D'}))
+      .toBe('|   a    |   b    |  out   |\n|     15 |     -1 |     15 |\n');
+  });
+
+  it('generates with the output list', () => {
+    const columns = [
+      {name: 'a', format: {type: 'B', left: 3, width: 1, right: 3}},
+      {name: 'out', format: {type: 'D', left: 1, width: 3, right: 1}},
+    ];
+
+    expect(compareFile.generate([{a: 1, out: 1}], {columns, eol: '\r\n'}))
+      .toBe('|   a   | out |\r\n|   1   |   1 |\r\n');
+  });
+
+  it('clocked gate round trip', () => {
+    SystemClock.reset();
+
+    const rows = compareFile.parse([
+      '|time | in  |load | out |',
+      '| 0+  |  1  |  1  |  0  |',
+      '| 1   |  1  |  0  |  1  |',
+      '| 1+  |  0  |  1  |  1  |',
+      '| 2   |  0  |  0  |  0  |',
+    ].join('\n'), {GateClass: Bit});
+
+    const {result, conflicts} = Bit.defaultFromSpec().execOnData(rows);
+    expect(conflicts).toEqual([]);
+
+    expect(compareFile.generate(result, {GateClass: Bit})).toBe([
+      '|time |in |load |out|',
+      '| 0+  | 1 |  1  | 0 |',
+      '| 1   | 1 |  0  | 1 |',
+      '| 1+  | 0 |  1  | 1 |',
+      '| 2   | 0 |  0  | 0 |',
+      '',
+    ].join('\n'));
+  });
+
+  it('clocked gate setup row', () => {
+    SystemClock.reset();
+
+    const {result} = Bit.defaultFromSpec().execOnData([
+      {$clock: -0, in: 0, load: 0},
+      {$clock: +0, in: 1, load: 1},
+      {$clock: -1, in: 1, load: 0},
+    ]);
+
+    expect(compareFile.generate(result, {GateClass: Bit})).toBe([
+      '|time |in |load |out|',
+      '| 0   | 0 |  0  | 0 |',
+      '| 0+  | 1 |  1  | 0 |',
+      '| 1   | 1 |  0  | 1 |',
+      '',
+    ].join('\n'));
+  });
+
+  it('writes a file', () => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hdl-js-'));
+    const outFile = path.join(outDir, 'And.out');
+
+    const {result} = And.defaultFromSpec().execOnData(And.Spec.truthTable);
+    compareFile.writeFile(outFile, result, {GateClass: And});
+
+    expect(compareFile.parseFile(outFile)).toEqual(result);
+  });
+
+});
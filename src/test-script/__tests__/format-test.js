@@ -0,0 +1,83 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const {
+  defaultFormat,
+  formatValue,
+  formatHeader,
+  formatClock,
+  formatTime,
+  formatLine,
+} = require('../format');
+
+describe('format', () => {
+
+  it('binary', () => {
+    const format = {type: 'B', left: 1, width: 16, right: 1};
+
+    expect(formatValue(5, format)).toBe(' 0000000000000101 ');
+    expect(formatValue(-1, format)).toBe(' 1111111111111111 ');
+    expect(formatValue(1, defaultFormat())).toBe(' 1 ');
+  });
+
+  it('hexadecimal', () => {
+    expect(formatValue(255, {type: 'X', left: 1, width: 4, right: 1}))
+      .toBe(' 00FF ');
+    expect(formatValue(-1, {type: 'X', left: 0, width: 4, right: 0}))
+      .toBe('FFFF');
+  });
+
+  it('wide buses', () => {
+    const value = BigInt('0x123456789ABCDEF0');
+
+    expect(formatValue(value, {type: 'X', left: 1, width: 16, right: 1}))
+      .toBe(' 123456789ABCDEF0 ');
+    expect(formatValue(BigInt(0x80000001), defaultFormat(32)))
+      .toBe(' 10000000000000000000000000000001 ');
+    expect(formatValue(value, {type: 'D', left: 0, width: 20, right: 0}))
+      .toBe(' 1311768467463790320');
+  });
+
+  it('decimal', () => {
+    const format = {type: 'D', left: 1, width: 6, right: 1};
+
+    expect(formatValue(0, format)).toBe('      0 ');
+    expect(formatValue(-32123, format)).toBe(' -32123 ');
+  });
+
+  it('string', () => {
+    expect(formatValue('0+', {type: 'S', left: 1, width: 4, right: 1}))
+      .toBe(' 0+   ');
+  });
+
+  it('header', () => {
+    expect(formatHeader('a', {left: 1, width: 16, right: 1}))
+      .toBe('        a         ');
+    expect(formatHeader('out', {left: 1, width: 6, right: 1}))
+      .toBe('  out   ');
+    expect(formatHeader('reset', {left: 1, width: 1, right: 1}))
+      .toBe('res');
+    expect(formatHeader('time', {left: 1, width: 4, right: 1}))
+      .toBe('time ');
+  });
+
+  it('clock', () => {
+    expect(formatClock(-0)).toBe('0');
+    expect(formatClock(+0)).toBe('0+');
+    expect(formatClock(-1)).toBe('1');
+    expect(formatClock(+12)).toBe('12+');
+
+    const format = {type: 'S', left: 1, width: 4, right: 1};
+    expect(formatTime(+0, format)).toBe(' 0+  ');
+    expect(formatTime(-12, format)).toBe(' 12  ');
+  });
+
+  it('line', () => {
+    expect(formatLine([' 0 ', ' 1 '])).toBe('| 0 | 1 |');
+  });
+
+});
@@ -0,0 +1,149 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+const parser = require('../parser');
+
+describe('tst-parser', () => {
+
+  it('basic script', () => {
+    const exampleTST = `
+      // Comment.
+      load And.hdl,
+      output-file And.out,
+      compare-to And.cmp,
+      output-list a%B3.1.3 b out%D1.6.1;
+
+      set a 0, set b %B1,
+      eval,
+      output;
+    `;
+
+    expect(parser.parse(exampleTST)).toEqual({
+      type: 'Script',
+      body: [
+        {type: 'Load', file: 'And.hdl'},
+        {type: 'OutputFile', file: 'And.out'},
+        {type: 'CompareTo', file: 'And.cmp'},
+        {
+          type: 'OutputList',
+          columns: [
+            {
+              type: 'OutputColumn',
+              name: 'a',
+              format: {type: 'B', left: 3, width: 1, right: 3},
+            },
+            {
+              type: 'OutputColumn',
+              name: 'b',
+            },
+            {
+              type: 'OutputColumn',
+              name: 'out',
+              format: {type: 'D', left: 1, width: 6, right: 1},
+            },
+          ],
+        },
+        {type: 'Set', pin: {type: 'PinRef', name: 'a'}, value: 0},
+        {type: 'Set', pin: {type: 'PinRef', name: 'b'}, value: 1},
+        {type: 'Eval'},
+        {type: 'Output'},
+      ],
+    });
+  });
+
+  it('values', () => {
+    const values = parser
+      .parse(`
+        set a 15, set a -1, set a %B1010,
+        set a %XFF, set a %D-3, set a[2] 1;
+      `)
+      .body
+      .map(instruction => instruction.value);
+
+    expect(values).toEqual([15, -1, 0b1010, 0xFF, -3, 1]);
+
+    expect(parser.parse('set a[2] 1;').body[0].pin)
+      .toEqual({type: 'PinRef', name: 'a', index: 2});
+  });
+
+  it('wide values', () => {
+    const values = parser
+      .parse('set a %XFFFFFFFF, set a %XFFFFFFFFFFFFFFFF, set a %D-9007199254740993;')
+      .body
+      .map(instruction => instruction.value);
+
+    expect(values).toEqual([
+      0xFFFFFFFF,
+      BigInt('0xFFFFFFFFFFFFFFFF'),
+      -BigInt('9007199254740993'),
+    ]);
+  });
+
+  it('keywords as pin names', () => {
+    expect(parser.parse('set load 1, output-list load;').body).toEqual([
+      {type: 'Set', pin: {type: 'PinRef', name: 'load'}, value: 1},
+      {
+        type: 'OutputList',
+        columns: [{type: 'OutputColumn', name: 'load'}],
+      },
+    ]);
+
+    expect(parser.parse('set reset 1, reset;').body).toEqual([
+      {type: 'Set', pin: {type: 'PinRef', name: 'reset'}, value: 1},
+      {type: 'Reset'},
+    ]);
+  });
+
+  it('clock and loops', () => {
+    const exampleTST = `
+      repeat 2 {
+        tick, output;
+        tock, output!
+      }
+
+      while out <> 7 {
+        set in 1, eval;
+      }
+
+      echo "Done";
+      clear-echo;
+    `;
+
+    expect(parser.parse(exampleTST).body).toEqual([
+      {
+        type: 'Repeat',
+        count: 2,
+        body: [
+          {type: 'Tick'},
+          {type: 'Output'},
+          {type: 'Tock'},
+          {type: 'Output'},
+        ],
+      },
+      {
+        type: 'While',
+        condition: {
+          type: 'Condition',
+          pin: {type: 'PinRef', name: 'out'},
+          operator: '<>',
+          value: 7,
+        },
+        body: [
+          {type: 'Set', pin: {type: 'PinRef', name: 'in'}, value: 1},
+          {type: 'Eval'},
+        ],
+      },
+      {type: 'Echo', value: 'Done'},
+      {type: 'ClearEcho'},
+    ]);
+  });
+
+  it('file', () => {
+    const ast = parser.parseFile(__dirname + '/../../../examples/And.tst');
+    expect(ast.type).toBe('Script');
+    expect(ast.body[0]).toEqual({type: 'Load', file: 'And.hdl'});
+  });
+
+});
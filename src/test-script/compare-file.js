@@ -0,0 +1,336 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const fs = require('fs');
+const Pin = require('../emulator/hardware/Pin');
+
+const {int16, parseInteger} = require('../util/numbers');
+
+const {
+  TIME_COLUMN,
+  TIME_FORMAT,
+  formatValue,
+  formatHeader,
+  formatTime,
+  formatLine,
+} = require('./format');
+
+/**
+ * Reads and writes the comparison (`.cmp`), and output (`.out`) files:
+ *
+ *   |time |   in   |load |  out   |
+ *   | 0+  |      0 |  0  |      0 |
+ *   | 1   |      0 |  0  |      0 |
+ *
+ * The rows are the same objects `Gate#execOnData` consumes, and
+ * produces, with the `time` column mapped to the `$clock` pin:
+ *
+ *   {$clock: +0, in: 0, load: 0, out: 0}
+ *   {$clock: -1, in: 0, load: 0, out: 0}
+ */
+
+/**
+ * Parses the contents of a compare file to the data rows.
+ *
+ * The values format of each column is inferred from the cells
+ * (and the pin sizes if `GateClass` is passed), and can be set
+ * explicitly: {formats: {a: 'B', out: 'D'}}, or for all the columns:
+ * {format: 'X'}. Cells with `*` are not included in a row, so they
+ * are not validated.
+ */
+function parse(contents, {
+  GateClass = null,
+  formats = {},
+  format = null,
+} = {}) {
+  const lines = contents
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '');
+
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = splitLine(lines[0]);
+  const cells = lines.slice(1).map(splitLine);
+
+  cells.forEach((rowCells, rowIndex) => {
+    if (rowCells.length !== header.length) {
+      throw new SyntaxError(
+        `Compare file: line ${rowIndex + 2} has ${rowCells.length} ` +
+        `columns, while the header has ${header.length}.`
+      );
+    }
+  });
+
+  const columns = header.map((name, index) => {
+    if (name === TIME_COLUMN) {
+      return {name: Pin.CLOCK, type: 'S'};
+    }
+
+    const type = formats[name] || format || inferFormat(
+      cells.map(row => row[index]),
+      getPinSize(GateClass, name)
+    );
+
+    return {name, type};
+  });
+
+  return cells.map((rowCells, rowIndex) => {
+    const row = {};
+
+    rowCells.forEach((cell, index) => {
+      if (/^\*+$/.test(cell)) {
+        return;
+      }
+
+      const {name, type} = columns[index];
+      row[name] = parseCell(cell, type, rowIndex + 2);
+    });
+
+    return row;
+  });
+}
+
+/**
+ * Reads a compare file, and parses it to the data rows.
+ */
+function parseFile(fileName, options) {
+  return parse(fs.readFileSync(fileName, 'utf-8'), options);
+}
+
+/**
+ * Generates the contents of an output file from the data rows
+ * (e.g. the `result` of `Gate#execOnData`).
+ *
+ * The columns are either passed explicitly as the output list:
+ *
+ *   [{name: 'a', format: {type: 'B', left: 1, width: 1, right: 1}}, ...]
+ *
+ * or are built from the `GateClass` spec (inputs, and outputs,
+ * and the `time` column for clocked gates) using the `format`
+ * type ('B', 'D', or 'X').
+ */
+function generate(rows, {
+  GateClass = null,
+  columns = null,
+  format = 'B',
+  eol = '\n',
+} = {}) {
+  if (!columns) {
+    columns = defaultColumns(GateClass, rows, format);
+  }
+
+  const lines = [
+    formatLine(columns.map(column => {
+      return formatHeader(toColumnName(column.name), column.format);
+    })),
+  ];
+
+  rows.forEach(row => {
+    lines.push(formatLine(columns.map(({name, format}) => {
+      return name === Pin.CLOCK || name === TIME_COLUMN
+        ? formatTime(row[Pin.CLOCK], format)
+        : formatValue(row[name], format);
+    })));
+  });
+
+  return lines.join(eol) + eol;
+}
+
+/**
+ * Writes the data rows to an output file.
+ */
+function writeFile(fileName, rows, options) {
+  fs.writeFileSync(fileName, generate(rows, options));
+}
+
+/**
+ * Builds the output list from the gate spec, or from the
+ * keys of the first row, if the gate class is not passed.
+ */
+function defaultColumns(GateClass, rows, type) {
+  let names;
+
+  if (GateClass) {
+    const {inputPins, outputPins} = GateClass.Spec;
+    const toName = pin => typeof pin === 'string' ? pin : pin.name;
+
+    names = [
+      ...(GateClass.isClocked() ? [Pin.CLOCK] : []),
+      ...inputPins.map(toName),
+      ...outputPins.map(toName),
+    ];
+  } else {
+    names = rows.length > 0 ? Object.keys(rows[0]) : [];
+  }
+
+  return names.map(name => {
+    if (name === Pin.CLOCK) {
+      return {name, format: TIME_FORMAT};
+    }
+
+    const size = getPinSize(GateClass, name);
+
+    // Unknown pin size: signed decimal word.
+    if (size === null) {
+      return {name, format: {type: 'D', left: 1, width: 6, right: 1}};
+    }
+
+    // Pad narrow columns to fit the name: `load` -> %B2.1.2.
+    const width = getFormatWidth(type, size);
+    const padding = Math.max(1, Math.ceil((name.length - width) / 2));
+
+    return {
+      name,
+      format: {type, left: padding, width, right: padding},
+    };
+  });
+}
+
+/**
+ * Width of a value of the pin size in the format.
+ */
+function getFormatWidth(type, size) {
+  switch (type) {
+    case 'B':
+      return size;
+    case 'X':
+      return Math.ceil(size / 4);
+    default:
+      // Signed 16-bit words, e.g. -32768.
+      return size === 16 ? 6 : String(Math.pow(2, size) - 1).length;
+  }
+}
+
+/**
+ * Infers format of a column from its cells:
+ *
+ *   - binary: same-width 0/1 digits, of the pin size if it's known;
+ *   - hexadecimal: same-width hex digits (of the hex width of the pin
+ *     size, if it's known), with some A-F letters, or the leading
+ *     zeros, which the decimal values don't have;
+ *   - decimal: otherwise.
+ */
+function inferFormat(cells, size) {
+  const values = cells.filter(cell => !/^\*+$/.test(cell));
+
+  if (values.length === 0) {
+    return 'D';
+  }
+
+  const width = values[0].length;
+  const isSameWidth = values.every(cell => cell.length === width);
+
+  if (
+    isSameWidth &&
+    width > 1 &&
+    values.every(cell => /^[01]+$/.test(cell)) &&
+    (size === null || size === width)
+  ) {
+    return 'B';
+  }
+
+  if (
+    isSameWidth &&
+    values.every(cell => /^[0-9A-Fa-f]+$/.test(cell)) &&
+    values.some(cell => /[A-Fa-f]/.test(cell) || /^0./.test(cell)) &&
+    (size === null || Math.ceil(size / 4) === width)
+  ) {
+    return 'X';
+  }
+
+  return 'D';
+}
+
+/**
+ * Parses a binary, or hex cell: the cells up to the word size
+ * are signed 16-bit, and the wider ones are the wide buses.
+ */
+function parseWord(cell, radix, wordDigits) {
+  if (cell.length > wordDigits) {
+    return parseInteger(cell, radix);
+  }
+  return int16(Number.parseInt(cell, radix));
+}
+
+/**
+ * Converts a cell to a value of the format type.
+ */
+function parseCell(cell, type, line) {
+  let value;
+
+  switch (type) {
+    case 'S':
+      // Clock: '0+' -> +0, '1' -> -1.
+      value = /\+$/.test(cell)
+        ? +Number(cell.slice(0, -1))
+        : -Number(cell);
+      break;
+    case 'B':
+      value = parseWord(cell, 2, 16);
+      break;
+    case 'X':
+      value = parseWord(cell, 16, 4);
+      break;
+    default:
+      value = Number(cell);
+
+      // The values of the wide buses may exceed the safe integers.
+      if (!Number.isSafeInteger(value) && /^[-+]?\d+$/.test(cell)) {
+        value = parseInteger(cell, 10);
+      }
+  }
+
+  if (Number.isNaN(value) || cell === '') {
+    throw new SyntaxError(
+      `Compare file: invalid value "${cell}" at line ${line}.`
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Splits a table line into trimmed cells.
+ */
+function splitLine(line) {
+  return line
+    .trim()
+    .replace(/^\||\|$/g, '')
+    .split('|')
+    .map(cell => cell.trim());
+}
+
+/**
+ * Returns the size of the pin from the gate spec, or null.
+ */
+function getPinSize(GateClass, name) {
+  if (!GateClass) {
+    return null;
+  }
+
+  try {
+    return GateClass.getPinInfo(name).size || 1;
+  } catch (_e) {
+    return null;
+  }
+}
+
+/**
+ * Column name in the header: `$clock` is printed as `time`.
+ */
+function toColumnName(name) {
+  return name === Pin.CLOCK ? TIME_COLUMN : name;
+}
+
+module.exports = {
+  parse,
+  parseFile,
+  generate,
+  writeFile,
+};
@@ -0,0 +1,121 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const {isBigInt, isNegativeZero} = require('../util/numbers');
+
+/**
+ * Name of the special column, which prints the clock value.
+ */
+const TIME_COLUMN = 'time';
+
+/**
+ * Default format for the `time` column: `%S1.4.1`.
+ */
+const TIME_FORMAT = {type: 'S', left: 1, width: 4, right: 1};
+
+/**
+ * Default format of a pin of the given size: `%B1.<size>.1`.
+ */
+function defaultFormat(size = 1) {
+  return {type: 'B', left: 1, width: size, right: 1};
+}
+
+/**
+ * Formats a value according to the output format:
+ *
+ *   B: binary, zero-padded to the width
+ *   X: hexadecimal, zero-padded to the width
+ *   D: decimal, right-aligned in the width
+ *   S: string, left-aligned in the width
+ *
+ * The result is padded with `left` and `right` spaces.
+ */
+function formatValue(value, {type, left, width, right}) {
+  let content;
+
+  switch (type) {
+    case 'B':
+    case 'X':
+      // The values of the wide buses are unsigned BigInt.
+      content = (isBigInt(value) ? value : value >>> 0)
+        .toString(type === 'B' ? 2 : 16)
+        .toUpperCase()
+        .padStart(width, '0')
+        .slice(-width);
+      break;
+    case 'D':
+      content = String(value).padStart(width, ' ');
+      break;
+    case 'S':
+      content = String(value).padEnd(width, ' ');
+      break;
+    default:
+      throw new TypeError(`Unknown output format "%${type}".`);
+  }
+
+  return ' '.repeat(left) + content + ' '.repeat(right);
+}
+
+/**
+ * Formats a column header: the name is centered in the
+ * full column width, and is truncated if it doesn't fit.
+ *
+ * The `time` header is left-aligned, and (as the `time` values)
+ * is one char narrower than the format: `|time |`, `| 0+  |`.
+ * This matches the compare files of the official simulator.
+ */
+function formatHeader(name, {left, width, right}) {
+  const columnWidth = left + width + right;
+
+  if (name.length >= columnWidth) {
+    return name.slice(0, columnWidth);
+  }
+
+  if (name === TIME_COLUMN) {
+    return name.padEnd(columnWidth - 1, ' ');
+  }
+
+  const leftPad = Math.floor((columnWidth - name.length) / 2);
+  return name
+    .padStart(leftPad + name.length, ' ')
+    .padEnd(columnWidth, ' ');
+}
+
+/**
+ * Formats a clock value for the `time` column:
+ *
+ *   -0 -> '0', +0 -> '0+', -1 -> '1', +1 -> '1+', ...
+ */
+function formatClock(clockValue) {
+  const isUp = !isNegativeZero(clockValue) && clockValue >= 0;
+  return Math.abs(clockValue) + (isUp ? '+' : '');
+}
+
+/**
+ * Formats a clock value as a cell of the `time` column.
+ */
+function formatTime(clockValue, format) {
+  return formatValue(formatClock(clockValue), format).slice(0, -1);
+}
+
+/**
+ * Joins formatted cells into a table line: `|cell|cell|`.
+ */
+function formatLine(cells) {
+  return '|' + cells.join('|') + '|';
+}
+
+module.exports = {
+  TIME_COLUMN,
+  TIME_FORMAT,
+  defaultFormat,
+  formatValue,
+  formatHeader,
+  formatClock,
+  formatTime,
+  formatLine,
+};
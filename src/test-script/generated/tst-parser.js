@@ -0,0 +1,698 @@
+/**
+ * LR parser generated by the Syntax tool.
+ *
+ * https://www.npmjs.com/package/syntax-cli
+ *
+ *   npm install -g syntax-cli
+ *
+ *   syntax-cli --help
+ *
+ * To regenerate run:
+ *
+ *   syntax-cli \
+ *     --grammar ~/path-to-grammar-file \
+ *     --mode <parsing-mode> \
+ *     --output ~/path-to-output-parser-file.js
+ */
+
+'use strict';
+
+/**
+ * Matched token text.
+ */
+let yytext;
+
+/**
+ * Length of the matched token text.
+ */
+let yyleng;
+
+/**
+ * Storage object.
+ */
+let yy = {};
+
+/**
+ * Result of semantic action.
+ */
+let __;
+
+/**
+ * Result location object.
+ */
+let __loc;
+
+function yyloc(start, end) {
+  if (!yy.options.captureLocations) {
+    return null;
+  }
+
+  // Epsilon doesn't produce location.
+  if (!start || !end) {
+    return start || end;
+  }
+
+  return {
+    startOffset: start.startOffset,
+    endOffset: end.endOffset,
+    startLine: start.startLine,
+    endLine: end.endLine,
+    startColumn: start.startColumn,
+    endColumn: end.endColumn,
+  };
+}
+
+const EOF = '$';
+
+/**
+ * List of productions (generated by Syntax tool).
+ */
+const productions = [[-1,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[0,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);
+      __ = {
+        type: 'Script',
+        body: _1,
+      };
+     }],
+[1,0,() => { __loc = null; __ = []  }],
+[1,2,(_1,_2,_1loc,_2loc) => { __loc = yyloc(_1loc, _2loc); _1.push(..._2); __ = _1  }],
+[2,2,(_1,_2,_1loc,_2loc) => { __loc = yyloc(_1loc, _2loc); __ = _1  }],
+[2,5,(_1,_2,_3,_4,_5,_1loc,_2loc,_3loc,_4loc,_5loc) => { __loc = yyloc(_1loc, _5loc);
+      __ = [{
+        type: 'Repeat',
+        count: _2,
+        body: _4,
+      }];
+     }],
+[2,5,(_1,_2,_3,_4,_5,_1loc,_2loc,_3loc,_4loc,_5loc) => { __loc = yyloc(_1loc, _5loc);
+      __ = [{
+        type: 'While',
+        condition: _2,
+        body: _4,
+      }];
+     }],
+[3,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[3,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[4,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = Number(_1)  }],
+[4,0,() => { __loc = null; __ = null  }],
+[5,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = [_1]  }],
+[5,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); _1.push(_3); __ = _1  }],
+[6,2,(_1,_2,_1loc,_2loc) => { __loc = yyloc(_1loc, _2loc); __ = {type: 'Load', file: _2}  }],
+[6,2,(_1,_2,_1loc,_2loc) => { __loc = yyloc(_1loc, _2loc); __ = {type: 'OutputFile', file: _2}  }],
+[6,2,(_1,_2,_1loc,_2loc) => { __loc = yyloc(_1loc, _2loc); __ = {type: 'CompareTo', file: _2}  }],
+[6,2,(_1,_2,_1loc,_2loc) => { __loc = yyloc(_1loc, _2loc); __ = {type: 'OutputList', columns: _2}  }],
+[6,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc); __ = {type: 'Set', pin: _2, value: _3}  }],
+[6,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = {type: 'Eval'}  }],
+[6,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = {type: 'Tick'}  }],
+[6,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = {type: 'Tock'}  }],
+[6,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = {type: 'Reset'}  }],
+[6,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = {type: 'Output'}  }],
+[6,2,(_1,_2,_1loc,_2loc) => { __loc = yyloc(_1loc, _2loc); __ = {type: 'Echo', value: _2.slice(1, -1)}  }],
+[6,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = {type: 'ClearEcho'}  }],
+[7,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[7,0,() => { __loc = null; __ = null  }],
+[8,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = [_1]  }],
+[8,2,(_1,_2,_1loc,_2loc) => { __loc = yyloc(_1loc, _2loc); _1.push(_2); __ = _1  }],
+[9,2,(_1,_2,_1loc,_2loc) => { __loc = yyloc(_1loc, _2loc);
+      __ = _1;
+      __.type = 'OutputColumn';
+
+      if (_2) {
+        __.format = _2;
+      }
+     }],
+[10,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = parseFormat(_1)  }],
+[10,0,() => { __loc = null; __ = null  }],
+[11,3,(_1,_2,_3,_1loc,_2loc,_3loc) => { __loc = yyloc(_1loc, _3loc);
+      __ = {
+        type: 'Condition',
+        pin: _1,
+        operator: _2,
+        value: _3,
+      };
+     }],
+[12,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);
+      __ = {
+        type: 'PinRef',
+        name: _1,
+      };
+     }],
+[12,4,(_1,_2,_3,_4,_1loc,_2loc,_3loc,_4loc) => { __loc = yyloc(_1loc, _4loc);
+      __ = {
+        type: 'PinRef',
+        name: _1,
+        index: Number(_3),
+      };
+     }],
+[13,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = Number(_1)  }],
+[13,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc); __ = parseValue(_1)  }],
+[14,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[14,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[14,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[14,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[14,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[14,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[14,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[14,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[14,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[14,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }],
+[14,1,(_1,_1loc) => { __loc = yyloc(_1loc, _1loc);__ = _1 }]];
+
+/**
+ * Encoded tokens map.
+ */
+const tokens = {"REPEAT":"15","WHILE":"16","NUMBER":"17","LOAD":"18","OUTPUT_FILE":"19","COMPARE_TO":"20","OUTPUT_LIST":"21","SET":"22","EVAL":"23","TICK":"24","TOCK":"25","RESET":"26","OUTPUT":"27","ECHO":"28","STRING":"29","CLEAR_ECHO":"30","FORMAT":"31","OPERATOR":"32","VALUE":"33","ID":"34","'{'":"35","'}'":"36","';'":"37","'!'":"38","','":"39","'['":"40","']'":"41","$":"42"};
+
+/**
+ * Parsing table (generated by Syntax tool).
+ */
+const table = [{"0":64,"1":1,"15":"r2","16":"r2","18":"r2","19":"r2","20":"r2","21":"r2","22":"r2","23":"r2","24":"r2","25":"r2","26":"r2","27":"r2","28":"r2","30":"r2","42":"r2"},{"2":2,"5":3,"6":6,"15":"s4","16":"s5","18":"s7","19":"s8","20":"s9","21":"s10","22":"s11","23":"s12","24":"s13","25":"s14","26":"s15","27":"s16","28":"s17","30":"s18","42":"r1"},{"15":"r3","16":"r3","18":"r3","19":"r3","20":"r3","21":"r3","22":"r3","23":"r3","24":"r3","25":"r3","26":"r3","27":"r3","28":"r3","30":"r3","36":"r3","42":"r3"},{"3":19,"37":"s21","38":"s22","39":"s20"},{"4":54,"17":"s65","35":"r10"},{"11":58,"12":59,"14":42,"15":"s34","16":"s35","18":"s27","22":"s28","23":"s29","24":"s30","25":"s31","26":"s32","27":"s33","28":"s36","34":"s26"},{"37":"r11","38":"r11","39":"r11"},{"7":24,"14":25,"15":"s34","16":"s35","18":"s27","22":"s28","23":"s29","24":"s30","25":"s31","26":"s32","27":"s33","28":"s36","34":"s26","37":"r26","38":"r26","39":"r26"},{"14":37,"15":"s34","16":"s35","18":"s27","22":"s28","23":"s29","24":"s30","25":"s31","26":"s32","27":"s33","28":"s36","34":"s26"},{"14":38,"15":"s34","16":"s35","18":"s27","22":"s28","23":"s29","24":"s30","25":"s31","26":"s32","27":"s33","28":"s36","34":"s26"},{"8":39,"9":40,"12":41,"14":42,"15":"s34","16":"s35","18":"s27","22":"s28","23":"s29","24":"s30","25":"s31","26":"s32","27":"s33","28":"s36","34":"s26"},{"12":49,"14":42,"15":"s34","16":"s35","18":"s27","22":"s28","23":"s29","24":"s30","25":"s31","26":"s32","27":"s33","28":"s36","34":"s26"},{"37":"r18","38":"r18","39":"r18"},{"37":"r19","38":"r19","39":"r19"},{"37":"r20","38":"r20","39":"r20"},{"37":"r21","38":"r21","39":"r21"},{"37":"r22","38":"r22","39":"r22"},{"29":"s53"},{"37":"r24","38":"r24","39":"r24"},{"15":"r4","16":"r4","18":"r4","19":"r4","20":"r4","21":"r4","22":"r4","23":"r4","24":"r4","25":"r4","26":"r4","27":"r4","28":"r4","30":"r4","36":"r4","42":"r4"},{"6":23,"18":"s7","19":"s8","20":"s9","21":"s10","22":"s11","23":"s12","24":"s13","25":"s14","26":"s15","27":"s16","28":"s17","30":"s18"},{"15":"r7","16":"r7","18":"r7","19":"r7","20":"r7","21":"r7","22":"r7","23":"r7","24":"r7","25":"r7","26":"r7","27":"r7","28":"r7","30":"r7","36":"r7","42":"r7"},{"15":"r8","16":"r8","18":"r8","19":"r8","20":"r8","21":"r8","22":"r8","23":"r8","24":"r8","25":"r8","26":"r8","27":"r8","28":"r8","30":"r8","36":"r8","42":"r8"},{"37":"r12","38":"r12","39":"r12"},{"37":"r13","38":"r13","39":"r13"},{"37":"r25","38":"r25","39":"r25"},{"15":"r37","16":"r37","17":"r37","18":"r37","22":"r37","23":"r37","24":"r37","25":"r37","26":"r37","27":"r37","28":"r37","31":"r37","32":"r37","33":"r37","34":"r37","37":"r37","38":"r37","39":"r37","40":"r37"},{"15":"r38","16":"r38","17":"r38","18":"r38","22":"r38","23":"r38","24":"r38","25":"r38","26":"r38","27":"r38","28":"r38","31":"r38","32":"r38","33":"r38","34":"r38","37":"r38","38":"r38","39":"r38","40":"r38"},{"15":"r39","16":"r39","17":"r39","18":"r39","22":"r39","23":"r39","24":"r39","25":"r39","26":"r39","27":"r39","28":"r39","31":"r39","32":"r39","33":"r39","34":"r39","37":"r39","38":"r39","39":"r39","40":"r39"},{"15":"r40","16":"r40","17":"r40","18":"r40","22":"r40","23":"r40","24":"r40","25":"r40","26":"r40","27":"r40","28":"r40","31":"r40","32":"r40","33":"r40","34":"r40","37":"r40","38":"r40","39":"r40","40":"r40"},{"15":"r41","16":"r41","17":"r41","18":"r41","22":"r41","23":"r41","24":"r41","25":"r41","26":"r41","27":"r41","28":"r41","31":"r41","32":"r41","33":"r41","34":"r41","37":"r41","38":"r41","39":"r41","40":"r41"},{"15":"r42","16":"r42","17":"r42","18":"r42","22":"r42","23":"r42","24":"r42","25":"r42","26":"r42","27":"r42","28":"r42","31":"r42","32":"r42","33":"r42","34":"r42","37":"r42","38":"r42","39":"r42","40":"r42"},{"15":"r43","16":"r43","17":"r43","18":"r43","22":"r43","23":"r43","24":"r43","25":"r43","26":"r43","27":"r43","28":"r43","31":"r43","32":"r43","33":"r43","34":"r43","37":"r43","38":"r43","39":"r43","40":"r43"},{"15":"r44","16":"r44","17":"r44","18":"r44","22":"r44","23":"r44","24":"r44","25":"r44","26":"r44","27":"r44","28":"r44","31":"r44","32":"r44","33":"r44","34":"r44","37":"r44","38":"r44","39":"r44","40":"r44"},{"15":"r45","16":"r45","17":"r45","18":"r45","22":"r45","23":"r45","24":"r45","25":"r45","26":"r45","27":"r45","28":"r45","31":"r45","32":"r45","33":"r45","34":"r45","37":"r45","38":"r45","39":"r45","40":"r45"},{"15":"r46","16":"r46","17":"r46","18":"r46","22":"r46","23":"r46","24":"r46","25":"r46","26":"r46","27":"r46","28":"r46","31":"r46","32":"r46","33":"r46","34":"r46","37":"r46","38":"r46","39":"r46","40":"r46"},{"15":"r47","16":"r47","17":"r47","18":"r47","22":"r47","23":"r47","24":"r47","25":"r47","26":"r47","27":"r47","28":"r47","31":"r47","32":"r47","33":"r47","34":"r47","37":"r47","38":"r47","39":"r47","40":"r47"},{"37":"r14","38":"r14","39":"r14"},{"37":"r15","38":"r15","39":"r15"},{"9":43,"12":41,"14":42,"15":"s34","16":"s35","18":"s27","22":"s28","23":"s29","24":"s30","25":"s31","26":"s32","27":"s33","28":"s36","34":"s26","37":"r16","38":"r16","39":"r16"},{"15":"r27","16":"r27","18":"r27","22":"r27","23":"r27","24":"r27","25":"r27","26":"r27","27":"r27","28":"r27","34":"r27","37":"r27","38":"r27","39":"r27"},{"10":44,"15":"r31","16":"r31","18":"r31","22":"r31","23":"r31","24":"r31","25":"r31","26":"r31","27":"r31","28":"r31","31":"s45","34":"r31","37":"r31","38":"r31","39":"r31"},{"15":"r33","16":"r33","17":"r33","18":"r33","22":"r33","23":"r33","24":"r33","25":"r33","26":"r33","27":"r33","28":"r33","31":"r33","32":"r33","33":"r33","34":"r33","37":"r33","38":"r33","39":"r33","40":"s46"},{"15":"r28","16":"r28","18":"r28","22":"r28","23":"r28","24":"r28","25":"r28","26":"r28","27":"r28","28":"r28","34":"r28","37":"r28","38":"r28","39":"r28"},{"15":"r29","16":"r29","18":"r29","22":"r29","23":"r29","24":"r29","25":"r29","26":"r29","27":"r29","28":"r29","34":"r29","37":"r29","38":"r29","39":"r29"},{"15":"r30","16":"r30","18":"r30","22":"r30","23":"r30","24":"r30","25":"r30","26":"r30","27":"r30","28":"r30","34":"r30","37":"r30","38":"r30","39":"r30"},{"17":"s47"},{"41":"s48"},{"15":"r34","16":"r34","17":"r34","18":"r34","22":"r34","23":"r34","24":"r34","25":"r34","26":"r34","27":"r34","28":"r34","31":"r34","32":"r34","33":"r34","34":"r34","37":"r34","38":"r34","39":"r34"},{"13":50,"17":"s51","33":"s52"},{"37":"r17","38":"r17","39":"r17"},{"35":"r35","37":"r35","38":"r35","39":"r35"},{"35":"r36","37":"r36","38":"r36","39":"r36"},{"37":"r23","38":"r23","39":"r23"},{"35":"s55"},{"1":56,"15":"r2","16":"r2","18":"r2","19":"r2","20":"r2","21":"r2","22":"r2","23":"r2","24":"r2","25":"r2","26":"r2","27":"r2","28":"r2","30":"r2","36":"r2"},{"2":2,"5":3,"6":6,"15":"s4","16":"s5","18":"s7","19":"s8","20":"s9","21":"s10","22":"s11","23":"s12","24":"s13","25":"s14","26":"s15","27":"s16","28":"s17","30":"s18","36":"s57"},{"15":"r5","16":"r5","18":"r5","19":"r5","20":"r5","21":"r5","22":"r5","23":"r5","24":"r5","25":"r5","26":"r5","27":"r5","28":"r5","30":"r5","36":"r5","42":"r5"},{"35":"s60"},{"32":"s63"},{"1":61,"15":"r2","16":"r2","18":"r2","19":"r2","20":"r2","21":"r2","22":"r2","23":"r2","24":"r2","25":"r2","26":"r2","27":"r2","28":"r2","30":"r2","36":"r2"},{"2":2,"5":3,"6":6,"15":"s4","16":"s5","18":"s7","19":"s8","20":"s9","21":"s10","22":"s11","23":"s12","24":"s13","25":"s14","26":"s15","27":"s16","28":"s17","30":"s18","36":"s62"},{"15":"r6","16":"r6","18":"r6","19":"r6","20":"r6","21":"r6","22":"r6","23":"r6","24":"r6","25":"r6","26":"r6","27":"r6","28":"r6","30":"r6","36":"r6","42":"r6"},{"13":66,"17":"s51","33":"s52"},{"42":"acc"},{"35":"r9"},{"35":"r32"}];
+
+/**
+ * Parsing stack.
+ */
+const stack = [];
+
+/**
+ * Tokenizer instance.
+ */
+let tokenizer;
+/**
+ * Generic tokenizer used by the parser in the Syntax tool.
+ *
+ * https://www.npmjs.com/package/syntax-cli
+ *
+ * See `--custom-tokinzer` to skip this generation, and use a custom one.
+ */
+
+const lexRules = [[/^\/\/.*/, function() { /* skip comments */ }],
+[/^\/\*(.|\s)*?\*\//, function() { /* skip comments */ }],
+[/^\s+/, function() { /* skip whitespace */ }],
+[/^"[^"]*"/, function() { return 'STRING' }],
+[/^\boutput-file\b/, function() { return 'OUTPUT_FILE' }],
+[/^\boutput-list\b/, function() { return 'OUTPUT_LIST' }],
+[/^\bcompare-to\b/, function() { return 'COMPARE_TO' }],
+[/^\bclear-echo\b/, function() { return 'CLEAR_ECHO' }],
+[/^\bload\b/, function() { return 'LOAD' }],
+[/^\bset\b/, function() { return 'SET' }],
+[/^\beval\b/, function() { return 'EVAL' }],
+[/^\btick\b/, function() { return 'TICK' }],
+[/^\btock\b/, function() { return 'TOCK' }],
+[/^\breset\b/, function() { return 'RESET' }],
+[/^\boutput\b/, function() { return 'OUTPUT' }],
+[/^\brepeat\b/, function() { return 'REPEAT' }],
+[/^\bwhile\b/, function() { return 'WHILE' }],
+[/^\becho\b/, function() { return 'ECHO' }],
+[/^%[BDXS]\d+\.\d+\.\d+/, function() { return 'FORMAT' }],
+[/^%[BDX]-?[0-9a-fA-F]+/, function() { return 'VALUE' }],
+[/^-?\d+/, function() { return 'NUMBER' }],
+[/^[a-zA-Z_$.\/][\w.\-$\/]*/, function() { return 'ID' }],
+[/^(?:<>|<=|>=|<|>|=)/, function() { return 'OPERATOR' }],
+[/^\{/, function() { return "'{'"; }],
+[/^\}/, function() { return "'}'"; }],
+[/^;/, function() { return "';'"; }],
+[/^!/, function() { return "'!'"; }],
+[/^,/, function() { return "','"; }],
+[/^\[/, function() { return "'['"; }],
+[/^\]/, function() { return "']'"; }]];
+const lexRulesByConditions = {"INITIAL":[0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,26,27,28,29]};
+
+const EOF_TOKEN = {
+  type: EOF,
+  value: '',
+};
+
+tokenizer = {
+  initString(string) {
+    this._string = string;
+    this._cursor = 0;
+
+    this._states = ['INITIAL'];
+    this._tokensQueue = [];
+
+    this._currentLine = 1;
+    this._currentColumn = 0;
+    this._currentLineBeginOffset = 0;
+
+    /**
+     * Matched token location data.
+     */
+    this._tokenStartOffset = 0;
+    this._tokenEndOffset = 0;
+    this._tokenStartLine = 1;
+    this._tokenEndLine = 1;
+    this._tokenStartColumn = 0;
+    this._tokenEndColumn = 0;
+
+    return this;
+  },
+
+  /**
+   * Returns tokenizer states.
+   */
+  getStates() {
+    return this._states;
+  },
+
+  getCurrentState() {
+    return this._states[this._states.length - 1];
+  },
+
+  pushState(state) {
+    this._states.push(state);
+  },
+
+  begin(state) {
+    this.pushState(state);
+  },
+
+  popState() {
+    if (this._states.length > 1) {
+      return this._states.pop();
+    }
+    return this._states[0];
+  },
+
+  getNextToken() {
+    // Something was queued, return it.
+    if (this._tokensQueue.length > 0) {
+      return this._toToken(this._tokensQueue.shift());
+    }
+
+    if (!this.hasMoreTokens()) {
+      return EOF_TOKEN;
+    }
+
+    let string = this._string.slice(this._cursor);
+    let lexRulesForState = lexRulesByConditions[this.getCurrentState()];
+
+    for (let i = 0; i < lexRulesForState.length; i++) {
+      let lexRuleIndex = lexRulesForState[i];
+      let lexRule = lexRules[lexRuleIndex];
+
+      let matched = this._match(string, lexRule[0]);
+
+      // Manual handling of EOF token (the end of string). Return it
+      // as `EOF` symbol.
+      if (string === '' && matched === '') {
+        this._cursor++;
+      }
+
+      if (matched !== null) {
+        yytext = matched;
+        yyleng = yytext.length;
+        let token = lexRule[1].call(this);
+
+        if (!token) {
+          return this.getNextToken();
+        }
+
+        // If multiple tokens are returned, save them to return
+        // on next `getNextToken` call.
+
+        if (Array.isArray(token)) {
+          const tokensToQueue = token.slice(1);
+          token = token[0];
+          if (tokensToQueue.length > 0) {
+            this._tokensQueue.unshift(...tokensToQueue);
+          }
+        }
+
+        return this._toToken(token, yytext);
+      }
+    }
+
+    if (this.isEOF()) {
+      this._cursor++;
+      return EOF_TOKEN;
+    }
+
+    this.throwUnexpectedToken(
+      string[0],
+      this._currentLine,
+      this._currentColumn
+    );
+  },
+
+  /**
+   * Throws default "Unexpected token" exception, showing the actual
+   * line from the source, pointing with the ^ marker to the bad token.
+   * In addition, shows `line:column` location.
+   */
+  throwUnexpectedToken(symbol, line, column) {
+    const lineSource = this._string.split('\n')[line - 1];
+    let lineData = '';
+
+    if (lineSource) {
+      const pad = ' '.repeat(column);
+      lineData = '\n\n' + lineSource + '\n' + pad + '^\n';
+    }
+
+    throw new SyntaxError(
+      `${lineData}Unexpected token: "${symbol}" ` +
+      `at ${line}:${column}.`
+    );
+  },
+
+  getCursor() {
+    return this._cursor;
+  },
+
+  getCurrentLine() {
+    return this._currentLine;
+  },
+
+  getCurrentColumn() {
+    return this._currentColumn;
+  },
+
+  _captureLocation(matched) {
+    const nlRe = /\n/g;
+
+    // Absolute offsets.
+    this._tokenStartOffset = this._cursor;
+
+    // Line-based locations, start.
+    this._tokenStartLine = this._currentLine;
+    this._tokenStartColumn =
+      this._tokenStartOffset - this._currentLineBeginOffset;
+
+    // Extract `\n` in the matched token.
+    let nlMatch;
+    while ((nlMatch = nlRe.exec(matched)) !== null) {
+      this._currentLine++;
+      this._currentLineBeginOffset = this._tokenStartOffset + nlMatch.index + 1;
+    }
+
+    this._tokenEndOffset = this._cursor + matched.length;
+
+    // Line-based locations, end.
+    this._tokenEndLine = this._currentLine;
+    this._tokenEndColumn = this._currentColumn =
+      (this._tokenEndOffset - this._currentLineBeginOffset);
+  },
+
+  _toToken(tokenType, yytext = '') {
+    return {
+      // Basic data.
+      type: tokenType,
+      value: yytext,
+
+      // Location data.
+      startOffset: this._tokenStartOffset,
+      endOffset: this._tokenEndOffset,
+      startLine: this._tokenStartLine,
+      endLine: this._tokenEndLine,
+      startColumn: this._tokenStartColumn,
+      endColumn: this._tokenEndColumn,
+    };
+  },
+
+  isEOF() {
+    return this._cursor === this._string.length;
+  },
+
+  hasMoreTokens() {
+    return this._cursor <= this._string.length;
+  },
+
+  _match(string, regexp) {
+    let matched = string.match(regexp);
+    if (matched) {
+      // Handle `\n` in the matched token to track line numbers.
+      this._captureLocation(matched[0]);
+      this._cursor += matched[0].length;
+      return matched[0];
+    }
+    return null;
+  },
+};
+
+/**
+ * Expose tokenizer so it can be accessed in semantic actions.
+ */
+yy.lexer = tokenizer;
+yy.tokenizer = tokenizer;
+
+/**
+ * Global parsing options. Some options can be shadowed per
+ * each `parse` call, if the optations are passed.
+ *
+ * Initalized to the `captureLocations` which is passed
+ * from the generator. Other options can be added at runtime.
+ */
+yy.options = {
+  captureLocations: true,
+};
+
+/**
+ * Parsing module.
+ */
+const yyparse = {
+  /**
+   * Sets global parsing options.
+   */
+  setOptions(options) {
+    yy.options = options;
+    return this;
+  },
+
+  /**
+   * Returns parsing options.
+   */
+  getOptions() {
+    return yy.options;
+  },
+
+  /**
+   * Parses a string.
+   */
+  parse(string, parseOptions) {
+    if (!tokenizer) {
+      throw new Error(`Tokenizer instance wasn't specified.`);
+    }
+
+    tokenizer.initString(string);
+
+    /**
+     * If parse options are passed, override global parse options for
+     * this call, and later restore global options.
+     */
+    let globalOptions = yy.options;
+    if (parseOptions) {
+      yy.options = Object.assign({}, yy.options, parseOptions);
+    }
+
+    /**
+     * Allow callers to do setup work based on the
+     * parsing string, and passed options.
+     */
+    yyparse.onParseBegin(string, tokenizer, yy.options);
+
+    stack.length = 0;
+    stack.push(0);
+
+    let token = tokenizer.getNextToken();
+    let shiftedToken = null;
+
+    do {
+      if (!token) {
+        // Restore options.
+        yy.options = globalOptions;
+        unexpectedEndOfInput();
+      }
+
+      let state = stack[stack.length - 1];
+      let column = tokens[token.type];
+
+      if (!table[state].hasOwnProperty(column)) {
+        yy.options = globalOptions;
+        unexpectedToken(token);
+      }
+
+      let entry = table[state][column];
+
+      // Shift action.
+      if (entry[0] === 's') {
+        let loc = null;
+
+        if (yy.options.captureLocations) {
+          loc = {
+            startOffset: token.startOffset,
+            endOffset: token.endOffset,
+            startLine: token.startLine,
+            endLine: token.endLine,
+            startColumn: token.startColumn,
+            endColumn: token.endColumn,
+          };
+        }
+
+        stack.push(
+          {symbol: tokens[token.type], semanticValue: token.value, loc},
+          Number(entry.slice(1))
+        );
+        shiftedToken = token;
+        token = tokenizer.getNextToken();
+      }
+
+      // Reduce action.
+      else if (entry[0] === 'r') {
+        let productionNumber = entry.slice(1);
+        let production = productions[productionNumber];
+        let hasSemanticAction = typeof production[2] === 'function';
+        let semanticValueArgs = hasSemanticAction ? [] : null;
+
+        const locationArgs = (
+          hasSemanticAction && yy.options.captureLocations
+            ? []
+            : null
+        );
+
+        if (production[1] !== 0) {
+          let rhsLength = production[1];
+          while (rhsLength-- > 0) {
+            stack.pop();
+            let stackEntry = stack.pop();
+
+            if (hasSemanticAction) {
+              semanticValueArgs.unshift(stackEntry.semanticValue);
+
+              if (locationArgs) {
+                locationArgs.unshift(stackEntry.loc);
+              }
+            }
+          }
+        }
+
+        const reduceStackEntry = {symbol: production[0]};
+
+        if (hasSemanticAction) {
+          yytext = shiftedToken ? shiftedToken.value : null;
+          yyleng = shiftedToken ? shiftedToken.value.length : null;
+
+          const semanticActionArgs = (
+            locationArgs !== null
+              ? semanticValueArgs.concat(locationArgs)
+              : semanticValueArgs
+          );
+
+          production[2](...semanticActionArgs);
+
+          reduceStackEntry.semanticValue = __;
+
+          if (locationArgs) {
+            reduceStackEntry.loc = __loc;
+          }
+        }
+
+        const nextState = stack[stack.length - 1];
+        const symbolToReduceWith = production[0];
+
+        stack.push(
+          reduceStackEntry,
+          table[nextState][symbolToReduceWith]
+        );
+      }
+
+      // Accept.
+      else if (entry === 'acc') {
+        stack.pop();
+        let parsed = stack.pop();
+
+        if (stack.length !== 1 ||
+            stack[0] !== 0 ||
+            tokenizer.hasMoreTokens()) {
+          // Restore options.
+          yy.options = globalOptions;
+          unexpectedToken(token);
+        }
+
+        if (parsed.hasOwnProperty('semanticValue')) {
+          yy.options = globalOptions;
+          yyparse.onParseEnd(parsed.semanticValue);
+          return parsed.semanticValue;
+        }
+
+        yyparse.onParseEnd();
+
+        // Restore options.
+        yy.options = globalOptions;
+        return true;
+      }
+
+    } while (tokenizer.hasMoreTokens() || stack.length > 1);
+  },
+
+  setTokenizer(customTokenizer) {
+    tokenizer = customTokenizer;
+    return yyparse;
+  },
+
+  getTokenizer() {
+    return tokenizer;
+  },
+
+  onParseBegin(string, tokenizer, options) {},
+  onParseEnd(parsed) {},
+};
+
+/**
+ * Converts a value literal to a number:
+ *
+ * `%B0101` -> 5
+ * `%XFF` -> 255
+ * `%D-3` -> -3
+ *
+ * The values wider than 53 bits (for the wide buses) are BigInt.
+ */
+function parseValue(literal) {
+  const radix = {B: 2, X: 16, D: 10}[literal[1]];
+  const digits = literal.slice(2);
+  const value = Number.parseInt(digits, radix);
+
+  if (Number.isSafeInteger(value)) {
+    return value;
+  }
+
+  const prefix = {2: '0b', 10: '', 16: '0x'}[radix];
+  const big = BigInt(prefix + digits.replace(/^-/, ''));
+
+  return digits[0] === '-' ? -big : big;
+}
+
+/**
+ * Converts an output format to an object:
+ *
+ * `%B1.16.1`: {type: 'B', left: 1, width: 16, right: 1}
+ */
+function parseFormat(format) {
+  const [left, width, right] = format.slice(2).split('.').map(Number);
+  return {
+    type: format[1],
+    left,
+    width,
+    right,
+  };
+}
+
+function unexpectedToken(token) {
+  if (token.type === EOF) {
+    unexpectedEndOfInput();
+  }
+
+  tokenizer.throwUnexpectedToken(
+    token.value,
+    token.startLine,
+    token.startColumn
+  );
+}
+
+function unexpectedEndOfInput() {
+  parseError(`Unexpected end of input.`);
+}
+
+function parseError(message) {
+  throw new SyntaxError(message);
+}
+
+module.exports = yyparse;
@@ -0,0 +1,33 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const compareFile = require('./compare-file');
+const parser = require('./parser');
+const TestScript = require('./TestScript');
+
+/**
+ * Test scripts (`.tst`) support.
+ */
+const TestScripts = {
+  /**
+   * Expose test scripts parser.
+   */
+  parser,
+
+  /**
+   * Expose `TestScript` class.
+   */
+  TestScript,
+
+  /**
+   * Expose reader, and writer of the compare (`.cmp`),
+   * and output (`.out`) files.
+   */
+  compareFile,
+};
+
+module.exports = TestScripts;
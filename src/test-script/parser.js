@@ -0,0 +1,27 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const fs = require('fs');
+const tstParser = require('./generated/tst-parser');
+
+// By default do not capture locations; callers may override.
+tstParser.setOptions({captureLocations: false});
+
+/**
+ * Extensions to the generated parser.
+ */
+Object.assign(tstParser, {
+
+  /**
+   * Parses a file with a test script.
+   */
+  parseFile(fileName, options) {
+    return this.parse(fs.readFileSync(fileName, 'utf-8'), options);
+  },
+});
+
+module.exports = tstParser;
@@ -0,0 +1,276 @@
+/**
+ * Test script (`.tst`) syntactic grammar.
+ *
+ * Test scripts drive a loaded gate: set its inputs, evaluate it,
+ * run the clock, and print the pins to an output file, which
+ * is compared with the expected (`.cmp`) file.
+ *
+ * To rebuild the parser run:
+ *
+ *   npm run build
+ *
+ * This generates the parser module in:
+ *
+ *   ./src/test-script/generated/tst-parser.js
+ */
+
+%lex
+
+%%
+
+\/\/.*                      /* skip comments */
+\/\*(.|\s)*?\*\/            /* skip comments */
+
+\s+                         /* skip whitespace */
+
+\"[^"]*\"                   return 'STRING'
+
+\boutput\-file\b            return 'OUTPUT_FILE'
+\boutput\-list\b            return 'OUTPUT_LIST'
+\bcompare\-to\b             return 'COMPARE_TO'
+\bclear\-echo\b             return 'CLEAR_ECHO'
+\bload\b                    return 'LOAD'
+\bset\b                     return 'SET'
+\beval\b                    return 'EVAL'
+\btick\b                    return 'TICK'
+\btock\b                    return 'TOCK'
+\breset\b                   return 'RESET'
+\boutput\b                  return 'OUTPUT'
+\brepeat\b                  return 'REPEAT'
+\bwhile\b                   return 'WHILE'
+\becho\b                    return 'ECHO'
+
+\%[BDXS]\d+\.\d+\.\d+       return 'FORMAT'
+\%[BDX]\-?[0-9a-fA-F]+      return 'VALUE'
+
+\-?\d+                      return 'NUMBER'
+[a-zA-Z_$.\/][\w.\-$\/]*     return 'ID'
+
+(?:\<\>|\<\=|\>\=|\<|\>|\=) return 'OPERATOR'
+
+/lex
+
+%{
+
+/**
+ * Converts a value literal to a number:
+ *
+ * `%B0101` -> 5
+ * `%XFF` -> 255
+ * `%D-3` -> -3
+ *
+ * The values wider than 53 bits (for the wide buses) are BigInt.
+ */
+function parseValue(literal) {
+  const radix = {B: 2, X: 16, D: 10}[literal[1]];
+  const digits = literal.slice(2);
+  const value = Number.parseInt(digits, radix);
+
+  if (Number.isSafeInteger(value)) {
+    return value;
+  }
+
+  const prefix = {2: '0b', 10: '', 16: '0x'}[radix];
+  const big = BigInt(prefix + digits.replace(/^-/, ''));
+
+  return digits[0] === '-' ? -big : big;
+}
+
+/**
+ * Converts an output format to an object:
+ *
+ * `%B1.16.1`: {type: 'B', left: 1, width: 16, right: 1}
+ */
+function parseFormat(format) {
+  const [left, width, right] = format.slice(2).split('.').map(Number);
+  return {
+    type: format[1],
+    left,
+    width,
+    right,
+  };
+}
+
+%}
+
+%%
+
+Script
+  : Statements {
+      $$ = {
+        type: 'Script',
+        body: $1,
+      };
+    }
+  ;
+
+Statements
+  : /* empty */
+    { $$ = [] }
+
+  | Statements Statement
+    { $1.push(...$2); $$ = $1 }
+  ;
+
+Statement
+  : Instructions Terminator
+    { $$ = $1 }
+
+  | REPEAT OptCount '{' Statements '}' {
+      $$ = [{
+        type: 'Repeat',
+        count: $2,
+        body: $4,
+      }];
+    }
+
+  | WHILE Condition '{' Statements '}' {
+      $$ = [{
+        type: 'While',
+        condition: $2,
+        body: $4,
+      }];
+    }
+  ;
+
+Terminator
+  : ';'
+  | '!'
+  ;
+
+OptCount
+  : NUMBER
+    { $$ = Number($1) }
+
+  | /* empty */
+    { $$ = null }
+  ;
+
+Instructions
+  : Instruction
+    { $$ = [$1] }
+
+  | Instructions ',' Instruction
+    { $1.push($3); $$ = $1 }
+  ;
+
+Instruction
+  : LOAD OptFile
+    { $$ = {type: 'Load', file: $2} }
+
+  | OUTPUT_FILE Identifier
+    { $$ = {type: 'OutputFile', file: $2} }
+
+  | COMPARE_TO Identifier
+    { $$ = {type: 'CompareTo', file: $2} }
+
+  | OUTPUT_LIST OutputColumns
+    { $$ = {type: 'OutputList', columns: $2} }
+
+  | SET PinRef Value
+    { $$ = {type: 'Set', pin: $2, value: $3} }
+
+  | EVAL
+    { $$ = {type: 'Eval'} }
+
+  | TICK
+    { $$ = {type: 'Tick'} }
+
+  | TOCK
+    { $$ = {type: 'Tock'} }
+
+  | RESET
+    { $$ = {type: 'Reset'} }
+
+  | OUTPUT
+    { $$ = {type: 'Output'} }
+
+  | ECHO STRING
+    { $$ = {type: 'Echo', value: $2.slice(1, -1)} }
+
+  | CLEAR_ECHO
+    { $$ = {type: 'ClearEcho'} }
+  ;
+
+OptFile
+  : Identifier
+  | /* empty */
+    { $$ = null }
+  ;
+
+OutputColumns
+  : OutputColumn
+    { $$ = [$1] }
+
+  | OutputColumns OutputColumn
+    { $1.push($2); $$ = $1 }
+  ;
+
+OutputColumn
+  : PinRef OptFormat {
+      $$ = $1;
+      $$.type = 'OutputColumn';
+
+      if ($2) {
+        $$.format = $2;
+      }
+    }
+  ;
+
+OptFormat
+  : FORMAT
+    { $$ = parseFormat($1) }
+
+  | /* empty */
+    { $$ = null }
+  ;
+
+Condition
+  : PinRef OPERATOR Value {
+      $$ = {
+        type: 'Condition',
+        pin: $1,
+        operator: $2,
+        value: $3,
+      };
+    }
+  ;
+
+PinRef
+  : Identifier {
+      $$ = {
+        type: 'PinRef',
+        name: $1,
+      };
+    }
+
+  | Identifier '[' NUMBER ']' {
+      $$ = {
+        type: 'PinRef',
+        name: $1,
+        index: Number($3),
+      };
+    }
+  ;
+
+Value
+  : NUMBER
+    { $$ = Number($1) }
+
+  | VALUE
+    { $$ = parseValue($1) }
+  ;
+
+Identifier
+  : ID
+  | LOAD
+  | SET
+  | EVAL
+  | TICK
+  | TOCK
+  | RESET
+  | OUTPUT
+  | REPEAT
+  | WHILE
+  | ECHO
+  ;
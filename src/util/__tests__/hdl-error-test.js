@@ -0,0 +1,110 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const {
+  addLocation,
+  codeFrame,
+  formatError,
+  withLocation,
+} = require('../hdl-error');
+
+const source = [
+  'CHIP And {',
+  '  IN a, b;',
+  '  OUT out;',
+  '',
+  '  PARTS:',
+  '',
+  '  Nand(a=a, c=b, out=n);',
+  '  Nand(a=n, b=n, out=out);',
+  '}',
+].join('\n');
+
+const loc = {
+  startLine: 7,
+  endLine: 7,
+  startColumn: 12,
+  endColumn: 15,
+};
+
+describe('hdl-error', () => {
+
+  it('codeFrame', () => {
+    expect(codeFrame(source, loc)).toBe([
+      '  5 |   PARTS:',
+      '  6 |',
+      '> 7 |   Nand(a=a, c=b, out=n);',
+      '    |             ^^^',
+      '  8 |   Nand(a=n, b=n, out=out);',
+      '  9 | }',
+    ].join('\n'));
+
+    // Multiline location is marked from the start column.
+    expect(codeFrame(source, {
+      startLine: 1,
+      endLine: 2,
+      startColumn: 5,
+      endColumn: 4,
+    })).toBe([
+      '> 1 | CHIP And {',
+      '    |      ^^^^^',
+      '> 2 |   IN a, b;',
+      '  3 |   OUT out;',
+      '  4 |',
+    ].join('\n'));
+  });
+
+  it('withLocation', () => {
+    const inner = {loc, fileName: 'And.hdl', source};
+    const outer = {loc: {startLine: 1}, fileName: 'Top.hdl', source: ''};
+
+    let error;
+
+    try {
+      withLocation(outer, () => withLocation(inner, () => {
+        throw new Error('Pin "c" is not in Spec of "Nand" gate.');
+      }));
+    } catch (e) {
+      error = e;
+    }
+
+    // The innermost location is preserved.
+    expect(error.loc).toBe(loc);
+    expect(error.fileName).toBe('And.hdl');
+    expect(error.source).toBe(source);
+
+    // Location of the node, and the file are set separately.
+    const partError = addLocation(new Error('Part error.'), {loc});
+    addLocation(partError, outer);
+
+    expect(partError.loc).toBe(loc);
+    expect(partError.fileName).toBe('Top.hdl');
+
+    expect(withLocation(inner, () => 1)).toBe(1);
+  });
+
+  it('formatError', () => {
+    const error = addLocation(
+      new Error('Pin "c" is not in Spec of "Nand" gate.'),
+      {loc, fileName: 'And.hdl', source}
+    );
+
+    expect(formatError(error)).toBe([
+      'And.hdl:7:13: Pin "c" is not in Spec of "Nand" gate.',
+      '',
+      codeFrame(source, loc),
+    ].join('\n'));
+
+    // No source.
+    expect(formatError(addLocation(new Error('Error.'), {loc})))
+      .toBe('7:13: Error.');
+
+    // No location.
+    expect(formatError(new Error('Error.'))).toBe('Error.');
+  });
+
+});
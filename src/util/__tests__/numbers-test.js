@@ -6,7 +6,10 @@
 'use strict';
 
 const {
+  allOnes,
   int16,
+  parseInteger,
+  toRadixString,
   uint16,
 } = require('../numbers');
 
@@ -25,4 +28,29 @@ describe('numbers', () => {
     expect(uint16(~0b0000000000000000)).toBe(0xFFFF);
   });
 
+  it('allOnes', () => {
+    expect(allOnes(1)).toBe(1);
+    expect(allOnes(3)).toBe(0b111);
+    expect(allOnes(16)).toBe(-1);
+    expect(allOnes(32)).toBe(BigInt(0xFFFFFFFF));
+  });
+
+  it('parseInteger', () => {
+    expect(parseInteger('FF', 16)).toBe(255);
+    expect(parseInteger('-3', 10)).toBe(-3);
+    expect(parseInteger('F'.repeat(16), 16))
+      .toBe(BigInt('0xFFFFFFFFFFFFFFFF'));
+    expect(parseInteger('-18446744073709551615', 10))
+      .toBe(-BigInt('18446744073709551615'));
+    expect(parseInteger('1'.repeat(60), 2))
+      .toBe(BigInt.asUintN(60, BigInt(-1)));
+  });
+
+  it('toRadixString', () => {
+    expect(toRadixString(-1, 16, 16)).toBe('FFFF');
+    expect(toRadixString(5, 8, 2)).toBe('00000101');
+    expect(toRadixString(BigInt(0xABCDEF), 32, 16)).toBe('00ABCDEF');
+    expect(toRadixString(BigInt(0xFFFFFFFF), 32, 10)).toBe('4294967295');
+  });
+
 });
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+const {createRandom, randomSeed} = require('../random');
+
+describe('random', () => {
+
+  it('createRandom', () => {
+    const take = (random, count) => {
+      return Array.from({length: count}, () => random());
+    };
+
+    const values = take(createRandom(42), 5);
+
+    // Same seed, same values.
+    expect(take(createRandom(42), 5)).toEqual(values);
+    expect(take(createRandom(43), 5)).not.toEqual(values);
+
+    values.forEach(value => {
+      expect(Number.isInteger(value)).toBe(true);
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(0x100000000);
+    });
+  });
+
+  it('randomSeed', () => {
+    const seed = randomSeed();
+
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThan(0x100000000);
+  });
+
+});
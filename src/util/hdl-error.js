@@ -0,0 +1,137 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+/**
+ * Source location of errors in HDL code.
+ *
+ * The errors raised while building a gate class from HDL are annotated
+ * with the location of the AST node, which caused the error:
+ *
+ *   error.loc: {startLine, startColumn, endLine, endColumn, ...}
+ *   error.fileName: 'examples/And.hdl'
+ *   error.source: 'CHIP And {...}'
+ *
+ * The innermost location is preserved: an error from a part is not
+ * overridden by the location of the chip, which contains the part.
+ */
+
+/**
+ * Number of the source lines shown before, and after the error line.
+ */
+const CONTEXT_LINES = 2;
+
+/**
+ * Sets the location properties (`loc`, `fileName`, and `source`)
+ * on the error, which are not set yet.
+ */
+function addLocation(error, {loc, fileName, source} = {}) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+
+  if (loc && !error.loc) {
+    error.loc = loc;
+  }
+
+  if (fileName && !error.fileName) {
+    error.fileName = fileName;
+  }
+
+  if (source && !error.source) {
+    error.source = source;
+  }
+
+  return error;
+}
+
+/**
+ * Runs the function, annotating thrown errors with the
+ * location of the node (an AST node, or {loc, fileName, source}).
+ */
+function withLocation(node, fn) {
+  try {
+    return fn();
+  } catch (error) {
+    throw addLocation(error, node);
+  }
+}
+
+/**
+ * Returns the code frame for the location:
+ *
+ *     3 |   OUT out;
+ *     4 |   PARTS:
+ *   > 5 |   And(a=a, c=b, out=out);
+ *       |   ^^^^^^^^^^^^^^^^^^^^^^^
+ */
+function codeFrame(source, loc) {
+  const lines = source.split('\n');
+
+  const from = Math.max(1, loc.startLine - CONTEXT_LINES);
+  const to = Math.min(lines.length, loc.endLine + CONTEXT_LINES);
+  const width = String(to).length;
+
+  const frame = [];
+
+  for (let line = from; line <= to; line++) {
+    const isErrorLine = line >= loc.startLine && line <= loc.endLine;
+    const code = lines[line - 1];
+
+    frame.push((
+      (isErrorLine ? '> ' : '  ') +
+      String(line).padStart(width) + ' | ' + code
+    ).trimRight());
+
+    if (line === loc.startLine) {
+      const endColumn = loc.endLine === line
+        ? loc.endColumn
+        : code.length;
+
+      frame.push(
+        '  ' + ' '.repeat(width) + ' | ' +
+        ' '.repeat(loc.startColumn) +
+        '^'.repeat(Math.max(1, endColumn - loc.startColumn))
+      );
+    }
+  }
+
+  return frame.join('\n');
+}
+
+/**
+ * Formats an error with the location: the `file:line:column` prefix
+ * (columns are 1-based), and the code frame, if the source is known.
+ */
+function formatError(error) {
+  const {loc, fileName, source} = error;
+
+  let position = fileName || '';
+
+  if (loc) {
+    position += `${position ? ':' : ''}${loc.startLine}:${loc.startColumn + 1}`;
+  }
+
+  // Parse errors start with their own code frame.
+  const separator = error.message.startsWith('\n') ? ':' : ': ';
+
+  const message = position
+    ? position + separator + error.message
+    : error.message;
+
+  if (!loc || !source) {
+    return message;
+  }
+
+  return `${message}\n\n${codeFrame(source, loc)}`;
+}
+
+module.exports = {
+  addLocation,
+  codeFrame,
+  formatError,
+  withLocation,
+};
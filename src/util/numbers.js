@@ -38,6 +38,72 @@ function uint16(v) {
   return v & 0xFFFF;
 }
 
+/**
+ * Returns a number with all `size` bits set, as signed 16-bit
+ * integer: `0b111` for 3 bits, and `-1` (0xFFFF) for 16 bits.
+ * For the wider buses it's an unsigned BigInt.
+ */
+function allOnes(size) {
+  if (size > 16) {
+    return BigInt.asUintN(size, BigInt(-1));
+  }
+  return int16((1 << size) - 1);
+}
+
+/**
+ * Whether the value is a BigInt (the values of the pins
+ * wider than 16 bits).
+ */
+function isBigInt(value) {
+  return Object.prototype.toString.call(value) === '[object BigInt]';
+}
+
+/**
+ * Converts a number, a BigInt, or a binary string to BigInt.
+ */
+function toBigInt(value) {
+  if (typeof value === 'string') {
+    return BigInt('0b' + value);
+  }
+  return BigInt(value);
+}
+
+/**
+ * Parses the digits in the radix (2, 10, or 16). The values, which
+ * are not safe integers (more than 53 bits), are returned as BigInt.
+ */
+function parseInteger(digits, radix) {
+  const value = Number.parseInt(digits, radix);
+
+  if (Number.isSafeInteger(value) || Number.isNaN(value)) {
+    return value;
+  }
+
+  const isNegative = digits[0] === '-';
+  const prefix = {2: '0b', 10: '', 16: '0x'}[radix];
+  const big = BigInt(prefix + digits.replace(/^[-+]/, ''));
+
+  return isNegative ? -big : big;
+}
+
+/**
+ * Converts the value of a `size`-bit pin to the string in the radix.
+ * The binary, and hex strings are unsigned, and padded with zeros
+ * to the size: `toRadixString(-1, 16, 16)` is 'FFFF'.
+ */
+function toRadixString(value, size, radix) {
+  if (radix === 10) {
+    return String(value);
+  }
+
+  const digits = BigInt.asUintN(size, toBigInt(value))
+    .toString(radix)
+    .toUpperCase();
+
+  const length = radix === 2 ? size : Math.ceil(size / 4);
+  return digits.padStart(length, '0');
+}
+
 /**
  * Test for a neagtive zero.
  */
@@ -57,7 +123,12 @@ function toSignedString(value) {
 }
 
 module.exports = {
+  allOnes,
   int16,
+  isBigInt,
+  parseInteger,
+  toBigInt,
+  toRadixString,
   int16Table,
   uint16,
   isNegativeZero,
@@ -0,0 +1,37 @@
+/**
+ * The MIT License (MIT)
+ * Copyright (c) 2017-present Dmitry Soshnikov <dmitry.soshnikov@gmail.com>
+ */
+
+'use strict';
+
+/**
+ * Creates a seeded generator of the random unsigned 32-bit integers
+ * (the Mulberry32 algorithm): the same seed gives the same sequence,
+ * so a simulation with the random values can be reproduced.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return (t ^ (t >>> 14)) >>> 0;
+  };
+}
+
+/**
+ * Returns a new seed: an unsigned 32-bit integer.
+ */
+function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+module.exports = {
+  createRandom,
+  randomSeed,
+};